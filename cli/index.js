@@ -4,15 +4,22 @@
  * Manage local MESSE-AF files from the command line
  *
  * Usage:
- *   mess list [--status pending|claimed|completed|...]
+ *   mess list [--status pending|claimed|completed|...] [--priority <p>] [--requestor <id>]
+ *             [--executor <id>] [--created-after <iso>] [--created-before <iso>]
+ *             [--search <text>] [--sort created_at|updated_at|priority] [--order asc|desc]
+ *             [--limit <n>] [--cursor <cursor>]
+ *   mess search <text> [--limit <n>]
  *   mess show <ref>
- *   mess create <intent> [--priority normal] [--from agent-id]
- *   mess update <ref> --status <status> [--message <msg>]
+ *   mess create <intent> [--priority normal] [--from agent-id] [--confirm-before] [--assignee executor-id]
+ *   mess update <ref> --status <status> [--message <msg>] [--force]
+ *   mess confirm <ref> [--reject] [--reason <text>] [--from requestor-id]
  *   mess claim <ref> [--by executor-id]
- *   mess complete <ref> [--message <msg>]
- *   mess cancel <ref> [--message <msg>]
+ *   mess complete <ref> [--by executor-id] [--message <msg>]
+ *   mess cancel <ref> [--by requestor-id] [--message <msg>]
+ *   mess delegate <ref> --to <executor-id> [--reason <text>] [--by executor-id]
  *   mess import <file>
  *   mess export <ref> [--format v1|v2] [--output <file>]
+ *   mess doctor [--fix] [--format json]
  *
  * Environment:
  *   MESS_DIR - Directory containing MESSE-AF files (default: ./exchange)
@@ -26,9 +33,23 @@ import YAML from 'yaml';
 import {
   parseThread,
   parseThreadV1,
+  parseYamlDocs,
   serializeThread,
   serializeThreadV1,
-  getFolderForStatus
+  rewriteEnvelope,
+  getFolderForStatus,
+  TERMINAL_STATUSES,
+  normalizeStatus,
+  checkTransition,
+  getConfirmationState,
+  checkConfirmation,
+  parseThreadQuery,
+  queryThreads,
+  messeAfSearchThread,
+  buildSearchIndex,
+  searchIndex,
+  assertValidThread,
+  validateThread
 } from '@messe-af/core';
 
 const MESS_DIR = process.env.MESS_DIR || path.join(process.cwd(), 'exchange');
@@ -126,6 +147,11 @@ async function findThread(ref) {
 }
 
 async function listThreads(statusFilter = null) {
+  const threads = await readThreads(statusFilter);
+  return threads.map(t => t.envelope);
+}
+
+async function readThreads(statusFilter = null) {
   const results = [];
   const folders = statusFilter
     ? [getFolderForStatus(statusFilter)]
@@ -155,7 +181,7 @@ async function listThreads(statusFilter = null) {
           }
 
           if (!statusFilter || parsed.envelope.status === statusFilter) {
-            results.push(parsed.envelope);
+            results.push(parsed);
           }
         } catch (e) {
           // Skip malformed entries
@@ -166,7 +192,7 @@ async function listThreads(statusFilter = null) {
     }
   }
 
-  return results.sort((a, b) => new Date(b.updated) - new Date(a.updated));
+  return results.sort((a, b) => new Date(b.envelope.updated) - new Date(a.envelope.updated));
 }
 
 async function saveThread(envelope, messages, attachments = [], oldPath = null, oldFormat = null) {
@@ -203,8 +229,39 @@ async function saveThread(envelope, messages, attachments = [], oldPath = null,
 // ============ Commands ============
 
 async function cmdList(args) {
-  const status = args.status || args.s;
-  const threads = await listThreads(status);
+  const parsed = parseThreadQuery({
+    status: args.status || args.s,
+    priority: args.priority,
+    requestor_id: args.requestor,
+    executor_id: args.executor,
+    created_after: args['created-after'],
+    created_before: args['created-before'],
+    q: args.search,
+    sort: args.sort,
+    order: args.order,
+    limit: args.limit,
+    cursor: args.cursor
+  });
+  if (parsed.error) {
+    console.error(`Error: ${parsed.error}`);
+    process.exit(1);
+  }
+
+  // Query on the same summary fields as the exchange API, print envelopes
+  const envelopes = await listThreads(parsed.query.status);
+  const result = queryThreads(envelopes.map(envelope => ({
+    ref: envelope.ref,
+    status: envelope.status,
+    intent: envelope.intent,
+    priority: envelope.priority,
+    requestor_id: envelope.requestor,
+    executor_id: envelope.executor,
+    created_at: envelope.created,
+    updated_at: envelope.updated,
+    envelope
+  })), parsed.query);
+  const threads = result.threads.map(t => t.envelope);
+  const more = result.next_cursor ? `Next page: --cursor ${result.next_cursor}` : null;
 
   if (threads.length === 0) {
     console.log('No threads found');
@@ -214,10 +271,12 @@ async function cmdList(args) {
   const format = args.format || 'table';
   if (format === 'json') {
     console.log(JSON.stringify(threads, null, 2));
+    if (more) console.error(more);
     return;
   }
   if (format === 'yaml') {
     console.log(YAML.stringify(threads));
+    if (more) console.error(more);
     return;
   }
 
@@ -232,6 +291,48 @@ async function cmdList(args) {
     console.log(`${ref} ${status} ${priority} ${intent}`);
   }
   console.log(`\n${threads.length} thread(s)`);
+  if (more) console.log(more);
+}
+
+async function cmdSearch(args) {
+  const q = args._.join(' ');
+  if (!q) {
+    console.error('Usage: mess search <text> [--limit <n>]');
+    process.exit(1);
+  }
+
+  // Local files are few enough to index on every search
+  const threads = await readThreads();
+  const index = buildSearchIndex(threads.map(t => messeAfSearchThread(t.envelope, t.messages)));
+  const envelopes = new Map(threads.map(t => [t.envelope.ref, t.envelope]));
+  const hits = searchIndex(index, q, { limit: parseInt(args.limit || '20', 10) })
+    .map(hit => ({ ...hit, status: envelopes.get(hit.ref).status, intent: envelopes.get(hit.ref).intent }));
+
+  if (hits.length === 0) {
+    console.log('No matches');
+    return;
+  }
+
+  const format = args.format || 'table';
+  if (format === 'json') {
+    console.log(JSON.stringify(hits, null, 2));
+    return;
+  }
+  if (format === 'yaml') {
+    console.log(YAML.stringify(hits));
+    return;
+  }
+
+  console.log('REF                 STATUS       MATCH                        INTENT');
+  console.log('─'.repeat(80));
+  for (const hit of hits) {
+    const ref = hit.ref.padEnd(19);
+    const status = (hit.status || 'pending').padEnd(12);
+    const match = (hit.message_ref ? hit.message_ref.slice(hit.ref.length + 1) : hit.matches[0].field).padEnd(28);
+    const intent = (hit.intent || '').slice(0, 18);
+    console.log(`${ref} ${status} ${match} ${intent}`);
+  }
+  console.log(`\n${hits.length} match(es)`);
 }
 
 async function cmdShow(args) {
@@ -263,7 +364,7 @@ async function cmdShow(args) {
 async function cmdCreate(args) {
   const intent = args._.join(' ');
   if (!intent) {
-    console.error('Usage: mess create <intent> [--priority normal] [--from agent-id]');
+    console.error('Usage: mess create <intent> [--priority normal] [--from agent-id] [--confirm-before] [--assignee executor-id]');
     process.exit(1);
   }
 
@@ -272,6 +373,8 @@ async function cmdCreate(args) {
   const now = new Date().toISOString();
   const from = args.from || AGENT_ID;
   const priority = args.priority || 'normal';
+  const confirmBefore = !!args['confirm-before'];
+  const assignee = typeof args.assignee === 'string' ? args.assignee : null;
 
   const envelope = {
     ref,
@@ -282,6 +385,8 @@ async function cmdCreate(args) {
     updated: now,
     intent,
     priority,
+    ...(confirmBefore && { confirm_before: true }),
+    ...(assignee && { assignee }),
     history: [{ action: 'created', at: now, by: from }]
   };
 
@@ -291,8 +396,16 @@ async function cmdCreate(args) {
       received: now,
       channel: 'cli',
       MESS: [
-        { v: '1.0.0' },
-        { request: { intent, context: [], response_hint: [] } }
+        { v: confirmBefore ? '1.1.0' : '1.0.0' },
+        {
+          request: {
+            intent,
+            context: [],
+            response_hint: [],
+            ...(confirmBefore && { confirm_before: true }),
+            ...(assignee && { assignee })
+          }
+        }
       ]
     },
     {
@@ -308,11 +421,11 @@ async function cmdCreate(args) {
 
 async function cmdUpdate(args) {
   const ref = args._[0];
-  const status = args.status;
+  const status = args.status && normalizeStatus(args.status);
   const message = args.message || args.m;
 
   if (!ref || !status) {
-    console.error('Usage: mess update <ref> --status <status> [--message <msg>]');
+    console.error('Usage: mess update <ref> --status <status> [--message <msg>] [--force]');
     process.exit(1);
   }
 
@@ -325,6 +438,31 @@ async function cmdUpdate(args) {
   const now = new Date().toISOString();
   const by = args.by || AGENT_ID;
 
+  // --force skips the state machine for hand repairs of broken threads
+  if (!args.force) {
+    const invalid = checkTransition({
+      from: thread.envelope.status,
+      to: status,
+      actor: by,
+      requestor: thread.envelope.requestor,
+      executor: thread.envelope.executor,
+      assignee: thread.envelope.assignee
+    });
+    if (invalid) {
+      console.error(`Error: ${invalid.message}`);
+      process.exit(1);
+    }
+
+    const unconfirmed = checkConfirmation(
+      getConfirmationState(thread.envelope, thread.messages),
+      { status }
+    );
+    if (unconfirmed) {
+      console.error(`Error: ${unconfirmed.message}`);
+      process.exit(1);
+    }
+  }
+
   thread.envelope.status = status;
   thread.envelope.updated = now;
   thread.envelope.history.push({ action: status, at: now, by });
@@ -341,7 +479,9 @@ async function cmdUpdate(args) {
       status: {
         re: ref,
         code: status,
-        ...(message && { message })
+        ...(message && { message }),
+        ...(args.action && { action: args.action }),
+        ...(args.consequences && { consequences: args.consequences })
       }
     }]
   });
@@ -364,7 +504,7 @@ async function cmdClaim(args) {
 async function cmdComplete(args) {
   const ref = args._[0];
   if (!ref) {
-    console.error('Usage: mess complete <ref> [--message <msg>]');
+    console.error('Usage: mess complete <ref> [--by executor-id] [--message <msg>]');
     process.exit(1);
   }
 
@@ -375,7 +515,7 @@ async function cmdComplete(args) {
 async function cmdCancel(args) {
   const ref = args._[0];
   if (!ref) {
-    console.error('Usage: mess cancel <ref> [--message <msg>]');
+    console.error('Usage: mess cancel <ref> [--by requestor-id] [--message <msg>]');
     process.exit(1);
   }
 
@@ -383,6 +523,107 @@ async function cmdCancel(args) {
   await cmdUpdate(args);
 }
 
+async function cmdDelegate(args) {
+  const ref = args._[0];
+  const to = typeof args.to === 'string' ? args.to : null;
+  if (!ref || !to) {
+    console.error('Usage: mess delegate <ref> --to <executor-id> [--reason <text>] [--by executor-id]');
+    process.exit(1);
+  }
+
+  const thread = await findThread(ref);
+  if (!thread) {
+    console.error(`Thread not found: ${ref}`);
+    process.exit(1);
+  }
+
+  const { envelope } = thread;
+  const by = args.by || AGENT_ID;
+  const holder = envelope.executor || envelope.assignee;
+
+  if (TERMINAL_STATUSES.includes(envelope.status)) {
+    console.error(`Error: Cannot delegate a ${envelope.status} request`);
+    process.exit(1);
+  }
+  if (by !== envelope.requestor && by !== holder) {
+    console.error(`Error: Only the requestor${holder ? ` or ${holder}` : ''} may delegate ${ref}`);
+    process.exit(1);
+  }
+  if (to === holder) {
+    console.error(`Error: ${ref} is already with ${to}`);
+    process.exit(1);
+  }
+
+  // Back to pending, claimable only by the new assignee
+  const now = new Date().toISOString();
+  envelope.status = 'pending';
+  envelope.executor = null;
+  envelope.assignee = to;
+  envelope.updated = now;
+  envelope.history.push({ action: 'delegated', at: now, by, to });
+
+  thread.messages.push({
+    from: by,
+    received: now,
+    channel: 'cli',
+    MESS: [{
+      status: {
+        re: ref,
+        code: 'delegated',
+        delegated_to: to,
+        ...(args.reason && { reason: args.reason })
+      }
+    }]
+  });
+
+  await saveThread(envelope, thread.messages, thread.attachments, thread.path, thread.format);
+  console.log(`Delegated: ${ref} -> ${to}`);
+}
+
+async function cmdConfirm(args) {
+  const ref = args._[0];
+  if (!ref) {
+    console.error('Usage: mess confirm <ref> [--reject] [--reason <text>] [--from requestor-id]');
+    process.exit(1);
+  }
+
+  const thread = await findThread(ref);
+  if (!thread) {
+    console.error(`Thread not found: ${ref}`);
+    process.exit(1);
+  }
+
+  const from = args.from || AGENT_ID;
+  const confirmation = getConfirmationState(thread.envelope, thread.messages);
+  if (confirmation?.status !== 'pending') {
+    console.error(`Error: ${ref} is not awaiting confirmation`);
+    process.exit(1);
+  }
+  if (from !== thread.envelope.requestor) {
+    console.error(`Error: Only the requestor (${thread.envelope.requestor}) may confirm`);
+    process.exit(1);
+  }
+
+  const now = new Date().toISOString();
+  const confirm = !args.reject;
+  thread.envelope.updated = now;
+  thread.messages.push({
+    from,
+    received: now,
+    channel: 'cli',
+    MESS: [{
+      reply: {
+        re: ref,
+        confirm,
+        ...(args.reason && { reason: args.reason })
+      }
+    }]
+  });
+
+  await saveThread(thread.envelope, thread.messages, thread.attachments, thread.path, thread.format);
+  console.log(`${confirm ? 'Confirmed' : 'Rejected'}: ${ref}`);
+}
+
 async function cmdImport(args) {
   const file = args._[0];
   if (!file) {
@@ -403,14 +644,14 @@ async function cmdImport(args) {
       const content = await fs.readFile(path.join(file, entry), 'utf-8');
       files.push({ name: entry, content });
     }
-    const parsed = parseThread(files);
+    const parsed = assertValidThread(parseThread(files));
     envelope = parsed.envelope;
     messages = parsed.messages;
     attachments = parsed.attachments;
   } else {
     // v1 flat file
     const content = await fs.readFile(file, 'utf-8');
-    const parsed = parseThreadV1(content);
+    const parsed = assertValidThread(parseThreadV1(content));
     envelope = parsed.envelope;
     messages = parsed.messages;
   }
@@ -469,29 +710,345 @@ async function cmdExport(args) {
   }
 }
 
+// ============ Doctor ============
+
+const FOLDERS = ['received', 'executing', 'finished', 'canceled'];
+const THREAD_FILE = /^(\d{3})-(.+)\.messe-af\.yaml$/;
+
+/**
+ * Status the thread's messages last set: the latest status item (delegation
+ * hands the request back as pending) or cancel, or null if none
+ */
+function statusFromMessages(messages) {
+  let status = null;
+  for (const message of messages || []) {
+    for (const item of message?.MESS || []) {
+      if (item?.cancel !== undefined) status = 'cancelled';
+      const code = item?.status?.code && normalizeStatus(item.status.code);
+      if (!code || code === 'received' || code === 'retrying') continue;
+      status = code === 'delegated' ? 'pending' : code;
+    }
+  }
+  return status;
+}
+
+// att-* file names a thread refers to, e.g. { image: { file: 'att-001-image-photo.jpg' } }
+function attachmentNames(value, names = new Set()) {
+  if (typeof value === 'string') {
+    const match = value.match(/(?:^|\/)(att-[^/\s]+)$/);
+    if (match) names.add(match[1]);
+  } else if (Array.isArray(value)) {
+    value.forEach(v => attachmentNames(v, names));
+  } else if (value && typeof value === 'object') {
+    Object.values(value).forEach(v => attachmentNames(v, names));
+  }
+  return names;
+}
+
+function firstLine(message) {
+  return String(message).split('\n')[0].replace(/:$/, '');
+}
+
+async function readThreadEntry(folder, entry) {
+  const folderPath = path.join(MESS_DIR, `state=${folder}`);
+  const thread = {
+    folder,
+    name: entry.name,
+    path: path.join(folderPath, entry.name),
+    rel: `state=${folder}/${entry.name}`,
+    issues: []
+  };
+  const issue = (severity, code, message, file = null) => {
+    thread.issues.push({ severity, code, message, ...(file && { file }) });
+  };
+
+  if (!entry.isDirectory()) {
+    thread.format = 'v1';
+    thread.ref = entry.name.replace(/\.messe-af\.yaml$/, '');
+    thread.content = await fs.readFile(thread.path, 'utf-8');
+    try {
+      thread.parsed = parseThreadV1(thread.content);
+    } catch (e) {
+      issue('error', 'parse', `YAML does not parse: ${firstLine(e.message)}`);
+    }
+    return thread;
+  }
+
+  thread.format = 'v2';
+  thread.ref = entry.name;
+  const names = (await fs.readdir(thread.path)).filter(n => !n.startsWith('.')).sort();
+  thread.attachmentFiles = names.filter(n => n.startsWith('att-'));
+
+  // Attachments aren't read: only their names matter here
+  const files = [];
+  for (const name of names) {
+    if (name.startsWith('att-')) continue;
+    if (!name.endsWith('.messe-af.yaml')) {
+      issue('warning', 'stray', `Unexpected file ${name}`, name);
+      continue;
+    }
+    const match = name.match(THREAD_FILE);
+    if (!match || match[2] !== thread.ref) {
+      issue('warning', 'file_name', `${name} should be named NNN-${thread.ref}.messe-af.yaml`, name);
+    }
+    const content = await fs.readFile(path.join(thread.path, name), 'utf-8');
+    try {
+      parseYamlDocs(content);
+      files.push({ name, content });
+    } catch (e) {
+      issue('error', 'parse', `${name} does not parse: ${firstLine(e.message)}`, name);
+    }
+  }
+
+  // Without a 000- file the envelope can't be told from the messages
+  if (!names.some(n => n.match(THREAD_FILE)?.[1] === '000')) {
+    issue('error', 'no_envelope', `No 000-${thread.ref}.messe-af.yaml file`);
+  } else if (!thread.issues.some(i => i.code === 'parse')) {
+    thread.envelopeFile = files[0];
+    thread.parsed = parseThread(files);
+  }
+  return thread;
+}
+
+// Check one thread; fills thread.issues and thread.fix ({ envelope?, folder? })
+function checkThread(thread) {
+  const { parsed } = thread;
+  if (!parsed) return;
+  const issue = (severity, code, message, fix = null) => {
+    thread.issues.push({ severity, code, message, ...(fix && { fix }) });
+  };
+
+  const { envelope, messages } = parsed;
+  if (!envelope || typeof envelope !== 'object' || Array.isArray(envelope)) {
+    issue('error', 'invalid', 'envelope: must be a YAML mapping');
+    return;
+  }
+
+  // Envelope repairs --fix can make, and the issue each one answers
+  const repaired = { ...envelope };
+  if (envelope.ref === undefined) {
+    repaired.ref = thread.ref;
+    issue('error', 'ref', 'Envelope has no ref', `set ref to ${thread.ref}`);
+  } else if (envelope.ref !== thread.ref) {
+    issue('error', 'ref', `Envelope ref ${envelope.ref} does not match ${thread.name}`);
+  }
+
+  const fromMessages = statusFromMessages(messages);
+  if (fromMessages && fromMessages !== normalizeStatus(envelope.status)) {
+    repaired.status = fromMessages;
+    issue('warning', 'status', `Envelope says ${envelope.status}, but the last message set ${fromMessages}`,
+      `set status to ${fromMessages}`);
+  } else if (envelope.status === 'in-progress') {
+    repaired.status = 'in_progress';
+    issue('warning', 'status', 'Envelope uses the legacy status spelling in-progress', 'set status to in_progress');
+  }
+
+  const changes = Object.fromEntries(
+    ['ref', 'status'].filter(key => repaired[key] !== envelope[key]).map(key => [key, repaired[key]])
+  );
+  if (Object.keys(changes).length > 0) thread.fix = { envelope: changes };
+
+  const { errors } = validateThread({ envelope: repaired, messages });
+  for (const e of errors) {
+    issue('error', 'invalid', e.path ? `${e.path}: ${e.message}` : e.message);
+  }
+
+  const folder = getFolderForStatus(repaired.status);
+  if (folder !== thread.folder) {
+    thread.fix = { ...thread.fix, folder };
+    const why = repaired.status === envelope.status
+      ? `status ${envelope.status}`
+      : `status ${repaired.status} (once repaired)`;
+    issue('error', 'folder', `In state=${thread.folder}, but ${why} belongs in state=${folder}`, `move to state=${folder}`);
+  }
+
+  const referenced = attachmentNames(messages);
+  const present = new Set(thread.attachmentFiles || []);
+  for (const name of referenced) {
+    if (!present.has(name)) issue('error', 'attachment', `References ${name}, which does not exist`);
+  }
+  for (const name of present) {
+    if (!referenced.has(name)) issue('warning', 'orphan', `${name} is not referenced by any message`);
+  }
+}
+
+function dropFix(thread) {
+  delete thread.fix;
+  thread.issues.forEach(i => delete i.fix);
+}
+
+// Threads stored more than once, e.g. a v1 file left behind by an upgrade to v2
+function checkCollisions(threads) {
+  const byRef = new Map();
+  for (const thread of threads) {
+    byRef.set(thread.ref, [...(byRef.get(thread.ref) || []), thread]);
+  }
+
+  for (const [ref, copies] of byRef) {
+    if (copies.length < 2) continue;
+    const where = copies.map(c => c.rel).join(', ');
+    const kept = copies.find(c => c.format === 'v2' && c.parsed);
+    for (const copy of copies) {
+      if (copy === kept) continue;
+      // A v1 copy holding the same messages as the v2 copy is safe to drop;
+      // anything else needs a person to merge
+      const duplicate = kept && copy.format === 'v1' && copy.parsed
+        && JSON.stringify(copy.parsed.messages) === JSON.stringify(kept.parsed.messages);
+      dropFix(copy);
+      copy.issues.push({
+        severity: 'error',
+        code: 'collision',
+        message: `Ref ${ref} is stored ${copies.length} times: ${where}`,
+        ...(duplicate && { fix: `delete, same messages as ${kept.rel}` })
+      });
+      if (duplicate) copy.fix = { remove: true };
+    }
+    // Don't move the kept copy onto another directory of the same name
+    if (kept?.fix?.folder && copies.some(c => c !== kept && c.format === 'v2' && c.folder === kept.fix.folder)) {
+      delete kept.fix.folder;
+      delete kept.issues.find(i => i.code === 'folder').fix;
+    }
+  }
+}
+
+async function auditExchange() {
+  const threads = [];
+  const stray = [];
+  for (const folder of FOLDERS) {
+    let entries;
+    try {
+      entries = await fs.readdir(path.join(MESS_DIR, `state=${folder}`), { withFileTypes: true });
+    } catch (e) {
+      if (e.code !== 'ENOENT') throw e;
+      continue;
+    }
+    for (const entry of entries) {
+      if (entry.name.startsWith('.')) continue;
+      if (entry.isDirectory() || entry.name.endsWith('.messe-af.yaml')) {
+        threads.push(await readThreadEntry(folder, entry));
+      } else {
+        stray.push({ rel: `state=${folder}/${entry.name}`, issues: [{ severity: 'warning', code: 'stray', message: 'Not a thread' }] });
+      }
+    }
+  }
+
+  threads.forEach(checkThread);
+  checkCollisions(threads);
+  return { threads, entries: [...threads, ...stray].filter(t => t.issues.length > 0) };
+}
+
+async function applyFix(thread) {
+  const { fix } = thread;
+  if (fix.remove) {
+    await fs.rm(thread.path, { recursive: true });
+    return;
+  }
+
+  if (fix.envelope) {
+    const file = thread.format === 'v2' ? path.join(thread.path, thread.envelopeFile.name) : thread.path;
+    const content = thread.format === 'v2' ? thread.envelopeFile.content : thread.content;
+    await fs.writeFile(file, rewriteEnvelope(content, fix.envelope));
+  }
+
+  if (fix.folder) {
+    const target = path.join(MESS_DIR, `state=${fix.folder}`, thread.name);
+    try {
+      await fs.access(target);
+      throw new Error(`Cannot move ${thread.rel}: ${target} already exists`);
+    } catch (e) {
+      if (e.code !== 'ENOENT') throw e;
+    }
+    await fs.mkdir(path.dirname(target), { recursive: true });
+    await fs.rename(thread.path, target);
+  }
+}
+
+async function cmdDoctor(args) {
+  let { threads, entries } = await auditExchange();
+  const json = args.format === 'json';
+
+  const fixed = [];
+  if (args.fix) {
+    for (const thread of threads.filter(t => t.fix && (t.fix.remove || t.fix.envelope || t.fix.folder))) {
+      await applyFix(thread);
+      const done = thread.issues.filter(i => i.fix).map(i => i.fix);
+      fixed.push({ path: thread.rel, fixes: done });
+      if (!json) console.log(`Fixed ${thread.rel}: ${done.join('; ')}`);
+    }
+    if (fixed.length > 0) {
+      ({ threads, entries } = await auditExchange());
+      if (!json) console.log('');
+    }
+  }
+
+  const issues = entries.flatMap(t => t.issues.map(i => ({ path: t.rel, ...i })));
+  const errors = issues.filter(i => i.severity === 'error').length;
+  const warnings = issues.length - errors;
+  if (errors > 0) process.exitCode = 1;
+
+  if (json) {
+    console.log(JSON.stringify({ threads: threads.length, errors, warnings, issues, ...(args.fix && { fixed }) }, null, 2));
+    return;
+  }
+
+  for (const entry of entries) {
+    console.log(entry.rel);
+    for (const i of entry.issues) {
+      console.log(`  ${i.severity.padEnd(8)}${i.message}${i.fix ? ` (fix: ${i.fix})` : ''}`);
+    }
+  }
+  const fixable = issues.filter(i => i.fix).length;
+  if (entries.length > 0) console.log('');
+  console.log(`${threads.length} thread(s): ${errors} error(s), ${warnings} warning(s)`);
+  if (fixable > 0) console.log(`Run with --fix to repair ${fixable} of them`);
+}
+
 function showHelp() {
   console.log(`MESSE-AF CLI - Manage local MESSE-AF files
 
 Usage: mess <command> [options]
 
 Commands:
-  list [--status <status>]              List threads
+  list [filters]                        List threads
+  search <text>                         Search intents, context and messages
   show <ref>                            Show thread details
   create <intent> [options]             Create new request
   update <ref> --status <status>        Update thread status
   claim <ref> [--by <executor>]         Claim a request
-  complete <ref> [--message <msg>]      Mark as completed
+  complete <ref> [--by <executor>]      Mark as completed
   cancel <ref> [--message <msg>]        Cancel a request
+  confirm <ref> [--reject]              Answer a needs_confirmation
+  delegate <ref> --to <executor>        Hand a request to another executor
   import <file|dir>                     Import MESSE-AF file
   export <ref> [--format v1|v2]         Export thread
+  doctor [--fix]                        Check every thread's folder, YAML and
+                                        attachments (alias: validate)
 
 Options:
   --status <status>     Filter by status
-  --priority <p>        Set priority (background/normal/elevated/urgent)
+  --priority <p>        Set or filter priority (background/normal/elevated/urgent)
+  --requestor <id>      Filter list by requestor
+  --executor <id>       Filter list by executor
+  --created-after <iso> Filter list by creation time (also --created-before)
+  --search <text>       Filter list by words in the intent
+  --sort <field>        Sort list by created_at, updated_at or priority
+  --order <asc|desc>    Sort direction (default: desc)
+  --limit <n>           Page size for list (prints a --cursor for the next page),
+                        or most hits for search (default: 20)
+  --cursor <cursor>     Continue a paged list
   --from <id>           Requestor ID (default: $MESS_AGENT_ID or 'cli')
   --by <id>             Executor ID for claims
   --message, -m <msg>   Status message
-  --format <fmt>        Output format (table/json/yaml for list, v1/v2 for export)
+  --force               Allow status changes the state machine rejects
+  --confirm-before      Require confirmation before the executor acts
+  --assignee <id>       Only this executor may claim the request
+  --to <id>             Executor to delegate to
+  --action <text>       What needs approval (with --status needs_confirmation)
+  --consequences <text> What happens if approved
+  --fix                 Let doctor move misfiled threads, repair envelopes and
+                        delete v1 copies left beside identical v2 threads
+  --format <fmt>        Output format (table/json/yaml for list and search, v1/v2 for export,
+                        json for doctor)
   --output, -o <path>   Output file/directory
 
 Environment:
@@ -500,10 +1057,13 @@ Environment:
 
 Examples:
   mess list --status pending
+  mess list --priority urgent --sort created_at --order asc --limit 20
+  mess search water heater
   mess create "Check the garage door" --priority elevated
   mess claim 2026-02-01-001 --by my-phone
-  mess complete 2026-02-01-001 --message "Door was closed"
+  mess complete 2026-02-01-001 --by my-phone --message "Door was closed"
   mess export 2026-02-01-001 --format v1 -o thread.yaml
+  mess doctor --fix
 `);
 }
 
@@ -524,6 +1084,10 @@ async function main() {
       case 'ls':
         await cmdList(args);
         break;
+      case 'search':
+      case 'find':
+        await cmdSearch(args);
+        break;
       case 'show':
       case 'get':
         await cmdShow(args);
@@ -545,12 +1109,22 @@ async function main() {
       case 'cancel':
         await cmdCancel(args);
         break;
+      case 'confirm':
+        await cmdConfirm(args);
+        break;
+      case 'delegate':
+        await cmdDelegate(args);
+        break;
       case 'import':
         await cmdImport(args);
         break;
       case 'export':
         await cmdExport(args);
         break;
+      case 'doctor':
+      case 'validate':
+        await cmdDoctor(args);
+        break;
       default:
         console.error(`Unknown command: ${command}`);
         showHelp();
@@ -0,0 +1,189 @@
+/**
+ * Tests for mess doctor
+ *
+ * Run with: npm test
+ */
+
+import { describe, it, beforeEach, afterEach } from 'node:test';
+import assert from 'node:assert';
+import { execFile } from 'child_process';
+import * as fs from 'fs/promises';
+import * as path from 'path';
+import { fileURLToPath } from 'url';
+import os from 'os';
+
+import { parseYamlDocs } from '@messe-af/core';
+
+const CLI = path.join(path.dirname(fileURLToPath(import.meta.url)), '..', 'index.js');
+
+let messDir;
+
+// Run the CLI against messDir; resolves with its exit code and output
+function mess(...args) {
+  return new Promise(resolve => {
+    execFile(process.execPath, [CLI, ...args], { env: { ...process.env, MESS_DIR: messDir }, timeout: 30000 },
+      (error, stdout, stderr) => resolve({ code: error ? error.code : 0, stdout, stderr }));
+  });
+}
+
+async function doctor(...args) {
+  const { code, stdout } = await mess('doctor', '--format', 'json', ...args);
+  return { code, ...JSON.parse(stdout) };
+}
+
+// A thread file: the envelope, the request, and a status message per code
+function threadYaml(ref, { status = 'pending', envelope = {}, codes = [] } = {}) {
+  const header = {
+    ref,
+    requestor: 'alice',
+    status,
+    created: '2026-02-01T10:00:00Z',
+    ...envelope,
+  };
+  const docs = [
+    Object.entries(header).filter(([, v]) => v !== undefined).map(([k, v]) => `${k}: ${v}`).join('\n'),
+    `from: alice\nreceived: 2026-02-01T10:00:00Z\nMESS:\n  - v: 1.0.0\n  - request:\n      intent: Check the door`,
+    ...codes.map(code => `from: phone\nreceived: 2026-02-01T10:05:00Z\nMESS:\n  - status:\n      re: ${ref}\n      code: ${code}`),
+  ];
+  return docs.join('\n---\n') + '\n';
+}
+
+async function writeV2(folder, ref, content) {
+  const dir = path.join(messDir, `state=${folder}`, ref);
+  await fs.mkdir(dir, { recursive: true });
+  await fs.writeFile(path.join(dir, `000-${ref}.messe-af.yaml`), content);
+}
+
+async function writeV1(folder, ref, content) {
+  await fs.mkdir(path.join(messDir, `state=${folder}`), { recursive: true });
+  await fs.writeFile(path.join(messDir, `state=${folder}`, `${ref}.messe-af.yaml`), content);
+}
+
+function readV2(folder, ref) {
+  return fs.readFile(path.join(messDir, `state=${folder}`, ref, `000-${ref}.messe-af.yaml`), 'utf-8');
+}
+
+async function exists(...parts) {
+  try {
+    await fs.access(path.join(messDir, ...parts));
+    return true;
+  } catch {
+    return false;
+  }
+}
+
+describe('mess doctor', () => {
+  beforeEach(async () => {
+    messDir = await fs.mkdtemp(path.join(os.tmpdir(), 'mess-doctor-test-'));
+  });
+
+  afterEach(async () => {
+    await fs.rm(messDir, { recursive: true, force: true });
+  });
+
+  it('passes a tidy exchange', async () => {
+    await writeV2('executing', '2026-02-01-001', threadYaml('2026-02-01-001', { status: 'claimed', codes: ['claimed'] }));
+
+    const report = await doctor();
+    assert.strictEqual(report.code, 0);
+    assert.strictEqual(report.threads, 1);
+    assert.deepStrictEqual(report.issues, []);
+  });
+
+  it('moves a misfiled thread to the folder its status belongs in', async () => {
+    const content = threadYaml('2026-02-01-001', { status: 'claimed', codes: ['claimed'] });
+    await writeV2('received', '2026-02-01-001', content);
+
+    const report = await doctor();
+    assert.strictEqual(report.code, 1);
+    assert.deepStrictEqual(report.issues.map(i => [i.code, i.fix]), [['folder', 'move to state=executing']]);
+    assert.ok(await exists('state=received', '2026-02-01-001'), 'nothing moves without --fix');
+
+    const fixed = await doctor('--fix');
+    assert.strictEqual(fixed.code, 0);
+    assert.deepStrictEqual(fixed.fixed, [{ path: 'state=received/2026-02-01-001', fixes: ['move to state=executing'] }]);
+    assert.ok(!await exists('state=received', '2026-02-01-001'));
+    assert.strictEqual(await readV2('executing', '2026-02-01-001'), content);
+  });
+
+  it('sets the envelope status from the messages, leaving the rest of the file as written', async () => {
+    // Comments in the envelope, a commented --- marker, and a block scalar
+    // holding a line of ---
+    const content = threadYaml('2026-02-01-001', { codes: ['claimed', 'completed'] })
+      .replace('status: pending', 'status: pending # set by the PWA')
+      .replace('ref:', '# hand-edited\nref:')
+      .replace('\n---\n', '\n--- # the request\n')
+      + '--- # the answer\nfrom: phone\nreceived: 2026-02-01T10:06:00Z\nMESS:\n  - response:\n      re: 2026-02-01-001\n'
+      + '      content:\n        - text: |\n            Door was shut.\n            ---\n            Checked twice.\n';
+    await writeV2('received', '2026-02-01-001', content);
+
+    const fixed = await doctor('--fix');
+    assert.strictEqual(fixed.code, 0);
+    assert.deepStrictEqual(fixed.fixed[0].fixes, ['set status to completed', 'move to state=finished']);
+
+    const rewritten = await readV2('finished', '2026-02-01-001');
+    assert.strictEqual(rewritten, content.replace('status: pending', 'status: completed'));
+    const docs = parseYamlDocs(rewritten);
+    assert.strictEqual(docs.length, 5);
+    assert.strictEqual(docs[4].MESS[0].response.content[0].text, 'Door was shut.\n---\nChecked twice.\n');
+  });
+
+  it('sets a missing ref and the legacy in-progress spelling', async () => {
+    await writeV1('executing', '2026-02-01-001', threadYaml('2026-02-01-001', {
+      status: 'in-progress',
+      envelope: { ref: undefined, executor: 'phone' },
+    }));
+    await writeV2('executing', '2026-02-01-002', threadYaml('2026-02-01-002', { status: 'in-progress' }));
+
+    const fixed = await doctor('--fix');
+    assert.strictEqual(fixed.code, 0);
+    assert.deepStrictEqual(fixed.fixed.map(f => f.fixes), [
+      ['set ref to 2026-02-01-001', 'set status to in_progress'],
+      ['set status to in_progress'],
+    ]);
+
+    const v1 = parseYamlDocs(await fs.readFile(path.join(messDir, 'state=executing', '2026-02-01-001.messe-af.yaml'), 'utf-8'));
+    assert.strictEqual(v1[0].ref, '2026-02-01-001');
+    assert.strictEqual(v1[0].status, 'in_progress');
+    assert.strictEqual(v1.length, 2);
+    assert.strictEqual(parseYamlDocs(await readV2('executing', '2026-02-01-002'))[0].status, 'in_progress');
+  });
+
+  it('deletes a v1 copy only when the v2 thread has the same messages', async () => {
+    const content = threadYaml('2026-02-01-001');
+    await writeV2('received', '2026-02-01-001', content);
+    await writeV1('received', '2026-02-01-001', content);
+    await writeV2('received', '2026-02-01-002', threadYaml('2026-02-01-002'));
+    await writeV1('received', '2026-02-01-002', threadYaml('2026-02-01-002', { status: 'claimed', codes: ['claimed'] }));
+
+    const fixed = await doctor('--fix');
+    assert.deepStrictEqual(fixed.fixed.map(f => [f.path, f.fixes]), [
+      ['state=received/2026-02-01-001.messe-af.yaml', ['delete, same messages as state=received/2026-02-01-001']],
+    ]);
+    assert.ok(!await exists('state=received', '2026-02-01-001.messe-af.yaml'));
+    assert.ok(await exists('state=received', '2026-02-01-001'));
+
+    // Different messages need a person to merge them
+    assert.strictEqual(fixed.code, 1);
+    assert.ok(await exists('state=received', '2026-02-01-002.messe-af.yaml'));
+    assert.ok(fixed.issues.some(i => i.code === 'collision' && i.path === 'state=received/2026-02-01-002.messe-af.yaml'));
+  });
+
+  it('does not move a thread onto a directory that already exists', async () => {
+    const misfiled = threadYaml('2026-02-01-001', { status: 'claimed', codes: ['claimed'] });
+    const other = threadYaml('2026-02-01-001', { status: 'claimed', codes: ['claimed', 'in_progress'] })
+      .replace('status: claimed', 'status: in_progress');
+    await writeV2('received', '2026-02-01-001', misfiled);
+    await writeV2('executing', '2026-02-01-001', other);
+
+    const fixed = await doctor('--fix');
+    assert.strictEqual(fixed.code, 1);
+    assert.deepStrictEqual(fixed.fixed, []);
+    assert.strictEqual(await readV2('received', '2026-02-01-001'), misfiled);
+    assert.strictEqual(await readV2('executing', '2026-02-01-001'), other);
+    // The copy in received is kept, so the one in executing is the collision
+    assert.deepStrictEqual(fixed.issues.filter(i => i.code === 'collision').map(i => i.path), ['state=executing/2026-02-01-001']);
+    assert.ok(fixed.issues.some(i => i.code === 'folder' && i.path === 'state=received/2026-02-01-001'));
+    assert.ok(!fixed.issues.some(i => i.fix), 'nothing offered that --fix would refuse');
+  });
+});
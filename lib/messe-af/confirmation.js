@@ -0,0 +1,116 @@
+/**
+ * MESSE-AF Confirmation Tracking
+ * State for the v1.1 confirm_before flow (docs/mess-protocol-v1.1.md §1.2):
+ * executor sends needs_confirmation, requestor replies confirm: true/false,
+ * and only then may the executor respond or complete.
+ */
+
+// Status changes that deliver a result and so need prior confirmation
+const RESULT_STATUSES = ['completed', 'partial'];
+
+/**
+ * Initial confirmation state for a new request
+ * @param {Object} request - Request item or thread_created payload
+ * @returns {Object|null} null when the request doesn't ask for confirmation
+ */
+export function initialConfirmation(request) {
+  return request?.confirm_before ? { required: true, status: 'not_requested' } : null;
+}
+
+/**
+ * Fold one message into a thread's confirmation state
+ * @param {Object|null} confirmation - Current state
+ * @param {Object} message
+ * @param {string} message.from - Sender
+ * @param {string} message.at - Timestamp
+ * @param {Array} [message.mess] - MESS items
+ * @param {string} [message.status] - Status the message moves the thread to
+ * @param {string} requestor - Thread requestor; only they can confirm
+ * @returns {Object|null} New state (input is not modified)
+ */
+export function updateConfirmation(confirmation, { from, at, mess = [], status }, requestor) {
+  const ask = mess.find(item => item.status?.code === 'needs_confirmation')?.status;
+
+  if (status === 'needs_confirmation' || ask) {
+    return {
+      required: confirmation?.required || false,
+      status: 'pending',
+      ...(ask?.action && { action: ask.action }),
+      ...(ask?.consequences && { consequences: ask.consequences }),
+      ...(ask?.reversible !== undefined && { reversible: ask.reversible }),
+      requested_by: from,
+      requested_at: at
+    };
+  }
+
+  const reply = mess.find(item => typeof item.reply?.confirm === 'boolean')?.reply;
+  if (reply && confirmation?.status === 'pending' && from === requestor) {
+    return {
+      ...confirmation,
+      status: reply.confirm ? 'confirmed' : 'rejected',
+      ...(reply.reason && { reason: reply.reason }),
+      decided_by: from,
+      decided_at: at
+    };
+  }
+
+  return confirmation;
+}
+
+/**
+ * Derive confirmation state from a MESSE-AF thread
+ * @param {Object} envelope - Thread envelope
+ * @param {Array} messages - Thread messages
+ * @returns {Object|null}
+ */
+export function getConfirmationState(envelope, messages) {
+  const request = messages
+    .flatMap(m => m.MESS || [])
+    .find(item => item.request)?.request;
+
+  let confirmation = initialConfirmation({
+    confirm_before: envelope.confirm_before ?? request?.confirm_before
+  });
+
+  for (const msg of messages) {
+    if (msg.from === 'exchange') continue;
+    confirmation = updateConfirmation(
+      confirmation,
+      { from: msg.from, at: msg.received, mess: msg.MESS || [] },
+      envelope.requestor
+    );
+  }
+
+  return confirmation;
+}
+
+/**
+ * Check whether an update may deliver a result yet
+ * @param {Object|null} confirmation - Current confirmation state
+ * @param {Object} change
+ * @param {string} [change.status] - Requested status
+ * @param {Array} [change.mess] - MESS items being added
+ * @returns {{code: string, message: string}|null} null when allowed
+ */
+export function checkConfirmation(confirmation, { status, mess = [] }) {
+  if (!confirmation?.required || confirmation.status === 'confirmed') {
+    return null;
+  }
+
+  const deliversResult = RESULT_STATUSES.includes(status) ||
+    mess.some(item => item.response || RESULT_STATUSES.includes(item.status?.code));
+  if (!deliversResult) {
+    return null;
+  }
+
+  const reasons = {
+    not_requested: 'send needs_confirmation and wait for the requestor to reply confirm: true',
+    pending: 'waiting for the requestor to reply confirm: true',
+    rejected: 'the requestor declined to confirm'
+  };
+
+  return {
+    code: 'confirmation_required',
+    message: `Request requires confirmation before a response: ${reasons[confirmation.status]}`
+  };
+}
@@ -9,7 +9,8 @@
 export const STATUS_FOLDERS = {
   pending: 'received',
   claimed: 'executing',
-  'in-progress': 'executing',
+  in_progress: 'executing',
+  'in-progress': 'executing', // legacy spelling
   waiting: 'executing',
   held: 'executing',
   needs_input: 'executing',
@@ -33,6 +34,27 @@ export function getFolderForStatus(status) {
   return STATUS_FOLDERS[status] || 'received';
 }
 
+/**
+ * The request a thread_created payload describes. New events carry the
+ * complete request (including v1.1 and extension fields) as payload.request;
+ * older ones only have the flattened fields the exchange acts on.
+ * @param {Object} payload - thread_created payload
+ * @returns {Object} MESS request
+ */
+export function requestFromPayload(payload) {
+  if (payload.request) return payload.request;
+  return {
+    ...(payload.client_id && { id: payload.client_id }),
+    intent: payload.intent,
+    context: payload.context || [],
+    response_hint: payload.response_hint || [],
+    ...(payload.needed_by && { needed_by: payload.needed_by }),
+    ...(payload.confirm_before && { confirm_before: true }),
+    ...(payload.required_capabilities?.length && { required_capabilities: payload.required_capabilities }),
+    ...(payload.assignee && { assignee: payload.assignee })
+  };
+}
+
 /**
  * Convert event-sourced format to MESSE-AF format
  * @param {Array} events - Sorted array of events for a thread
@@ -49,260 +71,604 @@ export function eventsToMesseAf(events) {
     throw new Error('No thread_created event found');
   }
 
-  const ref = createdEvent.thread_ref;
-
-  // Build envelope from events
-  const envelope = {
-    ref,
-    requestor: createdEvent.payload.requestor_id || createdEvent.actor_id,
-    executor: null,
-    status: 'pending',
-    created: createdEvent.ts,
-    updated: createdEvent.ts,
-    intent: createdEvent.payload.intent,
-    priority: createdEvent.payload.priority || 'normal',
-    history: []
-  };
+  const { envelope, messages } = writeThread([createdEvent, ...events.filter(e => e !== createdEvent)]);
+  return { envelope, messages };
+}
 
-  // Build messages from events
-  const messages = [];
-  let messageSerial = 0; // Acks don't consume serials
-
-  // Add initial request message (no re: - it creates the thread)
-  const requestId = createdEvent.payload.client_id;
-  messages.push({
-    from: envelope.requestor,
-    received: createdEvent.ts,
-    channel: 'api',
-    MESS: [
-      { v: '1.0.0' },
-      {
-        request: {
-          ...(requestId && { id: requestId }),
-          intent: createdEvent.payload.intent,
-          context: createdEvent.payload.context || [],
-          response_hint: createdEvent.payload.response_hint || []
-        }
-      }
-    ]
-  });
+/**
+ * Convert MESSE-AF format to event-sourced events
+ * @param {Object} envelope - Thread envelope
+ * @param {Array} messages - Thread messages
+ * @param {string} exchangeId - Exchange ID for events
+ * @returns {Array} Array of events
+ */
+export function messeAfToEvents(envelope, messages, exchangeId) {
+  const ref = envelope.ref;
+  const notes = patchOf(envelope.events) || {};
+  const noteOf = group => (group.at === undefined ? undefined : patchOf(notes[group.at]));
+  const groups = groupMessages(messages || [], notes);
+  const entries = (envelope.history || []).filter(isEventEntry);
+
+  // History-only events go after the messages written before them
+  const times = groups.map(group => noteOf(group)?.ts ?? group.message?.received ?? envelope.created);
+  const order = [];
+  let next = 0;
+  let floor = 1;
+  for (const entry of entries) {
+    const explicit = patchOf(entry.event)?.position;
+    const position = Math.max(1, Number.isInteger(explicit) ? explicit : defaultPosition(times, entry.at, floor));
+    while (next < Math.min(position, groups.length)) order.push({ group: groups[next++] });
+    order.push({ entry });
+    floor = position;
+  }
+  while (next < groups.length) order.push({ group: groups[next++] });
 
-  // Add exchange ack (no message ref - system message)
-  messages.push({
-    from: 'exchange',
-    received: createdEvent.ts,
-    MESS: [{ ack: { re: requestId || 'last', ref } }]
-  });
+  const thread = { ref, envelope: null, serial: 0 };
+  const events = [];
+  const read = new Map(); // event -> the documents it was read from
+  for (const item of order) {
+    const context = {
+      ref,
+      exchangeId,
+      envelope,
+      index: events.length,
+      status: thread.envelope?.status ?? 'pending',
+      executor: thread.envelope?.executor ?? null
+    };
+    const event = item.group
+      ? readMessage(item.group.message, noteOf(item.group), context)
+      : readEntry(item.entry, context);
+    if (item.group) read.set(event, item.group.docs);
+    applyEvent(thread, event, context.index);
+    events.push(event);
+  }
 
-  envelope.history.push({ action: 'created', at: createdEvent.ts, by: envelope.requestor });
+  // A status no message accounts for (e.g. an edited envelope) still
+  // reaches the projection
+  if (thread.envelope.status !== envelope.status) {
+    const entry = (envelope.history || []).findLast(h => h.action === envelope.status);
+    const event = compact({
+      event_id: `${ref}-${events.length}`,
+      ts: entry?.at || envelope.updated,
+      exchange_id: exchangeId,
+      thread_ref: ref,
+      event_type: 'status_changed',
+      actor_id: entry?.by || envelope.executor || 'system',
+      payload: compact({
+        old_status: thread.envelope.status,
+        new_status: envelope.status,
+        executor_id: envelope.executor,
+        messe_af: { docs: [] }
+      })
+    });
+    applyEvent(thread, event, events.length);
+    events.push(event);
+  }
 
-  // Process remaining events
-  for (const event of events) {
+  // Keep whatever the events wouldn't write back as it was: each message,
+  // then the envelope, which holds what the messages can't show
+  for (const { event, docs } of writeThread(events).steps) {
+    const original = read.get(event);
+    if (original && !isEqual(docs, original)) {
+      keep(event, { docs: clone(original) });
+    }
+  }
+  if (!isEqual(writeThread(events).envelope, envelope)) {
+    keep(events[events.length - 1], { envelope: clone(envelope) });
+  }
+
+  return events;
+}
+
+/**
+ * Write events out as a thread. Each event becomes a message document and
+ * the exchange's ack, or (for attachments and anything else without a
+ * message) an envelope history entry. Whatever those can't show about the
+ * event is noted in the envelope, as a patch over what messeAfToEvents would
+ * read from them: in the history entry's `event` field, or for messages
+ * under `events`, keyed by the message's index in the thread. Message
+ * documents stay as the protocol has them.
+ * @param {Array} events - thread_created first
+ * @returns {{envelope: Object, messages: Array, steps: Array}} steps has
+ *   what each event wrote
+ */
+function writeThread(events) {
+  const thread = { ref: events[0].thread_ref, envelope: null, serial: 0, keptAt: -1 };
+  const steps = events.map((event, index) => applyEvent(thread, event, index));
+
+  const times = steps.filter(step => step.docs).map(step => step.event.ts);
+  const notes = {};
+  let position = 0;
+  let floor = 1;
+  let at = 0;
+  for (const step of steps) {
+    if (step.docs) {
+      position++;
+      // A kept envelope already notes the messages written up to it
+      if (step.index > thread.keptAt) {
+        const offset = step.index === 0 ? step.docs.findIndex(hasRequest) : 0;
+        const note = offset >= 0 ? describeMessage(step, step.docs[offset], thread.envelope) : undefined;
+        if (note) notes[at + offset] = note;
+      }
+      at += step.docs.length;
+    } else {
+      describeEntry(step, thread.envelope, position, defaultPosition(times, step.entry.at, floor));
+      floor = position;
+    }
+  }
+  if (Object.keys(notes).length > 0) {
+    thread.envelope.events = { ...patchOf(thread.envelope.events), ...notes };
+  }
+
+  return { envelope: thread.envelope, messages: steps.flatMap(step => step.docs || []), steps };
+}
+
+/**
+ * Apply one event to a thread being written
+ * @param {{ref: string, envelope: Object, serial: number}} thread
+ * @param {Object} event
+ * @param {number} index - Position in the thread's events; 0 creates it
+ * @returns {Object} Step: the event, status and executor before it, and the
+ *   documents (docs) or history entry (entry) it wrote
+ */
+function applyEvent(thread, event, index) {
+  const payload = event.payload || {};
+  const step = {
+    event,
+    index,
+    status: thread.envelope?.status ?? 'pending',
+    executor: thread.envelope?.executor ?? null
+  };
+  const { ref } = thread;
+
+  if (index === 0) {
+    const envelope = {
+      ref,
+      requestor: payload.requestor_id || event.actor_id,
+      executor: null,
+      status: 'pending',
+      created: event.ts,
+      updated: event.ts,
+      intent: payload.intent,
+      priority: payload.priority || 'normal',
+      ...(payload.needed_by && { needed_by: payload.needed_by }),
+      ...(payload.confirm_before && { confirm_before: true }),
+      ...(payload.required_capabilities?.length && {
+        required_capabilities: payload.required_capabilities
+      }),
+      ...(payload.assignee && { assignee: payload.assignee }),
+      history: [{ action: 'created', at: event.ts, by: payload.requestor_id || event.actor_id }]
+    };
+    thread.envelope = envelope;
+
+    // Initial request message (no re: - it creates the thread), then the
+    // exchange's ack (no message ref - system message)
+    const request = requestFromPayload(payload);
+    step.docs = [
+      {
+        from: envelope.requestor,
+        received: event.ts,
+        channel: 'api',
+        MESS: [
+          { v: envelope.needed_by || envelope.confirm_before ? '1.1.0' : '1.0.0' },
+          { request }
+        ]
+      },
+      {
+        from: 'exchange',
+        received: event.ts,
+        MESS: [{ ack: { re: request.id || 'last', ref } }]
+      }
+    ];
+  } else {
+    const { envelope } = thread;
     envelope.updated = event.ts;
 
     switch (event.event_type) {
-      case 'thread_created':
-        // Already processed above
-        break;
-
       case 'status_changed': {
-        messageSerial++;
-        const messType = getMessageType([{ status: { code: event.payload.new_status } }]);
-        const msgRef = generateMessageRef(ref, messType, messageSerial);
+        const msgRef = generateMessageRef(ref, getMessageType([{ status: { code: payload.new_status } }]), ++thread.serial);
 
-        envelope.status = event.payload.new_status;
-        if (event.payload.executor_id) {
-          envelope.executor = event.payload.executor_id;
+        envelope.status = payload.new_status;
+        if (payload.executor_id) {
+          envelope.executor = payload.executor_id;
         }
-        envelope.history.push({
-          action: event.payload.new_status,
-          at: event.ts,
-          by: event.actor_id,
-          ref: msgRef
-        });
-
-        // Add status message with message-level re:
-        messages.push({
-          from: event.actor_id,
-          received: event.ts,
-          channel: 'api',
-          re: ref,
-          MESS: [{
-            status: {
-              code: event.payload.new_status,
-              ...(event.payload.message && { message: event.payload.message })
-            }
-          }]
-        });
+        envelope.history.push({ action: payload.new_status, at: event.ts, by: event.actor_id, ref: msgRef });
+
+        step.docs = [
+          {
+            from: event.actor_id,
+            received: event.ts,
+            channel: 'api',
+            re: ref,
+            MESS: [{
+              status: {
+                code: payload.new_status,
+                ...(payload.message && { message: payload.message }),
+                ...(payload.action && { action: payload.action }),
+                ...(payload.consequences && { consequences: payload.consequences }),
+                ...(payload.reversible !== undefined && { reversible: payload.reversible })
+              }
+            }]
+          },
+          { from: 'exchange', received: event.ts, MESS: [{ ack: { ref: msgRef } }] }
+        ];
+        break;
+      }
 
-        // Add exchange ack for the message
-        messages.push({
-          from: 'exchange',
-          received: event.ts,
-          MESS: [{ ack: { ref: msgRef } }]
-        });
+      case 'thread_delegated': {
+        const msgRef = generateMessageRef(ref, 'status', ++thread.serial);
+        const { delegated_to: delegatedTo, reason } = payload;
+
+        // Back to pending, claimable only by the new assignee
+        envelope.status = 'pending';
+        envelope.executor = null;
+        envelope.assignee = delegatedTo;
+        envelope.history.push({ action: 'delegated', at: event.ts, by: event.actor_id, to: delegatedTo, ref: msgRef });
+
+        step.docs = [
+          {
+            from: event.actor_id,
+            received: event.ts,
+            channel: 'api',
+            re: ref,
+            MESS: [{
+              status: {
+                code: 'delegated',
+                delegated_to: delegatedTo,
+                ...(reason && { reason })
+              }
+            }]
+          },
+          { from: 'exchange', received: event.ts, MESS: [{ ack: { ref: msgRef } }] }
+        ];
         break;
       }
 
       case 'message_added': {
-        messageSerial++;
-        const messType = getMessageType(event.payload.mess);
-        const clientId = extractClientId(event.payload.mess);
-        const msgRef = generateMessageRef(ref, messType, messageSerial, clientId);
-
-        // Add message with message-level re:
-        messages.push({
-          from: event.actor_id,
-          received: event.ts,
-          channel: 'api',
-          re: ref,
-          MESS: event.payload.mess
-        });
+        const clientId = extractClientId(payload.mess);
+        const msgRef = generateMessageRef(ref, getMessageType(payload.mess), ++thread.serial, clientId);
 
-        // Add exchange ack
-        messages.push({
-          from: 'exchange',
-          received: event.ts,
-          MESS: [{ ack: { ...(clientId && { re: clientId }), ref: msgRef } }]
-        });
+        step.docs = [
+          { from: event.actor_id, received: event.ts, channel: 'api', re: ref, MESS: payload.mess },
+          { from: 'exchange', received: event.ts, MESS: [{ ack: { ...(clientId && { re: clientId }), ref: msgRef } }] }
+        ];
         break;
       }
+
+      case 'attachment_added':
+        // Uploaded files live outside the thread; history keeps the record
+        step.entry = compact({
+          action: 'attachment_added',
+          at: event.ts,
+          by: event.actor_id,
+          file: payload.filename,
+          content_type: payload.content_type,
+          size: payload.size,
+          ...(payload.width && { width: payload.width, height: payload.height }),
+          ...(payload.thumbnail && { thumbnail: payload.thumbnail })
+        });
+        envelope.history.push(step.entry);
+        break;
+
+      default:
+        step.entry = compact({ action: event.event_type, at: event.ts, by: event.actor_id });
+        envelope.history.push(step.entry);
     }
   }
 
-  return { envelope, messages };
+  // Left by messeAfToEvents: documents and envelopes to write as they were
+  if (step.docs && Array.isArray(payload.messe_af?.docs)) {
+    step.docs = clone(payload.messe_af.docs);
+  }
+  if (patchOf(payload.messe_af?.envelope)) {
+    thread.envelope = clone(payload.messe_af.envelope);
+    thread.keptAt = index;
+  }
+
+  return step;
 }
 
 /**
- * Convert MESSE-AF format to event-sourced events
- * @param {Object} envelope - Thread envelope
- * @param {Array} messages - Thread messages
- * @param {string} exchangeId - Exchange ID for events
- * @returns {Array} Array of events
+ * What messeAfToEvents couldn't read from a step's message
+ * @returns {Object|undefined} Patch for the envelope's events, if needed
  */
-export function messeAfToEvents(envelope, messages, exchangeId) {
-  const events = [];
-  const ref = envelope.ref;
+function describeMessage(step, message, envelope) {
+  const { event, index } = step;
+  const context = {
+    ref: envelope.ref,
+    exchangeId: event.exchange_id,
+    envelope,
+    index,
+    status: step.status,
+    executor: step.executor
+  };
 
-  // Generate UUIDs deterministically from ref + sequence
-  let eventSeq = 0;
-  const generateEventId = () => `${ref}-${eventSeq++}`;
+  const patch = eventPatch(event, messageEvent(event.event_type, message, context));
+  const type = index === 0 ? 'thread_created' : messageType(message, step.status);
+  if (type !== event.event_type) patch.event_type = event.event_type;
 
-  // Create thread_created event from first request message
-  const requestMsg = messages.find(m => m.MESS?.some(item => item.request));
-  const request = requestMsg?.MESS?.find(item => item.request)?.request;
+  // An empty patch still marks a message that would pass for an ack
+  return Object.keys(patch).length > 0 || isAck(message) ? patch : undefined;
+}
 
-  events.push({
-    event_id: generateEventId(),
-    ts: envelope.created,
+/**
+ * Note on a step's history entry what messeAfToEvents couldn't read from
+ * it, including where it goes among the messages if timestamps don't say
+ */
+function describeEntry(step, envelope, position, expected) {
+  const { event, index, entry } = step;
+  const context = { ref: envelope.ref, exchangeId: event.exchange_id, envelope, index };
+
+  const patch = eventPatch(event, entryEvent(event.event_type, entry, context));
+  if (position !== expected) patch.position = position;
+
+  // Only attachments are read back without one
+  if (Object.keys(patch).length > 0 || !isEventEntry(entry)) {
+    entry.event = patch;
+  }
+}
+
+/**
+ * Split thread messages into one group per event: a message and the acks
+ * after it. The request and anything before it go to thread_created.
+ * @param {Array} messages
+ * @param {Object} notes - The envelope's events; a noted message is never
+ *   taken for an ack
+ * @returns {Array<{message: Object|undefined, at: number|undefined, docs: Array}>}
+ *   at is the message's index in the thread
+ */
+function groupMessages(messages, notes) {
+  const groups = [];
+  messages.forEach((doc, at) => {
+    const ack = isAck(doc) && !Object.hasOwn(notes, at);
+    if (groups.length > 0 && ack) {
+      groups[groups.length - 1].docs.push(doc);
+    } else {
+      groups.push({ ...(!ack && { message: doc, at }), docs: [doc] });
+    }
+  });
+
+  const request = groups.findIndex(group => hasRequest(group.message));
+  const head = request >= 0 ? request + 1 : Number(groups.length > 0 && !groups[0].message);
+  return [
+    { message: groups[request]?.message, at: groups[request]?.at, docs: groups.slice(0, head).flatMap(group => group.docs) },
+    ...groups.slice(head)
+  ];
+}
+
+/**
+ * Is a document only the exchange acknowledging the message before it?
+ */
+function isAck(doc) {
+  return doc?.from === 'exchange' &&
+    Array.isArray(doc.MESS) && doc.MESS.length > 0 && doc.MESS.every(item => item?.ack !== undefined);
+}
+
+function hasRequest(doc) {
+  return Array.isArray(doc?.MESS) && doc.MESS.some(item => item?.request);
+}
+
+/**
+ * Does a history entry stand for an event of its own?
+ */
+function isEventEntry(entry) {
+  return entry?.event !== undefined || (entry?.action === 'attachment_added' && Boolean(entry.file));
+}
+
+/**
+ * Which event a message records, absent an event_type in its patch
+ */
+function messageType(message, status) {
+  const mess = Array.isArray(message?.MESS) ? message.MESS : [];
+  const item = mess.length === 1 ? mess[0]?.status : undefined;
+  if (typeof item?.code !== 'string') return 'message_added';
+  if (item.code === 'delegated' && item.delegated_to) return 'thread_delegated';
+  // A status that doesn't change the thread's is just a message
+  return item.code === status ? 'message_added' : 'status_changed';
+}
+
+function readMessage(message, note, context) {
+  const patch = patchOf(note);
+  const type = patch?.event_type ?? (context.index === 0 ? 'thread_created' : messageType(message, context.status));
+  return applyPatch(messageEvent(type, message, context), patch);
+}
+
+function readEntry(entry, context) {
+  const { event, ...rest } = entry;
+  const patch = patchOf(event);
+  return applyPatch(entryEvent(patch?.event_type ?? rest.action, rest, context), patch);
+}
+
+/**
+ * The event a message reads as on its own
+ * @param {string} type - Event type
+ * @param {Object|undefined} message - Message document
+ * @param {Object} context - ref, exchangeId, the thread's final envelope,
+ *   index of the event, and status and executor before it
+ * @returns {Object}
+ */
+function messageEvent(type, message, { ref, exchangeId, envelope, index, status, executor }) {
+  const mess = Array.isArray(message?.MESS) ? message.MESS : [];
+  const item = mess.find(i => i?.status)?.status || {};
+  let payload;
+
+  switch (type) {
+    case 'thread_created': {
+      const request = mess.find(i => i?.request)?.request;
+      const neededBy = envelope.needed_by || request?.needed_by;
+      const confirmBefore = envelope.confirm_before ?? request?.confirm_before;
+      const requiredCapabilities = envelope.required_capabilities || request?.required_capabilities;
+      payload = {
+        intent: envelope.intent,
+        context: request?.context || [],
+        priority: envelope.priority || 'normal',
+        requestor_id: envelope.requestor,
+        response_hint: request?.response_hint || [],
+        ...(neededBy && { needed_by: neededBy }),
+        ...(confirmBefore && { confirm_before: true }),
+        ...(requiredCapabilities?.length && { required_capabilities: requiredCapabilities }),
+        ...(request?.assignee && { assignee: request.assignee }),
+        ...(request && { request })
+      };
+      break;
+    }
+
+    case 'status_changed':
+      payload = {
+        old_status: status,
+        new_status: item.code,
+        executor_id: item.code === 'claimed' ? message.from : executor,
+        message: item.message,
+        action: item.action,
+        consequences: item.consequences,
+        reversible: item.reversible
+      };
+      break;
+
+    case 'thread_delegated':
+      payload = { old_status: status, delegated_to: item.delegated_to, reason: item.reason };
+      break;
+
+    case 'message_added':
+      payload = { mess: message?.MESS };
+      break;
+
+    default:
+      payload = {};
+  }
+
+  return compact({
+    event_id: `${ref}-${index}`,
+    ts: message?.received ?? envelope.created,
     exchange_id: exchangeId,
     thread_ref: ref,
-    event_type: 'thread_created',
-    actor_id: envelope.requestor,
-    payload: {
-      intent: envelope.intent,
-      context: request?.context || [],
-      priority: envelope.priority || 'normal',
-      requestor_id: envelope.requestor,
-      response_hint: request?.response_hint || []
-    }
+    event_type: type,
+    actor_id: message?.from ?? envelope.requestor,
+    payload: compact(payload)
   });
+}
 
-  // Add initial message_added event
-  if (requestMsg) {
-    events.push({
-      event_id: generateEventId(),
-      ts: requestMsg.received,
-      exchange_id: exchangeId,
-      thread_ref: ref,
-      event_type: 'message_added',
-      actor_id: envelope.requestor,
-      payload: {
-        mess: requestMsg.MESS
+/**
+ * The event a history entry reads as on its own
+ */
+function entryEvent(type, entry, { ref, exchangeId, index }) {
+  const payload = type === 'attachment_added'
+    ? {
+        filename: entry.file,
+        content_type: entry.content_type,
+        size: entry.size,
+        width: entry.width,
+        height: entry.height,
+        thumbnail: entry.thumbnail
       }
-    });
-  }
+    : {};
 
-  // Track status changes from history
-  let lastStatus = 'pending';
-  const historyByTime = new Map();
-  for (const h of (envelope.history || [])) {
-    historyByTime.set(h.at, h);
-  }
+  return compact({
+    event_id: `${ref}-${index}`,
+    ts: entry.at,
+    exchange_id: exchangeId,
+    thread_ref: ref,
+    event_type: type,
+    actor_id: entry.by,
+    payload: compact(payload)
+  });
+}
 
-  // Process remaining messages in order
-  for (const msg of messages) {
-    // Skip the first request message (already processed)
-    if (msg === requestMsg) continue;
-
-    // Skip exchange acks (internal)
-    if (msg.from === 'exchange') continue;
-
-    // Check for status updates
-    const statusItem = msg.MESS?.find(item => item.status);
-    if (statusItem) {
-      const newStatus = statusItem.status.code;
-      if (newStatus && newStatus !== lastStatus) {
-        events.push({
-          event_id: generateEventId(),
-          ts: msg.received,
-          exchange_id: exchangeId,
-          thread_ref: ref,
-          event_type: 'status_changed',
-          actor_id: msg.from,
-          payload: {
-            old_status: lastStatus,
-            new_status: newStatus,
-            executor_id: newStatus === 'claimed' ? msg.from : envelope.executor,
-            message: statusItem.status.message
-          }
-        });
-        lastStatus = newStatus;
+/**
+ * Where a history-only event goes when its entry doesn't say: after the
+ * last message written no later than it, and after the previous one
+ * @param {Array<string>} times - Timestamps of the message events, in order
+ * @param {string} at - The entry's timestamp
+ * @param {number} floor - Position of the previous history-only event
+ * @returns {number} How many message events come before it
+ */
+function defaultPosition(times, at, floor) {
+  const time = Date.parse(at);
+  let position = 0;
+  times.forEach((ts, i) => {
+    if (Date.parse(ts) <= time) position = i + 1;
+  });
+  return Math.max(position, floor, 1);
+}
+
+/**
+ * Fields where an event differs from how it would be read back. Payload
+ * fields go under payload; fields the reading adds are listed in unset.
+ * The exchange ID comes from the caller and messe_af is the reader's own.
+ * @returns {Object} Empty if the event reads back as it is
+ */
+function eventPatch(event, reading) {
+  const patch = {};
+  const unset = [];
+  const diff = (actual, expected, skip, target, prefix) => {
+    for (const key of new Set([...Object.keys(actual), ...Object.keys(expected)])) {
+      if (skip.includes(key)) continue;
+      if (actual[key] === undefined) {
+        if (expected[key] !== undefined) unset.push(prefix + key);
+      } else if (!isEqual(actual[key], expected[key])) {
+        target[key] = clone(actual[key]);
       }
     }
+  };
 
-    // Check for response/other content
-    const hasContent = msg.MESS?.some(item =>
-      item.response || item.request || item.cancel ||
-      (item.status && item.status.message)
-    );
-
-    if (hasContent) {
-      events.push({
-        event_id: generateEventId(),
-        ts: msg.received,
-        exchange_id: exchangeId,
-        thread_ref: ref,
-        event_type: 'message_added',
-        actor_id: msg.from,
-        payload: {
-          mess: msg.MESS
-        }
-      });
+  diff(event, reading, ['payload', 'exchange_id', 'event_type'], patch, '');
+  if (event.payload === undefined) {
+    unset.push('payload');
+  } else {
+    const payload = {};
+    diff(event.payload, reading.payload, ['messe_af'], payload, 'payload.');
+    if (Object.keys(payload).length > 0) patch.payload = payload;
+  }
+  if (unset.length > 0) patch.unset = unset;
+  return patch;
+}
+
+function applyPatch(event, patch) {
+  if (!patch) return event;
+  const { payload, unset, position, ...fields } = patch;
+  const result = { ...event, ...clone(fields), payload: { ...event.payload, ...clone(patchOf(payload)) } };
+  for (const path of Array.isArray(unset) ? unset : []) {
+    if (String(path).startsWith('payload.')) {
+      delete result.payload[path.slice('payload.'.length)];
+    } else {
+      delete result[path];
     }
   }
+  return result;
+}
 
-  // If current status differs from tracked status, add final status change
-  if (envelope.status !== lastStatus) {
-    const historyEntry = [...historyByTime.values()]
-      .find(h => h.action === envelope.status);
+/**
+ * Record on an event something for eventsToMesseAf to write as it was
+ */
+function keep(event, kept) {
+  event.payload = { ...event.payload, messe_af: { ...event.payload?.messe_af, ...kept } };
+}
 
-    events.push({
-      event_id: generateEventId(),
-      ts: historyEntry?.at || envelope.updated,
-      exchange_id: exchangeId,
-      thread_ref: ref,
-      event_type: 'status_changed',
-      actor_id: historyEntry?.by || envelope.executor || 'system',
-      payload: {
-        old_status: lastStatus,
-        new_status: envelope.status,
-        executor_id: envelope.executor
-      }
-    });
-  }
+function patchOf(value) {
+  return value && typeof value === 'object' && !Array.isArray(value) ? value : undefined;
+}
 
-  return events;
+function compact(object) {
+  return Object.fromEntries(Object.entries(object).filter(([, value]) => value !== undefined));
+}
+
+function clone(value) {
+  return value === undefined ? value : structuredClone(value);
+}
+
+/**
+ * Deep equality, ignoring key order and undefined fields
+ */
+function isEqual(a, b) {
+  if (a === b) return true;
+  if (!a || !b || typeof a !== 'object' || typeof b !== 'object') return false;
+  if (Array.isArray(a) !== Array.isArray(b)) return false;
+  if (Array.isArray(a)) {
+    return a.length === b.length && a.every((value, i) => isEqual(value, b[i]));
+  }
+  const keys = Object.keys(a).filter(key => a[key] !== undefined);
+  return keys.length === Object.keys(b).filter(key => b[key] !== undefined).length &&
+    keys.every(key => isEqual(a[key], b[key]));
 }
 
 /**
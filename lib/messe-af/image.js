@@ -0,0 +1,412 @@
+/**
+ * MESSE-AF Image Metadata
+ * Reads image dimensions and removes EXIF/XMP/IPTC metadata (GPS location,
+ * camera serials, capture times) from JPEG, PNG and WebP without decoding
+ * or re-encoding pixels, so it runs anywhere (Node, Workers, browsers).
+ *
+ * JPEG orientation is the one piece of EXIF worth keeping: it is rewritten
+ * as a minimal EXIF segment so photos still display upright.
+ */
+
+// Formats stripImageMetadata can clean; other images pass through unchanged
+export const STRIPPABLE_IMAGE_TYPES = ['image/jpeg', 'image/png', 'image/webp'];
+
+// Formats with no EXIF to speak of
+const METADATA_FREE_TYPES = ['image/gif', 'image/bmp', 'image/svg+xml', 'image/x-icon', 'image/vnd.microsoft.icon'];
+
+const PNG_SIGNATURE = [0x89, 0x50, 0x4e, 0x47, 0x0d, 0x0a, 0x1a, 0x0a];
+
+// PNG chunks that carry metadata rather than pixels or color information
+const PNG_METADATA_CHUNKS = ['eXIf', 'tEXt', 'zTXt', 'iTXt', 'tIME'];
+
+// WebP VP8X flags for the chunks we drop
+const WEBP_EXIF_FLAG = 0x08;
+const WEBP_XMP_FLAG = 0x04;
+
+function ascii(bytes, start, length) {
+  return String.fromCharCode(...bytes.subarray(start, start + length));
+}
+
+function u16be(bytes, i) {
+  return (bytes[i] << 8) | bytes[i + 1];
+}
+
+function u32be(bytes, i) {
+  return ((bytes[i] << 24) >>> 0) + (bytes[i + 1] << 16) + (bytes[i + 2] << 8) + bytes[i + 3];
+}
+
+function u16le(bytes, i) {
+  return bytes[i] | (bytes[i + 1] << 8);
+}
+
+function u24le(bytes, i) {
+  return bytes[i] | (bytes[i + 1] << 8) | (bytes[i + 2] << 16);
+}
+
+function u32le(bytes, i) {
+  return (bytes[i] | (bytes[i + 1] << 8) | (bytes[i + 2] << 16)) + ((bytes[i + 3] << 24) >>> 0);
+}
+
+function concat(parts) {
+  const out = new Uint8Array(parts.reduce((sum, part) => sum + part.length, 0));
+  let offset = 0;
+  for (const part of parts) {
+    out.set(part, offset);
+    offset += part.length;
+  }
+  return out;
+}
+
+/**
+ * Detect an image format from its first bytes
+ * @param {Uint8Array} bytes
+ * @returns {'jpeg'|'png'|'gif'|'webp'|null}
+ */
+export function detectImageFormat(bytes) {
+  if (!bytes || bytes.length < 12) return null;
+  if (bytes[0] === 0xff && bytes[1] === 0xd8 && bytes[2] === 0xff) return 'jpeg';
+  if (PNG_SIGNATURE.every((b, i) => bytes[i] === b)) return 'png';
+  if (ascii(bytes, 0, 4) === 'GIF8') return 'gif';
+  if (ascii(bytes, 0, 4) === 'RIFF' && ascii(bytes, 8, 4) === 'WEBP') return 'webp';
+  return null;
+}
+
+// ---- JPEG ----
+
+// Markers without a length field
+function isStandalone(marker) {
+  return marker === 0x01 || (marker >= 0xd0 && marker <= 0xd9);
+}
+
+/**
+ * Walk JPEG header segments up to the first scan
+ * @returns {Array<{marker: number, start: number, end: number}>|null} end is
+ *   exclusive; the last entry is the SOS segment
+ */
+function jpegSegments(bytes) {
+  const segments = [];
+  let i = 2;
+  while (i + 1 < bytes.length) {
+    if (bytes[i] !== 0xff) return null;
+    const marker = bytes[i + 1];
+    if (marker === 0xff) {
+      i++; // fill byte
+      continue;
+    }
+    if (isStandalone(marker)) {
+      segments.push({ marker, start: i, end: i + 2 });
+      i += 2;
+      continue;
+    }
+    if (i + 3 >= bytes.length) return null;
+    const end = i + 2 + u16be(bytes, i + 2);
+    if (end > bytes.length) return null;
+    segments.push({ marker, start: i, end });
+    if (marker === 0xda) return segments;
+    i = end;
+  }
+  return null;
+}
+
+// Orientation (tag 0x0112) from an APP1 EXIF segment's TIFF data
+function exifOrientation(bytes, start, end) {
+  const tiff = start + 10; // FF E1, length, "Exif\0\0"
+  if (end - tiff < 8) return null;
+  const little = ascii(bytes, tiff, 2) === 'II';
+  const read16 = i => (little ? u16le(bytes, i) : u16be(bytes, i));
+  const read32 = i => (little ? u32le(bytes, i) : u32be(bytes, i));
+
+  const ifd = tiff + read32(tiff + 4);
+  if (ifd + 2 > end) return null;
+  const count = read16(ifd);
+  for (let n = 0; n < count; n++) {
+    const entry = ifd + 2 + n * 12;
+    if (entry + 12 > end) return null;
+    if (read16(entry) === 0x0112) {
+      const value = read16(entry + 8);
+      return value >= 1 && value <= 8 ? value : null;
+    }
+  }
+  return null;
+}
+
+function isExifSegment(bytes, segment) {
+  return segment.marker === 0xe1 && ascii(bytes, segment.start + 4, 6) === 'Exif\0\0';
+}
+
+// APP1 holding only an orientation tag (big-endian TIFF, one IFD entry)
+function orientationSegment(orientation) {
+  return new Uint8Array([
+    0xff, 0xe1, 0x00, 0x22,
+    0x45, 0x78, 0x69, 0x66, 0x00, 0x00,             // "Exif\0\0"
+    0x4d, 0x4d, 0x00, 0x2a, 0x00, 0x00, 0x00, 0x08, // "MM", 42, IFD at 8
+    0x00, 0x01,                                     // one entry
+    0x01, 0x12, 0x00, 0x03, 0x00, 0x00, 0x00, 0x01, // Orientation, SHORT, 1
+    0x00, orientation, 0x00, 0x00,
+    0x00, 0x00, 0x00, 0x00,                         // no next IFD
+  ]);
+}
+
+// Segments worth keeping: JFIF/JFXX (APP0), ICC profiles (APP2), Adobe
+// color transform (APP14) and everything that isn't an APPn or comment
+function keepJpegSegment(bytes, segment) {
+  const { marker, start } = segment;
+  if (marker === 0xfe) return false;
+  if (marker < 0xe0 || marker > 0xef) return true;
+  if (marker === 0xe0 || marker === 0xee) return true;
+  return marker === 0xe2 && ascii(bytes, start + 4, 12) === 'ICC_PROFILE\0';
+}
+
+// End of the entropy-coded data: the first EOI after the scan header.
+// Stuffed 0xFF bytes are followed by 0x00, so FF D9 can only be the marker.
+function jpegEnd(bytes, from) {
+  for (let i = from; i + 1 < bytes.length; i++) {
+    if (bytes[i] === 0xff && bytes[i + 1] === 0xd9) return i + 2;
+  }
+  return bytes.length;
+}
+
+function stripJpeg(bytes) {
+  const segments = jpegSegments(bytes);
+  if (!segments) return null;
+
+  const exif = segments.find(segment => isExifSegment(bytes, segment));
+  const orientation = exif ? exifOrientation(bytes, exif.start, exif.end) : null;
+
+  const parts = [bytes.subarray(0, 2)];
+  const kept = segments.slice(0, -1).filter(segment => keepJpegSegment(bytes, segment));
+  // JFIF wants APP0 straight after SOI, so the orientation goes after it
+  const leadingApp0 = kept[0]?.marker === 0xe0 ? 1 : 0;
+  for (const segment of kept.slice(0, leadingApp0)) parts.push(bytes.subarray(segment.start, segment.end));
+  if (orientation && orientation !== 1) parts.push(orientationSegment(orientation));
+  for (const segment of kept.slice(leadingApp0)) parts.push(bytes.subarray(segment.start, segment.end));
+
+  // Anything after EOI (MPF previews, motion photo video) carries its own
+  // metadata, so the image ends at EOI
+  const scan = segments[segments.length - 1];
+  parts.push(bytes.subarray(scan.start, jpegEnd(bytes, scan.end)));
+  return concat(parts);
+}
+
+function jpegInfo(bytes) {
+  const segments = jpegSegments(bytes) || [];
+  let orientation = null;
+  for (const segment of segments) {
+    if (isExifSegment(bytes, segment)) {
+      orientation = exifOrientation(bytes, segment.start, segment.end);
+    }
+  }
+
+  // The frame header (SOFn) comes before the first scan
+  let i = 2;
+  while (i + 9 < bytes.length) {
+    if (bytes[i] !== 0xff) return null;
+    const marker = bytes[i + 1];
+    if (marker === 0xff) {
+      i++;
+      continue;
+    }
+    if (isStandalone(marker)) {
+      i += 2;
+      continue;
+    }
+    const isFrame = marker >= 0xc0 && marker <= 0xcf && marker !== 0xc4 && marker !== 0xc8 && marker !== 0xcc;
+    if (isFrame) {
+      return { width: u16be(bytes, i + 7), height: u16be(bytes, i + 5), orientation };
+    }
+    if (marker === 0xda) return null;
+    i += 2 + u16be(bytes, i + 2);
+  }
+  return null;
+}
+
+// ---- PNG ----
+
+function stripPng(bytes) {
+  const parts = [bytes.subarray(0, 8)];
+  let i = 8;
+  while (i + 12 <= bytes.length) {
+    const end = i + 12 + u32be(bytes, i);
+    if (end > bytes.length) return null;
+    const type = ascii(bytes, i + 4, 4);
+    if (!PNG_METADATA_CHUNKS.includes(type)) parts.push(bytes.subarray(i, end));
+    i = end;
+    if (type === 'IEND') return concat(parts);
+  }
+  // Truncated before IEND: whatever follows could hold metadata
+  return null;
+}
+
+// ---- WebP ----
+
+function stripWebp(bytes) {
+  const parts = [];
+  let i = 12;
+  while (i + 8 <= bytes.length) {
+    const size = u32le(bytes, i + 4);
+    const end = Math.min(bytes.length, i + 8 + size + (size % 2));
+    const type = ascii(bytes, i, 4);
+    if (type === 'VP8X') {
+      const chunk = bytes.slice(i, end);
+      chunk[8] &= ~(WEBP_EXIF_FLAG | WEBP_XMP_FLAG);
+      parts.push(chunk);
+    } else if (type !== 'EXIF' && type !== 'XMP ') {
+      parts.push(bytes.subarray(i, end));
+    }
+    i = end;
+  }
+
+  const body = concat(parts);
+  const header = bytes.slice(0, 12);
+  const riffSize = body.length + 4;
+  header[4] = riffSize & 0xff;
+  header[5] = (riffSize >> 8) & 0xff;
+  header[6] = (riffSize >> 16) & 0xff;
+  header[7] = (riffSize >>> 24) & 0xff;
+  return concat([header, body]);
+}
+
+function webpInfo(bytes) {
+  const type = ascii(bytes, 12, 4);
+  if (type === 'VP8X' && bytes.length >= 30) {
+    return { width: u24le(bytes, 24) + 1, height: u24le(bytes, 27) + 1 };
+  }
+  if (type === 'VP8L' && bytes.length >= 25 && bytes[20] === 0x2f) {
+    const bits = u32le(bytes, 21);
+    return { width: (bits & 0x3fff) + 1, height: ((bits >> 14) & 0x3fff) + 1 };
+  }
+  if (type === 'VP8 ' && bytes.length >= 30 && bytes[23] === 0x9d && bytes[24] === 0x01 && bytes[25] === 0x2a) {
+    return { width: u16le(bytes, 26) & 0x3fff, height: u16le(bytes, 28) & 0x3fff };
+  }
+  return null;
+}
+
+// ---- Public API ----
+
+/**
+ * Read an image's format and dimensions from its header
+ * @param {Uint8Array} bytes
+ * @returns {{format: string, width: number, height: number, orientation?: number}|null}
+ *   width and height as displayed, i.e. swapped for JPEGs whose EXIF
+ *   orientation rotates them by 90 degrees; null if not a JPEG, PNG, GIF or WebP
+ */
+export function imageInfo(bytes) {
+  const format = detectImageFormat(bytes);
+  let info = null;
+
+  if (format === 'png' && ascii(bytes, 12, 4) === 'IHDR' && bytes.length >= 24) {
+    info = { width: u32be(bytes, 16), height: u32be(bytes, 20) };
+  } else if (format === 'gif') {
+    info = { width: u16le(bytes, 6), height: u16le(bytes, 8) };
+  } else if (format === 'webp') {
+    info = webpInfo(bytes);
+  } else if (format === 'jpeg') {
+    info = jpegInfo(bytes);
+  }
+  if (!info) return null;
+
+  const { width, height, orientation } = info;
+  if (orientation >= 5) {
+    return { format, width: height, height: width, orientation };
+  }
+  return { format, width, height, ...(orientation && { orientation }) };
+}
+
+/**
+ * Whether an image type can carry metadata stripImageMetadata can't remove
+ * (HEIC, TIFF, AVIF...); such images need converting before they are stored
+ * @param {string} contentType
+ * @returns {boolean}
+ */
+export function needsImageConversion(contentType) {
+  const type = (contentType || '').toLowerCase();
+  return type.startsWith('image/') &&
+    !STRIPPABLE_IMAGE_TYPES.includes(type) &&
+    !METADATA_FREE_TYPES.includes(type);
+}
+
+/**
+ * Remove EXIF, XMP, IPTC and text metadata from a JPEG, PNG or WebP.
+ * Pixel data is copied untouched; a JPEG's orientation is kept.
+ * @param {Uint8Array} bytes
+ * @returns {Uint8Array|null} Stripped image, the input unchanged if it isn't
+ *   one of those formats, or null for a JPEG or PNG too damaged to walk (its
+ *   metadata can't be found, so it can't be stored as stripped)
+ */
+export function stripImageMetadata(bytes) {
+  switch (detectImageFormat(bytes)) {
+    case 'jpeg': return stripJpeg(bytes);
+    case 'png': return stripPng(bytes);
+    case 'webp': return stripWebp(bytes);
+    default: return bytes;
+  }
+}
+
+// atob/btoa rather than Buffer, which Workers only have with nodejs_compat
+// (lenient like Buffer: URL-safe letters, whitespace and missing padding)
+function fromBase64(data) {
+  let clean = data.replace(/-/g, '+').replace(/_/g, '/').replace(/[^A-Za-z0-9+/]/g, '');
+  if (clean.length % 4 === 1) clean = clean.slice(0, -1);
+  const binary = atob(clean);
+  const bytes = new Uint8Array(binary.length);
+  for (let i = 0; i < binary.length; i++) bytes[i] = binary.charCodeAt(i);
+  return bytes;
+}
+
+function toBase64(bytes) {
+  let binary = '';
+  // In chunks: spreading a large image into fromCharCode overflows the stack
+  for (let i = 0; i < bytes.length; i += 0x8000) {
+    binary += String.fromCharCode(...bytes.subarray(i, i + 0x8000));
+  }
+  return btoa(binary);
+}
+
+/**
+ * Strip metadata from a data:image/... URL
+ * @param {string} dataUrl
+ * @returns {string} The same URL if there was nothing to strip
+ */
+export function stripDataUrlMetadata(dataUrl) {
+  const match = typeof dataUrl === 'string' && dataUrl.match(/^data:(image\/[^;,]+);base64,(.+)$/s);
+  if (!match || !STRIPPABLE_IMAGE_TYPES.includes(match[1].toLowerCase())) return dataUrl;
+
+  const bytes = fromBase64(match[2]);
+  const stripped = stripImageMetadata(bytes);
+  // Stored threads are re-serialized on every update, so a damaged image
+  // already in one is left as it is rather than failing the write
+  if (!stripped || stripped.length === bytes.length) return dataUrl;
+  return `data:${match[1]};base64,${toBase64(stripped)}`;
+}
+
+/**
+ * Strip metadata from every inline data:image/... URL in a MESS value
+ * (request context, response content, ...)
+ * @param {*} value
+ * @returns {*} A copy with images stripped; the input isn't modified
+ */
+export function stripInlineImages(value) {
+  if (typeof value === 'string') {
+    return value.startsWith('data:image/') ? stripDataUrlMetadata(value) : value;
+  }
+  if (Array.isArray(value)) {
+    return value.map(stripInlineImages);
+  }
+  if (value && typeof value === 'object') {
+    return Object.fromEntries(Object.entries(value).map(([key, child]) => [key, stripInlineImages(child)]));
+  }
+  return value;
+}
+
+/**
+ * Dimensions of a data:image/... URL
+ * @param {string} dataUrl
+ * @returns {{width: number, height: number}|null}
+ */
+export function dataUrlDimensions(dataUrl) {
+  const match = typeof dataUrl === 'string' && dataUrl.match(/^data:image\/[^;,]+;base64,(.+)$/s);
+  if (!match) return null;
+  // Headers sit in the first few KB (JPEG APPn segments can push it further)
+  const info = imageInfo(fromBase64(match[1].slice(0, 256 * 1024)));
+  return info ? { width: info.width, height: info.height } : null;
+}
@@ -8,6 +8,9 @@ export {
   parseThread,
   parseThreadV1,
   parseYamlDocs,
+  readYamlDocs,
+  readEnvelope,
+  readThread,
   detectFormat,
   getAttachmentType,
   getExtensionFromMime,
@@ -18,6 +21,7 @@ export {
 export {
   serializeThread,
   serializeThreadV1,
+  rewriteEnvelope,
   processMessageAttachments,
   generateFilename,
   rewriteToResourceURIs,
@@ -36,5 +40,76 @@ export {
   tokenizeId,
   getMessageType,
   extractClientId,
+  requestFromPayload,
   STATUS_FOLDERS
 } from './converter.js';
+
+// Schema and validation exports
+export {
+  ENVELOPE_SCHEMA,
+  MESSAGE_SCHEMAS,
+  PROTOCOL_VERSIONS,
+  STATUS_CODES
+} from './schema.js';
+
+export {
+  validateThread,
+  validateMess,
+  validateSchema,
+  assertValidThread,
+  messVersion,
+  formatErrors,
+  ValidationError
+} from './validate.js';
+
+// Status state machine exports
+export {
+  STATUS_TRANSITIONS,
+  TERMINAL_STATUSES,
+  normalizeStatus,
+  isKnownStatus,
+  canTransition,
+  checkTransition
+} from './status.js';
+
+// Confirmation (confirm_before) exports
+export {
+  initialConfirmation,
+  updateConfirmation,
+  getConfirmationState,
+  checkConfirmation
+} from './confirmation.js';
+
+// Thread query (filter, sort, paginate) exports
+export {
+  parseThreadQuery,
+  queryThreads,
+  PRIORITIES,
+  SORT_FIELDS,
+  MAX_QUERY_LIMIT
+} from './query.js';
+
+// Full-text search exports
+export {
+  tokenize,
+  searchDocuments,
+  messeAfSearchThread,
+  createSearchIndex,
+  addToSearchIndex,
+  removeFromSearchIndex,
+  searchPostings,
+  buildSearchIndex,
+  searchIndex
+} from './search.js';
+
+// Image metadata exports
+export {
+  detectImageFormat,
+  imageInfo,
+  needsImageConversion,
+  stripImageMetadata,
+  stripDataUrlMetadata,
+  stripInlineImages,
+  dataUrlDimensions,
+  STRIPPABLE_IMAGE_TYPES
+} from './image.js';
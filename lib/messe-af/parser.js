@@ -3,7 +3,14 @@
  * Parses v1 (flat file) and v2 (directory-based) MESSE-AF formats
  */
 
-import YAML from 'yaml';
+import { Composer, LineCounter, Parser } from 'yaml';
+
+// How much of a file readYamlDocs feeds the YAML parser at a time
+const CHUNK_SIZE = 64 * 1024;
+
+// Most readEnvelope reads before giving up: a thread file's size limit
+// (MAX_FILE_SIZE), which an envelope alone never comes near
+const ENVELOPE_READ_LIMIT = 1024 * 1024;
 
 /**
  * Parse thread from v2 directory format
@@ -56,15 +63,134 @@ export function parseThreadV1(content) {
 }
 
 /**
- * Parse multi-document YAML string
+ * Parse multi-document YAML string. Documents are split by the YAML parser,
+ * so "---" inside a block scalar, "--- # comment" and "..." markers all
+ * read as they should; empty documents are skipped.
  * @param {string} content - YAML content with --- separators
  * @returns {Array<Object>}
+ * @throws {YAMLParseError} On the first malformed document
  */
 export function parseYamlDocs(content) {
-  return content
-    .split(/^---$/m)
-    .filter(d => d.trim())
-    .map(d => YAML.parse(d));
+  const lineCounter = new LineCounter();
+  const parser = new Parser(lineCounter.addNewLine);
+  const composer = new Composer();
+  return [...toValues(composer.compose(parser.parse(content)), lineCounter)];
+}
+
+/**
+ * Read YAML documents one at a time, as the source arrives. The parser only
+ * ever holds the document being read, and stops reading when the caller
+ * stops iterating, so taking the first document of a large file reads little
+ * more than that document.
+ * @param {string|AsyncIterable<string|Uint8Array>} source - YAML text, or
+ *   chunks of it (a file stream, a fetch body)
+ * @param {Object} options
+ * @param {number} options.maxBytes - Throw once this much has been read
+ *   (default: no limit)
+ * @returns {AsyncGenerator<Object>} Each document's value
+ * @throws {YAMLParseError} On a malformed document
+ */
+export async function* readYamlDocs(source, { maxBytes = Infinity } = {}) {
+  const lineCounter = new LineCounter();
+  const parser = new Parser(lineCounter.addNewLine);
+  const composer = new Composer();
+  const decoder = new TextDecoder();
+  const encoder = new TextEncoder();
+  let read = 0;
+
+  for await (const chunk of typeof source === 'string' ? chunksOf(source) : source) {
+    // A string's length counts UTF-16 code units, not bytes
+    read += typeof chunk === 'string' ? encoder.encode(chunk).byteLength : chunk.byteLength;
+    if (read > maxBytes) {
+      throw new Error(`YAML is larger than ${maxBytes} bytes`);
+    }
+    const text = typeof chunk === 'string' ? chunk : decoder.decode(chunk, { stream: true });
+    for (const token of parser.parse(text, true)) {
+      yield* toValues(composer.next(token), lineCounter);
+    }
+  }
+
+  for (const token of parser.parse(decoder.decode(), false)) {
+    yield* toValues(composer.next(token), lineCounter);
+  }
+  yield* toValues(composer.end(), lineCounter);
+}
+
+/**
+ * Read just the first document (the envelope) of a thread file
+ * @param {string|AsyncIterable<string|Uint8Array>} source
+ * @param {Object} options
+ * @param {number} options.maxBytes - Most to read looking for the end of the
+ *   envelope (default 1 MB)
+ * @returns {Promise<Object|undefined>}
+ */
+export async function readEnvelope(source, { maxBytes = ENVELOPE_READ_LIMIT } = {}) {
+  for await (const doc of readYamlDocs(source, { maxBytes })) {
+    return doc;
+  }
+  return undefined;
+}
+
+/**
+ * Read a v2 thread directory from any storage, without loading attachment
+ * bodies: attachments come back as { name, load() } and are read only when
+ * load() is called.
+ * @param {string[]} names - File names in the thread directory
+ * @param {function(string): Promise<string|AsyncIterable|null>} read - Reads
+ *   one file by name
+ * @param {Object} options
+ * @param {boolean} options.envelopeOnly - Stop after the envelope, for
+ *   listings; messages comes back empty
+ * @returns {Promise<{envelope: Object, messages: Array, attachments: Array}>}
+ */
+export async function readThread(names, read, { envelopeOnly = false } = {}) {
+  const yamlNames = names
+    .filter(name => name.endsWith('.messe-af.yaml'))
+    .sort((a, b) => parseInt(a.split('-')[0]) - parseInt(b.split('-')[0]));
+
+  if (yamlNames.length === 0) {
+    throw new Error('No YAML files found in thread directory');
+  }
+
+  const attachments = names
+    .filter(name => name.startsWith('att-'))
+    .map(name => ({ name, load: () => read(name) }));
+
+  if (envelopeOnly) {
+    const envelope = await readEnvelope(await read(yamlNames[0]) ?? '');
+    return { envelope, messages: [], attachments };
+  }
+
+  const docs = [];
+  for (const name of yamlNames) {
+    for await (const doc of readYamlDocs(await read(name) ?? '')) {
+      docs.push(doc);
+    }
+  }
+  return { envelope: docs[0], messages: docs.slice(1), attachments };
+}
+
+function* chunksOf(text) {
+  for (let i = 0; i < text.length; i += CHUNK_SIZE) {
+    yield text.slice(i, i + CHUNK_SIZE);
+  }
+}
+
+// Composed documents to plain values, skipping empty ones and throwing the
+// first error the way YAML.parse would
+function* toValues(docs, lineCounter) {
+  for (const doc of docs) {
+    const [error] = doc.errors;
+    if (error) {
+      if (error.pos[0] >= 0) {
+        const { line, col } = lineCounter.linePos(error.pos[0]);
+        error.message += ` at line ${line}, column ${col}`;
+      }
+      throw error;
+    }
+    const value = doc.toJS();
+    if (value !== null && value !== undefined) yield value;
+  }
 }
 
 /**
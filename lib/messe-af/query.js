@@ -0,0 +1,186 @@
+/**
+ * MESSE-AF Thread Queries
+ * Shared filtering, sorting and cursor pagination for thread listings, so the
+ * exchange API, MesseAfStorage and the CLI answer the same query the same way.
+ *
+ * Threads are summaries with: ref, status, intent, priority, requestor_id,
+ * executor_id, created_at, updated_at.
+ */
+
+/**
+ * Request priorities, lowest first
+ */
+export const PRIORITIES = ['background', 'normal', 'elevated', 'urgent'];
+
+export const SORT_FIELDS = ['created_at', 'updated_at', 'priority'];
+
+export const MAX_QUERY_LIMIT = 500;
+
+// What a cursor is only good for: its position means nothing under another
+// sort or with other threads in the list
+const CURSOR_FIELDS = ['sort', 'order', 'status', 'priority', 'requestor_id', 'executor_id',
+  'created_after', 'created_before', 'q', 'claimable'];
+
+function time(value) {
+  const ms = Date.parse(value);
+  return Number.isNaN(ms) ? 0 : ms;
+}
+
+/**
+ * Sort key for a thread; ref breaks ties so every position is unique
+ */
+function sortKey(thread, sort) {
+  if (sort === 'priority') {
+    const rank = PRIORITIES.indexOf(thread.priority || 'normal');
+    return [rank, time(thread.updated_at), thread.ref];
+  }
+  return [time(thread[sort]), thread.ref];
+}
+
+function compareKeys(a, b) {
+  for (let i = 0; i < a.length; i++) {
+    if (a[i] < b[i]) return -1;
+    if (a[i] > b[i]) return 1;
+  }
+  return 0;
+}
+
+/**
+ * The query a cursor was issued for, as [field, value] pairs
+ */
+function cursorQuery(query) {
+  return CURSOR_FIELDS.filter(field => query[field] !== undefined).map(field => [field, query[field]]);
+}
+
+function encodeCursor(key, query) {
+  return btoa(encodeURIComponent(JSON.stringify({ after: key, query: cursorQuery(query) })))
+    .replace(/\+/g, '-').replace(/\//g, '_').replace(/=+$/, '');
+}
+
+/**
+ * @returns {{after: Array, query: Array}|null}
+ */
+function decodeCursor(cursor) {
+  try {
+    const decoded = JSON.parse(decodeURIComponent(atob(cursor.replace(/-/g, '+').replace(/_/g, '/'))));
+    return Array.isArray(decoded?.after) && Array.isArray(decoded.query) ? decoded : null;
+  } catch {
+    return null;
+  }
+}
+
+/**
+ * Validate and normalize list options, e.g. from a URL query string
+ * @param {Object} raw
+ * @param {string} [raw.status] - Exact status
+ * @param {string} [raw.priority] - One of PRIORITIES
+ * @param {string} [raw.requestor_id]
+ * @param {string} [raw.executor_id]
+ * @param {string} [raw.created_after] - ISO 8601; exclusive
+ * @param {string} [raw.created_before] - ISO 8601; exclusive
+ * @param {string} [raw.q] - Words that must all appear in the intent (case-insensitive)
+ * @param {string} [raw.sort] - One of SORT_FIELDS (default updated_at)
+ * @param {string} [raw.order] - 'asc' or 'desc' (default desc)
+ * @param {boolean|string} [raw.claimable] - Only threads the caller may claim;
+ *   queryThreads leaves this to the caller, who knows who is asking
+ * @param {string|number} [raw.limit] - Page size, 1 to MAX_QUERY_LIMIT (default: no paging)
+ * @param {string} [raw.cursor] - next_cursor from the previous page, under
+ *   the same sort, order and filters
+ * @returns {{query: Object}|{error: string}}
+ */
+export function parseThreadQuery(raw = {}) {
+  const query = { sort: raw.sort || 'updated_at', order: raw.order || 'desc' };
+
+  for (const field of ['status', 'priority', 'requestor_id', 'executor_id', 'q']) {
+    if (raw[field] !== undefined && raw[field] !== '') {
+      query[field] = String(raw[field]);
+    }
+  }
+
+  if (query.priority && !PRIORITIES.includes(query.priority)) {
+    return { error: `priority must be one of: ${PRIORITIES.join(', ')}` };
+  }
+
+  for (const field of ['created_after', 'created_before']) {
+    if (raw[field] !== undefined && raw[field] !== '') {
+      if (Number.isNaN(Date.parse(raw[field]))) {
+        return { error: `${field} must be an ISO 8601 datetime` };
+      }
+      query[field] = raw[field];
+    }
+  }
+
+  if (!SORT_FIELDS.includes(query.sort)) {
+    return { error: `sort must be one of: ${SORT_FIELDS.join(', ')}` };
+  }
+  if (query.order !== 'asc' && query.order !== 'desc') {
+    return { error: 'order must be asc or desc' };
+  }
+
+  if (raw.claimable === true || raw.claimable === 'true') {
+    query.claimable = true;
+  }
+
+  if (raw.limit !== undefined && raw.limit !== '') {
+    const limit = Number(raw.limit);
+    if (!Number.isInteger(limit) || limit < 1 || limit > MAX_QUERY_LIMIT) {
+      return { error: `limit must be an integer from 1 to ${MAX_QUERY_LIMIT}` };
+    }
+    query.limit = limit;
+  }
+
+  if (raw.cursor) {
+    const cursor = decodeCursor(String(raw.cursor));
+    if (!cursor) {
+      return { error: 'Invalid cursor' };
+    }
+    if (JSON.stringify(cursor.query) !== JSON.stringify(cursorQuery(query))) {
+      return { error: 'cursor is for a different sort, order or filters' };
+    }
+    query.after = cursor.after;
+  }
+
+  return { query };
+}
+
+/**
+ * Filter, sort and page thread summaries
+ * @param {Object[]} threads - Thread summaries (not modified)
+ * @param {Object} query - Output of parseThreadQuery
+ * @returns {{threads: Object[], next_cursor: string|null}} next_cursor is
+ *   null on the last page
+ */
+export function queryThreads(threads, query = {}) {
+  const { sort = 'updated_at', order = 'desc' } = query;
+  const direction = order === 'asc' ? 1 : -1;
+  const after = query.created_after && time(query.created_after);
+  const before = query.created_before && time(query.created_before);
+  const words = query.q ? query.q.toLowerCase().split(/\s+/).filter(Boolean) : [];
+
+  const matches = threads.filter(t =>
+    (!query.status || t.status === query.status) &&
+    (!query.priority || (t.priority || 'normal') === query.priority) &&
+    (!query.requestor_id || t.requestor_id === query.requestor_id) &&
+    (!query.executor_id || t.executor_id === query.executor_id) &&
+    (!after || time(t.created_at) > after) &&
+    (!before || time(t.created_at) < before) &&
+    words.every(word => (t.intent || '').toLowerCase().includes(word)));
+
+  const keyed = matches
+    .map(thread => ({ thread, key: sortKey(thread, sort) }))
+    .sort((a, b) => direction * compareKeys(a.key, b.key));
+
+  let start = 0;
+  if (query.after) {
+    start = keyed.findIndex(({ key }) => direction * compareKeys(key, query.after) > 0);
+    if (start === -1) start = keyed.length;
+  }
+
+  const end = query.limit ? start + query.limit : keyed.length;
+  const page = keyed.slice(start, end);
+
+  return {
+    threads: page.map(({ thread }) => thread),
+    next_cursor: end < keyed.length ? encodeCursor(page[page.length - 1].key, { ...query, sort, order }) : null,
+  };
+}
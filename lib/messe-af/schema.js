@@ -0,0 +1,247 @@
+/**
+ * MESSE-AF JSON Schemas
+ * Published schemas for the thread envelope and for MESS messages under
+ * protocol v1.0 and v1.1 (see docs/messe-af.md and docs/mess-protocol-v1*.md).
+ * Plain JSON Schema (2020-12) objects, so other tools can use them as-is;
+ * validate.js checks threads against them without a schema library.
+ *
+ * Unknown fields are allowed everywhere (v1.0 consumers MUST ignore them),
+ * and so are MESS item types other than request, status, response, reply,
+ * cancel and ack.
+ */
+
+import { STATUS_TRANSITIONS } from './status.js';
+
+const DIALECT = 'https://json-schema.org/draft/2020-12/schema';
+const BASE_ID = 'urn:messe-af:schema';
+
+/**
+ * Protocol versions with a schema, oldest first
+ */
+export const PROTOCOL_VERSIONS = ['1.0', '1.1'];
+
+/**
+ * Status codes a MESS status item may carry (v1.0 §4.2), plus the legacy
+ * "in-progress" spelling
+ */
+export const STATUS_CODES = [
+  'received', 'claimed', 'in_progress', 'in-progress', 'waiting', 'held', 'retrying',
+  'needs_input', 'needs_confirmation', 'completed', 'partial', 'failed',
+  'declined', 'expired', 'cancelled', 'superseded', 'delegated'
+];
+
+const PRIORITIES = ['background', 'normal', 'elevated', 'urgent'];
+
+const reference = { type: ['string', 'array'], minLength: 1, items: { type: 'string' } };
+
+const mediaEntry = { type: ['string', 'object'] };
+
+const historyEntry = {
+  type: 'object',
+  required: ['action', 'at'],
+  properties: {
+    action: { type: 'string', minLength: 1 },
+    at: { type: 'string', format: 'date-time' },
+    by: { type: 'string' },
+    ref: { type: 'string' },
+    note: { type: 'string' }
+  }
+};
+
+/**
+ * The first document of a thread: exchange-managed metadata
+ */
+export const ENVELOPE_SCHEMA = {
+  $schema: DIALECT,
+  $id: `${BASE_ID}:envelope`,
+  title: 'MESSE-AF envelope',
+  type: 'object',
+  required: ['ref', 'requestor', 'status', 'created'],
+  properties: {
+    ref: { type: 'string', pattern: '^[A-Za-z0-9][A-Za-z0-9._-]*$' },
+    client_id: { type: 'string' },
+    requestor: { type: 'string', minLength: 1 },
+    executor: { type: ['string', 'null'] },
+    status: { enum: [...Object.keys(STATUS_TRANSITIONS), 'in-progress'] },
+    created: { type: 'string', format: 'date-time' },
+    updated: { type: 'string', format: 'date-time' },
+    expires: { type: 'string', format: 'date-time' },
+    needed_by: { type: 'string', format: 'date-time' },
+    confirm_before: { type: 'boolean' },
+    intent: { type: 'string' },
+    priority: { enum: PRIORITIES },
+    required_capabilities: { type: 'array', items: { type: 'string' } },
+    assignee: { type: 'string' },
+    history: { type: 'array', items: historyEntry }
+  }
+};
+
+// v1.0 item definitions; v1.1 extends these below
+const V1_0_DEFS = {
+  entry: {
+    type: ['string', 'object'],
+    minProperties: 1,
+    properties: {
+      image: mediaEntry,
+      audio: mediaEntry,
+      video: mediaEntry,
+      file: mediaEntry,
+      url: { type: 'string' },
+      ref: { type: 'string' },
+      embedding: { type: 'array', items: { type: 'number' } },
+      text: { type: 'string' },
+      confirmation: {
+        type: ['boolean', 'object'],
+        required: ['confirmed'],
+        properties: { confirmed: { type: 'boolean' } }
+      },
+      structured: { type: 'object' },
+      error: {
+        type: 'object',
+        required: ['code', 'message'],
+        properties: { code: { type: ['string', 'integer'] }, message: { type: 'string' } }
+      }
+    }
+  },
+  content: { type: 'array', items: { $ref: '#/$defs/entry' } },
+  request: {
+    type: 'object',
+    required: ['intent'],
+    properties: {
+      id: { type: 'string' },
+      intent: { type: 'string', minLength: 1 },
+      precision: { enum: ['loose', 'guided', 'exact'] },
+      requires: { type: 'array', items: { type: ['string', 'object'] } },
+      context: { $ref: '#/$defs/content' },
+      constraints: { type: 'object' },
+      response_hint: { type: 'array', items: { type: ['string', 'object'] } },
+      priority: { enum: PRIORITIES },
+      compensation: { type: 'object' },
+      required_capabilities: { type: 'array', items: { type: 'string' } },
+      assignee: { type: 'string' }
+    }
+  },
+  status: {
+    type: 'object',
+    required: ['code'],
+    properties: {
+      re: reference,
+      code: { enum: STATUS_CODES },
+      executor: { type: 'string' },
+      message: { type: 'string' },
+      progress_pct: { type: 'number', minimum: 0, maximum: 100 },
+      questions: { type: 'array', items: { type: ['string', 'object'] } },
+      reversible: { type: 'boolean' },
+      delegated_to: { type: 'string' },
+      superseded_by: { type: 'string' }
+    }
+  },
+  response: {
+    type: 'object',
+    properties: {
+      id: { type: 'string' },
+      re: reference,
+      content: { $ref: '#/$defs/content' },
+      executor: { type: 'string' },
+      completed_at: { type: 'string', format: 'date-time' },
+      notes: { type: 'string' }
+    }
+  },
+  reply: {
+    type: 'object',
+    properties: {
+      re: reference,
+      answers: { type: 'object' },
+      confirm: { type: 'boolean' },
+      accept: { type: 'boolean' },
+      reason: { type: 'string' },
+      context: { $ref: '#/$defs/content' }
+    }
+  },
+  cancel: {
+    type: ['object', 'null'],
+    properties: {
+      re: reference,
+      reason: { type: 'string' }
+    }
+  },
+  ack: {
+    type: 'object',
+    anyOf: [{ required: ['ref'] }, { required: ['requests'] }],
+    properties: {
+      re: reference,
+      ref: { type: 'string', minLength: 1 },
+      requests: {
+        type: 'array',
+        items: {
+          type: 'object',
+          required: ['ref'],
+          properties: { id: { type: 'string' }, ref: { type: 'string', minLength: 1 } }
+        }
+      },
+      received_at: { type: 'string', format: 'date-time' },
+      queue_position: { type: 'integer', minimum: 0 }
+    }
+  },
+  item: {
+    type: 'object',
+    minProperties: 1,
+    maxProperties: 1,
+    properties: {
+      v: { type: 'string', pattern: '^\\d+\\.\\d+(\\.\\d+)?$' },
+      request: { $ref: '#/$defs/request' },
+      status: { $ref: '#/$defs/status' },
+      response: { $ref: '#/$defs/response' },
+      reply: { $ref: '#/$defs/reply' },
+      cancel: { $ref: '#/$defs/cancel' },
+      ack: { $ref: '#/$defs/ack' }
+    }
+  },
+  mess: { type: 'array', minItems: 1, items: { $ref: '#/$defs/item' } }
+};
+
+// v1.1: needed_by and confirm_before on requests, estimate on status
+const V1_1_DEFS = {
+  ...V1_0_DEFS,
+  request: {
+    ...V1_0_DEFS.request,
+    properties: {
+      ...V1_0_DEFS.request.properties,
+      needed_by: { type: 'string', format: 'date-time' },
+      confirm_before: { type: 'boolean' }
+    }
+  },
+  status: {
+    ...V1_0_DEFS.status,
+    properties: {
+      ...V1_0_DEFS.status.properties,
+      estimate: { type: 'string', format: 'duration' }
+    }
+  }
+};
+
+function messageSchema(version, defs) {
+  return {
+    $schema: DIALECT,
+    $id: `${BASE_ID}:message:v${version}`,
+    title: `MESS v${version} message document`,
+    type: 'object',
+    required: ['from', 'MESS'],
+    properties: {
+      from: { type: 'string', minLength: 1 },
+      received: { type: 'string', format: 'date-time' },
+      channel: { type: 'string' },
+      re: reference,
+      MESS: { $ref: '#/$defs/mess' }
+    },
+    $defs: defs
+  };
+}
+
+/**
+ * Schemas for message documents (from, received, re, MESS), by protocol version
+ */
+export const MESSAGE_SCHEMAS = {
+  '1.0': messageSchema('1.0', V1_0_DEFS),
+  '1.1': messageSchema('1.1', V1_1_DEFS)
+};
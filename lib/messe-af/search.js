@@ -0,0 +1,263 @@
+/**
+ * MESSE-AF Thread Search
+ * A small inverted index over thread intents, request context and message
+ * text. The index is plain JSON so it can be stored next to the projections
+ * (server) or rebuilt in memory from local files (CLI, MCP).
+ *
+ * Index shape:
+ *   { version, terms: { term: { thread_ref: [[field, message_ref, count], ...] } },
+ *     threads: { thread_ref: [term, ...] } }
+ */
+
+const INDEX_VERSION = 1;
+
+// How much a hit counts, by where it was found
+const FIELD_WEIGHTS = { intent: 3, context: 2, message: 1 };
+
+// Prefix matches ("check" -> "checked") count for less than exact ones
+const PREFIX_WEIGHT = 0.5;
+const MIN_PREFIX_LENGTH = 3;
+
+const STOPWORDS = new Set([
+  'a', 'an', 'and', 'are', 'as', 'at', 'be', 'by', 'for', 'from', 'has', 'in',
+  'is', 'it', 'of', 'on', 'or', 'that', 'the', 'this', 'to', 'was', 'were', 'with'
+]);
+
+// MESS keys whose values are identifiers or media, not prose
+const SKIP_KEYS = new Set([
+  're', 'id', 'ref', 'v', 'code', 'executor', 'estimate', 'delegated_to',
+  'image', 'video', 'audio', 'file', 'uri', 'url', 'mime', 'data', 'resource'
+]);
+
+/**
+ * Split text into lowercase search terms, dropping stopwords
+ * @param {string} text
+ * @returns {string[]}
+ */
+export function tokenize(text) {
+  if (!text) return [];
+  return String(text)
+    .toLowerCase()
+    .split(/[^\p{L}\p{N}]+/u)
+    .filter(term => term.length > 1 && !STOPWORDS.has(term));
+}
+
+function collectText(value, out) {
+  if (typeof value === 'string') {
+    // Inline media and links aren't worth indexing
+    if (!/^(data:|[a-z]+:\/\/)/i.test(value) && !/^[A-Za-z0-9+/=]{200,}$/.test(value)) {
+      out.push(value);
+    }
+  } else if (Array.isArray(value)) {
+    for (const item of value) collectText(item, out);
+  } else if (value && typeof value === 'object') {
+    for (const [key, child] of Object.entries(value)) {
+      if (!SKIP_KEYS.has(key)) collectText(child, out);
+    }
+  }
+  return out;
+}
+
+/**
+ * Searchable text of a thread, one entry per field and message
+ * @param {Object} thread
+ * @param {string} thread.intent
+ * @param {Array} thread.messages - { ref?, from, mess }
+ * @returns {Array<{field: string, message_ref: string|null, text: string}>}
+ */
+export function searchDocuments(thread) {
+  const docs = [{ field: 'intent', message_ref: null, text: thread.intent || '' }];
+
+  for (const message of thread.messages || []) {
+    const text = [];
+    for (const item of message.mess || []) {
+      if (item.request) {
+        // The intent is indexed once above; context belongs to the request
+        const context = collectText(item.request.context || [], []).join(' ');
+        if (context) docs.push({ field: 'context', message_ref: null, text: context });
+      } else {
+        collectText(item, text);
+      }
+    }
+    if (text.length > 0) {
+      docs.push({ field: 'message', message_ref: message.ref || null, text: text.join(' ') });
+    }
+  }
+
+  return docs;
+}
+
+/**
+ * Shape a MESSE-AF thread for indexing. Message refs come from the
+ * exchange ack that follows each message.
+ * @param {Object} envelope
+ * @param {Array} messages - MESSE-AF messages ({ from, MESS })
+ * @returns {{ref: string, intent: string, messages: Array}}
+ */
+export function messeAfSearchThread(envelope, messages = []) {
+  const shaped = [];
+  for (let i = 0; i < messages.length; i++) {
+    const message = messages[i];
+    if (message.from === 'exchange') continue;
+    const next = messages[i + 1];
+    const ack = next?.from === 'exchange' ? next.MESS?.find(item => item.ack)?.ack : null;
+    shaped.push({
+      ref: ack?.ref && ack.ref !== envelope.ref ? ack.ref : null,
+      from: message.from,
+      mess: message.MESS || [],
+    });
+  }
+  return { ref: envelope.ref, intent: envelope.intent, messages: shaped };
+}
+
+// Terms and refs are data, so only an index's own keys count: "constructor"
+// must not find Object.prototype.constructor, in a fresh index or one read
+// back with JSON.parse
+function own(object, key) {
+  return Object.hasOwn(object, key) ? object[key] : undefined;
+}
+
+/**
+ * @returns {Object} An empty index
+ */
+export function createSearchIndex() {
+  return { version: INDEX_VERSION, terms: {}, threads: {} };
+}
+
+/**
+ * Drop a thread from the index (mutates index)
+ */
+export function removeFromSearchIndex(index, ref) {
+  for (const term of own(index.threads, ref) || []) {
+    const byThread = own(index.terms, term);
+    if (!byThread) continue;
+    delete byThread[ref];
+    if (Object.keys(byThread).length === 0) delete index.terms[term];
+  }
+  delete index.threads[ref];
+  return index;
+}
+
+/**
+ * A thread's postings: what addToSearchIndex files under each term for it.
+ * Storage that shards the index (e.g. by term prefix) can diff two versions
+ * of a thread with this to rewrite only the shards that changed.
+ * @param {Object} thread - { ref, intent, messages: [{ ref?, mess }] }
+ * @returns {Map<string, Array>} term -> [[field, message_ref, count], ...]
+ */
+export function searchPostings(thread) {
+  const postings = new Map(); // term -> Map(field|message_ref -> posting)
+  for (const doc of searchDocuments(thread)) {
+    for (const term of tokenize(doc.text)) {
+      if (!postings.has(term)) postings.set(term, new Map());
+      const key = `${doc.field}|${doc.message_ref || ''}`;
+      const byDoc = postings.get(term);
+      const posting = byDoc.get(key) || [doc.field, doc.message_ref, 0];
+      posting[2]++;
+      byDoc.set(key, posting);
+    }
+  }
+  return new Map([...postings].map(([term, byDoc]) => [term, [...byDoc.values()]]));
+}
+
+/**
+ * Add or replace a thread in the index (mutates index)
+ * @param {Object} index - From createSearchIndex
+ * @param {Object} thread - { ref, intent, messages: [{ ref?, mess }] }
+ * @returns {Object} index
+ */
+export function addToSearchIndex(index, thread) {
+  removeFromSearchIndex(index, thread.ref);
+
+  const postings = searchPostings(thread);
+  for (const [term, entries] of postings) {
+    if (!own(index.terms, term)) index.terms[term] = {};
+    index.terms[term][thread.ref] = entries;
+  }
+  index.threads[thread.ref] = [...postings.keys()];
+  return index;
+}
+
+/**
+ * Build an index from many threads
+ * @param {Array} threads - { ref, intent, messages }
+ */
+export function buildSearchIndex(threads) {
+  const index = createSearchIndex();
+  for (const thread of threads) addToSearchIndex(index, thread);
+  return index;
+}
+
+/**
+ * Find threads containing every query term (terms of 3+ letters also match
+ * as prefixes), ranked by TF-IDF weighted by field
+ * @param {Object} index
+ * @param {string} q - Query text
+ * @param {Object} options
+ * @param {number} options.limit - Maximum hits (default 20)
+ * @param {number} options.total - Threads in the whole index, when index
+ *   holds only some of its terms (default: the threads in index.threads)
+ * @returns {Array<{ref: string, score: number, message_ref: string|null, matches: Array}>}
+ *   matches lists { field, message_ref } best first; message_ref is the best
+ *   matching message, or null when only the intent or context matched
+ */
+export function searchIndex(index, q, { limit = 20, total = Object.keys(index.threads || {}).length } = {}) {
+  const queryTerms = [...new Set(tokenize(q))];
+  if (queryTerms.length === 0) return [];
+
+  total ||= 1;
+  const indexTerms = Object.keys(index.terms);
+  let scores = null; // ref -> Map(field|message_ref -> { field, message_ref, score })
+
+  for (const queryTerm of queryTerms) {
+    const matchedTerms = indexTerms.filter(term => term === queryTerm ||
+      (queryTerm.length >= MIN_PREFIX_LENGTH && term.startsWith(queryTerm)));
+
+    const termScores = new Map();
+    for (const term of matchedTerms) {
+      const byThread = index.terms[term];
+      const idf = Math.log(1 + total / Object.keys(byThread).length);
+      const weight = term === queryTerm ? 1 : PREFIX_WEIGHT;
+
+      for (const [ref, postings] of Object.entries(byThread)) {
+        if (!termScores.has(ref)) termScores.set(ref, new Map());
+        for (const [field, messageRef, count] of postings) {
+          const key = `${field}|${messageRef || ''}`;
+          const doc = termScores.get(ref).get(key) || { field, message_ref: messageRef, score: 0 };
+          doc.score += weight * FIELD_WEIGHTS[field] * (1 + Math.log(count)) * idf;
+          termScores.get(ref).set(key, doc);
+        }
+      }
+    }
+
+    // Every query term must appear somewhere in the thread
+    if (scores === null) {
+      scores = termScores;
+    } else {
+      for (const ref of [...scores.keys()]) {
+        if (!termScores.has(ref)) {
+          scores.delete(ref);
+          continue;
+        }
+        for (const [key, doc] of termScores.get(ref)) {
+          const existing = scores.get(ref).get(key);
+          if (existing) existing.score += doc.score;
+          else scores.get(ref).set(key, doc);
+        }
+      }
+    }
+  }
+
+  const hits = [...scores].map(([ref, docs]) => {
+    const matches = [...docs.values()].sort((a, b) => b.score - a.score);
+    return {
+      ref,
+      score: Math.round(matches.reduce((sum, doc) => sum + doc.score, 0) * 1000) / 1000,
+      message_ref: matches.find(doc => doc.field === 'message')?.message_ref ?? null,
+      matches: matches.map(({ field, message_ref }) => ({ field, message_ref })),
+    };
+  });
+
+  hits.sort((a, b) => b.score - a.score || (a.ref < b.ref ? 1 : -1));
+  return hits.slice(0, limit);
+}
@@ -3,8 +3,9 @@
  * Serializes threads to v1 (flat file) and v2 (directory-based) MESSE-AF formats
  */
 
-import YAML from 'yaml';
+import YAML, { Composer, Parser } from 'yaml';
 import { getAttachmentType, getExtensionFromMime } from './parser.js';
+import { stripInlineImages, dataUrlDimensions } from './image.js';
 
 // Size limits (in bytes)
 export const MAX_FILE_SIZE = 1024 * 1024;        // 1 MB - GitHub Contents API limit
@@ -15,9 +16,11 @@ export const MAX_INLINE_SIZE = 768 * 1024;       // 768 KB - inline attachment l
  * @param {Object} envelope - Thread envelope (ref, status, etc.)
  * @param {Array} messages - Thread messages
  * @param {Array} existingAttachments - Existing external attachments
+ * @param {Object} options
+ * @param {boolean} options.stripMetadata - Strip EXIF/XMP from inline images (default true)
  * @returns {Array<{name: string, content: string, binary?: boolean}>}
  */
-export function serializeThread(envelope, messages, existingAttachments = []) {
+export function serializeThread(envelope, messages, existingAttachments = [], options = {}) {
   const files = [];
   const attachments = [...existingAttachments];
 
@@ -39,7 +42,7 @@ export function serializeThread(envelope, messages, existingAttachments = []) {
   // Process each message, potentially creating overflow files
   for (const msg of messages) {
     // Check for large inline attachments that need externalizing
-    const processedMsg = processMessageAttachments(msg, attachments, nextAttachmentSerial);
+    const processedMsg = processMessageAttachments(msg, attachments, nextAttachmentSerial, options);
     if (processedMsg.newAttachments) {
       for (const att of processedMsg.newAttachments) {
         attachments.push(att);
@@ -94,18 +97,64 @@ export function serializeThreadV1(envelope, messages) {
 }
 
 /**
- * Process message to externalize large attachments
+ * Set envelope fields in a thread file's text, keeping comments and every
+ * other document byte for byte. Documents are found by the YAML parser, so
+ * a "---" line inside a block scalar is left alone.
+ * @param {string} content - A v1 thread file or a v2 000- file
+ * @param {Object} changes - Envelope fields to set; new ones go first
+ * @returns {string}
+ * @throws {YAMLParseError} If the envelope doesn't parse
+ * @throws {Error} If there is no envelope document
+ */
+export function rewriteEnvelope(content, changes) {
+  const docs = [...new Composer().compose(new Parser().parse(content))];
+  // The envelope is the first document with something in it, as for parseYamlDocs
+  const index = docs.findIndex(doc => doc.errors.length > 0 || (doc.contents && doc.toJS() !== null));
+  if (index < 0) {
+    throw new Error('No envelope document');
+  }
+
+  const doc = docs[index];
+  if (doc.errors.length > 0) throw doc.errors[0];
+  if (!YAML.isMap(doc.contents)) {
+    throw new Error('Envelope is not a YAML mapping');
+  }
+  for (const [key, value] of Object.entries(changes)) {
+    if (doc.has(key)) doc.set(key, value);
+    else doc.contents.items.unshift(doc.createPair(key, value));
+  }
+
+  // Replace from the --- marker (or the top of the file) to the end of the
+  // mapping; a trailing comment or ... marker stays as written
+  const start = index > 0 ? doc.range[0] : 0;
+  const end = doc.contents.range[2];
+  doc.comment = null;
+  doc.directives.docEnd = false;
+  let envelope = doc.toString({ lineWidth: 0 });
+  if (!content.slice(start, end).endsWith('\n')) envelope = envelope.slice(0, -1);
+  return content.slice(0, start) + envelope + content.slice(end);
+}
+
+/**
+ * Process message to externalize large attachments. Inline images lose
+ * their location and camera metadata on the way unless told otherwise.
  * @param {Object} msg - Message object
  * @param {Array} existingAttachments - Already externalized attachments
  * @param {number} startSerial - Starting serial number for new attachments
+ * @param {Object} options
+ * @param {boolean} options.stripMetadata - Strip EXIF/XMP from inline images (default true)
  * @returns {{message: Object, newAttachments: Array}}
  */
-export function processMessageAttachments(msg, existingAttachments, startSerial) {
+export function processMessageAttachments(msg, existingAttachments, startSerial, options = {}) {
+  const { stripMetadata = true } = options;
   const newAttachments = [];
   let serial = startSerial;
 
   // Deep clone the message to avoid modifying original
   const processedMsg = JSON.parse(JSON.stringify(msg));
+  if (stripMetadata && processedMsg.MESS) {
+    processedMsg.MESS = stripInlineImages(processedMsg.MESS);
+  }
 
   // Look for large inline attachments in MESS items
   if (processedMsg.MESS) {
@@ -125,6 +174,7 @@ export function processMessageAttachments(msg, existingAttachments, startSerial)
                 const ext = getExtensionFromMime(mime);
                 const attName = `att-${serial.toString().padStart(3, '0')}-${type}-image.${ext}`;
                 const binarySize = Math.floor(base64Data.length * 3 / 4); // Approximate decoded size
+                const dimensions = dataUrlDimensions(dataUrl);
 
                 newAttachments.push({
                   name: attName,
@@ -139,7 +189,8 @@ export function processMessageAttachments(msg, existingAttachments, startSerial)
                   image: {
                     file: attName,
                     mime: mime,
-                    size: binarySize
+                    size: binarySize,
+                    ...dimensions
                   }
                 };
               }
@@ -165,7 +216,8 @@ export function generateFilename(fileNum, ref) {
 }
 
 /**
- * Rewrite file references to content:// resource URIs for MCP context
+ * Rewrite file references to content:// resource URIs for MCP context.
+ * Image references carry width and height when they are known.
  * @param {Object} thread - Thread with envelope, messages, attachments
  * @param {Object} options - Options for rewriting
  * @param {Function} options.cacheAttachment - Function to cache attachment data, returns local path
@@ -200,7 +252,8 @@ export function rewriteToResourceURIs(thread, options = {}) {
                 image: {
                   resource: `content://${ref}/${attName}`,
                   mime,
-                  size: binarySize
+                  size: binarySize,
+                  ...dataUrlDimensions(c)
                 }
               };
             }
@@ -222,7 +275,8 @@ export function rewriteToResourceURIs(thread, options = {}) {
                 image: {
                   resource: `content://${ref}/${attName}`,
                   mime,
-                  size: binarySize
+                  size: binarySize,
+                  ...dataUrlDimensions(c.image)
                 }
               };
             }
@@ -234,7 +288,8 @@ export function rewriteToResourceURIs(thread, options = {}) {
               image: {
                 resource: `content://${ref}/${c.image.file}`,
                 mime: c.image.mime,
-                size: c.image.size
+                size: c.image.size,
+                ...(c.image.width && { width: c.image.width, height: c.image.height })
               }
             };
           }
@@ -264,14 +319,15 @@ export function rewriteToResourceURIs(thread, options = {}) {
  * @param {Array} messages - Thread messages
  * @param {string} ref - Thread reference
  * @param {number} startSerial - Starting serial for new attachments
+ * @param {Object} options - As for processMessageAttachments
  * @returns {{messages: Array, attachments: Array}} - Processed messages and extracted attachments
  */
-export function extractAttachments(messages, ref, startSerial = 1) {
+export function extractAttachments(messages, ref, startSerial = 1, options = {}) {
   const attachments = [];
   let serial = startSerial;
 
   const processedMessages = messages.map(msg => {
-    const result = processMessageAttachments(msg, attachments, serial);
+    const result = processMessageAttachments(msg, attachments, serial, options);
     if (result.newAttachments.length > 0) {
       attachments.push(...result.newAttachments);
       serial += result.newAttachments.length;
@@ -0,0 +1,159 @@
+/**
+ * MESSE-AF Status State Machine
+ * Shared transition table and role rules for thread status changes
+ * (see docs/messe-af.md "Status Values" and docs/mess-protocol-v1.md §9)
+ */
+
+/**
+ * Statuses that end a thread; nothing may follow them
+ */
+export const TERMINAL_STATUSES = [
+  'completed',
+  'partial',
+  'failed',
+  'declined',
+  'cancelled',
+  'expired',
+  'delegated',
+  'superseded'
+];
+
+// Statuses an executor may move between while working a claimed thread
+const WORKING = ['in_progress', 'waiting', 'held', 'needs_input', 'needs_confirmation'];
+const OUTCOMES = ['completed', 'partial', 'failed', 'declined', 'cancelled', 'delegated'];
+
+/**
+ * Allowed transitions: current status -> statuses it may move to
+ */
+export const STATUS_TRANSITIONS = {
+  pending: ['claimed', 'declined', 'cancelled', 'expired', 'superseded'],
+  claimed: [...WORKING, ...OUTCOMES],
+  in_progress: [...WORKING.filter(s => s !== 'in_progress'), ...OUTCOMES, 'expired'],
+  waiting: [...WORKING.filter(s => s !== 'waiting'), ...OUTCOMES, 'expired'],
+  held: [...WORKING.filter(s => s !== 'held'), ...OUTCOMES, 'expired'],
+  needs_input: [...WORKING.filter(s => s !== 'needs_input'), ...OUTCOMES, 'expired'],
+  needs_confirmation: [...WORKING.filter(s => s !== 'needs_confirmation'), ...OUTCOMES, 'expired'],
+  ...Object.fromEntries(TERMINAL_STATUSES.map(s => [s, []]))
+};
+
+// Only the requestor may withdraw or replace a request
+const REQUESTOR_ONLY = ['cancelled', 'superseded'];
+
+// Only the exchange sets these: expiry is its needed_by sweep, and
+// delegation has its own action that names the new executor
+const EXCHANGE_ONLY = {
+  expired: 'Only the exchange may expire a request, once needed_by has passed',
+  delegated: 'Use the delegate action (naming the executor to delegate to) instead of setting status delegated'
+};
+
+/**
+ * Normalize legacy status spellings ("in-progress") to protocol names
+ * @param {string} status
+ * @returns {string}
+ */
+export function normalizeStatus(status) {
+  return status === 'in-progress' ? 'in_progress' : status;
+}
+
+/**
+ * Whether a status is part of the protocol
+ * @param {string} status
+ * @returns {boolean}
+ */
+export function isKnownStatus(status) {
+  return Object.hasOwn(STATUS_TRANSITIONS, normalizeStatus(status));
+}
+
+/**
+ * Whether a thread in one status may move to another
+ * @param {string} from - Current status
+ * @param {string} to - Requested status
+ * @returns {boolean}
+ */
+export function canTransition(from, to) {
+  const allowed = STATUS_TRANSITIONS[normalizeStatus(from)];
+  return !!allowed && allowed.includes(normalizeStatus(to));
+}
+
+/**
+ * Check a status change against the transition table and role rules.
+ * Once a thread is claimed, only the executor holding the claim may move it,
+ * except that the requestor may still cancel. Before then only the assignee
+ * may claim or decline it.
+ * @param {Object} change
+ * @param {string} change.from - Current status
+ * @param {string} change.to - Requested status
+ * @param {string} [change.actor] - Who is making the change; omitted when
+ *   the exchange itself makes it (e.g. the expiry sweep)
+ * @param {string} [change.requestor] - Thread requestor
+ * @param {string} [change.executor] - Executor holding the claim, if any
+ * @param {string} [change.assignee] - Executor the request is assigned to, if any
+ * @returns {{code: string, message: string}|null} null when allowed; otherwise
+ *   code is 'unknown_status', 'invalid_transition' or 'forbidden'
+ */
+export function checkTransition({ from, to, actor, requestor, executor, assignee }) {
+  const next = normalizeStatus(to);
+
+  if (!isKnownStatus(next)) {
+    return {
+      code: 'unknown_status',
+      message: `Unknown status "${to}". Expected one of: ${Object.keys(STATUS_TRANSITIONS).join(', ')}`
+    };
+  }
+
+  if (next === 'delegated') {
+    return { code: 'invalid_transition', message: EXCHANGE_ONLY.delegated };
+  }
+
+  if (!canTransition(from, next)) {
+    const allowed = (STATUS_TRANSITIONS[normalizeStatus(from)] || []).filter(s => s !== 'delegated');
+    return {
+      code: 'invalid_transition',
+      message: allowed.length > 0
+        ? `Cannot change status from ${from} to ${next}. Allowed: ${allowed.join(', ')}`
+        : `Cannot change status from ${from} to ${next}: ${from} is terminal`
+    };
+  }
+
+  if (!actor) return null;
+
+  if (EXCHANGE_ONLY[next]) {
+    return { code: 'forbidden', message: EXCHANGE_ONLY[next] };
+  }
+
+  if (REQUESTOR_ONLY.includes(next)) {
+    return actor === requestor ? null : {
+      code: 'forbidden',
+      message: `Only the requestor (${requestor}) may set status ${next}`
+    };
+  }
+
+  // declined is terminal, so an unclaimed request may only be turned down
+  // by the one executor it was assigned to; anyone else just doesn't claim it
+  if (next === 'declined' && normalizeStatus(from) === 'pending' && actor !== assignee) {
+    return {
+      code: 'forbidden',
+      message: assignee
+        ? `Only the assignee (${assignee}) may decline this request`
+        : 'Only an assigned request can be declined before it is claimed; leave it for another executor'
+    };
+  }
+
+  if (next === 'claimed' && assignee && actor !== assignee) {
+    return {
+      code: 'forbidden',
+      message: `Request is assigned to ${assignee}`
+    };
+  }
+
+  if (normalizeStatus(from) !== 'pending' && actor !== executor) {
+    return {
+      code: 'forbidden',
+      message: executor
+        ? `Only the claiming executor (${executor}) may set status ${next}`
+        : `Thread must be claimed before it can be ${next}`
+    };
+  }
+
+  return null;
+}
@@ -0,0 +1,243 @@
+/**
+ * MESSE-AF Validation
+ * Checks parsed threads and MESS messages against the schemas in schema.js.
+ *
+ * A small validator for the JSON Schema keywords those schemas use, rather
+ * than a schema library: this module also runs in Workers, which don't allow
+ * the code generation libraries like Ajv rely on.
+ */
+
+import { ENVELOPE_SCHEMA, MESSAGE_SCHEMAS, PROTOCOL_VERSIONS } from './schema.js';
+
+const LATEST_VERSION = PROTOCOL_VERSIONS[PROTOCOL_VERSIONS.length - 1];
+
+const DATE_TIME = /^\d{4}-\d{2}-\d{2}([Tt ]\d{2}:\d{2}(:\d{2}(\.\d+)?)?([Zz]|[+-]\d{2}:?\d{2})?)?$/;
+const DURATION = /^P(?!$)(\d+Y)?(\d+M)?(\d+W)?(\d+D)?(T(?=\d)(\d+H)?(\d+M)?(\d+(\.\d+)?S)?)?$/;
+
+/**
+ * Thrown for input that fails validation
+ */
+export class ValidationError extends Error {
+  /**
+   * @param {Array<{path: string, message: string}>} errors
+   * @param {string} what - What was being validated, for the message
+   */
+  constructor(errors, what = 'thread') {
+    super(`Invalid ${what}: ${formatErrors(errors)}`);
+    this.name = 'ValidationError';
+    this.errors = errors;
+  }
+}
+
+/**
+ * Join validation errors into one line
+ * @param {Array<{path: string, message: string}>} errors
+ * @returns {string}
+ */
+export function formatErrors(errors) {
+  return errors.map(e => (e.path ? `${e.path}: ${e.message}` : e.message)).join('; ');
+}
+
+function typeOf(value) {
+  if (value === null) return 'null';
+  if (Array.isArray(value)) return 'array';
+  if (Number.isInteger(value)) return 'integer';
+  return typeof value;
+}
+
+function matchesType(value, type) {
+  const actual = typeOf(value);
+  return [].concat(type).some(t => t === actual || (t === 'number' && actual === 'integer'));
+}
+
+function describe(value) {
+  return typeof value === 'string' ? JSON.stringify(value) : String(value);
+}
+
+function join(path, key) {
+  if (typeof key === 'number') return `${path}[${key}]`;
+  return path ? `${path}.${key}` : key;
+}
+
+function resolve(root, ref) {
+  const name = ref.replace(/^#\/\$defs\//, '');
+  const schema = root.$defs?.[name];
+  if (!schema) throw new Error(`Unknown schema reference: ${ref}`);
+  return schema;
+}
+
+/**
+ * Check a value against a schema
+ * @param {*} value
+ * @param {Object} schema
+ * @param {Object} options
+ * @param {string} options.path - Path of the value, for messages
+ * @param {Object} options.root - Schema that $refs resolve against (default: schema)
+ * @returns {Array<{path: string, message: string}>} Empty when valid
+ */
+export function validateSchema(value, schema, { path = '', root = schema } = {}) {
+  if (schema.$ref) {
+    return validateSchema(value, resolve(root, schema.$ref), { path, root });
+  }
+
+  if (schema.type && !matchesType(value, schema.type)) {
+    const expected = [].concat(schema.type).join(' or ');
+    return [{ path, message: `must be ${expected}, got ${typeOf(value)}` }];
+  }
+
+  if (schema.enum && !schema.enum.includes(value)) {
+    return [{ path, message: `unknown value ${describe(value)}; expected one of: ${schema.enum.join(', ')}` }];
+  }
+
+  const errors = [];
+  const type = typeOf(value);
+
+  if (type === 'string') {
+    if (schema.minLength !== undefined && value.length < schema.minLength) {
+      errors.push({ path, message: 'must not be empty' });
+    }
+    if (schema.pattern && !new RegExp(schema.pattern).test(value)) {
+      errors.push({ path, message: `${describe(value)} does not match ${schema.pattern}` });
+    }
+    if (schema.format === 'date-time' && (!DATE_TIME.test(value) || Number.isNaN(Date.parse(value)))) {
+      errors.push({ path, message: `${describe(value)} is not an ISO 8601 date-time` });
+    }
+    if (schema.format === 'duration' && !DURATION.test(value)) {
+      errors.push({ path, message: `${describe(value)} is not an ISO 8601 duration (e.g. PT45M)` });
+    }
+  }
+
+  if (type === 'integer' || type === 'number') {
+    if (schema.minimum !== undefined && value < schema.minimum) {
+      errors.push({ path, message: `must be at least ${schema.minimum}` });
+    }
+    if (schema.maximum !== undefined && value > schema.maximum) {
+      errors.push({ path, message: `must be at most ${schema.maximum}` });
+    }
+  }
+
+  if (type === 'array') {
+    if (schema.minItems !== undefined && value.length < schema.minItems) {
+      errors.push({ path, message: `must have at least ${schema.minItems} item${schema.minItems === 1 ? '' : 's'}` });
+    }
+    if (schema.items) {
+      value.forEach((item, i) => {
+        errors.push(...validateSchema(item, schema.items, { path: join(path, i), root }));
+      });
+    }
+  }
+
+  if (type === 'object') {
+    const keys = Object.keys(value);
+    if (schema.minProperties !== undefined && keys.length < schema.minProperties) {
+      errors.push({ path, message: 'must not be empty' });
+    }
+    if (schema.maxProperties === 1 && keys.length > 1) {
+      errors.push({ path, message: `must have a single key, got ${keys.join(', ')}` });
+    }
+    for (const key of schema.required || []) {
+      if (value[key] === undefined) {
+        errors.push({ path: join(path, key), message: 'is required' });
+      }
+    }
+    for (const [key, property] of Object.entries(schema.properties || {})) {
+      if (value[key] !== undefined) {
+        errors.push(...validateSchema(value[key], property, { path: join(path, key), root }));
+      }
+    }
+  }
+
+  if (schema.anyOf) {
+    const attempts = schema.anyOf.map(branch => validateSchema(value, branch, { path, root }));
+    if (attempts.every(attempt => attempt.length > 0)) {
+      const missing = attempts.map(([first]) => first.message === 'is required' && first.path.slice(path.length + 1));
+      errors.push({
+        path,
+        message: missing.every(Boolean)
+          ? `must have one of: ${missing.join(', ')}`
+          : attempts.map(attempt => formatErrors(attempt.slice(0, 1))).join(', or ')
+      });
+    }
+  }
+
+  return errors;
+}
+
+/**
+ * Protocol version a MESS list declares with a `v` item
+ * @param {Array} mess
+ * @returns {string|null} Major.minor, e.g. "1.1", or null if none
+ */
+export function messVersion(mess) {
+  const declared = Array.isArray(mess) ? mess.find(item => item?.v !== undefined)?.v : undefined;
+  if (declared === undefined) return null;
+  return String(declared).split('.').slice(0, 2).join('.');
+}
+
+function schemaFor(version, path) {
+  const schema = MESSAGE_SCHEMAS[version || LATEST_VERSION];
+  if (!schema) {
+    return {
+      errors: [{
+        path,
+        message: `unsupported protocol version ${version}; expected one of: ${PROTOCOL_VERSIONS.join(', ')}`
+      }]
+    };
+  }
+  return { schema };
+}
+
+/**
+ * Validate a MESS list, as sent to the exchange
+ * @param {Array} mess - [{ v? }, { request: ... }, ...]
+ * @param {Object} options
+ * @param {string} options.version - Protocol version when the list has no
+ *   `v` item (default: latest)
+ * @param {string} options.path - Path prefix for messages (default "MESS")
+ * @returns {{valid: boolean, errors: Array<{path: string, message: string}>}}
+ */
+export function validateMess(mess, { version = null, path = 'MESS' } = {}) {
+  const { schema, errors } = schemaFor(messVersion(mess) || version, path);
+  if (errors) return { valid: false, errors };
+  const found = validateSchema(mess, schema.$defs.mess, { path, root: schema });
+  return { valid: found.length === 0, errors: found };
+}
+
+/**
+ * Validate a parsed thread: the envelope and every message document.
+ * Messages use the version their MESS list declares, else the version of
+ * the thread's request, else the latest.
+ * @param {{envelope: Object, messages: Array}} thread - From parseThread/parseThreadV1
+ * @returns {{valid: boolean, errors: Array<{path: string, message: string}>}}
+ */
+export function validateThread({ envelope, messages = [] } = {}) {
+  const errors = envelope === undefined || envelope === null
+    ? [{ path: 'envelope', message: 'is required' }]
+    : validateSchema(envelope, ENVELOPE_SCHEMA, { path: 'envelope' });
+
+  if (!Array.isArray(messages)) {
+    errors.push({ path: 'messages', message: `must be array, got ${typeOf(messages)}` });
+    return { valid: false, errors };
+  }
+
+  const threadVersion = messVersion(messages.find(m => m?.MESS?.some?.(item => item?.request))?.MESS);
+  messages.forEach((message, i) => {
+    const path = `messages[${i}]`;
+    const { schema, errors: versionErrors } = schemaFor(messVersion(message?.MESS) || threadVersion, `${path}.MESS`);
+    errors.push(...(versionErrors || validateSchema(message, schema, { path })));
+  });
+
+  return { valid: errors.length === 0, errors };
+}
+
+/**
+ * Validate a parsed thread, throwing if it is invalid
+ * @param {{envelope: Object, messages: Array}} thread
+ * @returns {Object} The thread
+ * @throws {ValidationError}
+ */
+export function assertValidThread(thread) {
+  const { valid, errors } = validateThread(thread);
+  if (!valid) throw new ValidationError(errors);
+  return thread;
+}
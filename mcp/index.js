@@ -20,6 +20,7 @@ import {
   ReadResourceRequestSchema
 } from '@modelcontextprotocol/sdk/types.js';
 import * as fs from 'fs/promises';
+import { createReadStream } from 'fs';
 import * as path from 'path';
 import * as os from 'os';
 import YAML from 'yaml';
@@ -28,15 +29,29 @@ import YAML from 'yaml';
 import {
   parseThread,
   parseThreadV1,
+  readThread,
+  readEnvelope,
   serializeThread,
   getAttachmentType,
   getExtensionFromMime,
   sanitizeFilename,
   getFolderForStatus,
   STATUS_FOLDERS,
+  TERMINAL_STATUSES,
+  normalizeStatus,
+  checkTransition,
+  getConfirmationState,
+  checkConfirmation,
   MAX_FILE_SIZE,
   MAX_INLINE_SIZE,
-  rewriteToResourceURIs
+  rewriteToResourceURIs,
+  messeAfSearchThread,
+  createSearchIndex,
+  addToSearchIndex,
+  removeFromSearchIndex,
+  searchIndex,
+  validateMess,
+  formatErrors
 } from '@messe-af/core';
 
 // Config
@@ -66,6 +81,10 @@ const SYNC_INTERVAL = parseInt(process.env.MESS_SYNC_INTERVAL || '30000', 10); /
 // Thread state tracking for change detection
 const threadStateCache = new Map(); // ref -> { status, updated, executor }
 
+// Full-text index for mess_search, and the version of each thread in it
+const threadSearchIndex = createSearchIndex();
+const threadSearchVersions = new Map(); // ref -> version from listEnvelopes
+
 // Track last status check time for "new since last check" feature
 let lastStatusCheckTime = null;
 const threadLastSeenState = new Map(); // ref -> { status, updated } at last check
@@ -150,6 +169,7 @@ async function readResource(uri) {
 - \`mess_answer\` - Answer executor questions (when status is needs_input)
 - \`mess_cancel\` - Cancel a request
 - \`mess_capabilities\` - List available capabilities
+- \`mess_search\` - Find past or current requests by words in the intent, context or messages
 
 ## Fetching Attachments
 
@@ -819,6 +839,7 @@ async function createRequest(from, request) {
   // v1.1 envelope fields
   if (request.needed_by) envelope.needed_by = request.needed_by;
   if (request.confirm_before) envelope.confirm_before = request.confirm_before;
+  if (request.assignee) envelope.assignee = request.assignee;
 
   const messages = [
     { from, received: now, channel: 'mcp', MESS: [{ v: protocolVersion }, { request }] },
@@ -849,6 +870,7 @@ async function createRequest(from, request) {
 
   // Track for change notifications
   trackThread(ref, envelope);
+  await indexWritten(envelope, messages, 'received');
 
   return { ref, status: 'pending', message: `Request created: ${ref}` };
 }
@@ -859,6 +881,50 @@ async function updateThread(ref, from, mess, newStatus = null) {
     return { error: `Thread ${ref} not found` };
   }
 
+  // status: delegated with delegated_to hands the thread to another
+  // executor: it goes back to pending, claimable only by them
+  const delegatedTo = mess?.find(item => item.status?.code === 'delegated')?.status.delegated_to;
+  if (newStatus === 'delegated' && delegatedTo) {
+    if (TERMINAL_STATUSES.includes(found.envelope.status)) {
+      return { error: `Cannot delegate a ${found.envelope.status} request`, ref, status: found.envelope.status };
+    }
+    const holder = found.envelope.executor || found.envelope.assignee;
+    if (from !== found.envelope.requestor && from !== holder) {
+      return {
+        error: holder ? `Only the requestor or ${holder} may delegate this request` : 'Only the requestor may delegate an unclaimed request',
+        ref,
+        status: found.envelope.status
+      };
+    }
+    if (delegatedTo === holder) {
+      return { error: `Request is already with ${delegatedTo}`, ref, status: found.envelope.status };
+    }
+  } else if (newStatus) {
+    newStatus = normalizeStatus(newStatus);
+    if (newStatus !== found.envelope.status) {
+      const invalid = checkTransition({
+        from: found.envelope.status,
+        to: newStatus,
+        actor: from,
+        requestor: found.envelope.requestor,
+        executor: found.envelope.executor,
+        assignee: found.envelope.assignee
+      });
+      if (invalid) {
+        return { error: invalid.message, ref, status: found.envelope.status };
+      }
+    }
+  }
+
+  // confirm_before: no response until the requestor has replied confirm: true
+  const unconfirmed = checkConfirmation(
+    getConfirmationState(found.envelope, found.messages),
+    { status: newStatus, mess }
+  );
+  if (unconfirmed) {
+    return { error: unconfirmed.message, ref, status: found.envelope.status };
+  }
+
   const now = new Date().toISOString();
   const envelope = { ...found.envelope };
   const messages = [...found.messages];
@@ -870,7 +936,13 @@ async function updateThread(ref, from, mess, newStatus = null) {
   // Update status if changed
   const oldFolder = STATUS_FOLDERS[envelope.status] || 'received';
 
-  if (newStatus && newStatus !== envelope.status) {
+  if (newStatus === 'delegated' && delegatedTo) {
+    envelope.status = 'pending';
+    envelope.executor = null;
+    envelope.assignee = delegatedTo;
+    envelope.updated = now;
+    envelope.history.push({ action: 'delegated', at: now, by: from, to: delegatedTo });
+  } else if (newStatus && newStatus !== envelope.status) {
     envelope.status = newStatus;
     envelope.updated = now;
     envelope.history.push({ action: newStatus, at: now, by: from });
@@ -943,6 +1015,7 @@ async function updateThread(ref, from, mess, newStatus = null) {
       });
     }
 
+    await indexWritten(envelope, messages, newFolder);
     return { ref, status: envelope.status };
   }
 
@@ -1000,9 +1073,97 @@ async function updateThread(ref, from, mess, newStatus = null) {
     }
   }
 
+  await indexWritten(envelope, messages, newFolder);
   return { ref, status: envelope.status };
 }
 
+/**
+ * Envelopes of the threads in some folders, local first, then any only on
+ * GitHub. Only the envelope is read: attachments and messages (which may
+ * carry inline photos) stay where they are.
+ * @param {string[]} folders - state= folders to list
+ * @returns {Promise<Array>} Envelopes plus folder, source, format and
+ *   version (changes whenever any of the thread's YAML does)
+ */
+async function listEnvelopes(folders) {
+  const results = [];
+
+  for (const folder of folders) {
+    // Local
+    if (!GITHUB_ONLY) {
+      try {
+        const folderPath = path.join(MESS_DIR, `state=${folder}`);
+        const entries = await fs.readdir(folderPath, { withFileTypes: true });
+
+        for (const entry of entries) {
+          try {
+            if (entry.isDirectory()) {
+              // v2 format
+              const dirPath = path.join(folderPath, entry.name);
+              const files = await fs.readdir(dirPath);
+              const { envelope } = await readThread(files, f => createReadStream(path.join(dirPath, f)), { envelopeOnly: true });
+              const version = await localVersion(dirPath, files);
+              results.push({ ...envelope, folder, source: 'local', format: 'v2', dirPath, version });
+            } else if (entry.name.endsWith('.messe-af.yaml')) {
+              // v1 format
+              const filePath = path.join(folderPath, entry.name);
+              const envelope = await readEnvelope(createReadStream(filePath));
+              const version = await localVersion(filePath);
+              results.push({ ...envelope, folder, source: 'local', format: 'v1', filePath, version });
+            }
+          } catch (e) {}
+        }
+      } catch (e) {}
+    }
+
+    // GitHub (only if not already found locally)
+    if (github) {
+      const entries = await github.listFolder(folder);
+
+      for (const entry of entries) {
+        try {
+          if (entry.type === 'dir') {
+            // v2 format; a directory's sha changes with any file in it
+            const ref = entry.name;
+            if (results.some(r => r.ref === ref)) continue;
+
+            const ghDirPath = `exchange/state=${folder}/${ref}`;
+            const dirContents = await github.getDirectory(ghDirPath);
+            const files = (dirContents || []).filter(f => f.type === 'file').map(f => f.name);
+            if (files.some(f => f.endsWith('.messe-af.yaml'))) {
+              const { envelope } = await readThread(files, async f => (await github.getFile(`${ghDirPath}/${f}`))?.content, { envelopeOnly: true });
+              results.push({ ...envelope, folder, source: 'github', format: 'v2', ghDirPath, files, version: entry.sha });
+            }
+          } else if (entry.name.endsWith('.messe-af.yaml')) {
+            // v1 format
+            const ref = entry.name.replace('.messe-af.yaml', '');
+            if (results.some(r => r.ref === ref)) continue;
+
+            const ghPath = `exchange/state=${folder}/${entry.name}`;
+            const result = await github.getFile(ghPath);
+            if (result) {
+              const envelope = await readEnvelope(result.content);
+              results.push({ ...envelope, folder, source: 'github', format: 'v1', ghPath, version: result.sha });
+            }
+          }
+        } catch (e) {}
+      }
+    }
+  }
+
+  return results;
+}
+
+// Size and modification time of a v1 file, or of each YAML file in a v2
+// directory (attachments never change once written)
+async function localVersion(filePath, files = null) {
+  const paths = files
+    ? files.filter(f => f.endsWith('.messe-af.yaml')).sort().map(f => path.join(filePath, f))
+    : [filePath];
+  const stats = await Promise.all(paths.map(p => fs.stat(p)));
+  return stats.map((stat, i) => `${path.basename(paths[i])}:${stat.size}:${stat.mtimeMs}`).join('|');
+}
+
 async function getStatus(ref) {
   if (ref) {
     const found = await findThread(ref);
@@ -1052,6 +1213,13 @@ async function getStatus(ref) {
           resource: `content://${env.ref}/${a.name}`
         }));
       }
+    } else if (env.status === 'needs_confirmation') {
+      // Show what the executor wants approved; reply with confirm: true/false
+      const confirmation = getConfirmationState(found.envelope, found.messages);
+      if (confirmation?.status === 'pending') {
+        const { action, consequences, reversible, requested_by } = confirmation;
+        result.confirmation = { action, consequences, reversible, requested_by };
+      }
     } else if (env.status === 'needs_input') {
       // Show the question being asked
       const questions = rewritten.messages?.filter(m => m.from !== env.requestor) || [];
@@ -1067,82 +1235,7 @@ async function getStatus(ref) {
   }
 
   // List all active threads
-  const results = [];
-
-  for (const folder of ['received', 'executing']) {
-    // Local
-    if (!GITHUB_ONLY) {
-      try {
-        const folderPath = path.join(MESS_DIR, `state=${folder}`);
-        const entries = await fs.readdir(folderPath, { withFileTypes: true });
-
-        for (const entry of entries) {
-          try {
-            if (entry.isDirectory()) {
-              // v2 format
-              const dirPath = path.join(folderPath, entry.name);
-              const files = await fs.readdir(dirPath);
-              const fileContents = [];
-              for (const f of files) {
-                const content = await fs.readFile(path.join(dirPath, f), 'utf-8');
-                fileContents.push({ name: f, content });
-              }
-              const { envelope } = parseThread(fileContents);
-              results.push({ ...envelope, folder, source: 'local', format: 'v2' });
-            } else if (entry.name.endsWith('.messe-af.yaml')) {
-              // v1 format
-              const content = await fs.readFile(path.join(folderPath, entry.name), 'utf-8');
-              const { envelope } = parseThreadV1(content);
-              results.push({ ...envelope, folder, source: 'local', format: 'v1' });
-            }
-          } catch (e) {}
-        }
-      } catch (e) {}
-    }
-
-    // GitHub (only if not already found locally)
-    if (github) {
-      const entries = await github.listFolder(folder);
-
-      for (const entry of entries) {
-        try {
-          if (entry.type === 'dir') {
-            // v2 format
-            const ref = entry.name;
-            if (results.some(r => r.ref === ref)) continue;
-
-            const ghDirPath = `exchange/state=${folder}/${ref}`;
-            const dirContents = await github.getDirectory(ghDirPath);
-            if (dirContents) {
-              const files = [];
-              for (const f of dirContents) {
-                if (f.type === 'file' && f.name.endsWith('.messe-af.yaml')) {
-                  const fileData = await github.getFile(`${ghDirPath}/${f.name}`);
-                  if (fileData) {
-                    files.push({ name: f.name, content: fileData.content });
-                  }
-                }
-              }
-              if (files.length > 0) {
-                const { envelope } = parseThread(files);
-                results.push({ ...envelope, folder, source: 'github', format: 'v2' });
-              }
-            }
-          } else if (entry.name.endsWith('.messe-af.yaml')) {
-            // v1 format
-            const ref = entry.name.replace('.messe-af.yaml', '');
-            if (results.some(r => r.ref === ref)) continue;
-
-            const result = await github.getFile(`exchange/state=${folder}/${entry.name}`);
-            if (result) {
-              const { envelope } = parseThreadV1(result.content);
-              results.push({ ...envelope, folder, source: 'github', format: 'v1' });
-            }
-          }
-        } catch (e) {}
-      }
-    }
-  }
+  const results = await listEnvelopes(['received', 'executing']);
 
   // Add "hasUpdates" flag based on changes since last check
   const now = new Date().toISOString();
@@ -1174,6 +1267,81 @@ async function getStatus(ref) {
   }));
 }
 
+/**
+ * Add or replace a thread in the search index
+ * @param {Object} envelope
+ * @param {Array} messages
+ * @param {string|null} version - What listEnvelopes will report for the
+ *   thread as indexed; null to have the next search read it again
+ */
+function indexThread(envelope, messages, version = null) {
+  addToSearchIndex(threadSearchIndex, messeAfSearchThread(envelope, messages));
+  threadSearchVersions.set(envelope.ref, version);
+}
+
+// Index a thread this server just wrote; a local copy's version is known,
+// one only pushed to GitHub is read again by the next search
+async function indexWritten(envelope, messages, folder) {
+  let version = null;
+  if (!GITHUB_ONLY) {
+    try {
+      const dirPath = path.join(MESS_DIR, `state=${folder}`, envelope.ref);
+      version = await localVersion(dirPath, await fs.readdir(dirPath));
+    } catch (e) {}
+  }
+  indexThread(envelope, messages, version);
+}
+
+// Messages of a listed thread (from listEnvelopes); attachment files aren't read
+async function readListedMessages(listed) {
+  if (listed.source === 'local' && listed.format === 'v2') {
+    const files = await fs.readdir(listed.dirPath);
+    return (await readThread(files, f => createReadStream(path.join(listed.dirPath, f)))).messages;
+  }
+  if (listed.source === 'github' && listed.format === 'v2') {
+    return (await readThread(listed.files, async f => (await github.getFile(`${listed.ghDirPath}/${f}`))?.content)).messages;
+  }
+  const content = listed.source === 'local'
+    ? await fs.readFile(listed.filePath, 'utf-8')
+    : (await github.getFile(listed.ghPath))?.content;
+  return parseThreadV1(content ?? '').messages;
+}
+
+/**
+ * Full-text search across every thread (all folders, local and GitHub).
+ * The index is kept as this server writes; threads other clients changed
+ * since (a different version from listEnvelopes) are read again first.
+ * @param {string} q - Words to find in intents, context and messages
+ * @param {number} limit - Maximum hits
+ */
+async function searchThreads(q, limit = 10) {
+  const listed = await listEnvelopes(['received', 'executing', 'finished', 'canceled']);
+  const envelopes = new Map(listed.map(t => [t.ref, t]));
+
+  for (const ref of threadSearchVersions.keys()) {
+    if (!envelopes.has(ref)) {
+      removeFromSearchIndex(threadSearchIndex, ref);
+      threadSearchVersions.delete(ref);
+    }
+  }
+  for (const thread of listed) {
+    if (threadSearchVersions.get(thread.ref) === thread.version) continue;
+    try {
+      const messages = await readListedMessages(thread);
+      indexThread(thread, messages, thread.version);
+    } catch (e) {}
+  }
+
+  return searchIndex(threadSearchIndex, q, { limit }).map(hit => ({
+    ref: hit.ref,
+    status: envelopes.get(hit.ref).status,
+    intent: envelopes.get(hit.ref).intent,
+    score: hit.score,
+    message_ref: hit.message_ref,
+    matched: [...new Set(hit.matches.map(m => m.field))]
+  }));
+}
+
 // ============ MCP Server ============
 const server = new Server(
   { name: 'mess', version: '2.1.0' },
@@ -1293,6 +1461,15 @@ Returns the ref for tracking with mess_wait/mess_status.`,
           confirm_before: {
             type: 'boolean',
             description: 'If true, executor must get confirmation before proceeding. Use for consequential or irreversible actions.'
+          },
+          required_capabilities: {
+            type: 'array',
+            items: { type: 'string' },
+            description: 'Capability IDs an executor must have to take this request (see mess_capabilities). Only matching executors are notified.'
+          },
+          assignee: {
+            type: 'string',
+            description: 'Executor ID to assign the request to. Only they can claim it; they can delegate it onward with status code delegated.'
           }
         },
         required: ['intent']
@@ -1352,6 +1529,23 @@ For thread/text data, returns the content directly.`,
         required: ['uri']
       }
     },
+    {
+      name: 'mess_search',
+      description: `Search all requests, including finished ones, by words in the
+intent, request context or messages (e.g. "water heater").
+
+Returns hits best first: { ref, status, intent, score, message_ref, matched }.
+message_ref is the best matching message, if a message matched.
+Follow up with mess_status(ref) or mess_fetch thread://ref.`,
+      inputSchema: {
+        type: 'object',
+        properties: {
+          query: { type: 'string', description: 'Words to search for' },
+          limit: { type: 'number', description: 'Max hits (default: 10)' }
+        },
+        required: ['query']
+      }
+    },
     {
       name: 'mess_wait',
       description: `Block until a thread changes or timeout expires.
@@ -1392,6 +1586,13 @@ server.setRequestHandler(CallToolRequestSchema, async (request) => {
   try {
     if (name === 'mess') {
       const mess = YAML.parse(args.message);
+      const validation = validateMess(mess);
+      if (!validation.valid) {
+        return {
+          content: [{ type: 'text', text: `Invalid MESS message: ${formatErrors(validation.errors)}` }],
+          isError: true
+        };
+      }
       const hasRequest = mess.some(m => m.request);
 
       let result;
@@ -1401,7 +1602,8 @@ server.setRequestHandler(CallToolRequestSchema, async (request) => {
       } else {
         const statusItem = mess.find(m => m.status);
         const cancelItem = mess.find(m => m.cancel);
-        const ref = statusItem?.status?.re || cancelItem?.cancel?.re;
+        const replyItem = mess.find(m => m.reply);
+        const ref = statusItem?.status?.re || cancelItem?.cancel?.re || replyItem?.reply?.re;
 
         if (!ref) {
           result = { error: 'Missing re: field' };
@@ -1441,6 +1643,8 @@ server.setRequestHandler(CallToolRequestSchema, async (request) => {
       // v1.1 fields
       if (args.needed_by) req.needed_by = args.needed_by;
       if (args.confirm_before) req.confirm_before = args.confirm_before;
+      if (args.required_capabilities?.length) req.required_capabilities = args.required_capabilities;
+      if (args.assignee) req.assignee = args.assignee;
 
       const result = await createRequest(AGENT_ID, req);
       return { content: [{ type: 'text', text: YAML.stringify(result) }] };
@@ -1505,6 +1709,11 @@ server.setRequestHandler(CallToolRequestSchema, async (request) => {
       }
     }
 
+    if (name === 'mess_search') {
+      const result = await searchThreads(args.query, Math.min(Math.max(args.limit || 10, 1), 50));
+      return { content: [{ type: 'text', text: YAML.stringify(result) }] };
+    }
+
     if (name === 'mess_wait') {
       const timeout = Math.min(Math.max(args.timeout || 60, 1), 43200); // 1 second to 12 hours
       const targetRef = args.ref;
@@ -26,6 +26,17 @@ const STATUS_FOLDERS = {
 // Import YAML for testing serialization
 import YAML from 'yaml';
 
+import {
+  checkTransition,
+  getConfirmationState,
+  checkConfirmation,
+  messeAfSearchThread,
+  buildSearchIndex,
+  searchIndex,
+  validateMess,
+  formatErrors
+} from '@messe-af/core';
+
 function serializeThread(envelope, messages) {
   return [envelope, ...messages].map(d => YAML.stringify(d, { lineWidth: -1 })).join('---\n');
 }
@@ -449,6 +460,31 @@ describe('MESS Message Parsing', () => {
   });
 });
 
+describe('MESS Validation', () => {
+  it('accepts messages the mess tool handles', () => {
+    for (const yaml of [
+      '- request:\n    intent: Check the garage door',
+      '- status:\n    re: 2026-02-01-001\n    code: claimed',
+      '- cancel:\n    re: 2026-02-01-001\n    reason: No longer needed',
+      '- reply:\n    re: 2026-02-01-001\n    confirm: true'
+    ]) {
+      assert.deepStrictEqual(validateMess(YAML.parse(yaml)), { valid: true, errors: [] }, yaml);
+    }
+  });
+
+  it('explains what is wrong and where', () => {
+    const mess = YAML.parse(`- status:
+    re: 2026-02-01-001
+    code: finished
+- response:
+    content: The garage door is closed`);
+
+    const { valid, errors } = validateMess(mess);
+    assert.strictEqual(valid, false);
+    assert.match(formatErrors(errors), /^MESS\[0\]\.status\.code: unknown value "finished"; .*; MESS\[1\]\.response\.content: must be array, got string$/);
+  });
+});
+
 describe('Reference Generation', () => {
   it('generates refs in correct format', () => {
     const today = new Date().toISOString().split('T')[0];
@@ -494,6 +530,52 @@ describe('Thread State Transitions', () => {
     assert.strictEqual(folder, 'finished');
   });
 
+  it('rejects illegal transitions from the shared state machine', () => {
+    const result = checkTransition({ from: 'completed', to: 'claimed', actor: 'human' });
+    assert.strictEqual(result.code, 'invalid_transition');
+  });
+
+  it('rejects cancellation by an agent that did not make the request', () => {
+    const envelope = { status: 'pending', requestor: 'agent-a', executor: null };
+    const result = checkTransition({
+      from: envelope.status,
+      to: 'cancelled',
+      actor: 'agent-b',
+      requestor: envelope.requestor,
+      executor: envelope.executor
+    });
+    assert.strictEqual(result.code, 'forbidden');
+  });
+
+  it('rejects claims on a request assigned to someone else', () => {
+    const envelope = { status: 'pending', requestor: 'agent', executor: null, assignee: 'phone' };
+    const claim = (actor) => checkTransition({
+      from: envelope.status,
+      to: 'claimed',
+      actor,
+      requestor: envelope.requestor,
+      executor: envelope.executor,
+      assignee: envelope.assignee
+    });
+    assert.strictEqual(claim('tablet').code, 'forbidden');
+    assert.strictEqual(claim('phone'), null);
+  });
+
+  it('blocks completing a confirm_before request until the agent confirms', () => {
+    const envelope = { ref: '2026-02-01-001', requestor: 'agent', confirm_before: true };
+    const messages = [
+      { from: 'agent', MESS: [{ request: { intent: 'Close the valve', confirm_before: true } }] },
+      { from: 'human', MESS: [{ status: { code: 'needs_confirmation', action: 'Close valve' } }] }
+    ];
+
+    const pending = getConfirmationState(envelope, messages);
+    assert.strictEqual(pending.action, 'Close valve');
+    assert.ok(checkConfirmation(pending, { status: 'completed' }));
+
+    messages.push({ from: 'agent', MESS: [{ reply: { re: '2026-02-01-001', confirm: true } }] });
+    assert.strictEqual(checkConfirmation(getConfirmationState(envelope, messages), { status: 'completed' }), null);
+  });
+
   it('history is appended on status change', () => {
     const envelope = {
       ref: '2026-02-01-001',
@@ -1937,3 +2019,144 @@ describe('mess_wait Tool', () => {
     assert.strictEqual(response.timedOut, true);
   });
 });
+
+describe('mess_search Tool', () => {
+  const thread = (ref, intent, response) => parseThread(serializeThread(
+    { ref, requestor: 'claude-agent', status: 'completed', intent },
+    [
+      { from: 'claude-agent', MESS: [{ request: { intent } }] },
+      { from: 'exchange', MESS: [{ ack: { re: 'last', ref } }] },
+      ...(response ? [
+        { from: 'phone', MESS: [{ response: { re: ref, content: [response] } }] },
+        { from: 'exchange', MESS: [{ ack: { ref: `${ref}/response-001` } }] }
+      ] : [])
+    ]
+  ));
+
+  const index = buildSearchIndex([
+    thread('2026-01-12-004', 'Check the basement', 'Water heater pilot light was out'),
+    thread('2026-01-20-001', 'Buy milk')
+  ].map(t => messeAfSearchThread(t.envelope, t.messages)));
+
+  it('finds threads by words in their messages', () => {
+    const hits = searchIndex(index, 'water heater');
+    assert.strictEqual(hits.length, 1);
+    assert.strictEqual(hits[0].ref, '2026-01-12-004');
+    assert.strictEqual(hits[0].message_ref, '2026-01-12-004/response-001');
+  });
+
+  it('returns no hits when a word is missing', () => {
+    assert.deepStrictEqual(searchIndex(index, 'heater milk'), []);
+  });
+});
+
+describe('mess_search against the server', () => {
+  let messDir;
+  let client;
+
+  const search = async query => {
+    const result = await client.callTool({ name: 'mess_search', arguments: { query } });
+    return YAML.parse(result.content[0].text).map(hit => hit.ref);
+  };
+
+  // A thread written by another client, straight to the exchange directory
+  const writeThread = async (folder, ref, texts) => {
+    const dir = path.join(messDir, `state=${folder}`, ref);
+    await fs.mkdir(dir, { recursive: true });
+    const envelope = { ref, requestor: 'pwa', status: 'completed', intent: 'Look outside' };
+    const messages = [
+      { from: 'pwa', MESS: [{ request: { intent: 'Look outside' } }] },
+      ...texts.map(text => ({ from: 'phone', MESS: [{ response: { re: ref, content: [text] } }] }))
+    ];
+    await fs.writeFile(path.join(dir, `000-${ref}.messe-af.yaml`), serializeThread(envelope, messages));
+    return dir;
+  };
+
+  beforeEach(async () => {
+    messDir = await fs.mkdtemp(path.join(os.tmpdir(), 'mess-search-test-'));
+    const { Client } = await import('@modelcontextprotocol/sdk/client/index.js');
+    const { StdioClientTransport } = await import('@modelcontextprotocol/sdk/client/stdio.js');
+    client = new Client({ name: 'test', version: '1.0.0' }, { capabilities: {} });
+    await client.connect(new StdioClientTransport({
+      command: process.execPath,
+      args: [path.join(__dirname, '..', 'index.js')],
+      env: {
+        PATH: process.env.PATH,
+        MESS_DIR: messDir,
+        MESS_CACHE_DIR: path.join(messDir, '.cache'),
+        MESS_SYNC_ENABLED: 'false'
+      },
+      stderr: 'ignore'
+    }));
+  });
+
+  afterEach(async () => {
+    await client.close();
+    await fs.rm(messDir, { recursive: true, force: true });
+  });
+
+  it('indexes what it writes and picks up what other clients change', async () => {
+    const created = await client.callTool({ name: 'mess_request', arguments: { intent: 'Check the water heater' } });
+    const { ref } = YAML.parse(created.content[0].text);
+    assert.deepStrictEqual(await search('water heater'), [ref]);
+
+    await client.callTool({ name: 'mess_answer', arguments: { ref, answer: 'The pilot light is out' } });
+    assert.deepStrictEqual(await search('pilot light'), [ref]);
+
+    // Attachments are never opened: this one can't even be read as a file
+    const dir = await writeThread('finished', '2026-01-12-004', ['Garage door was open']);
+    await fs.mkdir(path.join(dir, 'att-001-image-door.jpg'));
+    assert.deepStrictEqual(await search('garage'), ['2026-01-12-004']);
+
+    // A message added without touching the envelope is still found
+    await writeThread('finished', '2026-01-12-004', ['Garage door was open', 'Closed it and checked the tyres']);
+    assert.deepStrictEqual(await search('tyres'), ['2026-01-12-004']);
+
+    await fs.rm(dir, { recursive: true });
+    assert.deepStrictEqual(await search('garage'), []);
+    assert.deepStrictEqual(await search('water heater'), [ref]);
+  });
+});
+
+describe('Delegation against the server', () => {
+  let messDir;
+  let client;
+
+  const send = async message => {
+    const result = await client.callTool({ name: 'mess', arguments: { message: YAML.stringify(message) } });
+    return YAML.parse(result.content[0].text);
+  };
+
+  beforeEach(async () => {
+    messDir = await fs.mkdtemp(path.join(os.tmpdir(), 'mess-delegate-test-'));
+    const { Client } = await import('@modelcontextprotocol/sdk/client/index.js');
+    const { StdioClientTransport } = await import('@modelcontextprotocol/sdk/client/stdio.js');
+    client = new Client({ name: 'test', version: '1.0.0' }, { capabilities: {} });
+    await client.connect(new StdioClientTransport({
+      command: process.execPath,
+      args: [path.join(__dirname, '..', 'index.js')],
+      env: {
+        PATH: process.env.PATH,
+        MESS_DIR: messDir,
+        MESS_CACHE_DIR: path.join(messDir, '.cache'),
+        MESS_SYNC_ENABLED: 'false'
+      },
+      stderr: 'ignore'
+    }));
+  });
+
+  afterEach(async () => {
+    await client.close();
+    await fs.rm(messDir, { recursive: true, force: true });
+  });
+
+  it('refuses to delegate a request to whoever already has it', async () => {
+    const { ref } = await send([{ v: '1.0.0' }, { request: { intent: 'Check the garage', assignee: 'phone' } }]);
+
+    const again = await send([{ status: { re: ref, code: 'delegated', delegated_to: 'phone' } }]);
+    assert.strictEqual(again.error, 'Request is already with phone');
+
+    const moved = await send([{ status: { re: ref, code: 'delegated', delegated_to: 'tablet' } }]);
+    assert.strictEqual(moved.error, undefined);
+  });
+});
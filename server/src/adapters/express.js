@@ -12,25 +12,93 @@
  *   MESSE_AF_VERSION=1|2 (for messe-af mode)
  *   STORAGE_PATH=./data (for filesystem)
  *   S3_ENDPOINT, S3_BUCKET, S3_ACCESS_KEY, S3_SECRET_KEY (for s3)
- *   BLOB_STORAGE_TYPE=s3|filesystem (optional separate blob storage)
+ *   BLOB_STORAGE_TYPE=s3|filesystem (optional separate blob storage, also for uploads)
+ *   ATTACHMENT_MAX_SIZE=10mb, ATTACHMENT_TYPES=image/*,application/pdf,...
+ *   ATTACHMENT_LIMITS={"<exchange_id>": {"max_size", "types"}} (per-exchange upload limits)
+ *   ATTACHMENT_URL_TTL=900 (seconds pre-signed and signed attachment URLs stay valid)
+ *   URL_SIGNING_SECRET (key for signed /blobs URLs; default: generated and kept in storage)
+ *   PUBLIC_URL (origin used in signed URLs, e.g. https://mess.example.com; default: request host)
+ *   IMAGE_STRIP_METADATA=true (remove EXIF/GPS from uploaded and inline images)
+ *   IMAGE_FORMAT=jpeg, IMAGE_NORMALIZE=image/heic,image/heif,image/png, IMAGE_QUALITY=85
+ *     (converting images and thumbnails needs the optional sharp package)
+ *   THUMBNAIL_SIZE=320 (longest thumbnail edge in pixels; 0 disables)
+ *   EXPIRY_SWEEP_SECONDS=60 (how often to expire requests past needed_by; 0 disables)
+ *   DELIVERY_MAX_ATTEMPTS=5, DELIVERY_RETRY_BASE=30, DELIVERY_RETRY_MAX=3600, DELIVERY_TIMEOUT=10
+ *     (hook and notification retries; seconds double from the base up to the max)
+ *   DELIVERY_SWEEP_SECONDS=15 (how often to retry failed deliveries; 0 disables)
+ *   REGISTRATION=invite|open (invite: admin key or invite code required after the first executor)
+ *   RATE_LIMIT_KEY=120/60, RATE_LIMIT_IP=300/60, RATE_LIMIT_REGISTER=10/3600
+ *     (token buckets as <requests>/<seconds>; 0 disables)
+ *   MAX_OPEN_REQUESTS=100 (open requests per requestor; 0 disables)
+ *   TRUST_PROXY (Express "trust proxy" setting, e.g. 1 behind one reverse proxy)
  */
 
 import express from 'express';
 import cors from 'cors';
 import { createStorageFromEnv, getStorageDescription } from '../storage/index.js';
-import { createHandlers } from '../core.js';
+import { createBlobStoreFromEnv } from '../storage/blob-store.js';
+import { createHandlers, hasScope } from '../core.js';
+import { createRateLimiter, limitsFromEnv, MemoryLimiterStore } from '../rate-limit.js';
+import {
+  attachmentLimitsFromEnv,
+  maxAttachmentSize,
+  readUpload,
+  contentTypeFor,
+} from '../attachments.js';
+import { imageOptionsFromEnv } from '../images.js';
+import { createSharpProcessor } from '../sharp-processor.js';
+import { deliveryOptionsFromEnv } from '../deliveries.js';
 
 const app = express();
-app.use(cors());
-app.use(express.json({ limit: '10mb' }));
-app.use(express.text({ type: ['application/yaml', 'text/yaml'], limit: '10mb' }));
+if (process.env.TRUST_PROXY) {
+  // Needed for per-IP limits behind a proxy; otherwise req.ip is the proxy
+  const trust = process.env.TRUST_PROXY;
+  app.set('trust proxy', /^\d+$/.test(trust) ? Number(trust) : trust);
+}
+
+// Uploads keep their raw body (a JSON or text file stays a file)
+const isUpload = req =>
+  (req.method === 'POST' && /\/requests\/[^/]+\/attachments$/.test(req.path)) ||
+  (req.method === 'PUT' && /\/exchanges\/[^/]+\/blobs\//.test(req.path));
+
+app.use(cors({ exposedHeaders: ['ETag'] }));
+app.use(express.json({ limit: '10mb', type: req => !isUpload(req) && !!req.is('application/json') }));
+app.use(express.text({
+  type: req => !isUpload(req) && !!req.is(['application/yaml', 'text/yaml']),
+  limit: '10mb',
+}));
 
 // Initialize storage and handlers
 const storage = await createStorageFromEnv();
-const handlers = createHandlers(storage);
+const attachmentLimits = attachmentLimitsFromEnv(process.env);
+const imageProcessor = await createSharpProcessor();
+const handlers = createHandlers(storage, {
+  registration: process.env.REGISTRATION,
+  maxOpenRequests: process.env.MAX_OPEN_REQUESTS !== undefined
+    ? parseInt(process.env.MAX_OPEN_REQUESTS, 10)
+    : undefined,
+  blobStore: await createBlobStoreFromEnv(storage),
+  attachments: attachmentLimits,
+  presignTtlSeconds: process.env.ATTACHMENT_URL_TTL !== undefined
+    ? parseInt(process.env.ATTACHMENT_URL_TTL, 10)
+    : undefined,
+  signingSecret: process.env.URL_SIGNING_SECRET,
+  images: imageOptionsFromEnv(process.env),
+  imageProcessor,
+  deliveries: deliveryOptionsFromEnv(process.env),
+  // Send hooks and notifications once the response is on its way
+  onDeliveriesQueued: exchangeId => {
+    handlers.runDeliveries(exchangeId).catch(e => console.error('Delivery error:', e));
+  },
+});
+const uploadLimit = maxAttachmentSize(attachmentLimits) + 64 * 1024;
+const limiter = createRateLimiter(new MemoryLimiterStore(), limitsFromEnv(process.env));
 
 const storageDesc = getStorageDescription(storage);
 console.log(`Storage backend: ${storageDesc}`);
+if (!imageProcessor) {
+  console.log('Image processing: sharp not installed; no thumbnails or image conversion');
+}
 
 // ============ Middleware ============
 
@@ -51,6 +119,11 @@ async function authenticate(req, res, next) {
   next();
 }
 
+// Origin for signed URLs the client will call back on
+function publicUrl(req) {
+  return process.env.PUBLIC_URL || `${req.protocol}://${req.get('host')}`;
+}
+
 function validateExchange(req, res, next) {
   if (req.auth.exchange_id !== req.params.exchangeId) {
     return res.status(403).json({ error: 'Forbidden' });
@@ -58,6 +131,18 @@ function validateExchange(req, res, next) {
   next();
 }
 
+function rateLimit(bucket, identify) {
+  return async (req, res, next) => {
+    const result = await limiter.take(bucket, identify(req));
+    if (!result.allowed) {
+      return res.set('Retry-After', String(result.retryAfter))
+        .status(429)
+        .json({ error: 'Too many requests' });
+    }
+    next();
+  };
+}
+
 // ============ Routes ============
 
 // Health check
@@ -70,10 +155,20 @@ app.get('/health', (req, res) => {
   });
 });
 
-// Register (no auth required)
-app.post('/api/v1/exchanges/:exchangeId/register', async (req, res) => {
+// Every API call counts against the client IP, authenticated or not
+app.use('/api/v1', rateLimit('ip', req => req.ip));
+
+// Register (API key optional: admins send theirs, others use invite_code)
+app.post('/api/v1/exchanges/:exchangeId/register', rateLimit('register', req => req.ip), async (req, res) => {
   try {
-    const result = await handlers.handleRegister(req.params.exchangeId, req.body);
+    let auth = null;
+    if (req.headers.authorization?.startsWith('Bearer ')) {
+      auth = await handlers.authenticate(req.headers.authorization.slice(7));
+      if (!auth) {
+        return res.status(401).json({ error: 'Invalid API key' });
+      }
+    }
+    const result = await handlers.handleRegister(req.params.exchangeId, req.body, auth);
     if (result.error) {
       return res.status(result.status).json({ error: result.error });
     }
@@ -84,8 +179,36 @@ app.post('/api/v1/exchanges/:exchangeId/register', async (req, res) => {
   }
 });
 
+// Signed attachment URLs (no API key: the signature is the credential)
+app.get('/api/v1/exchanges/:exchangeId/blobs/:ref/:filename', signedBlob);
+app.put('/api/v1/exchanges/:exchangeId/blobs/:ref/:filename',
+  express.raw({ type: () => true, limit: uploadLimit }), signedBlob);
+
+async function signedBlob(req, res) {
+  try {
+    const result = await handlers.handleSignedBlob(req.params.exchangeId, req.params.ref, req.params.filename, {
+      method: req.method,
+      expires: req.query.expires,
+      signature: req.query.signature,
+      contentType: req.get('Content-Type'),
+      data: Buffer.isBuffer(req.body) ? req.body : undefined,
+    });
+    if (result.error) {
+      return res.status(result.status).json({ error: result.error });
+    }
+    if (req.method === 'PUT') {
+      return res.status(result.status).json(result.data);
+    }
+    res.type(result.data.content_type).send(Buffer.from(result.data.content));
+  } catch (e) {
+    console.error('Signed blob error:', e);
+    res.status(500).json({ error: e.message });
+  }
+}
+
 // Protected routes
-app.use('/api/v1/exchanges/:exchangeId', authenticate, validateExchange);
+app.use('/api/v1/exchanges/:exchangeId', authenticate, validateExchange,
+  rateLimit('key', req => `${req.auth.exchange_id}:${req.auth.id}:${req.auth.key_id}`));
 
 // List capabilities (can also be public - no auth needed)
 app.get('/api/v1/exchanges/:exchangeId/capabilities', async (req, res) => {
@@ -98,10 +221,27 @@ app.get('/api/v1/exchanges/:exchangeId/capabilities', async (req, res) => {
   }
 });
 
+// Create invite code (admin only)
+app.post('/api/v1/exchanges/:exchangeId/invites', async (req, res) => {
+  try {
+    const result = await handlers.handleCreateInvite(req.auth, req.body);
+    if (result.error) {
+      return res.status(result.status).json({ error: result.error });
+    }
+    res.status(result.status).json(result.data);
+  } catch (e) {
+    console.error('Invite error:', e);
+    res.status(500).json({ error: e.message });
+  }
+});
+
 // List requests
 app.get('/api/v1/exchanges/:exchangeId/requests', async (req, res) => {
   try {
     const result = await handlers.handleListRequests(req.auth, req.query);
+    if (result.error) {
+      return res.status(result.status).json({ error: result.error });
+    }
     res.status(result.status).json(result.data);
   } catch (e) {
     console.error('List error:', e);
@@ -109,12 +249,26 @@ app.get('/api/v1/exchanges/:exchangeId/requests', async (req, res) => {
   }
 });
 
+// Search requests (before /requests/:ref so "search" isn't taken as a ref)
+app.get('/api/v1/exchanges/:exchangeId/requests/search', async (req, res) => {
+  try {
+    const result = await handlers.handleSearchRequests(req.auth, req.query);
+    if (result.error) {
+      return res.status(result.status).json({ error: result.error });
+    }
+    res.status(result.status).json(result.data);
+  } catch (e) {
+    console.error('Search error:', e);
+    res.status(500).json({ error: e.message });
+  }
+});
+
 // Create request
 app.post('/api/v1/exchanges/:exchangeId/requests', async (req, res) => {
   try {
     const result = await handlers.handleCreateRequest(req.auth, req.body);
     if (result.error) {
-      return res.status(result.status).json({ error: result.error });
+      return res.set(result.headers).status(result.status).json({ error: result.error });
     }
     res.status(result.status).json(result.data);
   } catch (e) {
@@ -130,7 +284,7 @@ app.get('/api/v1/exchanges/:exchangeId/requests/:ref', async (req, res) => {
     if (result.error) {
       return res.status(result.status).json({ error: result.error });
     }
-    res.status(result.status).json(result.data);
+    res.set(result.headers).status(result.status).json(result.data);
   } catch (e) {
     console.error('Get error:', e);
     res.status(500).json({ error: e.message });
@@ -140,52 +294,157 @@ app.get('/api/v1/exchanges/:exchangeId/requests/:ref', async (req, res) => {
 // Update request
 app.patch('/api/v1/exchanges/:exchangeId/requests/:ref', async (req, res) => {
   try {
-    const result = await handlers.handleUpdateRequest(req.auth, req.params.ref, req.body);
+    const result = await handlers.handleUpdateRequest(req.auth, req.params.ref, req.body, {
+      ifMatch: req.get('If-Match'),
+    });
     if (result.error) {
       return res.status(result.status).json({ error: result.error });
     }
-    res.status(result.status).json(result.data);
+    res.set(result.headers).status(result.status).json(result.data);
   } catch (e) {
     console.error('Update error:', e);
     res.status(500).json({ error: e.message });
   }
 });
 
-// Get attachment from request
+// Upload attachment (multipart/form-data, or the raw file with ?filename=)
+// Multipart framing adds a little on top of the file itself
+app.post('/api/v1/exchanges/:exchangeId/requests/:ref/attachments',
+  express.raw({ type: () => true, limit: uploadLimit }),
+  async (req, res) => {
+    try {
+      const body = Buffer.isBuffer(req.body) ? req.body : Buffer.alloc(0);
+      const parsed = await readUpload(body, {
+        contentType: req.get('Content-Type'),
+        disposition: req.get('Content-Disposition'),
+        filename: req.query.filename,
+      });
+      if (parsed.error) {
+        return res.status(400).json({ error: parsed.error });
+      }
+      const result = await handlers.handleUploadAttachment(req.auth, req.params.ref, parsed.upload);
+      if (result.error) {
+        return res.status(result.status).json({ error: result.error });
+      }
+      res.set(result.headers).status(result.status).json(result.data);
+    } catch (e) {
+      console.error('Upload error:', e);
+      res.status(500).json({ error: e.message });
+    }
+  });
+
+// Get a URL to upload an attachment to directly
+app.post('/api/v1/exchanges/:exchangeId/requests/:ref/attachments/presign', async (req, res) => {
+  try {
+    const result = await handlers.handlePresignUpload(req.auth, req.params.ref, req.body, {
+      baseUrl: publicUrl(req),
+    });
+    if (result.error) {
+      return res.status(result.status).json({ error: result.error });
+    }
+    res.status(result.status).json(result.data);
+  } catch (e) {
+    console.error('Presign error:', e);
+    res.status(500).json({ error: e.message });
+  }
+});
+
+// Attach a file uploaded to a pre-signed URL
+app.post('/api/v1/exchanges/:exchangeId/requests/:ref/attachments/:filename/complete', async (req, res) => {
+  try {
+    const result = await handlers.handleCompleteUpload(req.auth, req.params.ref, req.params.filename);
+    if (result.error) {
+      return res.status(result.status).json({ error: result.error });
+    }
+    res.set(result.headers).status(result.status).json(result.data);
+  } catch (e) {
+    console.error('Complete upload error:', e);
+    res.status(500).json({ error: e.message });
+  }
+});
+
+// Get a short-lived download URL for an attachment
+app.get('/api/v1/exchanges/:exchangeId/requests/:ref/attachments/:filename/url', async (req, res) => {
+  try {
+    const result = await handlers.handleAttachmentUrl(req.auth, req.params.ref, req.params.filename, {
+      baseUrl: publicUrl(req),
+    });
+    if (result.error) {
+      return res.status(result.status).json({ error: result.error });
+    }
+    res.status(result.status).json(result.data);
+  } catch (e) {
+    console.error('Attachment URL error:', e);
+    res.status(500).json({ error: e.message });
+  }
+});
+
+// Get attachment from request (redirects to the blob store when it pre-signs)
 app.get('/api/v1/exchanges/:exchangeId/requests/:ref/attachments/:filename', async (req, res) => {
   try {
     const result = await handlers.handleGetAttachment(req.auth, req.params.ref, req.params.filename);
     if (result.error) {
       return res.status(result.status).json({ error: result.error });
     }
+    if (result.status === 302) {
+      return res.redirect(302, result.data.url);
+    }
 
-    // Determine content type from filename
-    const ext = req.params.filename.split('.').pop()?.toLowerCase();
-    const contentTypes = {
-      'jpg': 'image/jpeg',
-      'jpeg': 'image/jpeg',
-      'png': 'image/png',
-      'gif': 'image/gif',
-      'webp': 'image/webp',
-      'pdf': 'application/pdf',
-      'mp4': 'video/mp4',
-      'webm': 'video/webm',
-      'mp3': 'audio/mpeg',
-      'wav': 'audio/wav',
-    };
-    const contentType = contentTypes[ext] || 'application/octet-stream';
-
-    res.type(contentType).send(result.data.content);
+    const contentType = result.data.content_type || contentTypeFor(req.params.filename);
+    res.type(contentType).send(Buffer.from(result.data.content));
   } catch (e) {
     console.error('Attachment error:', e);
     res.status(500).json({ error: e.message });
   }
 });
 
+// Stream thread events (Server-Sent Events)
+// Resumes after the Last-Event-ID header (or ?last_event_id=) when given
+app.get('/api/v1/exchanges/:exchangeId/events/stream', async (req, res) => {
+  if (!hasScope(req.auth, 'requests:read')) {
+    return res.status(403).json({ error: 'API key lacks the requests:read scope' });
+  }
+
+  res.set({
+    'Content-Type': 'text/event-stream',
+    'Cache-Control': 'no-cache',
+    'Connection': 'keep-alive',
+    'X-Accel-Buffering': 'no',
+  });
+  res.flushHeaders();
+  res.write('retry: 3000\n\n');
+
+  const send = (type, id, data) => {
+    res.write(`${id != null ? `id: ${id}\n` : ''}event: ${type}\ndata: ${JSON.stringify(data)}\n\n`);
+  };
+
+  try {
+    const unsubscribe = await handlers.openEventStream(
+      req.params.exchangeId,
+      req.get('Last-Event-ID') ?? req.query.last_event_id ?? null,
+      (record) => send(record.event_type, record.id, record),
+      (lastEventId) => send('reset', lastEventId, { last_event_id: lastEventId })
+    );
+
+    // Comment lines keep proxies from closing an idle connection
+    const heartbeat = setInterval(() => res.write(': ping\n\n'), 25000);
+    req.on('close', () => {
+      clearInterval(heartbeat);
+      unsubscribe();
+    });
+  } catch (e) {
+    console.error('Event stream error:', e);
+    res.end();
+  }
+});
+
 // List executors
 app.get('/api/v1/exchanges/:exchangeId/executors', async (req, res) => {
   try {
     const result = await handlers.handleListExecutors(req.auth);
+    if (result.error) {
+      return res.status(result.status).json({ error: result.error });
+    }
     res.status(result.status).json(result.data);
   } catch (e) {
     console.error('List executors error:', e);
@@ -207,6 +466,90 @@ app.patch('/api/v1/exchanges/:exchangeId/executors/:executorId', async (req, res
   }
 });
 
+// List executor API keys
+app.get('/api/v1/exchanges/:exchangeId/executors/:executorId/keys', async (req, res) => {
+  try {
+    const result = await handlers.handleListKeys(req.auth, req.params.executorId);
+    if (result.error) {
+      return res.status(result.status).json({ error: result.error });
+    }
+    res.status(result.status).json(result.data);
+  } catch (e) {
+    console.error('List keys error:', e);
+    res.status(500).json({ error: e.message });
+  }
+});
+
+// Issue (or rotate to) a new API key
+app.post('/api/v1/exchanges/:exchangeId/executors/:executorId/keys', async (req, res) => {
+  try {
+    const result = await handlers.handleCreateKey(req.auth, req.params.executorId, req.body);
+    if (result.error) {
+      return res.status(result.status).json({ error: result.error });
+    }
+    res.status(result.status).json(result.data);
+  } catch (e) {
+    console.error('Create key error:', e);
+    res.status(500).json({ error: e.message });
+  }
+});
+
+// Revoke an API key
+app.delete('/api/v1/exchanges/:exchangeId/executors/:executorId/keys/:keyId', async (req, res) => {
+  try {
+    const result = await handlers.handleRevokeKey(req.auth, req.params.executorId, req.params.keyId);
+    if (result.error) {
+      return res.status(result.status).json({ error: result.error });
+    }
+    res.status(result.status).json(result.data);
+  } catch (e) {
+    console.error('Revoke key error:', e);
+    res.status(500).json({ error: e.message });
+  }
+});
+
+// Rotate the secret outgoing webhooks are signed with
+app.post('/api/v1/exchanges/:exchangeId/executors/:executorId/webhook-secret', async (req, res) => {
+  try {
+    const result = await handlers.handleRotateWebhookSecret(req.auth, req.params.executorId);
+    if (result.error) {
+      return res.status(result.status).json({ error: result.error });
+    }
+    res.status(result.status).json(result.data);
+  } catch (e) {
+    console.error('Rotate webhook secret error:', e);
+    res.status(500).json({ error: e.message });
+  }
+});
+
+// List queued and dead-lettered hook/notification deliveries
+app.get('/api/v1/exchanges/:exchangeId/deliveries', async (req, res) => {
+  try {
+    const result = await handlers.handleListDeliveries(req.auth, req.query);
+    if (result.error) {
+      return res.status(result.status).json({ error: result.error });
+    }
+    res.status(result.status).json(result.data);
+  } catch (e) {
+    console.error('List deliveries error:', e);
+    res.status(500).json({ error: e.message });
+  }
+});
+
+// Retry a dead-lettered delivery
+app.post('/api/v1/exchanges/:exchangeId/deliveries/:deliveryId/replay', async (req, res) => {
+  try {
+    const result = await handlers.handleReplayDelivery(req.auth, req.params.deliveryId);
+    if (result.error) {
+      return res.status(result.status).json({ error: result.error });
+    }
+    res.status(result.status).json(result.data);
+  } catch (e) {
+    console.error('Replay delivery error:', e);
+    res.status(500).json({ error: e.message });
+  }
+});
+
 // Import thread (MESSE-AF format)
 app.post('/api/v1/exchanges/:exchangeId/import', async (req, res) => {
   try {
@@ -252,6 +595,36 @@ app.get('/api/v1/exchanges/:exchangeId/export/:ref', async (req, res) => {
   }
 });
 
+// Expire requests whose needed_by passed before anyone claimed them
+const EXPIRY_SWEEP_SECONDS = parseInt(process.env.EXPIRY_SWEEP_SECONDS ?? '60', 10);
+if (EXPIRY_SWEEP_SECONDS > 0) {
+  setInterval(async () => {
+    try {
+      const expired = await handlers.sweepExpiredRequests();
+      for (const [exchangeId, refs] of Object.entries(expired)) {
+        console.log(`Expired in ${exchangeId}: ${refs.join(', ')}`);
+      }
+    } catch (e) {
+      console.error('Expiry sweep error:', e);
+    }
+  }, EXPIRY_SWEEP_SECONDS * 1000).unref();
+}
+
+// Retry hook and notification deliveries that failed
+const DELIVERY_SWEEP_SECONDS = parseInt(process.env.DELIVERY_SWEEP_SECONDS ?? '15', 10);
+if (DELIVERY_SWEEP_SECONDS > 0) {
+  setInterval(async () => {
+    try {
+      const { delivered, retrying, dead } = await handlers.runDeliveries();
+      if (retrying + dead > 0) {
+        console.log(`Deliveries: ${delivered} sent, ${retrying} to retry, ${dead} dead-lettered`);
+      }
+    } catch (e) {
+      console.error('Delivery sweep error:', e);
+    }
+  }, DELIVERY_SWEEP_SECONDS * 1000).unref();
+}
+
 // Start server
 const PORT = process.env.PORT || 3000;
 app.listen(PORT, () => {
@@ -4,26 +4,112 @@
  * 
  * Deploy with:
  *   npx wrangler deploy --config deploy/cloudflare/wrangler.toml
+ *
+ * Rate limits (RATE_LIMIT_*, MAX_OPEN_REQUESTS) are read from wrangler vars;
+ * isolates don't share memory, so buckets live in the RATE_LIMITS KV
+ * namespace, which expires them, or in R2 without one, swept hourly by the
+ * cron trigger. So are upload limits (ATTACHMENT_*); uploaded files go to the
+ * R2 bucket under blobs/.
+ *
+ * With an R2 API token (R2_S3_ENDPOINT, R2_BUCKET_NAME, R2_ACCESS_KEY_ID and
+ * the R2_SECRET_ACCESS_KEY secret) attachments are fetched and uploaded
+ * through pre-signed R2 URLs; without one, through signed /blobs URLs here.
+ *
+ * Image metadata is stripped (IMAGE_STRIP_METADATA), but Workers have no
+ * image processor: no thumbnails or conversion, and HEIC/TIFF uploads are
+ * refused while stripping is on.
+ *
+ * Hooks and notifications are queued in R2 and sent after the response
+ * (ctx.waitUntil); the cron trigger retries failed ones (DELIVERY_*).
+ *
+ * Handlers live for the isolate, not the request (see exchangeFor).
  */
 
 import { R2Storage } from '../storage/r2.js';
 import { createHandlers } from '../core.js';
+import { createRateLimiter, limitsFromEnv, KvLimiterStore, StorageLimiterStore } from '../rate-limit.js';
+import {
+  attachmentLimitsFromEnv,
+  maxAttachmentSize,
+  readUpload,
+  contentTypeFor,
+} from '../attachments.js';
+import { imageOptionsFromEnv } from '../images.js';
+import { deliveryOptionsFromEnv } from '../deliveries.js';
 
 const CORS_HEADERS = {
   'Access-Control-Allow-Origin': '*',
-  'Access-Control-Allow-Methods': 'GET, POST, PATCH, DELETE, OPTIONS',
-  'Access-Control-Allow-Headers': 'Content-Type, Authorization',
+  'Access-Control-Allow-Methods': 'GET, POST, PUT, PATCH, DELETE, OPTIONS',
+  'Access-Control-Allow-Headers': 'Content-Type, Content-Disposition, Authorization, If-Match, Last-Event-ID',
+  'Access-Control-Expose-Headers': 'ETag',
 };
 
-function json(data, status = 200) {
+function json(data, status = 200, headers = {}) {
   return new Response(JSON.stringify(data), {
     status,
-    headers: { 'Content-Type': 'application/json', ...CORS_HEADERS },
+    headers: { 'Content-Type': 'application/json', ...CORS_HEADERS, ...headers },
   });
 }
 
-function error(message, status = 400) {
-  return json({ error: message }, status);
+function error(message, status = 400, headers = {}) {
+  return json({ error: message }, status, headers);
+}
+
+function tooManyRequests(result) {
+  return error('Too many requests', 429, { 'Retry-After': String(result.retryAfter) });
+}
+
+// One set of handlers per isolate, so the auth cache and the in-process
+// projection lock span requests. Isolates don't share memory: R2 conditional
+// writes keep thread snapshots, claims and the shared index/search/feed
+// documents consistent between them (see core.js), and a revoked key may be
+// accepted by isolates that cached it for up to the auth cache TTL (60s).
+let exchange = null;
+
+// Delivery runs started while handling requests, sent after the response
+const pendingDeliveries = new Set();
+
+function exchangeFor(env) {
+  if (exchange) return exchange;
+
+  // Initialize storage with R2 binding
+  const storage = new R2Storage(env.MESS_BUCKET, {
+    s3: env.R2_ACCESS_KEY_ID ? {
+      endpoint: env.R2_S3_ENDPOINT,
+      bucket: env.R2_BUCKET_NAME,
+      accessKey: env.R2_ACCESS_KEY_ID,
+      secretKey: env.R2_SECRET_ACCESS_KEY,
+    } : null,
+  });
+  const attachmentLimits = attachmentLimitsFromEnv(env);
+  const handlers = createHandlers(storage, {
+    registration: env.REGISTRATION,
+    maxOpenRequests: env.MAX_OPEN_REQUESTS !== undefined
+      ? parseInt(env.MAX_OPEN_REQUESTS, 10)
+      : undefined,
+    attachments: attachmentLimits,
+    presignTtlSeconds: env.ATTACHMENT_URL_TTL !== undefined
+      ? parseInt(env.ATTACHMENT_URL_TTL, 10)
+      : undefined,
+    signingSecret: env.URL_SIGNING_SECRET,
+    images: imageOptionsFromEnv(env),
+    deliveries: deliveryOptionsFromEnv(env),
+    onDeliveriesQueued: exchangeId => {
+      const run = handlers.runDeliveries(exchangeId)
+        .catch(e => console.error('Delivery run failed:', e))
+        .finally(() => pendingDeliveries.delete(run));
+      pendingDeliveries.add(run);
+    },
+  });
+
+  const limiterStore = env.RATE_LIMITS ? new KvLimiterStore(env.RATE_LIMITS) : new StorageLimiterStore(storage);
+  exchange = {
+    handlers,
+    uploadLimit: maxAttachmentSize(attachmentLimits) + 64 * 1024,
+    limiter: createRateLimiter(limiterStore, limitsFromEnv(env)),
+    limiterStore,
+  };
+  return exchange;
 }
 
 export default {
@@ -32,117 +118,360 @@ export default {
     if (request.method === 'OPTIONS') {
       return new Response(null, { headers: CORS_HEADERS });
     }
+
+    const response = await route(request, env, exchangeFor(env));
+    // Send hooks and notifications once the response is on its way
+    if (pendingDeliveries.size > 0) {
+      ctx.waitUntil(Promise.all([...pendingDeliveries]));
+    }
+    return response;
+  },
+
+  // Cron trigger (see wrangler.toml): expire requests past needed_by, retry
+  // failed deliveries and, on the hour, drop refilled rate limit buckets from R2
+  async scheduled(event, env, ctx) {
+    const { handlers, limiterStore } = exchangeFor(env);
+    const now = new Date(event.scheduledTime);
+    ctx.waitUntil(handlers.sweepExpiredRequests(now)
+      .then(() => handlers.runDeliveries())
+      .then(() => (limiterStore.sweep && now.getUTCMinutes() === 0 ? limiterStore.sweep(now) : 0)));
+  },
+};
+
+/**
+ * Handle one API request
+ */
+async function route(request, env, { handlers, limiter, uploadLimit }) {
+  const url = new URL(request.url);
+  const path = url.pathname;
+  
+  // Health check
+  if (path === '/health') {
+    return json({ status: 'ok', service: 'mess-exchange', storage: 'r2' });
+  }
+  
+  // Parse API route
+  const apiMatch = path.match(/^\/api\/v1\/exchanges\/([^\/]+)(.*)$/);
+  if (!apiMatch) {
+    return error('Not found', 404);
+  }
+  
+  const exchangeId = apiMatch[1];
+  const subpath = apiMatch[2] || '';
+  const clientIp = request.headers.get('CF-Connecting-IP');
+  
+  try {
+    // Every API call counts against the client IP, authenticated or not
+    const ipLimit = await limiter.take('ip', clientIp);
+    if (!ipLimit.allowed) {
+      return tooManyRequests(ipLimit);
+    }
+    
+    // Registration (API key optional: admins send theirs, others use invite_code)
+    if (subpath === '/register' && request.method === 'POST') {
+      const registerLimit = await limiter.take('register', clientIp);
+      if (!registerLimit.allowed) {
+        return tooManyRequests(registerLimit);
+      }
+      const body = await request.json();
+      let registrar = null;
+      const registrarHeader = request.headers.get('Authorization');
+      if (registrarHeader?.startsWith('Bearer ')) {
+        registrar = await handlers.authenticate(registrarHeader.slice(7));
+        if (!registrar) {
+          return error('Invalid API key', 401);
+        }
+      }
+      const result = await handlers.handleRegister(exchangeId, body, registrar);
+      if (result.error) {
+        return error(result.error, result.status);
+      }
+      return json(result.data, result.status);
+    }
+    
+    // Signed attachment URLs (no API key: the signature is the credential)
+    const blobMatch = subpath.match(/^\/blobs\/([^\/]+)\/([^\/]+)$/);
+    if (blobMatch && (request.method === 'GET' || request.method === 'PUT')) {
+      if (request.method === 'PUT' && Number(request.headers.get('Content-Length') || 0) > uploadLimit) {
+        return error('Attachment too large', 413);
+      }
+      const filename = decodeURIComponent(blobMatch[2]);
+      const result = await handlers.handleSignedBlob(exchangeId, decodeURIComponent(blobMatch[1]), filename, {
+        method: request.method,
+        expires: url.searchParams.get('expires'),
+        signature: url.searchParams.get('signature'),
+        contentType: request.headers.get('Content-Type'),
+        data: request.method === 'PUT' ? new Uint8Array(await request.arrayBuffer()) : undefined,
+      });
+      if (result.error) {
+        return error(result.error, result.status);
+      }
+      if (request.method === 'PUT') {
+        return json(result.data, result.status);
+      }
+      return new Response(result.data.content, {
+        headers: { 'Content-Type': result.data.content_type, ...CORS_HEADERS },
+      });
+    }
+    
+    // Authenticate
+    const authHeader = request.headers.get('Authorization');
+    if (!authHeader?.startsWith('Bearer ')) {
+      return error('Unauthorized', 401);
+    }
     
-    // Initialize storage with R2 binding
-    const storage = new R2Storage(env.MESS_BUCKET);
-    const handlers = createHandlers(storage);
+    const apiKey = authHeader.slice(7);
+    const auth = await handlers.authenticate(apiKey);
     
-    const url = new URL(request.url);
-    const path = url.pathname;
+    if (!auth) {
+      return error('Invalid API key', 401);
+    }
     
-    // Health check
-    if (path === '/health') {
-      return json({ status: 'ok', service: 'mess-exchange', storage: 'r2' });
+    if (auth.exchange_id !== exchangeId) {
+      return error('Forbidden', 403);
     }
     
-    // Parse API route
-    const apiMatch = path.match(/^\/api\/v1\/exchanges\/([^\/]+)(.*)$/);
-    if (!apiMatch) {
-      return error('Not found', 404);
+    const keyLimit = await limiter.take('key', `${auth.exchange_id}:${auth.id}:${auth.key_id}`);
+    if (!keyLimit.allowed) {
+      return tooManyRequests(keyLimit);
     }
     
-    const exchangeId = apiMatch[1];
-    const subpath = apiMatch[2] || '';
+    // Route handlers
     
-    try {
-      // Registration (no auth)
-      if (subpath === '/register' && request.method === 'POST') {
-        const body = await request.json();
-        const result = await handlers.handleRegister(exchangeId, body);
-        if (result.error) {
-          return error(result.error, result.status);
-        }
-        return json(result.data, result.status);
+    // Create invite code (admin only)
+    if (subpath === '/invites' && request.method === 'POST') {
+      const body = await request.json();
+      const result = await handlers.handleCreateInvite(auth, body);
+      if (result.error) {
+        return error(result.error, result.status);
       }
-      
-      // Authenticate
-      const authHeader = request.headers.get('Authorization');
-      if (!authHeader?.startsWith('Bearer ')) {
-        return error('Unauthorized', 401);
-      }
-      
-      const apiKey = authHeader.slice(7);
-      const auth = await handlers.authenticate(apiKey);
-      
-      if (!auth) {
-        return error('Invalid API key', 401);
-      }
-      
-      if (auth.exchange_id !== exchangeId) {
-        return error('Forbidden', 403);
-      }
-      
-      // Route handlers
-      
-      // List requests
-      if (subpath === '/requests' && request.method === 'GET') {
-        const status = url.searchParams.get('status');
-        const result = await handlers.handleListRequests(auth, { status });
-        return json(result.data, result.status);
+      return json(result.data, result.status);
+    }
+    
+    // List requests
+    if (subpath === '/requests' && request.method === 'GET') {
+      const query = Object.fromEntries(url.searchParams);
+      const result = await handlers.handleListRequests(auth, query);
+      if (result.error) {
+        return error(result.error, result.status);
       }
-      
-      // Create request
-      if (subpath === '/requests' && request.method === 'POST') {
-        const body = await request.json();
-        const result = await handlers.handleCreateRequest(auth, body);
-        if (result.error) {
-          return error(result.error, result.status);
-        }
-        return json(result.data, result.status);
+      return json(result.data, result.status);
+    }
+    
+    // Create request
+    if (subpath === '/requests' && request.method === 'POST') {
+      const body = await request.json();
+      const result = await handlers.handleCreateRequest(auth, body);
+      if (result.error) {
+        return error(result.error, result.status, result.headers);
       }
-      
-      // Get request
-      const reqMatch = subpath.match(/^\/requests\/([^\/]+)$/);
-      if (reqMatch && request.method === 'GET') {
-        const result = await handlers.handleGetRequest(auth, reqMatch[1]);
-        if (result.error) {
-          return error(result.error, result.status);
-        }
-        return json(result.data, result.status);
+      return json(result.data, result.status);
+    }
+    
+    // Search requests
+    if (subpath === '/requests/search' && request.method === 'GET') {
+      const query = Object.fromEntries(url.searchParams);
+      const result = await handlers.handleSearchRequests(auth, query);
+      if (result.error) {
+        return error(result.error, result.status);
       }
-      
-      // Update request
-      if (reqMatch && request.method === 'PATCH') {
-        const body = await request.json();
-        const result = await handlers.handleUpdateRequest(auth, reqMatch[1], body);
-        if (result.error) {
-          return error(result.error, result.status);
-        }
-        return json(result.data, result.status);
+      return json(result.data, result.status);
+    }
+    
+    // Get request
+    const reqMatch = subpath.match(/^\/requests\/([^\/]+)$/);
+    if (reqMatch && request.method === 'GET') {
+      const result = await handlers.handleGetRequest(auth, reqMatch[1]);
+      if (result.error) {
+        return error(result.error, result.status);
       }
-      
-      // List executors
-      if (subpath === '/executors' && request.method === 'GET') {
-        const result = await handlers.handleListExecutors(auth);
-        return json(result.data, result.status);
+      return json(result.data, result.status, result.headers);
+    }
+    
+    // Update request
+    if (reqMatch && request.method === 'PATCH') {
+      const body = await request.json();
+      const result = await handlers.handleUpdateRequest(auth, reqMatch[1], body, {
+        ifMatch: request.headers.get('If-Match'),
+      });
+      if (result.error) {
+        return error(result.error, result.status);
       }
-      
-      // Update executor
-      const execMatch = subpath.match(/^\/executors\/([^\/]+)$/);
-      if (execMatch && request.method === 'PATCH') {
-        const body = await request.json();
-        const result = await handlers.handleUpdateExecutor(auth, execMatch[1], body);
-        if (result.error) {
-          return error(result.error, result.status);
-        }
-        return json(result.data, result.status);
+      return json(result.data, result.status, result.headers);
+    }
+    
+    // Upload attachment (multipart/form-data, or the raw file with ?filename=)
+    const uploadMatch = subpath.match(/^\/requests\/([^\/]+)\/attachments$/);
+    if (uploadMatch && request.method === 'POST') {
+      // Refuse oversized bodies before reading them; multipart adds a little framing
+      const length = Number(request.headers.get('Content-Length') || 0);
+      if (length > uploadLimit) {
+        return error('Attachment too large', 413);
+      }
+      const parsed = await readUpload(new Uint8Array(await request.arrayBuffer()), {
+        contentType: request.headers.get('Content-Type'),
+        disposition: request.headers.get('Content-Disposition'),
+        filename: url.searchParams.get('filename'),
+      });
+      if (parsed.error) {
+        return error(parsed.error, 400);
+      }
+      const result = await handlers.handleUploadAttachment(auth, uploadMatch[1], parsed.upload);
+      if (result.error) {
+        return error(result.error, result.status);
       }
-      
-      return error('Not found', 404);
-      
-    } catch (e) {
-      console.error('Error:', e);
-      return error(e.message || 'Internal server error', 500);
+      return json(result.data, result.status, result.headers);
     }
-  },
-};
+    
+    // Get a URL to upload an attachment to directly
+    const presignMatch = subpath.match(/^\/requests\/([^\/]+)\/attachments\/presign$/);
+    if (presignMatch && request.method === 'POST') {
+      const body = await request.json();
+      const result = await handlers.handlePresignUpload(auth, presignMatch[1], body, {
+        baseUrl: env.PUBLIC_URL || url.origin,
+      });
+      if (result.error) {
+        return error(result.error, result.status);
+      }
+      return json(result.data, result.status);
+    }
+    
+    // Attach a file uploaded to a pre-signed URL
+    const completeMatch = subpath.match(/^\/requests\/([^\/]+)\/attachments\/([^\/]+)\/complete$/);
+    if (completeMatch && request.method === 'POST') {
+      const result = await handlers.handleCompleteUpload(auth, completeMatch[1], decodeURIComponent(completeMatch[2]));
+      if (result.error) {
+        return error(result.error, result.status);
+      }
+      return json(result.data, result.status, result.headers);
+    }
+    
+    // Get a short-lived download URL for an attachment
+    const urlMatch = subpath.match(/^\/requests\/([^\/]+)\/attachments\/([^\/]+)\/url$/);
+    if (urlMatch && request.method === 'GET') {
+      const result = await handlers.handleAttachmentUrl(auth, urlMatch[1], decodeURIComponent(urlMatch[2]), {
+        baseUrl: env.PUBLIC_URL || url.origin,
+      });
+      if (result.error) {
+        return error(result.error, result.status);
+      }
+      return json(result.data, result.status);
+    }
+    
+    // Get attachment (redirects to R2 when it can pre-sign)
+    const attachmentMatch = subpath.match(/^\/requests\/([^\/]+)\/attachments\/([^\/]+)$/);
+    if (attachmentMatch && request.method === 'GET') {
+      const filename = decodeURIComponent(attachmentMatch[2]);
+      const result = await handlers.handleGetAttachment(auth, attachmentMatch[1], filename);
+      if (result.error) {
+        return error(result.error, result.status);
+      }
+      if (result.status === 302) {
+        return new Response(null, { status: 302, headers: { Location: result.data.url, ...CORS_HEADERS } });
+      }
+      return new Response(result.data.content, {
+        headers: {
+          'Content-Type': result.data.content_type || contentTypeFor(filename),
+          ...CORS_HEADERS,
+        },
+      });
+    }
+    
+    // Long-poll for thread events (no persistent connections on Workers)
+    if (subpath === '/events/stream' && request.method === 'GET') {
+      const query = Object.fromEntries(url.searchParams);
+      query.after ??= request.headers.get('Last-Event-ID') ?? undefined;
+      const result = await handlers.handlePollEvents(auth, query);
+      if (result.error) {
+        return error(result.error, result.status);
+      }
+      return json(result.data, result.status);
+    }
+    
+    // List executors
+    if (subpath === '/executors' && request.method === 'GET') {
+      const result = await handlers.handleListExecutors(auth);
+      if (result.error) {
+        return error(result.error, result.status);
+      }
+      return json(result.data, result.status);
+    }
+    
+    // Update executor
+    const execMatch = subpath.match(/^\/executors\/([^\/]+)$/);
+    if (execMatch && request.method === 'PATCH') {
+      const body = await request.json();
+      const result = await handlers.handleUpdateExecutor(auth, execMatch[1], body);
+      if (result.error) {
+        return error(result.error, result.status);
+      }
+      return json(result.data, result.status);
+    }
+    
+    // List / issue API keys
+    const keysMatch = subpath.match(/^\/executors\/([^\/]+)\/keys$/);
+    if (keysMatch && request.method === 'GET') {
+      const result = await handlers.handleListKeys(auth, keysMatch[1]);
+      if (result.error) {
+        return error(result.error, result.status);
+      }
+      return json(result.data, result.status);
+    }
+    
+    if (keysMatch && request.method === 'POST') {
+      const body = await request.json();
+      const result = await handlers.handleCreateKey(auth, keysMatch[1], body);
+      if (result.error) {
+        return error(result.error, result.status);
+      }
+      return json(result.data, result.status);
+    }
+    
+    // Revoke API key
+    const keyMatch = subpath.match(/^\/executors\/([^\/]+)\/keys\/([^\/]+)$/);
+    if (keyMatch && request.method === 'DELETE') {
+      const result = await handlers.handleRevokeKey(auth, keyMatch[1], keyMatch[2]);
+      if (result.error) {
+        return error(result.error, result.status);
+      }
+      return json(result.data, result.status);
+    }
+    
+    // Rotate webhook signing secret
+    const secretMatch = subpath.match(/^\/executors\/([^\/]+)\/webhook-secret$/);
+    if (secretMatch && request.method === 'POST') {
+      const result = await handlers.handleRotateWebhookSecret(auth, secretMatch[1]);
+      if (result.error) {
+        return error(result.error, result.status);
+      }
+      return json(result.data, result.status);
+    }
+    
+    // List queued and dead-lettered deliveries
+    if (subpath === '/deliveries' && request.method === 'GET') {
+      const query = Object.fromEntries(url.searchParams);
+      const result = await handlers.handleListDeliveries(auth, query);
+      if (result.error) {
+        return error(result.error, result.status);
+      }
+      return json(result.data, result.status);
+    }
+    
+    // Retry a dead-lettered delivery
+    const replayMatch = subpath.match(/^\/deliveries\/([^\/]+)\/replay$/);
+    if (replayMatch && request.method === 'POST') {
+      const result = await handlers.handleReplayDelivery(auth, replayMatch[1]);
+      if (result.error) {
+        return error(result.error, result.status);
+      }
+      return json(result.data, result.status);
+    }
+    
+    return error('Not found', 404);
+    
+  } catch (e) {
+    console.error('Error:', e);
+    return error(e.message || 'Internal server error', 500);
+  }
+}
+
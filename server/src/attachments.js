@@ -0,0 +1,266 @@
+/**
+ * MESS Exchange Server - Attachment Uploads
+ * Size and type limits for uploaded files, and reading an upload out of a
+ * multipart or raw request body. Runtime-agnostic: uses the Fetch API's
+ * multipart parser, which both Node and Workers ship.
+ *
+ * Also signs the local attachment URLs handed out when the blob store can't
+ * pre-sign its own (filesystem).
+ *
+ * Environment:
+ *   ATTACHMENT_MAX_SIZE=10mb      largest upload (bytes, or with kb/mb/gb)
+ *   ATTACHMENT_TYPES=image/*,...  allowed content types ("*" allows all)
+ *   ATTACHMENT_LIMITS={"home": {"max_size": "50mb", "types": ["image/*"]}}
+ *                                 per-exchange overrides
+ *   URL_SIGNING_SECRET            key for local signed URLs (default: one
+ *                                 generated and kept in storage)
+ */
+
+const DEFAULT_MAX_SIZE = '10mb';
+
+const DEFAULT_TYPES = [
+  'image/*', 'video/*', 'audio/*',
+  'application/pdf', 'application/json', 'application/zip',
+  'text/plain', 'text/csv',
+];
+
+const CONTENT_TYPES = {
+  jpg: 'image/jpeg',
+  jpeg: 'image/jpeg',
+  png: 'image/png',
+  gif: 'image/gif',
+  webp: 'image/webp',
+  heic: 'image/heic',
+  pdf: 'application/pdf',
+  json: 'application/json',
+  zip: 'application/zip',
+  txt: 'text/plain',
+  csv: 'text/csv',
+  mp4: 'video/mp4',
+  webm: 'video/webm',
+  mov: 'video/quicktime',
+  mp3: 'audio/mpeg',
+  wav: 'audio/wav',
+  m4a: 'audio/mp4',
+};
+
+const SIZE_UNITS = { '': 1, b: 1, kb: 1024, mb: 1024 ** 2, gb: 1024 ** 3 };
+
+/**
+ * Parse a size such as 10485760, "512kb" or "10mb" into bytes
+ * @param {string|number} value
+ * @returns {number}
+ */
+export function parseSize(value) {
+  const match = String(value).trim().toLowerCase().match(/^(\d+(?:\.\d+)?)\s*(b|kb|mb|gb)?$/);
+  if (!match || Number(match[1]) === 0) {
+    throw new Error(`Invalid size "${value}", expected bytes or a number with kb, mb or gb`);
+  }
+  return Math.floor(Number(match[1]) * SIZE_UNITS[match[2] || '']);
+}
+
+function parseTypes(value) {
+  const list = Array.isArray(value) ? value : String(value).split(',');
+  return list.map(type => type.trim().toLowerCase()).filter(Boolean);
+}
+
+/**
+ * Read attachment limits from environment variables
+ * @param {Object} env - process.env or Worker env
+ * @returns {{maxSize: number, types: string[], exchanges: Object}} exchanges
+ *   maps exchange ID -> { maxSize?, types? }
+ */
+export function attachmentLimitsFromEnv(env = {}) {
+  const exchanges = {};
+  if (env.ATTACHMENT_LIMITS) {
+    let overrides;
+    try {
+      overrides = JSON.parse(env.ATTACHMENT_LIMITS);
+    } catch {
+      throw new Error('ATTACHMENT_LIMITS must be a JSON object of exchange ID -> { max_size, types }');
+    }
+    for (const [exchangeId, limit] of Object.entries(overrides)) {
+      exchanges[exchangeId] = {
+        ...(limit.max_size !== undefined && { maxSize: parseSize(limit.max_size) }),
+        ...(limit.types !== undefined && { types: parseTypes(limit.types) }),
+      };
+    }
+  }
+
+  return {
+    maxSize: parseSize(env.ATTACHMENT_MAX_SIZE || DEFAULT_MAX_SIZE),
+    types: env.ATTACHMENT_TYPES ? parseTypes(env.ATTACHMENT_TYPES) : DEFAULT_TYPES,
+    exchanges,
+  };
+}
+
+/**
+ * Limits that apply to one exchange
+ * @param {Object} limits - From attachmentLimitsFromEnv
+ * @param {string} exchangeId
+ * @returns {{maxSize: number, types: string[]}}
+ */
+export function attachmentLimitsFor(limits, exchangeId) {
+  const override = limits.exchanges?.[exchangeId] || {};
+  return {
+    maxSize: override.maxSize ?? limits.maxSize,
+    types: override.types ?? limits.types,
+  };
+}
+
+/**
+ * Largest upload any exchange accepts, for sizing request body parsers
+ * @param {Object} limits - From attachmentLimitsFromEnv
+ * @returns {number}
+ */
+export function maxAttachmentSize(limits) {
+  const sizes = Object.values(limits.exchanges || {}).map(limit => limit.maxSize || 0);
+  return Math.max(limits.maxSize, ...sizes);
+}
+
+/**
+ * Whether a content type matches an allow list ("image/*", "*", exact types)
+ * @param {string[]} types
+ * @param {string} contentType
+ * @returns {boolean}
+ */
+export function isAllowedType(types, contentType) {
+  const type = (contentType || '').toLowerCase();
+  return types.some(allowed =>
+    allowed === '*' || allowed === '*/*' || allowed === type ||
+    (allowed.endsWith('/*') && type.startsWith(allowed.slice(0, -1))));
+}
+
+/**
+ * Guess a content type from a filename's extension
+ * @param {string} filename
+ * @returns {string}
+ */
+export function contentTypeFor(filename) {
+  const ext = String(filename).split('.').pop()?.toLowerCase();
+  return CONTENT_TYPES[ext] || 'application/octet-stream';
+}
+
+function dispositionFilename(header) {
+  if (!header) return null;
+  const encoded = header.match(/filename\*\s*=\s*UTF-8''([^;]+)/i);
+  if (encoded) {
+    try {
+      return decodeURIComponent(encoded[1].trim());
+    } catch {
+      return null;
+    }
+  }
+  return header.match(/filename\s*=\s*"([^"]*)"/i)?.[1] ||
+    header.match(/filename\s*=\s*([^;\s]+)/i)?.[1] || null;
+}
+
+function mediaType(contentType) {
+  return (contentType || '').split(';')[0].trim().toLowerCase();
+}
+
+// Clients often send octet-stream for everything; the extension knows better
+function uploadType(contentType, filename) {
+  const type = mediaType(contentType);
+  return type && type !== 'application/octet-stream' ? type : contentTypeFor(filename);
+}
+
+/**
+ * Read an uploaded file from a request body
+ * multipart/form-data: the "file" field (or the first file), named by its
+ *   part filename or a "filename" field
+ * Anything else: the body is the file, named by ?filename= or a
+ *   Content-Disposition header, typed by Content-Type
+ * @param {Uint8Array} body - Raw request body
+ * @param {Object} options
+ * @param {string} options.contentType - Content-Type header
+ * @param {string} options.disposition - Content-Disposition header
+ * @param {string} options.filename - Filename from the query string
+ * @returns {Promise<{upload: {filename: string, content_type: string, data: Uint8Array}}|{error: string}>}
+ */
+export async function readUpload(body, { contentType, disposition, filename } = {}) {
+  if (mediaType(contentType) === 'multipart/form-data') {
+    let form;
+    try {
+      form = await new Response(body, { headers: { 'Content-Type': contentType } }).formData();
+    } catch {
+      return { error: 'Malformed multipart body' };
+    }
+
+    const field = form.get('file');
+    const file = typeof field === 'object' && field !== null
+      ? field
+      : [...form.values()].find(value => typeof value === 'object');
+    if (!file) {
+      return { error: 'Multipart upload needs a file field' };
+    }
+
+    const name = form.get('filename') || filename || file.name;
+    if (!name) {
+      return { error: 'filename is required' };
+    }
+    return {
+      upload: {
+        filename: String(name),
+        content_type: uploadType(file.type, name),
+        data: new Uint8Array(await file.arrayBuffer()),
+      },
+    };
+  }
+
+  const name = filename || dispositionFilename(disposition);
+  if (!name) {
+    return { error: 'filename is required (?filename= or Content-Disposition)' };
+  }
+  return {
+    upload: {
+      filename: name,
+      content_type: uploadType(contentType, name),
+      data: body || new Uint8Array(),
+    },
+  };
+}
+
+const encoder = new TextEncoder();
+
+function signedPayload({ method, exchangeId, ref, filename, expires, contentType }) {
+  return [method, exchangeId, ref, filename, expires, contentType || ''].join('\n');
+}
+
+/**
+ * Sign a local attachment URL. The signature covers the method, the
+ * attachment, the expiry and, for uploads, the Content-Type to send.
+ * @param {string} secret
+ * @param {Object} params - { method, exchangeId, ref, filename, expires, contentType? };
+ *   expires is Unix seconds
+ * @returns {Promise<string>} Hex HMAC-SHA256
+ */
+export async function signAttachmentUrl(secret, params) {
+  const key = await crypto.subtle.importKey(
+    'raw', encoder.encode(secret), { name: 'HMAC', hash: 'SHA-256' }, false, ['sign']
+  );
+  const signature = await crypto.subtle.sign('HMAC', key, encoder.encode(signedPayload(params)));
+  return [...new Uint8Array(signature)].map(b => b.toString(16).padStart(2, '0')).join('');
+}
+
+/**
+ * Check a local attachment URL's signature and expiry
+ * @param {string} secret
+ * @param {Object} params - As for signAttachmentUrl
+ * @param {string} signature
+ * @returns {Promise<boolean>}
+ */
+export async function verifyAttachmentUrl(secret, params, signature) {
+  const expires = Number(params.expires);
+  if (!Number.isInteger(expires) || expires * 1000 < Date.now() || typeof signature !== 'string') {
+    return false;
+  }
+  const expected = await signAttachmentUrl(secret, params);
+  if (expected.length !== signature.length) return false;
+  // Constant time, so the signature can't be guessed byte by byte
+  let diff = 0;
+  for (let i = 0; i < expected.length; i++) {
+    diff |= expected.charCodeAt(i) ^ signature.charCodeAt(i);
+  }
+  return diff === 0;
+}
@@ -5,6 +5,43 @@
  * This module is runtime-agnostic and works in both Node.js and Workers.
  */
 
+import {
+  TERMINAL_STATUSES,
+  normalizeStatus,
+  checkTransition,
+  initialConfirmation,
+  updateConfirmation,
+  checkConfirmation,
+  PRIORITIES,
+  parseThreadQuery,
+  queryThreads,
+  generateMessageRef,
+  getMessageType,
+  extractClientId,
+  requestFromPayload,
+  tokenize,
+  searchPostings,
+  searchIndex,
+  stripInlineImages,
+} from './messe-af/index.js';
+import { BlobStore } from './storage/blob-store.js';
+import { imageOptionsFromEnv, processImage } from './images.js';
+import {
+  DELIVERY_STATUSES,
+  createDeliveryQueue,
+  deliveryOptionsFromEnv,
+  publicDelivery,
+} from './deliveries.js';
+import { generateWebhookSecret, webhookHeaders } from './webhooks.js';
+import {
+  attachmentLimitsFromEnv,
+  attachmentLimitsFor,
+  isAllowedType,
+  contentTypeFor,
+  signAttachmentUrl,
+  verifyAttachmentUrl,
+} from './attachments.js';
+
 // ============ Helpers ============
 
 /**
@@ -45,9 +82,20 @@ export function generateRef() {
   return `${date}-${seq}`;
 }
 
-export function generateApiKey(exchangeId) {
+// Key ids embedded in API keys: mess_{exchange}_{key_id}_{secret}
+const KEY_ID_PATTERN = /^[0-9a-f]{12}$/;
+
+export function generateKeyId() {
+  return crypto.randomUUID().replace(/-/g, '').slice(0, 12);
+}
+
+/**
+ * Generate an API key; with a key id, auth can find its executor in one
+ * lookup instead of scanning every executor
+ */
+export function generateApiKey(exchangeId, keyId = null) {
   const random = crypto.randomUUID().replace(/-/g, '');
-  return `mess_${exchangeId}_${random}`;
+  return keyId ? `mess_${exchangeId}_${keyId}_${random}` : `mess_${exchangeId}_${random}`;
 }
 
 export async function hashApiKey(key) {
@@ -72,12 +120,17 @@ export function todayPath() {
   return `${y}/${m}/${d}`;
 }
 
+/**
+ * Split an API key into its exchange and (for newer keys) key id
+ * @returns {{valid: boolean, exchangeId: string|null, keyId: string|null}}
+ */
 export function parseApiKey(apiKey) {
   const parts = apiKey.split('_');
   if (parts.length < 3 || parts[0] !== 'mess') {
-    return { valid: false, exchangeId: null };
+    return { valid: false, exchangeId: null, keyId: null };
   }
-  return { valid: true, exchangeId: parts[1] };
+  const keyId = parts.length === 4 && KEY_ID_PATTERN.test(parts[2]) ? parts[2] : null;
+  return { valid: true, exchangeId: parts[1], keyId };
 }
 
 /**
@@ -163,6 +216,129 @@ export function findAttachmentInMess(mess, filename) {
   return null;
 }
 
+/**
+ * Thrown when a thread was modified between being read and written
+ */
+export class ConflictError extends Error {
+  constructor(message, version = null) {
+    super(message);
+    this.name = 'ConflictError';
+    this.status = 409;
+    this.version = version;
+  }
+}
+
+/**
+ * Parse an If-Match header into a thread version
+ * Returns null for a missing header or "*" (match any version)
+ */
+export function parseIfMatch(header) {
+  if (!header) return null;
+  const value = header.trim().replace(/^W\//, '').replace(/"/g, '');
+  if (value === '*') return null;
+  return value;
+}
+
+/**
+ * Capabilities in required that an executor's capability list lacks
+ * @param {string[]} capabilities - Executor capabilities
+ * @param {string[]} required - Request's required_capabilities
+ * @returns {string[]} Missing capabilities (empty when the executor qualifies)
+ */
+export function missingCapabilities(capabilities, required) {
+  const have = capabilities || [];
+  return (required || []).filter(cap => !have.includes(cap));
+}
+
+/**
+ * Permissions an API key can carry
+ */
+export const SCOPES = ['requests:read', 'requests:create', 'requests:claim', 'executors:admin'];
+
+/**
+ * Roles handed out at registration and the scopes each grants
+ */
+export const ROLES = {
+  admin: SCOPES,
+  requestor: ['requests:read', 'requests:create'],
+  executor: ['requests:read', 'requests:claim'],
+  'read-only': ['requests:read'],
+};
+
+// Keys issued before roles existed keep everything except administration
+const LEGACY_SCOPES = ['requests:read', 'requests:create', 'requests:claim'];
+
+// Registrations that don't name a role may only ask, so an agent that
+// leaves it out can't claim or complete its own requests
+const DEFAULT_ROLES = ['requestor'];
+
+/**
+ * Expand roles into the scopes they grant
+ * @param {string|string[]} roles - Role name(s) from ROLES
+ * @returns {string[]|null} Scopes, or null if a role is unknown
+ */
+export function scopesForRoles(roles) {
+  const list = [].concat(roles);
+  if (list.length === 0 || list.some(role => !Object.hasOwn(ROLES, role))) {
+    return null;
+  }
+  return SCOPES.filter(scope => list.some(role => ROLES[role].includes(scope)));
+}
+
+/**
+ * Whether an authenticated executor's key carries a scope
+ * @param {Object} auth - Authenticated executor
+ * @param {string} scope - One of SCOPES
+ * @returns {boolean}
+ */
+export function hasScope(auth, scope) {
+  return !!auth && (auth.scopes || LEGACY_SCOPES).includes(scope);
+}
+
+function requireScope(auth, scope) {
+  return hasScope(auth, scope) ? null : { error: `API key lacks the ${scope} scope`, status: 403 };
+}
+
+// Request fields handleCreateRequest validates and normalizes; any other
+// field is stored on the request untouched
+const NORMALIZED_REQUEST_FIELDS = [
+  'intent', 'context', 'response_hint', 'needed_by', 'confirm_before',
+  'required_capabilities', 'assignee',
+];
+
+// Thread fields the exchange sets; a request body naming them is not
+// setting them, so they're dropped rather than stored on the request
+const RESERVED_REQUEST_FIELDS = [
+  'ref', 'status', 'requestor_id', 'executor_id', 'expected_version', 'version',
+  'created_at', 'updated_at', 'messages', 'attachments',
+];
+
+/**
+ * Serial of a thread's latest message, as the MESSE-AF converter numbers them:
+ * status changes, delegations and messages take one, attachments don't.
+ * Snapshots from before attachments count every event after thread_created.
+ */
+function messageSerial(state) {
+  if (!state) return 0;
+  return state.message_serial ?? state.version - 1;
+}
+
+// Attachment filenames become storage keys and content:// URIs
+function isValidFilename(filename) {
+  return typeof filename === 'string' && filename.length > 0 && filename.length <= 255 &&
+    !filename.includes('..') && !/[\/\\]/.test(filename) && !filename.startsWith('.') &&
+    !/[\u0000-\u001f]/.test(filename);
+}
+
+// Give up waiting on a slow endpoint; the call itself may still finish later
+function withTimeout(promise, seconds) {
+  let timer;
+  const timeout = new Promise((_, reject) => {
+    timer = setTimeout(() => reject(new Error(`No answer within ${seconds}s`)), seconds * 1000);
+  });
+  return Promise.race([promise, timeout]).finally(() => clearTimeout(timer));
+}
+
 // ============ Google OAuth Helper ============
 
 /**
@@ -196,13 +372,50 @@ async function getGoogleAccessToken(hook) {
 /**
  * Create API handlers bound to a storage backend
  * @param {Object} storage - Storage implementation (filesystem, S3, or R2)
+ * @param {Object} options
+ * @param {string} options.registration - 'invite' (default): registering needs
+ *   an admin key or invite code once the exchange has its first executor;
+ *   'open': anyone may self-register (never as admin)
+ * @param {number} options.authCacheSize - Validated API keys kept in memory (default 500)
+ * @param {number} options.authCacheTtlMs - How long a validated key is trusted
+ *   without re-reading storage (default 60000)
+ * @param {number} options.maxOpenRequests - Non-terminal requests one requestor
+ *   may have at a time (default 100; 0 disables)
+ * @param {Object} options.blobStore - Where uploaded attachments go (default:
+ *   a BlobStore over storage under blobs/)
+ * @param {Object} options.attachments - Upload limits from attachmentLimitsFromEnv
+ * @param {number} options.presignTtlSeconds - Lifetime of attachment URLs (default 900)
+ * @param {string} options.signingSecret - Key for local signed attachment URLs
+ *   (default: generated once and kept in storage)
+ * @param {Object} options.deliveries - Retry settings from deliveryOptionsFromEnv
+ * @param {Function} options.onDeliveriesQueued - Called with the exchange ID
+ *   when hooks or notifications are queued; adapters use it to run
+ *   runDeliveries after responding (default: they wait for the next sweep)
  */
-export function createHandlers(storage) {
+export function createHandlers(storage, options = {}) {
+  const registration = options.registration || 'invite';
+  const maxOpenRequests = options.maxOpenRequests ?? 100;
+  const blobStore = options.blobStore || new BlobStore(storage);
+  const attachmentLimits = options.attachments || attachmentLimitsFromEnv();
+  const presignTtl = options.presignTtlSeconds ?? 900;
+  let signingSecret = options.signingSecret || null;
+  const imageOptions = options.images || imageOptionsFromEnv();
+  const imageProcessor = options.imageProcessor || null;
+  const deliveries = createDeliveryQueue(storage, options.deliveries || deliveryOptionsFromEnv());
+  const onDeliveriesQueued = options.onDeliveriesQueued || null;
   
   // ---- Storage Operations ----
   
+  function eventPath(event) {
+    return `events/exchange=${event.exchange_id}/${todayPath()}/${event.event_id}.jsonl`;
+  }
+
   async function writeEvent(event) {
-    const path = `events/exchange=${event.exchange_id}/${todayPath()}/${event.event_id}.jsonl`;
+    if (event.thread_ref) {
+      await appendThreadEvents(event.exchange_id, event.thread_ref, [event]);
+      return eventPath(event);
+    }
+    const path = eventPath(event);
     await storage.put(path, JSON.stringify(event) + '\n');
     return path;
   }
@@ -213,9 +426,36 @@ export function createHandlers(storage) {
     return data ? JSON.parse(data) : null;
   }
 
+  function keyIndexPath(exchangeId, keyId) {
+    return `keys/exchange=${exchangeId}/${keyId}.json`;
+  }
+
+  /**
+   * Save an executor and keep the key id -> executor index in step:
+   *   keys/exchange={id}/{key_id}.json - { executor_id }
+   */
   async function putExecutor(exchangeId, executor) {
     const path = `executors/exchange=${exchangeId}/${executor.id}.json`;
+    const previous = await getExecutor(exchangeId, executor.id);
     await storage.put(path, JSON.stringify(executor, null, 2));
+    
+    const indexed = (record) => new Set(executorKeys(record || {})
+      .map(key => key.id)
+      .filter(id => KEY_ID_PATTERN.test(id)));
+    const before = indexed(previous);
+    const after = indexed(executor);
+    for (const keyId of after) {
+      if (!before.has(keyId)) {
+        await storage.put(keyIndexPath(exchangeId, keyId), JSON.stringify({ executor_id: executor.id }));
+      }
+    }
+    for (const keyId of before) {
+      if (!after.has(keyId)) {
+        await storage.delete(keyIndexPath(exchangeId, keyId));
+      }
+    }
+    
+    forgetCachedAuth(exchangeId, executor.id);
   }
 
   async function listExecutors(exchangeId) {
@@ -236,30 +476,167 @@ export function createHandlers(storage) {
   }
 
   // ---- Auth ----
-  
+  //
+  // Executors hold named API keys (one per device):
+  //   keys: [{ id, name, hash, created_at, last_used_at, expires_at? }]
+  // expires_at is set while a rotated-out key is in its grace period.
+  // Records from before named keys only have api_key_hash; it is read as a
+  // key with id "default" and migrated the first time it is used.
+
+  // Write last_used_at at most this often so reads don't all become writes
+  const KEY_USE_RESOLUTION_MS = 60 * 1000;
+
+  // Validated keys are remembered for a while so most requests skip storage.
+  // putExecutor drops an executor's entries, so revocations and role changes
+  // apply at once in this process; other processes see them within the TTL.
+  const AUTH_CACHE_SIZE = options.authCacheSize ?? 500;
+  const AUTH_CACHE_TTL_MS = options.authCacheTtlMs ?? 60 * 1000;
+  const authCache = new Map(); // key hash -> { auth, key, cached_at }
+
+  function cacheAuth(keyHash, auth, key) {
+    authCache.delete(keyHash);
+    authCache.set(keyHash, { auth, key, cached_at: Date.now() });
+    while (authCache.size > AUTH_CACHE_SIZE) {
+      authCache.delete(authCache.keys().next().value);
+    }
+  }
+
+  function cachedAuth(keyHash, now) {
+    const entry = authCache.get(keyHash);
+    if (!entry) return null;
+    if (now - entry.cached_at >= AUTH_CACHE_TTL_MS || !isKeyActive(entry.key, now)) {
+      authCache.delete(keyHash);
+      return null;
+    }
+    // Most recently used goes to the back
+    authCache.delete(keyHash);
+    authCache.set(keyHash, entry);
+    return entry.auth;
+  }
+
+  function forgetCachedAuth(exchangeId, executorId) {
+    for (const [keyHash, entry] of authCache) {
+      if (entry.auth.exchange_id === exchangeId && entry.auth.id === executorId) {
+        authCache.delete(keyHash);
+      }
+    }
+  }
+
+  function executorKeys(executor) {
+    if (executor.keys) return executor.keys;
+    if (!executor.api_key_hash) return [];
+    return [{
+      id: 'default',
+      name: 'default',
+      hash: executor.api_key_hash,
+      created_at: executor.created_at,
+      last_used_at: null,
+    }];
+  }
+
+  function isKeyActive(key, now = new Date()) {
+    return !key.expires_at || new Date(key.expires_at) > now;
+  }
+
+  /**
+   * Generate an API key and the record stored for it
+   * @returns {{apiKey: string, key: Object}}
+   */
+  async function issueKey(exchangeId, name) {
+    const id = generateKeyId();
+    const apiKey = generateApiKey(exchangeId, id);
+    return {
+      apiKey,
+      key: {
+        id,
+        name: name || 'default',
+        hash: await hashApiKey(apiKey),
+        created_at: new Date().toISOString(),
+        last_used_at: null,
+      },
+    };
+  }
+
+  /**
+   * Replace an executor's key list, dropping keys whose grace period is over
+   */
+  async function saveKeys(exchangeId, executor, keys) {
+    const now = new Date();
+    executor.keys = keys.filter(key => isKeyActive(key, now));
+    delete executor.api_key_hash;
+    await putExecutor(exchangeId, executor);
+  }
+
+  async function touchKey(exchangeId, executorId, keyId, now) {
+    const executor = await getExecutor(exchangeId, executorId);
+    if (!executor) return;
+    const keys = executorKeys(executor).map(key =>
+      key.id === keyId ? { ...key, last_used_at: now.toISOString() } : key);
+    await saveKeys(exchangeId, executor, keys);
+  }
+
+  /**
+   * Find the executor an API key belongs to
+   * Keys with an embedded key id are one index lookup; older keys without
+   * one fall back to scanning the exchange's executors.
+   * @returns {Object|null} Executor with exchange_id and key_id, or null
+   */
   async function authenticate(apiKey) {
-    const { valid, exchangeId } = parseApiKey(apiKey);
+    const { valid, exchangeId, keyId } = parseApiKey(apiKey);
     if (!valid) return null;
     
     const keyHash = await hashApiKey(apiKey);
-    const executors = await listExecutors(exchangeId);
+    const now = new Date();
     
-    for (const executor of executors) {
-      if (executor.api_key_hash === keyHash) {
-        return { ...executor, exchange_id: exchangeId };
+    const cached = cachedAuth(keyHash, now);
+    if (cached) {
+      return { ...cached };
+    }
+    
+    let candidates;
+    if (keyId) {
+      const entry = await storage.get(keyIndexPath(exchangeId, keyId));
+      const executor = entry && await getExecutor(exchangeId, JSON.parse(entry).executor_id);
+      candidates = executor ? [executor] : [];
+    } else {
+      candidates = await listExecutors(exchangeId);
+    }
+    
+    for (const executor of candidates) {
+      const key = executorKeys(executor).find(k => k.hash === keyHash && isKeyActive(k, now));
+      if (!key) continue;
+      
+      if (!key.last_used_at || now - new Date(key.last_used_at) >= KEY_USE_RESOLUTION_MS) {
+        await touchKey(exchangeId, executor.id, key.id, now);
       }
+      const auth = { ...executor, exchange_id: exchangeId, key_id: key.id };
+      cacheAuth(keyHash, auth, key);
+      return { ...auth };
     }
     
     return null;
   }
 
   // ---- Thread State ----
-  
-  async function getThreadEvents(exchangeId, ref) {
+
+  /**
+   * Read every event for an exchange, grouped by thread ref.
+   * This is O(all events) and only used to rebuild projections.
+   */
+  async function scanThreadEvents(exchangeId) {
+    const threadEvents = new Map();
+
+    // MESSE-AF storage keeps threads as documents, not event files
+    if (typeof storage.getThreads === 'function') {
+      for (const thread of await storage.getThreads(exchangeId)) {
+        threadEvents.set(thread.ref, await storage.getThreadEvents(exchangeId, thread.ref));
+      }
+      return threadEvents;
+    }
+
     const prefix = `events/exchange=${exchangeId}/`;
     const files = await storage.list(prefix);
     
-    const events = [];
     for (const file of files) {
       const data = await storage.get(file);
       if (data) {
@@ -267,24 +644,37 @@ export function createHandlers(storage) {
           if (line) {
             try {
               const event = JSON.parse(line);
-              if (event.thread_ref === ref) {
-                events.push(event);
+              if (event.thread_ref) {
+                if (!threadEvents.has(event.thread_ref)) {
+                  threadEvents.set(event.thread_ref, []);
+                }
+                threadEvents.get(event.thread_ref).push(event);
               }
             } catch (e) {
-              // Skip malformed lines
+              // Skip malformed events
             }
           }
         }
       }
     }
+
+    for (const events of threadEvents.values()) {
+      events.sort((a, b) => new Date(a.ts) - new Date(b.ts));
+    }
     
-    return events.sort((a, b) => new Date(a.ts) - new Date(b.ts));
+    return threadEvents;
   }
 
   function computeThreadState(events) {
     if (events.length === 0) return null;
-    
-    const state = {
+    return events.reduce(applyThreadEvent, null);
+  }
+
+  /**
+   * Fold a single event into a thread state (null for a new thread)
+   */
+  function applyThreadEvent(current, event) {
+    const state = current ? { ...current, messages: [...current.messages] } : {
       ref: null,
       status: 'pending',
       intent: '',
@@ -293,136 +683,714 @@ export function createHandlers(storage) {
       priority: 'normal',
       created_at: null,
       updated_at: null,
+      version: 0,
       messages: [],
     };
     
-    for (const event of events) {
-      state.updated_at = event.ts;
-      
-      switch (event.event_type) {
-        case 'thread_created':
-          state.ref = event.thread_ref;
-          state.intent = event.payload.intent;
-          state.requestor_id = event.payload.requestor_id;
-          state.priority = event.payload.priority || 'normal';
-          state.created_at = event.ts;
-          break;
-        case 'status_changed':
-          state.status = event.payload.new_status;
-          if (event.payload.executor_id) {
-            state.executor_id = event.payload.executor_id;
-          }
-          break;
-        case 'message_added':
-          state.messages.push({
-            from: event.actor_id,
-            ts: event.ts,
-            mess: event.payload.mess,
-          });
-          break;
+    state.updated_at = event.ts;
+    state.version = (state.version || 0) + 1;
+    state.last_event_id = event.event_id;
+    
+    switch (event.event_type) {
+      case 'thread_created':
+        state.ref = event.thread_ref;
+        state.intent = event.payload.intent;
+        state.requestor_id = event.payload.requestor_id;
+        state.priority = event.payload.priority || 'normal';
+        state.created_at = event.ts;
+        state.request = requestFromPayload(event.payload);
+        if (event.payload.needed_by) {
+          state.needed_by = event.payload.needed_by;
+        }
+        if (event.payload.required_capabilities?.length) {
+          state.required_capabilities = event.payload.required_capabilities;
+        }
+        if (event.payload.confirm_before) {
+          state.confirm_before = true;
+          state.confirmation = initialConfirmation(event.payload);
+        }
+        if (event.payload.assignee) {
+          state.assignee = event.payload.assignee;
+          state.custody = [{ action: 'assigned', to: event.payload.assignee, by: event.actor_id, at: event.ts }];
+        }
+        break;
+      case 'status_changed': {
+        state.message_serial = messageSerial(current) + 1;
+        state.status = event.payload.new_status;
+        if (event.payload.executor_id) {
+          state.executor_id = event.payload.executor_id;
+        }
+        if (event.payload.new_status === 'claimed') {
+          state.custody = [
+            ...(state.custody || []),
+            { action: 'claimed', to: state.executor_id, by: event.actor_id, at: event.ts },
+          ];
+        }
+        const { action, consequences, reversible } = event.payload;
+        trackConfirmation(state, event, {
+          status: event.payload.new_status,
+          mess: [{ status: { code: event.payload.new_status, action, consequences, reversible } }],
+        });
+        break;
+      }
+      case 'thread_delegated':
+        state.message_serial = messageSerial(current) + 1;
+        // Back to pending, reserved for the new executor
+        state.custody = [
+          ...(state.custody || []),
+          {
+            action: 'delegated',
+            ...(state.executor_id && { from: state.executor_id }),
+            to: event.payload.delegated_to,
+            by: event.actor_id,
+            at: event.ts,
+            ...(event.payload.reason && { reason: event.payload.reason }),
+          },
+        ];
+        state.status = 'pending';
+        state.executor_id = null;
+        state.assignee = event.payload.delegated_to;
+        break;
+      case 'message_added':
+        state.message_serial = messageSerial(current) + 1;
+        state.messages.push({
+          // Same ref the MESSE-AF converter gives this message
+          ref: generateMessageRef(state.ref, getMessageType(event.payload.mess),
+            state.message_serial, extractClientId(event.payload.mess)),
+          from: event.actor_id,
+          ts: event.ts,
+          mess: event.payload.mess,
+        });
+        trackConfirmation(state, event, { mess: event.payload.mess });
+        break;
+      case 'attachment_added': {
+        const { filename, width, height, thumbnail } = event.payload;
+        state.attachments = [...(state.attachments || []), {
+          filename,
+          content_type: event.payload.content_type,
+          size: event.payload.size,
+          ...(width && { width, height }),
+          uri: `content://${state.ref}/${filename}`,
+          ...(thumbnail && {
+            thumbnail: { ...thumbnail, uri: `content://${state.ref}/${thumbnail.filename}` },
+          }),
+          uploaded_by: event.actor_id,
+          uploaded_at: event.ts,
+        }];
+        break;
       }
     }
     
     return state;
   }
 
-  async function listThreads(exchangeId, status = null) {
-    const prefix = `events/exchange=${exchangeId}/`;
-    const files = await storage.list(prefix);
-    
-    const threadEvents = new Map();
-    
-    for (const file of files) {
-      const data = await storage.get(file);
-      if (data) {
-        for (const line of data.trim().split('\n')) {
-          if (line) {
-            try {
-              const event = JSON.parse(line);
-              if (event.thread_ref) {
-                if (!threadEvents.has(event.thread_ref)) {
-                  threadEvents.set(event.thread_ref, []);
-                }
-                threadEvents.get(event.thread_ref).push(event);
-              }
-            } catch (e) {
-              // Skip malformed events
-            }
-          }
-        }
-      }
+  function trackConfirmation(state, event, change) {
+    const confirmation = updateConfirmation(
+      state.confirmation,
+      { from: event.actor_id, at: event.ts, ...change },
+      state.requestor_id
+    );
+    if (confirmation) {
+      state.confirmation = confirmation;
     }
-    
-    const threads = [];
-    for (const [ref, events] of threadEvents) {
-      events.sort((a, b) => new Date(a.ts) - new Date(b.ts));
-      const state = computeThreadState(events);
-      if (state && (!status || state.status === status)) {
-        threads.push(state);
+  }
+
+  // ---- Thread Projection ----
+  //
+  // Materialized view of thread state so reads don't replay every event:
+  //   projections/exchange={id}/threads/{ref}.json  - full thread state
+  //   projections/exchange={id}/index.json          - ref -> summary
+  //   projections/exchange={id}/search/...          - full-text index shards
+  // writeEvent keeps all three current; rebuildProjections recovers from the log.
+  // Each thread carries a version (number of events applied) used for
+  // optimistic concurrency via ETag / If-Match.
+
+  const projectionLocks = new Map();
+
+  /**
+   * Serialize projection writes per exchange so concurrent requests in the
+   * same process don't clobber each other's index updates
+   */
+  function withProjectionLock(exchangeId, fn) {
+    const run = (projectionLocks.get(exchangeId) || Promise.resolve()).then(fn);
+    projectionLocks.set(exchangeId, run.catch(() => {}));
+    return run;
+  }
+
+  // The lock only covers this process. Storage with conditional writes
+  // (getVersioned/putIfMatch, e.g. R2) also guards against other processes
+  // and Worker isolates: a snapshot write fails if the thread changed since
+  // it was read, and shared documents (index, search, feed) are re-read and
+  // the update re-applied.
+  const CONDITIONAL_WRITE_ATTEMPTS = 5;
+  const conditionalWrites = typeof storage.putIfMatch === 'function';
+
+  /**
+   * Read-modify-write a shared JSON document
+   * @param {string} key - Storage key
+   * @param {Function} update - (current or null) => next; may be called again
+   * @returns {Promise<Object>} The document written
+   */
+  async function updateJson(key, update) {
+    if (!conditionalWrites) {
+      const data = await storage.get(key);
+      const next = await update(data ? JSON.parse(data) : null);
+      await storage.put(key, JSON.stringify(next));
+      return next;
+    }
+    for (let attempt = 0; attempt < CONDITIONAL_WRITE_ATTEMPTS; attempt++) {
+      const current = await storage.getVersioned(key);
+      const next = await update(current ? JSON.parse(current.data) : null);
+      if (await storage.putIfMatch(key, JSON.stringify(next), current?.version ?? null)) return next;
+    }
+    throw new ConflictError(`${key} is changing too fast; try again`);
+  }
+
+  function summarizeThread(thread) {
+    // The latest image stands for the thread in lists (summaries get
+    // summarized again, and by then the URI is all that's left)
+    const thumbnail = thread.attachments
+      ? thread.attachments.findLast(a => a.thumbnail)?.thumbnail.uri
+      : thread.thumbnail;
+    return {
+      ref: thread.ref,
+      status: thread.status,
+      intent: thread.intent,
+      requestor_id: thread.requestor_id,
+      executor_id: thread.executor_id,
+      assignee: thread.assignee,
+      priority: thread.priority,
+      required_capabilities: thread.required_capabilities,
+      needed_by: thread.needed_by,
+      created_at: thread.created_at,
+      updated_at: thread.updated_at,
+      version: thread.version,
+      ...(thumbnail && { thumbnail }),
+    };
+  }
+
+  async function readProjectionIndex(exchangeId) {
+    const data = await storage.get(`projections/exchange=${exchangeId}/index.json`);
+    return data ? JSON.parse(data) : null;
+  }
+
+  async function writeProjectionIndex(exchangeId, index) {
+    await storage.put(`projections/exchange=${exchangeId}/index.json`, JSON.stringify(index));
+  }
+
+  /**
+   * Write a thread snapshot; with a version (from readThreadSnapshotVersioned)
+   * only if the snapshot hasn't changed since
+   * @returns {Promise<boolean>} false if it had
+   */
+  async function writeThreadSnapshot(exchangeId, thread, version = undefined) {
+    const key = `projections/exchange=${exchangeId}/threads/${thread.ref}.json`;
+    if (conditionalWrites && version !== undefined) {
+      return storage.putIfMatch(key, JSON.stringify(thread), version);
+    }
+    await storage.put(key, JSON.stringify(thread));
+    return true;
+  }
+
+  // MESSE-AF threads can also change outside the server (the CLI's update
+  // and doctor --fix edit the files), so their projections are checked
+  // against the thread envelopes on read and rebuilt when they disagree
+  function matchesEnvelope(summary, envelope) {
+    return !!summary && !!envelope &&
+      summary.status === envelope.status && summary.updated_at === envelope.updated;
+  }
+
+  async function getProjectionIndex(exchangeId) {
+    const index = await readProjectionIndex(exchangeId);
+    // First read after upgrading from a projection-less deployment
+    if (!index) return rebuildProjections(exchangeId);
+
+    if (typeof storage.getThreads === 'function') {
+      const versions = typeof storage.getEnvelopeVersions === 'function'
+        ? await storage.getEnvelopeVersions(exchangeId)
+        : null;
+      if (versions) return syncEnvelopes(exchangeId, index, versions);
+
+      const envelopes = await storage.getThreads(exchangeId);
+      const current = envelopes.length === Object.keys(index.threads).length &&
+        envelopes.every(t => matchesEnvelope(index.threads[t.ref], { status: t.status, updated: t.updated_at }));
+      if (!current) return rebuildProjections(exchangeId);
+    }
+    return index;
+  }
+
+  /**
+   * Bring the index up to date with envelopes changed outside the server,
+   * reading only those whose file version differs from the one the index
+   * last saw (index.envelopes: ref -> version)
+   * @param {Map<string, string>} versions - From storage.getEnvelopeVersions
+   */
+  async function syncEnvelopes(exchangeId, index, versions) {
+    // A thread file was removed by hand
+    if (Object.keys(index.threads).some(ref => !versions.has(ref))) {
+      return rebuildProjections(exchangeId);
+    }
+
+    const seen = index.envelopes || {};
+    const changed = [...versions].filter(([ref, version]) => !Object.hasOwn(seen, ref) || seen[ref] !== version);
+    if (changed.length === 0) return index;
+
+    for (const [ref] of changed) {
+      const envelope = await storage.getEnvelope(exchangeId, ref);
+      if (!matchesEnvelope(index.threads[ref], envelope)) {
+        await projectThread(exchangeId, await storage.getThreadEvents(exchangeId, ref));
       }
     }
-    
-    threads.sort((a, b) => new Date(b.updated_at) - new Date(a.updated_at));
-    return threads;
+
+    return updateJson(`projections/exchange=${exchangeId}/index.json`, latest => {
+      const next = latest || index;
+      next.envelopes = { ...next.envelopes, ...Object.fromEntries(changed) };
+      return next;
+    });
+  }
+
+  // ---- Search Shards ----
+  //
+  // The full-text index is split by the first two characters of each term:
+  //   projections/exchange={id}/search/terms/{prefix}.json - { terms: { term: { ref: postings } } }
+  //   projections/exchange={id}/search/built.json          - written once every thread is in
+  // tokenize drops one-character terms, so a query term shares its shard with
+  // every term it prefix-matches, and a query reads one shard per term. An
+  // update rewrites only the shards holding terms whose postings changed.
+
+  function searchShardKey(exchangeId, term) {
+    const prefix = encodeURIComponent([...term].slice(0, 2).join(''));
+    return `projections/exchange=${exchangeId}/search/terms/${prefix}.json`;
   }
 
-  // ---- Webhooks / Hooks ----
-  
   /**
-   * Execute lifecycle hooks for an event
-   * 
-   * Hook types:
-   * - webhook: POST to any URL with templated body
-   * - ifttt: Trigger IFTTT Webhooks (easy path to Google Keep, etc.)
-   * - google_tasks: Add to Google Tasks via API (requires OAuth)
-   * - zapier: Trigger Zapier webhook
-   * 
-   * Template variables available:
-   * - {{ref}}, {{intent}}, {{status}}, {{priority}}
-   * - {{requestor_id}}, {{executor_id}}
-   * - {{created_at}}, {{updated_at}}
-   * - {{event}} - the event type (created, claimed, completed, etc.)
+   * Re-index one thread, given its state before (null if new) and after
    */
-  async function executeHooks(hookName, thread, executor, extra = {}) {
-    const hooks = executor.hooks?.[hookName] || [];
-    
-    // Build template context
-    const context = {
-      ...thread,
-      event: hookName.replace('on_request_', ''),
-      executor_name: executor.display_name,
-      ...extra,
-    };
-    
-    const results = [];
-    
-    for (const hook of hooks) {
-      try {
-        const result = await executeHook(hook, context);
-        results.push({ hook: hook.type, success: true, result });
-      } catch (e) {
-        console.error(`Hook ${hook.type} failed for ${executor.id}:`, e.message);
-        results.push({ hook: hook.type, success: false, error: e.message });
+  async function updateSearchShards(exchangeId, before, after) {
+    const old = before ? searchPostings(before) : new Map();
+    const postings = searchPostings(after);
+
+    const changed = new Map(); // shard key -> terms
+    for (const term of new Set([...old.keys(), ...postings.keys()])) {
+      if (JSON.stringify(old.get(term)) === JSON.stringify(postings.get(term))) continue;
+      const key = searchShardKey(exchangeId, term);
+      changed.set(key, [...(changed.get(key) || []), term]);
+    }
+
+    for (const [key, terms] of changed) {
+      await updateJson(key, latest => {
+        const shard = latest || { terms: {} };
+        for (const term of terms) {
+          if (postings.has(term)) {
+            if (!Object.hasOwn(shard.terms, term)) shard.terms[term] = {};
+            shard.terms[term][after.ref] = postings.get(term);
+          } else if (Object.hasOwn(shard.terms, term)) {
+            delete shard.terms[term][after.ref];
+            if (Object.keys(shard.terms[term]).length === 0) delete shard.terms[term];
+          }
+        }
+        return shard;
+      });
+    }
+  }
+
+  /**
+   * Write every shard from scratch and drop any left from before
+   * @param {Array} threads - Every thread on the exchange
+   */
+  async function writeSearchShards(exchangeId, threads) {
+    const shards = new Map();
+    for (const thread of threads) {
+      for (const [term, postings] of searchPostings(thread)) {
+        const key = searchShardKey(exchangeId, term);
+        if (!shards.has(key)) shards.set(key, { terms: {} });
+        const { terms } = shards.get(key);
+        if (!Object.hasOwn(terms, term)) terms[term] = {};
+        terms[term][thread.ref] = postings;
       }
     }
-    
-    return results;
+
+    for (const key of await storage.list(`projections/exchange=${exchangeId}/search/terms/`)) {
+      if (!shards.has(key)) await storage.delete(key);
+    }
+    for (const [key, shard] of shards) {
+      await storage.put(key, JSON.stringify(shard));
+    }
+    await storage.put(`projections/exchange=${exchangeId}/search/built.json`,
+      JSON.stringify({ built_at: new Date().toISOString() }));
+    // The unsharded index older versions kept
+    await storage.delete(`projections/exchange=${exchangeId}/search.json`);
   }
-  
-  async function executeHook(hook, context) {
+
+  /**
+   * The part of the index a query needs: the shards of its terms, indexing
+   * existing snapshots first if the shards were never built (projections
+   * written before search, or before it was sharded)
+   * @returns {Promise<Object>} { terms } for searchIndex
+   */
+  async function loadSearchShards(exchangeId, index, q) {
+    if (!await storage.get(`projections/exchange=${exchangeId}/search/built.json`)) {
+      await withProjectionLock(exchangeId, async () => {
+        const threads = [];
+        for (const ref of Object.keys(index.threads)) {
+          const thread = await readThreadSnapshot(exchangeId, ref);
+          if (thread) threads.push(thread);
+        }
+        await writeSearchShards(exchangeId, threads);
+      });
+    }
+
+    const terms = {};
+    for (const key of new Set(tokenize(q).map(term => searchShardKey(exchangeId, term)))) {
+      const data = await storage.get(key);
+      if (data) Object.assign(terms, JSON.parse(data).terms);
+    }
+    return { terms };
+  }
+
+  async function readThreadSnapshot(exchangeId, ref) {
+    const data = await storage.get(`projections/exchange=${exchangeId}/threads/${ref}.json`);
+    return data ? JSON.parse(data) : null;
+  }
+
+  /**
+   * Read a snapshot with the storage version to write it back against
+   * @returns {Promise<{thread: Object|null, version: string|null|undefined}>}
+   *   version is undefined without conditional writes, null if there's no snapshot
+   */
+  async function readThreadSnapshotVersioned(exchangeId, ref) {
+    if (!conditionalWrites) {
+      return { thread: await readThreadSnapshot(exchangeId, ref), version: undefined };
+    }
+    const current = await storage.getVersioned(`projections/exchange=${exchangeId}/threads/${ref}.json`);
+    return current ? { thread: JSON.parse(current.data), version: current.version } : { thread: null, version: null };
+  }
+
+  /**
+   * Append events to a thread and project them, atomically within this process
+   * @param {string} exchangeId - Exchange ID
+   * @param {string} ref - Thread reference
+   * @param {Array} events - Events to write, in order
+   * @param {number|string|null} expectedVersion - Reject with ConflictError unless
+   *   the thread is still at this version (null skips the check)
+   * @returns {Promise<Object|null>} Updated thread state
+   */
+  async function appendThreadEvents(exchangeId, ref, events, expectedVersion = null) {
+    return withProjectionLock(exchangeId, async () => {
+      const index = await readProjectionIndex(exchangeId) || await buildProjections(exchangeId);
+      const snapshot = await readThreadSnapshotVersioned(exchangeId, ref);
+      let thread = snapshot.thread;
+      const current = thread?.version || 0;
+
+      if (expectedVersion !== null && String(current) !== String(expectedVersion)) {
+        throw new ConflictError(`Thread ${ref} was modified (version ${current}, expected ${expectedVersion})`, current);
+      }
+
+      const applied = [];
+      const paths = [];
+      try {
+        for (const event of events) {
+          const path = eventPath(event);
+          // Noted first, so a put that fails part-way is withdrawn too
+          paths.push(path);
+          await storage.put(path, JSON.stringify(event) + '\n');
+          thread = applyThreadEvent(thread, event);
+          applied.push({ event, thread });
+        }
+        if (!thread?.ref) return null; // Events for a thread we never saw created
+
+        if (!await writeThreadSnapshot(exchangeId, thread, snapshot.version)) {
+          throw new ConflictError(`Thread ${ref} was modified (version ${current} changed while updating)`, current);
+        }
+      } catch (error) {
+        // Another writer got there first, or storage failed: withdraw our
+        // events, which a rebuild would otherwise replay
+        for (const path of paths) await storage.delete(path).catch(() => {});
+        throw error;
+      }
+
+      await updateJson(`projections/exchange=${exchangeId}/index.json`, latest => {
+        const next = latest || index;
+        next.threads[thread.ref] = summarizeThread(thread);
+        next.updated_at = events[events.length - 1].ts;
+        return next;
+      });
+
+      await updateSearchShards(exchangeId, snapshot.thread, thread);
+
+      const records = await appendToFeed(exchangeId, applied);
+      publish(exchangeId, records);
+      return thread;
+    });
+  }
+
+  /**
+   * Replace one thread's projection wholesale (e.g. after an import)
+   */
+  async function projectThread(exchangeId, events) {
+    await withProjectionLock(exchangeId, async () => {
+      const index = await readProjectionIndex(exchangeId);
+      if (!index) {
+        await buildProjections(exchangeId);
+        return;
+      }
+
+      const thread = computeThreadState(events);
+      if (!thread?.ref) return;
+
+      const before = await readThreadSnapshot(exchangeId, thread.ref);
+      await writeThreadSnapshot(exchangeId, thread);
+      await updateJson(`projections/exchange=${exchangeId}/index.json`, latest => {
+        const next = latest || index;
+        next.threads[thread.ref] = summarizeThread(thread);
+        next.updated_at = new Date().toISOString();
+        return next;
+      });
+
+      await updateSearchShards(exchangeId, before, thread);
+    });
+  }
+
+  async function buildProjections(exchangeId) {
+    const threadEvents = await scanThreadEvents(exchangeId);
+    const index = { threads: {}, updated_at: new Date().toISOString() };
+    const threads = [];
+
+    for (const events of threadEvents.values()) {
+      const thread = computeThreadState(events);
+      if (!thread?.ref) continue;
+      await writeThreadSnapshot(exchangeId, thread);
+      index.threads[thread.ref] = summarizeThread(thread);
+      threads.push(thread);
+    }
+
+    await writeProjectionIndex(exchangeId, index);
+    await writeSearchShards(exchangeId, threads);
+    return index;
+  }
+
+  /**
+   * Rebuild all thread snapshots and the ref index from the event log
+   * @param {string} exchangeId - Exchange ID
+   * @returns {Promise<Object>} The rebuilt index
+   */
+  function rebuildProjections(exchangeId) {
+    return withProjectionLock(exchangeId, () => buildProjections(exchangeId));
+  }
+
+  /**
+   * Get current state for one thread from its snapshot
+   */
+  async function getThreadState(exchangeId, ref) {
+    const thread = await readThreadSnapshot(exchangeId, ref);
+
+    if (thread && typeof storage.getEnvelope === 'function') {
+      const envelope = await storage.getEnvelope(exchangeId, ref);
+      if (!envelope) return null;
+      if (!matchesEnvelope(thread, envelope)) {
+        await projectThread(exchangeId, await storage.getThreadEvents(exchangeId, ref));
+        return readThreadSnapshot(exchangeId, ref);
+      }
+    }
+    if (thread) return thread;
+
+    // Snapshot missing - only worth a rebuild if the index doesn't exist yet
+    const index = await readProjectionIndex(exchangeId);
+    if (index) return null;
+    await rebuildProjections(exchangeId);
+    return readThreadSnapshot(exchangeId, ref);
+  }
+
+  async function listThreads(exchangeId, status = null) {
+    const index = await getProjectionIndex(exchangeId);
+    
+    const threads = Object.values(index.threads)
+      .filter(t => !status || t.status === status);
+    
+    threads.sort((a, b) => new Date(b.updated_at) - new Date(a.updated_at));
+    return threads;
+  }
+
+  // ---- Event Stream ----
+  //
+  // Thread events are pushed to live subscribers (SSE in the Express adapter)
+  // and kept in a short feed so clients can resume with Last-Event-ID or
+  // long-poll where there is no shared memory (the Worker):
+  //   projections/exchange={id}/feed.json - { seq, events: [...last FEED_SIZE] }
+  // Feed records carry the thread summary rather than message bodies, which
+  // can hold large attachments; clients fetch the thread for full content.
+
+  const FEED_SIZE = 200;
+  const subscribers = new Map();
+
+  function feedRecord(seq, event, thread) {
+    return {
+      id: seq,
+      event_id: event.event_id,
+      event_type: event.event_type,
+      ts: event.ts,
+      thread_ref: event.thread_ref,
+      actor_id: event.actor_id,
+      ...(event.event_type === 'status_changed' && {
+        old_status: event.payload.old_status,
+        new_status: event.payload.new_status,
+      }),
+      ...(event.event_type === 'thread_delegated' && {
+        old_status: event.payload.old_status,
+        new_status: 'pending',
+        delegated_to: event.payload.delegated_to,
+      }),
+      thread: summarizeThread(thread),
+    };
+  }
+
+  async function readFeed(exchangeId) {
+    const data = await storage.get(`projections/exchange=${exchangeId}/feed.json`);
+    return data ? JSON.parse(data) : { seq: 0, events: [] };
+  }
+
+  /**
+   * Number and record applied events; caller holds the projection lock
+   */
+  async function appendToFeed(exchangeId, applied) {
+    let records;
+    await updateJson(`projections/exchange=${exchangeId}/feed.json`, latest => {
+      const feed = latest || { seq: 0, events: [] };
+      records = applied.map(({ event, thread }) => feedRecord(++feed.seq, event, thread));
+      feed.events = [...feed.events, ...records].slice(-FEED_SIZE);
+      return feed;
+    });
+    return records;
+  }
+
+  function publish(exchangeId, records) {
+    for (const listener of subscribers.get(exchangeId) || []) {
+      for (const record of records) {
+        try {
+          listener(record);
+        } catch (e) {
+          console.error('Event subscriber failed:', e.message);
+        }
+      }
+    }
+  }
+
+  /**
+   * Listen for thread events written by this process
+   * @returns {Function} Unsubscribe
+   */
+  function subscribe(exchangeId, listener) {
+    if (!subscribers.has(exchangeId)) subscribers.set(exchangeId, new Set());
+    subscribers.get(exchangeId).add(listener);
+    return () => {
+      subscribers.get(exchangeId)?.delete(listener);
+      if (subscribers.get(exchangeId)?.size === 0) subscribers.delete(exchangeId);
+    };
+  }
+
+  /**
+   * Events after a given feed id
+   * @param {string} exchangeId - Exchange ID
+   * @param {number|string|null} afterId - Last id the client saw (null: none)
+   * @returns {Promise<{events: Array, last_event_id: number, reset: boolean}>}
+   *   reset is true when events between afterId and the feed start were
+   *   dropped, so the client should re-list requests instead of replaying
+   */
+  async function readEventsAfter(exchangeId, afterId) {
+    const feed = await readFeed(exchangeId);
+    if (afterId === null || afterId === undefined || afterId === '') {
+      return { events: [], last_event_id: feed.seq, reset: false };
+    }
+
+    const after = Number(afterId);
+    const oldest = feed.events[0]?.id ?? feed.seq + 1;
+    const reset = !Number.isInteger(after) || after > feed.seq || after < oldest - 1;
+    return {
+      events: reset ? [] : feed.events.filter(e => e.id > after),
+      last_event_id: feed.seq,
+      reset,
+    };
+  }
+
+  /**
+   * Subscribe to live events, first replaying anything after lastEventId
+   * Events written during the replay are held back so nothing is lost or
+   * sent twice.
+   * @param {string} exchangeId - Exchange ID
+   * @param {number|string|null} lastEventId - Resume point (Last-Event-ID)
+   * @param {Function} onEvent - Called with each feed record
+   * @param {Function} onReset - Called if the resume point is too old
+   * @returns {Promise<Function>} Unsubscribe
+   */
+  async function openEventStream(exchangeId, lastEventId, onEvent, onReset = () => {}) {
+    let lastSent = 0;
+    let held = [];
+    const deliver = (record) => {
+      if (record.id <= lastSent) return;
+      lastSent = record.id;
+      onEvent(record);
+    };
+
+    const unsubscribe = subscribe(exchangeId, (record) => {
+      if (held) held.push(record);
+      else deliver(record);
+    });
+
+    const backlog = await readEventsAfter(exchangeId, lastEventId);
+    if (backlog.reset) onReset(backlog.last_event_id);
+    lastSent = backlog.reset ? backlog.last_event_id : Number(lastEventId ?? 0);
+    backlog.events.forEach(deliver);
+
+    const pending = held;
+    held = null;
+    pending.forEach(deliver);
+
+    return unsubscribe;
+  }
+
+  // ---- Webhooks / Hooks ----
+  
+  /**
+   * Template variables for an executor's lifecycle hooks:
+   * - {{ref}}, {{intent}}, {{status}}, {{priority}}
+   * - {{requestor_id}}, {{executor_id}}
+   * - {{created_at}}, {{updated_at}}
+   * - {{event}} - the event type (created, claimed, completed, etc.)
+   */
+  function hookContext(hookName, thread, executor, extra) {
+    return {
+      ...thread,
+      event: hookName.replace('on_request_', ''),
+      executor_name: executor.display_name,
+      ...extra,
+    };
+  }
+  
+  /**
+   * Run one hook (deliveries call this, signed per delivery):
+   * - webhook: POST to any URL with templated body
+   * - ifttt: Trigger IFTTT Webhooks (easy path to Google Keep, etc.)
+   * - google_tasks: Add to Google Tasks via API (requires OAuth)
+   * - zapier: Trigger Zapier webhook
+   * @param {Object} hook - Hook config from the executor profile
+   * @param {Object} context - Template variables
+   * @param {Object|null} signing - { secret, deliveryId } to sign webhook calls
+   */
+  async function executeHook(hook, context, signing = null) {
     switch (hook.type) {
       case 'webhook': {
         const url = templateExpand(hook.url, context);
         const headers = templateExpand(hook.headers || {}, context);
-        const body = templateExpand(hook.body || {}, context);
+        const body = JSON.stringify(templateExpand(hook.body || {}, context));
         
         const response = await fetch(url, {
           method: hook.method || 'POST',
           headers: {
             'Content-Type': 'application/json',
             ...headers,
+            ...(signing && await webhookHeaders(signing.secret, signing.deliveryId, body)),
           },
-          body: JSON.stringify(body),
+          body,
         });
         
         // Try to extract external ID from response for bidirectional sync
@@ -644,10 +1612,11 @@ export function createHandlers(storage) {
   }
   
   /**
-   * Dispatch hooks to all relevant executors
+   * Queue hooks for all relevant executors, one delivery per hook
    */
   async function dispatchHooks(exchangeId, hookName, thread, extra = {}) {
     const executors = await listExecutors(exchangeId);
+    let queued = 0;
     
     for (const executor of executors) {
       // Skip executors without hooks for this event
@@ -659,25 +1628,85 @@ export function createHandlers(storage) {
         if (executor.id !== thread.executor_id) continue;
       }
       
-      try {
-        await executeHooks(hookName, thread, executor, extra);
-      } catch (e) {
-        console.error(`Hook dispatch failed for ${executor.id}:`, e.message);
+      // Don't create work for executors that couldn't claim the request
+      if (hookName === 'on_request_created' &&
+          missingCapabilities(executor.capabilities, thread.required_capabilities).length > 0) {
+        continue;
+      }
+      
+      // Assigned requests only create work for the assignee
+      if (hookName === 'on_request_created' && thread.assignee && executor.id !== thread.assignee) {
+        continue;
+      }
+      
+      // Requestor-only and read-only keys can't take work
+      if (hookName === 'on_request_created' && !hasScope(executor, 'requests:claim')) {
+        continue;
+      }
+      
+      // Delegation concerns the new assignee, the requestor and the delegator
+      if (hookName === 'on_request_delegated' &&
+          ![thread.assignee, thread.requestor_id, extra.actor_id].includes(executor.id)) {
+        continue;
+      }
+      
+      const context = hookContext(hookName, thread, executor, extra);
+      for (const hook of executor.hooks[hookName]) {
+        await deliveries.enqueue({
+          exchange_id: exchangeId,
+          kind: 'hook',
+          name: hookName,
+          executor_id: executor.id,
+          thread_ref: thread.ref,
+          target: hook,
+          payload: context,
+        });
+        queued++;
       }
     }
+    
+    if (queued > 0) deliveriesQueued(exchangeId);
   }
 
   // ---- Notifications ----
   
-  async function dispatchNotifications(exchangeId, thread, eventType) {
+  /**
+   * Queue notifications to executors about a thread event, one delivery
+   * per channel
+   * @param {Object} options
+   * @param {string[]} options.recipients - Only notify these executor IDs
+   */
+  async function dispatchNotifications(exchangeId, thread, eventType, options = {}) {
     const executors = await listExecutors(exchangeId);
+    let queued = 0;
     
     for (const executor of executors) {
+      if (options.recipients && !options.recipients.includes(executor.id)) {
+        continue;
+      }
+      
       // Don't notify requestor of their own request
       if (executor.id === thread.requestor_id && eventType === 'thread_created') {
         continue;
       }
       
+      // Only executors that can do the request hear about it; the requestor
+      // and the claiming executor always follow their own threads
+      if (executor.id !== thread.requestor_id && executor.id !== thread.executor_id &&
+          missingCapabilities(executor.capabilities, thread.required_capabilities).length > 0) {
+        continue;
+      }
+      
+      // An assigned request is only news to its assignee
+      if (eventType === 'thread_created' && thread.assignee && executor.id !== thread.assignee) {
+        continue;
+      }
+      
+      // ...and never to keys that can't claim it
+      if (eventType === 'thread_created' && !hasScope(executor, 'requests:claim')) {
+        continue;
+      }
+      
       // Check quiet hours
       if (executor.preferences?.quiet_hours?.enabled && thread.priority !== 'urgent') {
         const now = new Date();
@@ -700,54 +1729,241 @@ export function createHandlers(storage) {
       }
       
       for (const channel of executor.notifications || []) {
-        try {
-          await sendNotification(channel, thread, eventType);
-        } catch (e) {
-          console.error(`Notification failed for ${executor.id}:`, e.message);
-        }
+        await deliveries.enqueue({
+          exchange_id: exchangeId,
+          kind: 'notification',
+          name: eventType,
+          executor_id: executor.id,
+          thread_ref: thread.ref,
+          target: channel,
+          payload: { thread, event_type: eventType },
+        });
+        queued++;
       }
     }
+    
+    if (queued > 0) deliveriesQueued(exchangeId);
   }
 
-  async function sendNotification(channel, thread, eventType) {
+  /**
+   * Send one notification
+   * @param {Object|null} signing - { secret, deliveryId } to sign webhook channels
+   */
+  async function sendNotification(channel, thread, eventType, signing = null) {
     const title = eventType === 'thread_created' 
       ? `🆕 New MESS Request`
-      : `📬 MESS Update: ${thread.status}`;
+      : eventType === 'thread_delegated'
+        ? `↪️ MESS Request Delegated to ${thread.assignee}`
+        : `📬 MESS Update: ${thread.status}`;
     
     const body = `${thread.intent}\n\nRef: ${thread.ref}\nPriority: ${thread.priority}`;
     
     switch (channel.type) {
       case 'ntfy':
-        await fetch(`${channel.server || 'https://ntfy.sh'}/${channel.topic}`, {
+        return fetch(`${channel.server || 'https://ntfy.sh'}/${channel.topic}`, {
           method: 'POST',
           headers: { 'Title': title, 'Priority': thread.priority === 'urgent' ? '5' : '3' },
           body: body,
         });
-        break;
         
       case 'slack':
       case 'google_chat':
-        await fetch(channel.webhook_url, {
+        return fetch(channel.webhook_url, {
           method: 'POST',
           headers: { 'Content-Type': 'application/json' },
           body: JSON.stringify({ text: `*${title}*\n${body}` }),
         });
-        break;
         
-      case 'webhook':
-        await fetch(channel.url, {
+      case 'webhook': {
+        const payload = JSON.stringify({ title, body, thread, event_type: eventType });
+        return fetch(channel.url, {
           method: 'POST',
-          headers: { 'Content-Type': 'application/json' },
-          body: JSON.stringify({ title, body, thread, event_type: eventType }),
+          headers: {
+            'Content-Type': 'application/json',
+            ...(signing && await webhookHeaders(signing.secret, signing.deliveryId, payload)),
+          },
+          body: payload,
         });
-        break;
+      }
+        
+      default:
+        console.warn(`Unknown notification channel: ${channel.type}`);
+        return null;
+    }
+  }
+
+  // ---- Deliveries ----
+  //
+  // Hooks and notifications go through the delivery queue (deliveries.js):
+  // handlers only enqueue, runDeliveries sends. A failed delivery is retried
+  // with exponential backoff and dead-lettered after maxAttempts.
+
+  function deliveriesQueued(exchangeId) {
+    if (onDeliveriesQueued) onDeliveriesQueued(exchangeId);
+  }
+
+  /**
+   * Send one delivery; throws when the endpoint fails or answers with an error.
+   * Webhooks are signed with the executor's current secret and carry the
+   * delivery ID, which stays the same across retries.
+   */
+  async function sendDelivery(delivery) {
+    const secret = delivery.target?.type === 'webhook'
+      ? await getWebhookSecret(delivery.exchange_id, delivery.executor_id)
+      : null;
+    const signing = secret ? { secret, deliveryId: delivery.id } : null;
+    
+    if (delivery.kind === 'hook') {
+      const result = await executeHook(delivery.target, delivery.payload, signing);
+      if (result?.status >= 400) {
+        throw new Error(`${delivery.target.type} answered HTTP ${result.status}`);
+      }
+      return;
+    }
+    
+    const response = await sendNotification(delivery.target, delivery.payload.thread, delivery.payload.event_type, signing);
+    if (response && !response.ok) {
+      throw new Error(`${delivery.target.type} answered HTTP ${response.status}`);
+    }
+  }
+
+  // Runs in this process take turns, so one never sends what another holds
+  let deliveryRun = Promise.resolve();
+
+  /**
+   * Send the deliveries that are due
+   * @param {string|null} exchangeId - One exchange, or null for all
+   * @param {Date} now - Reference time (for testing)
+   * @returns {Promise<{delivered: number, retrying: number, dead: number}>}
+   */
+  function runDeliveries(exchangeId = null, now = new Date()) {
+    const run = deliveryRun.then(() => deliverDue(exchangeId, now));
+    deliveryRun = run.catch(() => {});
+    return run;
+  }
+
+  async function deliverDue(exchangeId, now) {
+    const totals = { delivered: 0, retrying: 0, dead: 0 };
+    const exchangeIds = exchangeId ? [exchangeId] : await listExchanges();
+    
+    for (const id of exchangeIds) {
+      for (const due of await deliveries.due(id, now)) {
+        const delivery = await deliveries.lease(due, now);
+        try {
+          await withTimeout(sendDelivery(delivery), deliveries.options.timeout);
+          await deliveries.complete(delivery);
+          totals.delivered++;
+        } catch (e) {
+          const failed = await deliveries.fail(delivery, e.message, now);
+          if (failed.status === 'dead') {
+            console.error(`Delivery ${failed.id} (${failed.name} to ${failed.executor_id}) ` +
+              `dead-lettered after ${failed.attempts} attempts:`, e.message);
+            totals.dead++;
+          } else {
+            totals.retrying++;
+          }
+        }
+      }
+    }
+    
+    return totals;
+  }
+
+  // ---- Expiry ----
+  //
+  // v1.1: if needed_by passes before anyone claims a request, the exchange
+  // moves it to expired. Only pending threads expire; once claimed, the
+  // executor decides whether a late result is still useful.
+
+  /**
+   * List exchanges that have at least one registered executor
+   */
+  async function listExchanges() {
+    const keys = await storage.list('executors/');
+    return [...new Set(keys
+      .map(key => key.match(/exchange=([^/]+)\//)?.[1])
+      .filter(Boolean))];
+  }
+
+  /**
+   * Expire pending requests in one exchange whose needed_by has passed
+   * @param {string} exchangeId - Exchange ID
+   * @param {Date} now - Reference time (for testing)
+   * @returns {Promise<string[]>} Refs that were expired
+   */
+  async function expireOverdueRequests(exchangeId, now = new Date()) {
+    const index = await getProjectionIndex(exchangeId);
+    const overdue = Object.values(index.threads).filter(t =>
+      t.status === 'pending' && t.needed_by && Date.parse(t.needed_by) <= now.getTime()
+    );
+    
+    const expired = [];
+    for (const summary of overdue) {
+      let thread;
+      try {
+        thread = await appendThreadEvents(exchangeId, summary.ref, [{
+          event_id: crypto.randomUUID(),
+          ts: now.toISOString(),
+          exchange_id: exchangeId,
+          thread_ref: summary.ref,
+          event_type: 'status_changed',
+          actor_id: 'exchange',
+          payload: {
+            old_status: 'pending',
+            new_status: 'expired',
+            message: `needed_by ${summary.needed_by} passed before the request was claimed`,
+          },
+        }], summary.version);
+      } catch (e) {
+        // Claimed or otherwise changed since we read the index - leave it be
+        if (e instanceof ConflictError) continue;
+        throw e;
+      }
+      
+      expired.push(summary.ref);
+      await dispatchNotifications(exchangeId, thread, 'status_changed', {
+        recipients: [thread.requestor_id],
+      });
+      await dispatchHooks(exchangeId, 'on_request_expired', thread, {
+        old_status: 'pending',
+        actor_id: 'exchange',
+      });
+    }
+    
+    return expired;
+  }
+
+  /**
+   * Run expireOverdueRequests across every exchange
+   * @returns {Promise<Object>} exchange ID -> expired refs (only non-empty)
+   */
+  async function sweepExpiredRequests(now = new Date()) {
+    const results = {};
+    for (const exchangeId of await listExchanges()) {
+      try {
+        const expired = await expireOverdueRequests(exchangeId, now);
+        if (expired.length > 0) results[exchangeId] = expired;
+      } catch (e) {
+        console.error(`Expiry sweep failed for ${exchangeId}:`, e.message);
+      }
     }
+    return results;
   }
 
   // ---- API Handlers ----
   // Return { data, status } or { error, status }
   
-  async function handleRegister(exchangeId, body) {
+  /**
+   * Register an executor and issue its API key
+   * The first executor on an exchange becomes its admin (claimBootstrapAdmin,
+   * so only one of two racing registrations does). After that an admin
+   * key (auth) or a single-use invite_code is required, unless registration
+   * is open. body.role picks the key's role(s) (default requestor).
+   * @param {string} exchangeId
+   * @param {Object} body - { executor_id, role?, invite_code?, display_name?, ... }
+   * @param {Object|null} auth - Caller's executor, if they sent an API key
+   */
+  async function handleRegister(exchangeId, body, auth = null) {
     if (!body.executor_id) {
       return { error: 'executor_id required', status: 400 };
     }
@@ -757,8 +1973,32 @@ export function createHandlers(storage) {
       return { error: 'Executor already registered', status: 409 };
     }
     
-    const apiKey = generateApiKey(exchangeId);
-    const keyHash = await hashApiKey(apiKey);
+    const requested = body.role ?? DEFAULT_ROLES;
+    if (!scopesForRoles(requested)) {
+      return { error: `role must be one of: ${Object.keys(ROLES).join(', ')}`, status: 400 };
+    }
+    
+    let roles;
+    if (await claimBootstrapAdmin(exchangeId, body.executor_id)) {
+      roles = ['admin'];
+    } else if (auth?.exchange_id === exchangeId && hasScope(auth, 'executors:admin')) {
+      roles = [].concat(requested);
+    } else if (body.invite_code) {
+      const invite = await redeemInvite(exchangeId, body.invite_code);
+      if (!invite) {
+        return { error: 'Invalid or expired invite code', status: 403 };
+      }
+      roles = invite.roles;
+    } else if (registration === 'open') {
+      roles = [].concat(requested);
+      if (roles.includes('admin')) {
+        return { error: 'Only an admin can register another admin', status: 403 };
+      }
+    } else {
+      return { error: 'Registration requires an admin API key or invite_code', status: 403 };
+    }
+    
+    const { apiKey, key } = await issueKey(exchangeId, body.key_name);
     
     const executor = {
       id: body.executor_id,
@@ -767,7 +2007,10 @@ export function createHandlers(storage) {
       notifications: body.notifications || [],
       hooks: body.hooks || {},
       preferences: body.preferences || {},
-      api_key_hash: keyHash,
+      roles,
+      scopes: scopesForRoles(roles),
+      keys: [key],
+      webhook_secret: generateWebhookSecret(),
       created_at: new Date().toISOString(),
       last_seen: new Date().toISOString(),
     };
@@ -781,53 +2024,288 @@ export function createHandlers(storage) {
       thread_ref: null,
       event_type: 'executor_registered',
       actor_id: body.executor_id,
-      payload: { display_name: executor.display_name, capabilities: executor.capabilities },
+      payload: { display_name: executor.display_name, capabilities: executor.capabilities, roles },
     });
     
     return {
       data: {
         executor_id: executor.id,
         api_key: apiKey,
+        key_id: key.id,
+        roles,
+        scopes: executor.scopes,
+        webhook_secret: executor.webhook_secret,
         message: 'Save this API key - it cannot be retrieved again.',
       },
       status: 201,
     };
   }
 
-  async function handleListRequests(auth, query = {}) {
-    const threads = await listThreads(auth.exchange_id, query.status);
-    const summary = threads.map(t => ({
-      ref: t.ref,
-      status: t.status,
-      intent: t.intent,
-      requestor_id: t.requestor_id,
-      executor_id: t.executor_id,
-      priority: t.priority,
-      created_at: t.created_at,
-      updated_at: t.updated_at,
-    }));
-    
-    return { data: { threads: summary }, status: 200 };
-  }
+  // ---- Bootstrap admin ----
+  //
+  // The first executor on an exchange becomes its admin by writing
+  //   bootstrap/exchange={id}.json - { executor_id, at }
+  // before anyone else does. A lock covers this process; storage with
+  // conditional writes (putIfMatch) covers other processes and Worker
+  // isolates, so two first registrations can't both come out admin.
+  
+  const bootstrapLocks = new Map();
+  
+  /**
+   * Claim the exchange's admin role for executorId, if it has no executors
+   * and nobody else has claimed it
+   * @returns {Promise<boolean>} Whether executorId gets admin; true again for
+   *   the same executor retrying a registration that didn't finish
+   */
+  function claimBootstrapAdmin(exchangeId, executorId) {
+    const path = `bootstrap/exchange=${exchangeId}.json`;
+    const claim = async () => {
+      if ((await listExecutors(exchangeId)).length > 0) return false;
+      
+      const marker = JSON.stringify({ executor_id: executorId, at: new Date().toISOString() });
+      if (conditionalWrites && await storage.putIfMatch(path, marker, null)) return true;
+      
+      const data = await storage.get(path);
+      if (data) return JSON.parse(data).executor_id === executorId;
+      if (conditionalWrites) return false;
+      await storage.put(path, marker);
+      return true;
+    };
+    
+    const run = (bootstrapLocks.get(exchangeId) || Promise.resolve()).then(claim);
+    bootstrapLocks.set(exchangeId, run.catch(() => {}));
+    return run;
+  }
+
+  // ---- Invites ----
+  //
+  // Single-use codes an admin hands out so others can register:
+  //   invites/exchange={id}/{hash}.json - { roles, created_by, expires_at }
+  // Only a hash of the code is stored, like API keys. Redeeming marks the
+  // invite redeemed_at before deleting it; a lock covers this process and a
+  // conditional write (putIfMatch) other processes, so two registrations
+  // racing with one code can't both get its roles.
+
+  const inviteLocks = new Map();
+
+  async function invitePath(exchangeId, code) {
+    const hash = (await hashApiKey(code)).replace(/\//g, '_').replace(/\+/g, '-').replace(/=+$/, '');
+    return `invites/exchange=${exchangeId}/${hash}.json`;
+  }
+
+  /**
+   * Consume an invite code
+   * @returns {Promise<Object|null>} The invite, or null if unknown, expired or
+   *   already redeemed
+   */
+  function redeemInvite(exchangeId, code) {
+    const redeem = async () => {
+      const path = await invitePath(exchangeId, String(code));
+      const current = conditionalWrites ? await storage.getVersioned(path) : { data: await storage.get(path) };
+      if (!current?.data) return null;
+      
+      const invite = JSON.parse(current.data);
+      if (invite.redeemed_at) return null;
+      const redeemed = JSON.stringify({ ...invite, redeemed_at: new Date().toISOString() });
+      if (conditionalWrites && !await storage.putIfMatch(path, redeemed, current.version)) return null;
+      
+      await storage.delete(path);
+      return new Date(invite.expires_at) > new Date() ? invite : null;
+    };
+    
+    const run = (inviteLocks.get(exchangeId) || Promise.resolve()).then(redeem);
+    inviteLocks.set(exchangeId, run.catch(() => {}));
+    return run;
+  }
+
+  /**
+   * Create an invite code (admin only)
+   * @param {Object} body - { role?, expires_in_hours? } - defaults to
+   *   requestor, valid for 72 hours
+   */
+  async function handleCreateInvite(auth, body = {}) {
+    const denied = requireScope(auth, 'executors:admin');
+    if (denied) return denied;
+    
+    const roles = [].concat(body.role ?? DEFAULT_ROLES);
+    if (!scopesForRoles(roles)) {
+      return { error: `role must be one of: ${Object.keys(ROLES).join(', ')}`, status: 400 };
+    }
+    
+    const hours = Number(body.expires_in_hours ?? 72);
+    if (!(hours > 0)) {
+      return { error: 'expires_in_hours must be a positive number', status: 400 };
+    }
+    
+    const code = crypto.randomUUID().replace(/-/g, '');
+    const now = new Date();
+    const invite = {
+      roles,
+      created_by: auth.id,
+      created_at: now.toISOString(),
+      expires_at: new Date(now.getTime() + hours * 3600 * 1000).toISOString(),
+    };
+    await storage.put(await invitePath(auth.exchange_id, code), JSON.stringify(invite));
+    
+    return {
+      data: { invite_code: code, roles, expires_at: invite.expires_at },
+      status: 201,
+    };
+  }
+
+  /**
+   * List threads
+   * @param {Object} query - Filters, sort and paging from parseThreadQuery
+   *   (status, priority, requestor_id, executor_id, created_after,
+   *   created_before, q, sort, order, limit, cursor), plus claimable=true for
+   *   only pending threads whose required_capabilities the caller has and
+   *   that aren't assigned to someone else
+   */
+  async function handleListRequests(auth, query = {}) {
+    const denied = requireScope(auth, 'requests:read');
+    if (denied) return denied;
+    
+    const parsed = parseThreadQuery(query);
+    if (parsed.error) {
+      return { error: parsed.error, status: 400 };
+    }
+    
+    let threads = await listThreads(auth.exchange_id, parsed.query.status);
+    
+    if (parsed.query.claimable) {
+      threads = threads.filter(t => t.status === 'pending' &&
+        hasScope(auth, 'requests:claim') &&
+        (!t.assignee || t.assignee === auth.id) &&
+        missingCapabilities(auth.capabilities, t.required_capabilities).length === 0);
+    }
+    
+    const page = queryThreads(threads.map(summarizeThread), parsed.query);
+    
+    return { data: { threads: page.threads, next_cursor: page.next_cursor }, status: 200 };
+  }
+
+  /**
+   * Full-text search over intents, request context and messages
+   * @param {Object} query - { q, limit? (default 20, max 100) }
+   * @returns hits ranked best first: thread summary fields plus score,
+   *   message_ref (best matching message, if any) and matches
+   */
+  async function handleSearchRequests(auth, query = {}) {
+    const denied = requireScope(auth, 'requests:read');
+    if (denied) return denied;
+    
+    if (!query.q || !String(query.q).trim()) {
+      return { error: 'q required', status: 400 };
+    }
+    
+    const limit = query.limit === undefined || query.limit === '' ? 20 : Number(query.limit);
+    if (!Number.isInteger(limit) || limit < 1 || limit > 100) {
+      return { error: 'limit must be an integer from 1 to 100', status: 400 };
+    }
+    
+    const index = await getProjectionIndex(auth.exchange_id);
+    const search = await loadSearchShards(auth.exchange_id, index, String(query.q));
+    
+    const hits = searchIndex(search, String(query.q), { limit, total: Object.keys(index.threads).length })
+      .filter(hit => index.threads[hit.ref])
+      .map(hit => {
+        const { ref, status, intent, requestor_id, executor_id, priority, updated_at } = index.threads[hit.ref];
+        return { ref, status, intent, requestor_id, executor_id, priority, updated_at,
+          score: hit.score, message_ref: hit.message_ref, matches: hit.matches };
+      });
+    
+    return { data: { hits }, status: 200 };
+  }
 
   async function handleGetRequest(auth, ref) {
-    const events = await getThreadEvents(auth.exchange_id, ref);
-    const thread = computeThreadState(events);
+    const denied = requireScope(auth, 'requests:read');
+    if (denied) return denied;
+    
+    const thread = await getThreadState(auth.exchange_id, ref);
     
     if (!thread) {
       return { error: 'Thread not found', status: 404 };
     }
     
-    return { data: { thread }, status: 200 };
+    const data = { thread };
+    // Surface what the executor wants approved so the requestor can reply
+    // with { mess: [{ reply: { re: ref, confirm: true } }] }
+    if (thread.confirmation?.status === 'pending') {
+      const { action, consequences, reversible, requested_by, requested_at } = thread.confirmation;
+      data.pending_confirmation = { action, consequences, reversible, requested_by, requested_at };
+    }
+    
+    return { data, status: 200, headers: { ETag: `"${thread.version}"` } };
   }
 
   async function handleCreateRequest(auth, body) {
+    const denied = requireScope(auth, 'requests:create');
+    if (denied) return denied;
+    
     if (!body.intent) {
       return { error: 'intent required', status: 400 };
     }
     
+    // Inline photos lose their location and camera metadata before storage
+    if (imageOptions.stripMetadata) {
+      body = stripInlineImages(body);
+    }
+    
+    if (body.needed_by !== undefined && Number.isNaN(Date.parse(body.needed_by))) {
+      return { error: 'needed_by must be an ISO 8601 datetime', status: 400 };
+    }
+    
+    // Notification thresholds and sorting rank by it, so an unknown value
+    // would be skipped by both
+    if (body.priority !== undefined && !PRIORITIES.includes(body.priority)) {
+      return { error: `priority must be one of: ${PRIORITIES.join(', ')}`, status: 400 };
+    }
+    
+    const confirmBefore = body.confirm_before === true;
+    
+    const requiredCapabilities = body.required_capabilities || [];
+    if (!Array.isArray(requiredCapabilities) || requiredCapabilities.some(c => typeof c !== 'string')) {
+      return { error: 'required_capabilities must be an array of strings', status: 400 };
+    }
+    
+    const assignee = body.assignee || null;
+    if (assignee) {
+      const invalid = await checkAssignee(auth.exchange_id, assignee, requiredCapabilities);
+      if (invalid) {
+        return { error: invalid, status: 400 };
+      }
+    }
+    
+    // Cap open requests so a runaway agent loop can't flood executors
+    if (maxOpenRequests > 0) {
+      const open = (await listThreads(auth.exchange_id))
+        .filter(t => t.requestor_id === auth.id && !TERMINAL_STATUSES.includes(t.status));
+      if (open.length >= maxOpenRequests) {
+        return {
+          error: `Too many open requests (limit ${maxOpenRequests}); wait for some to complete or cancel them`,
+          status: 429,
+          headers: { 'Retry-After': '60' },
+        };
+      }
+    }
+    
     const ref = generateRef();
     const now = new Date().toISOString();
+    // Fields the exchange acts on are normalized; everything else the
+    // requestor sent (id, priority, constraints, extensions) is kept as is,
+    // bar the exchange's own fields
+    const extensions = Object.fromEntries(Object.entries(body)
+      .filter(([key]) => !NORMALIZED_REQUEST_FIELDS.includes(key) && !RESERVED_REQUEST_FIELDS.includes(key)));
+    const request = {
+      intent: body.intent,
+      context: body.context || [],
+      response_hint: body.response_hint || [],
+      ...(body.needed_by && { needed_by: body.needed_by }),
+      ...(confirmBefore && { confirm_before: true }),
+      ...(requiredCapabilities.length > 0 && { required_capabilities: requiredCapabilities }),
+      ...(assignee && { assignee }),
+      ...extensions,
+    };
     
     await writeEvent({
       event_id: crypto.randomUUID(),
@@ -842,6 +2320,11 @@ export function createHandlers(storage) {
         priority: body.priority || 'normal',
         requestor_id: auth.id,
         response_hint: body.response_hint || [],
+        ...(body.needed_by && { needed_by: body.needed_by }),
+        ...(confirmBefore && { confirm_before: true }),
+        ...(requiredCapabilities.length > 0 && { required_capabilities: requiredCapabilities }),
+        ...(assignee && { assignee }),
+        request,
       },
     });
     
@@ -853,7 +2336,7 @@ export function createHandlers(storage) {
       event_type: 'message_added',
       actor_id: auth.id,
       payload: {
-        mess: [{ request: { intent: body.intent, context: body.context || [], response_hint: body.response_hint || [] } }],
+        mess: [{ request }],
       },
     });
     
@@ -863,6 +2346,10 @@ export function createHandlers(storage) {
       priority: body.priority || 'normal', 
       status: 'pending', 
       requestor_id: auth.id,
+      ...(body.needed_by && { needed_by: body.needed_by }),
+      ...(confirmBefore && { confirm_before: true }),
+      ...(requiredCapabilities.length > 0 && { required_capabilities: requiredCapabilities }),
+      ...(assignee && { assignee }),
       created_at: now,
       updated_at: now,
     };
@@ -874,19 +2361,109 @@ export function createHandlers(storage) {
     return { data: { ref, status: 'pending' }, status: 201 };
   }
 
-  async function handleUpdateRequest(auth, ref, body) {
-    const events = await getThreadEvents(auth.exchange_id, ref);
-    const thread = computeThreadState(events);
+  /**
+   * Check that an executor can take a request
+   * @returns {string|null} Error message, or null if they can
+   */
+  async function checkAssignee(exchangeId, executorId, requiredCapabilities) {
+    if (typeof executorId !== 'string') {
+      return 'assignee must be an executor ID';
+    }
+    const executor = await getExecutor(exchangeId, executorId);
+    if (!executor) {
+      return `Unknown executor: ${executorId}`;
+    }
+    const missing = missingCapabilities(executor.capabilities, requiredCapabilities);
+    if (missing.length > 0) {
+      return `${executorId} is missing required capabilities: ${missing.join(', ')}`;
+    }
+    return null;
+  }
+
+  /**
+   * Update thread status and/or append a message
+   * @param {Object} auth - Authenticated executor
+   * @param {string} ref - Thread reference
+   * @param {Object} body - { status?, delegate?, message?, mess?, action?,
+   *   consequences?, reversible?, expected_version? } - delegate is an
+   *   executor ID or { to, reason? } and hands the request to that executor
+   * @param {Object} options
+   * @param {string} options.ifMatch - If-Match header; rejects with 409 unless
+   *   the thread is still at that version
+   */
+  async function handleUpdateRequest(auth, ref, body, options = {}) {
+    const thread = await getThreadState(auth.exchange_id, ref);
     
     if (!thread) {
       return { error: 'Thread not found', status: 404 };
     }
     
+    const expectedVersion = parseIfMatch(options.ifMatch) ?? body.expected_version ?? null;
+    if (expectedVersion !== null && String(expectedVersion) !== String(thread.version)) {
+      return { error: `Thread ${ref} was modified (version ${thread.version}, expected ${expectedVersion})`, status: 409 };
+    }
+    
+    if (body.mess && imageOptions.stripMetadata) {
+      body = { ...body, mess: stripInlineImages(body.mess) };
+    }
+    
+    if (body.delegate !== undefined) {
+      return delegateRequest(auth, thread, body);
+    }
+    
+    const newStatus = body.status ? normalizeStatus(body.status) : undefined;
+    
+    // Requestors cancel and talk on their own threads; the rest is executor work
+    const asRequestor = auth.id === thread.requestor_id && (!newStatus || newStatus === 'cancelled');
+    const denied = requireScope(auth, asRequestor ? 'requests:create' : 'requests:claim');
+    if (denied) return denied;
+    
+    if (newStatus === 'claimed' && thread.status !== 'pending' &&
+        thread.executor_id && thread.executor_id !== auth.id) {
+      return { error: `Thread ${ref} already claimed by ${thread.executor_id}`, status: 409 };
+    }
+    
+    if (newStatus && newStatus !== thread.status) {
+      const invalid = checkTransition({
+        from: thread.status,
+        to: newStatus,
+        actor: auth.id,
+        requestor: thread.requestor_id,
+        executor: thread.executor_id,
+        assignee: thread.assignee,
+      });
+      if (invalid) {
+        return { error: invalid.message, status: invalid.code === 'forbidden' ? 403 : 422 };
+      }
+    }
+    
+    if (newStatus === 'claimed') {
+      const missing = missingCapabilities(auth.capabilities, thread.required_capabilities);
+      if (missing.length > 0) {
+        return { error: `Missing required capabilities: ${missing.join(', ')}`, status: 403 };
+      }
+    }
+    
+    // confirm_before: no response until the requestor has said yes
+    const unconfirmed = checkConfirmation(thread.confirmation, { status: newStatus, mess: body.mess });
+    if (unconfirmed) {
+      return { error: unconfirmed.message, status: 422 };
+    }
+    
+    // needs_confirmation carries what the executor wants approved
+    const ask = body.mess?.find(item => item.status?.code === 'needs_confirmation')?.status || body;
+    const confirmationRequest = newStatus === 'needs_confirmation' ? {
+      ...(ask.action && { action: ask.action }),
+      ...(ask.consequences && { consequences: ask.consequences }),
+      ...(ask.reversible !== undefined && { reversible: ask.reversible }),
+    } : {};
+    
     const now = new Date().toISOString();
     const oldStatus = thread.status;
+    const events = [];
     
-    if (body.status && body.status !== thread.status) {
-      await writeEvent({
+    if (newStatus && newStatus !== thread.status) {
+      events.push({
         event_id: crypto.randomUUID(),
         ts: now,
         exchange_id: auth.exchange_id,
@@ -895,15 +2472,16 @@ export function createHandlers(storage) {
         actor_id: auth.id,
         payload: {
           old_status: thread.status,
-          new_status: body.status,
-          executor_id: body.status === 'claimed' ? auth.id : thread.executor_id,
+          new_status: newStatus,
+          executor_id: newStatus === 'claimed' ? auth.id : thread.executor_id,
           message: body.message,
+          ...confirmationRequest,
         },
       });
     }
     
     if (body.mess) {
-      await writeEvent({
+      events.push({
         event_id: crypto.randomUUID(),
         ts: now,
         exchange_id: auth.exchange_id,
@@ -914,11 +2492,26 @@ export function createHandlers(storage) {
       });
     }
     
-    if (body.status && body.status !== oldStatus) {
+    let version = thread.version;
+    if (events.length > 0) {
+      try {
+        // Always compare against the version we read, so racing writers
+        // (e.g. two executors claiming at once) can't both succeed
+        const written = await appendThreadEvents(auth.exchange_id, ref, events, thread.version);
+        version = written.version;
+      } catch (e) {
+        if (e instanceof ConflictError) {
+          return { error: e.message, status: 409 };
+        }
+        throw e;
+      }
+    }
+    
+    if (newStatus && newStatus !== oldStatus) {
       const updated = { 
         ...thread, 
-        status: body.status,
-        executor_id: body.status === 'claimed' ? auth.id : thread.executor_id,
+        status: newStatus,
+        executor_id: newStatus === 'claimed' ? auth.id : thread.executor_id,
         updated_at: now,
       };
       
@@ -928,13 +2521,13 @@ export function createHandlers(storage) {
       // Dispatch appropriate hooks based on status change
       const hookMap = {
         'claimed': 'on_request_claimed',
-        'in-progress': 'on_request_started',
+        'in_progress': 'on_request_started',
         'completed': 'on_request_completed',
-        'rejected': 'on_request_rejected',
+        'declined': 'on_request_rejected',
         'cancelled': 'on_request_cancelled',
       };
       
-      const hookName = hookMap[body.status];
+      const hookName = hookMap[newStatus];
       if (hookName) {
         await dispatchHooks(auth.exchange_id, hookName, updated, { 
           old_status: oldStatus,
@@ -943,16 +2536,143 @@ export function createHandlers(storage) {
       }
     }
     
-    return { data: { ref, status: body.status || thread.status }, status: 200 };
+    return {
+      data: { ref, status: newStatus || thread.status, version },
+      status: 200,
+      headers: { ETag: `"${version}"` },
+    };
+  }
+
+  /**
+   * Hand a request to another executor. The thread goes back to pending,
+   * assigned to the new executor, who then claims it as usual.
+   */
+  async function delegateRequest(auth, thread, body) {
+    const denied = requireScope(auth, auth.id === thread.requestor_id ? 'requests:create' : 'requests:claim');
+    if (denied) return denied;
+    
+    if (body.status) {
+      return { error: 'delegate cannot be combined with status', status: 400 };
+    }
+    
+    const { to, reason } = typeof body.delegate === 'string' ? { to: body.delegate } : (body.delegate || {});
+    if (!to) {
+      return { error: 'delegate requires an executor ID', status: 400 };
+    }
+    
+    if (TERMINAL_STATUSES.includes(thread.status)) {
+      return { error: `Cannot delegate a ${thread.status} request`, status: 422 };
+    }
+    
+    // The holder of the request may pass it on: its executor, its assignee
+    // while unclaimed, or the requestor at any point
+    const holder = thread.executor_id || (thread.status === 'pending' && thread.assignee);
+    if (auth.id !== thread.requestor_id && auth.id !== holder) {
+      return {
+        error: holder
+          ? `Only the requestor or ${holder} may delegate this request`
+          : 'Only the requestor may delegate an unclaimed request',
+        status: 403,
+      };
+    }
+    
+    if (to === (thread.executor_id || thread.assignee)) {
+      return { error: `Request is already with ${to}`, status: 400 };
+    }
+    
+    const invalid = await checkAssignee(auth.exchange_id, to, thread.required_capabilities);
+    if (invalid) {
+      return { error: invalid, status: 400 };
+    }
+    
+    const now = new Date().toISOString();
+    const events = [{
+      event_id: crypto.randomUUID(),
+      ts: now,
+      exchange_id: auth.exchange_id,
+      thread_ref: thread.ref,
+      event_type: 'thread_delegated',
+      actor_id: auth.id,
+      payload: {
+        old_status: thread.status,
+        delegated_to: to,
+        ...(reason && { reason }),
+      },
+    }];
+    
+    if (body.mess) {
+      events.push({
+        event_id: crypto.randomUUID(),
+        ts: now,
+        exchange_id: auth.exchange_id,
+        thread_ref: thread.ref,
+        event_type: 'message_added',
+        actor_id: auth.id,
+        payload: { mess: body.mess },
+      });
+    }
+    
+    let written;
+    try {
+      written = await appendThreadEvents(auth.exchange_id, thread.ref, events, thread.version);
+    } catch (e) {
+      if (e instanceof ConflictError) {
+        return { error: e.message, status: 409 };
+      }
+      throw e;
+    }
+    
+    const updated = { ...written, updated_at: now };
+    const recipients = [to, thread.requestor_id, thread.executor_id].filter(Boolean);
+    await dispatchNotifications(auth.exchange_id, updated, 'thread_delegated', { recipients });
+    await dispatchHooks(auth.exchange_id, 'on_request_delegated', updated, {
+      old_status: thread.status,
+      actor_id: auth.id,
+      delegated_from: thread.executor_id || thread.assignee || null,
+      reason: reason || null,
+    });
+    
+    return {
+      data: { ref: thread.ref, status: 'pending', assignee: to, version: written.version },
+      status: 200,
+      headers: { ETag: `"${written.version}"` },
+    };
+  }
+
+  /**
+   * Long-poll for thread events (for runtimes without persistent connections)
+   * @param {Object} auth - Authenticated executor
+   * @param {Object} query - { after?, timeout? } - after is the last event id
+   *   seen; timeout is seconds to wait for new events (max 25)
+   */
+  async function handlePollEvents(auth, query = {}) {
+    const denied = requireScope(auth, 'requests:read');
+    if (denied) return denied;
+    
+    const seconds = Number(query.timeout ?? 25);
+    const timeout = Math.min(Math.max(Number.isNaN(seconds) ? 25 : seconds, 0), 25) * 1000;
+    const deadline = Date.now() + timeout;
+    
+    let result = await readEventsAfter(auth.exchange_id, query.after ?? null);
+    while (!result.reset && result.events.length === 0 && query.after != null && Date.now() < deadline) {
+      await new Promise(resolve => setTimeout(resolve, Math.min(1000, deadline - Date.now())));
+      result = await readEventsAfter(auth.exchange_id, query.after);
+    }
+    
+    return { data: result, status: 200 };
   }
 
   async function handleListExecutors(auth) {
+    const denied = requireScope(auth, 'requests:read');
+    if (denied) return denied;
+    
     const executors = await listExecutors(auth.exchange_id);
     
     const safe = executors.map(e => ({
       id: e.id,
       display_name: e.display_name,
       capabilities: e.capabilities,
+      roles: e.roles,
       last_seen: e.last_seen,
       created_at: e.created_at,
     }));
@@ -960,16 +2680,33 @@ export function createHandlers(storage) {
     return { data: { executors: safe }, status: 200 };
   }
 
+  /**
+   * Update an executor profile. Executors may edit their own; admins may
+   * edit anyone's and change roles.
+   */
   async function handleUpdateExecutor(auth, executorId, body) {
-    if (auth.id !== executorId) {
+    const isAdmin = hasScope(auth, 'executors:admin');
+    if (auth.id !== executorId && !isAdmin) {
       return { error: 'Can only update your own profile', status: 403 };
     }
+    if (body.role !== undefined && !isAdmin) {
+      return { error: 'Only an admin can change roles', status: 403 };
+    }
     
     const executor = await getExecutor(auth.exchange_id, executorId);
     if (!executor) {
       return { error: 'Executor not found', status: 404 };
     }
     
+    if (body.role !== undefined) {
+      const scopes = scopesForRoles(body.role);
+      if (!scopes) {
+        return { error: `role must be one of: ${Object.keys(ROLES).join(', ')}`, status: 400 };
+      }
+      executor.roles = [].concat(body.role);
+      executor.scopes = scopes;
+    }
+    
     if (body.display_name) executor.display_name = body.display_name;
     if (body.capabilities) executor.capabilities = body.capabilities;
     if (body.notifications) executor.notifications = body.notifications;
@@ -982,6 +2719,269 @@ export function createHandlers(storage) {
     return { data: { executor_id: executor.id, updated: true }, status: 200 };
   }
 
+  // ---- API Key Handlers ----
+
+  function checkKeyAccess(auth, executorId) {
+    if (auth.id !== executorId && !hasScope(auth, 'executors:admin')) {
+      return { error: 'Can only manage your own keys', status: 403 };
+    }
+    return null;
+  }
+
+  function describeKey(key, currentKeyId) {
+    return {
+      id: key.id,
+      name: key.name,
+      created_at: key.created_at,
+      last_used_at: key.last_used_at,
+      ...(key.expires_at && { expires_at: key.expires_at }),
+      ...(key.id === currentKeyId && { current: true }),
+    };
+  }
+
+  async function writeKeyEvent(auth, executorId, eventType, payload) {
+    await writeEvent({
+      event_id: crypto.randomUUID(),
+      ts: new Date().toISOString(),
+      exchange_id: auth.exchange_id,
+      thread_ref: null,
+      event_type: eventType,
+      actor_id: auth.id,
+      payload: { executor_id: executorId, ...payload },
+    });
+  }
+
+  /**
+   * List an executor's API keys (never the keys themselves)
+   */
+  async function handleListKeys(auth, executorId) {
+    const denied = checkKeyAccess(auth, executorId);
+    if (denied) return denied;
+    
+    const executor = await getExecutor(auth.exchange_id, executorId);
+    if (!executor) {
+      return { error: 'Executor not found', status: 404 };
+    }
+    
+    const now = new Date();
+    const keys = executorKeys(executor)
+      .filter(key => isKeyActive(key, now))
+      .map(key => describeKey(key, auth.id === executorId ? auth.key_id : null));
+    return { data: { keys }, status: 200 };
+  }
+
+  /**
+   * Issue a new API key for an executor
+   * @param {Object} body - { name?, replaces?, grace_period_seconds? } -
+   *   replaces names a key to retire; it keeps working for
+   *   grace_period_seconds (default 0: revoked immediately)
+   */
+  async function handleCreateKey(auth, executorId, body = {}) {
+    const denied = checkKeyAccess(auth, executorId);
+    if (denied) return denied;
+    
+    if (body.name !== undefined && typeof body.name !== 'string') {
+      return { error: 'name must be a string', status: 400 };
+    }
+    
+    const grace = Number(body.grace_period_seconds ?? 0);
+    if (!Number.isFinite(grace) || grace < 0) {
+      return { error: 'grace_period_seconds must be a non-negative number', status: 400 };
+    }
+    
+    const executor = await getExecutor(auth.exchange_id, executorId);
+    if (!executor) {
+      return { error: 'Executor not found', status: 404 };
+    }
+    
+    let keys = executorKeys(executor);
+    const replaced = body.replaces ? keys.find(key => key.id === body.replaces) : null;
+    if (body.replaces && !replaced) {
+      return { error: `Key not found: ${body.replaces}`, status: 404 };
+    }
+    
+    const { apiKey, key } = await issueKey(auth.exchange_id, body.name || replaced?.name);
+    
+    let expiresAt = null;
+    if (replaced) {
+      expiresAt = new Date(Date.now() + grace * 1000).toISOString();
+      keys = grace > 0
+        ? keys.map(k => k.id === replaced.id ? { ...k, expires_at: expiresAt } : k)
+        : keys.filter(k => k.id !== replaced.id);
+    }
+    
+    await saveKeys(auth.exchange_id, executor, [...keys, key]);
+    await writeKeyEvent(auth, executorId, 'api_key_created', {
+      key_id: key.id,
+      name: key.name,
+      ...(replaced && { replaces: replaced.id }),
+    });
+    
+    return {
+      data: {
+        key_id: key.id,
+        name: key.name,
+        api_key: apiKey,
+        ...(replaced && { replaced: { key_id: replaced.id, expires_at: expiresAt } }),
+        message: 'Save this API key - it cannot be retrieved again.',
+      },
+      status: 201,
+    };
+  }
+
+  /**
+   * Revoke one of an executor's API keys immediately
+   */
+  async function handleRevokeKey(auth, executorId, keyId) {
+    const denied = checkKeyAccess(auth, executorId);
+    if (denied) return denied;
+    
+    const executor = await getExecutor(auth.exchange_id, executorId);
+    if (!executor) {
+      return { error: 'Executor not found', status: 404 };
+    }
+    
+    const keys = executorKeys(executor);
+    if (!keys.some(key => key.id === keyId)) {
+      return { error: `Key not found: ${keyId}`, status: 404 };
+    }
+    
+    await saveKeys(auth.exchange_id, executor, keys.filter(key => key.id !== keyId));
+    await writeKeyEvent(auth, executorId, 'api_key_revoked', { key_id: keyId });
+    
+    return { data: { key_id: keyId, revoked: true }, status: 200 };
+  }
+
+  /**
+   * Set an executor's roles without an API key (operator tooling, e.g.
+   * making someone admin on an exchange created before roles existed)
+   * @returns {Object|null} Updated executor, or null if not found
+   */
+  async function grantRoles(exchangeId, executorId, roles) {
+    const scopes = scopesForRoles(roles);
+    if (!scopes) {
+      throw new Error(`role must be one of: ${Object.keys(ROLES).join(', ')}`);
+    }
+    
+    const executor = await getExecutor(exchangeId, executorId);
+    if (!executor) return null;
+    
+    executor.roles = [].concat(roles);
+    executor.scopes = scopes;
+    await putExecutor(exchangeId, executor);
+    return executor;
+  }
+
+  // ---- Webhook Secrets ----
+  //
+  // Each executor has a secret its webhooks are signed with (webhooks.js).
+  // It is kept in the executor profile, since signing needs the secret
+  // itself rather than a hash.
+
+  /**
+   * An executor's webhook secret. Executors registered before webhooks were
+   * signed get one on first use; they learn it by rotating.
+   * @returns {Promise<string|null>} null if the executor is gone
+   */
+  async function getWebhookSecret(exchangeId, executorId) {
+    const executor = await getExecutor(exchangeId, executorId);
+    if (!executor) return null;
+    if (!executor.webhook_secret) {
+      executor.webhook_secret = generateWebhookSecret();
+      await putExecutor(exchangeId, executor);
+    }
+    return executor.webhook_secret;
+  }
+
+  /**
+   * Replace an executor's webhook secret. Deliveries sent from now on,
+   * retries included, are signed with the new one.
+   */
+  async function handleRotateWebhookSecret(auth, executorId) {
+    const denied = checkKeyAccess(auth, executorId);
+    if (denied) return denied;
+    
+    const executor = await getExecutor(auth.exchange_id, executorId);
+    if (!executor) {
+      return { error: 'Executor not found', status: 404 };
+    }
+    
+    executor.webhook_secret = generateWebhookSecret();
+    await putExecutor(auth.exchange_id, executor);
+    await writeKeyEvent(auth, executorId, 'webhook_secret_rotated', {});
+    
+    return {
+      data: {
+        executor_id: executorId,
+        webhook_secret: executor.webhook_secret,
+        message: 'Save this webhook secret - it cannot be retrieved again.',
+      },
+      status: 201,
+    };
+  }
+
+  // ---- Delivery Handlers ----
+
+  /**
+   * List queued and dead-lettered deliveries. Executors see their own
+   * hooks and notifications; admins see everyone's.
+   * @param {Object} query - { status?: 'pending'|'dead', executor_id? }
+   */
+  async function handleListDeliveries(auth, query = {}) {
+    const denied = requireScope(auth, 'requests:read');
+    if (denied) return denied;
+
+    if (query.status !== undefined && !DELIVERY_STATUSES.includes(query.status)) {
+      return { error: `status must be one of: ${DELIVERY_STATUSES.join(', ')}`, status: 400 };
+    }
+
+    const isAdmin = hasScope(auth, 'executors:admin');
+    if (query.executor_id && query.executor_id !== auth.id && !isAdmin) {
+      return { error: 'Can only list your own deliveries', status: 403 };
+    }
+    const executorId = query.executor_id || (isAdmin ? null : auth.id);
+
+    const listed = [];
+    for (const status of query.status ? [query.status] : DELIVERY_STATUSES) {
+      listed.push(...await deliveries.list(auth.exchange_id, status));
+    }
+
+    return {
+      data: {
+        deliveries: listed
+          .filter(delivery => !executorId || delivery.executor_id === executorId)
+          .map(publicDelivery),
+      },
+      status: 200,
+    };
+  }
+
+  /**
+   * Put a dead-lettered delivery back in the queue and try it now
+   */
+  async function handleReplayDelivery(auth, deliveryId) {
+    const denied = requireScope(auth, 'requests:read');
+    if (denied) return denied;
+
+    // IDs are UUIDs; anything else could walk out of the storage prefix
+    const delivery = /^[0-9a-f-]{36}$/.test(deliveryId)
+      ? await deliveries.get(auth.exchange_id, deliveryId)
+      : null;
+    if (!delivery) {
+      return { error: 'Delivery not found', status: 404 };
+    }
+    if (delivery.executor_id !== auth.id && !hasScope(auth, 'executors:admin')) {
+      return { error: 'Can only replay your own deliveries', status: 403 };
+    }
+    if (delivery.status !== 'dead') {
+      return { error: 'Only dead-lettered deliveries can be replayed', status: 409 };
+    }
+
+    const requeued = await deliveries.replay(auth.exchange_id, deliveryId);
+    deliveriesQueued(auth.exchange_id);
+    return { data: { delivery: publicDelivery(requeued) }, status: 202 };
+  }
+
   // ---- Import/Export Handlers ----
 
   /**
@@ -991,6 +2991,9 @@ export function createHandlers(storage) {
    * - Array of {name, content} objects (v2 directory format)
    */
   async function handleImportThread(auth, body) {
+    const denied = requireScope(auth, 'requests:create');
+    if (denied) return denied;
+    
     // Check if storage supports MESSE-AF import
     if (typeof storage.importThread !== 'function') {
       return {
@@ -1006,6 +3009,7 @@ export function createHandlers(storage) {
     try {
       const input = body.files || body.content;
       const result = await storage.importThread(auth.exchange_id, input);
+      await projectThread(auth.exchange_id, await storage.getThreadEvents(auth.exchange_id, result.ref));
 
       return {
         data: {
@@ -1026,6 +3030,9 @@ export function createHandlers(storage) {
    * @param {Object} query - Query options (format: 'yaml' | 'zip')
    */
   async function handleExportThread(auth, ref, query = {}) {
+    const denied = requireScope(auth, 'requests:read');
+    if (denied) return denied;
+    
     // Check if storage supports MESSE-AF export
     if (typeof storage.exportThread !== 'function') {
       return {
@@ -1119,19 +3126,430 @@ export function createHandlers(storage) {
     return { data: { capabilities: filtered }, status: 200 };
   }
 
-  // ---- Attachment Handler ----
+  // ---- Attachment Handlers ----
+
+  function attachmentKey(exchangeId, ref, filename) {
+    return `exchange=${exchangeId}/${ref}/${filename}`;
+  }
+
+  /**
+   * Key for local signed attachment URLs. Created on first use and kept in
+   * storage, so every process sharing the storage signs alike.
+   */
+  async function getSigningSecret() {
+    if (signingSecret) return signingSecret;
+    const stored = await storage.get('secrets/url-signing.json');
+    if (stored) {
+      signingSecret = JSON.parse(stored).secret;
+    } else {
+      const bytes = crypto.getRandomValues(new Uint8Array(32));
+      signingSecret = [...bytes].map(b => b.toString(16).padStart(2, '0')).join('');
+      await storage.put('secrets/url-signing.json', JSON.stringify({
+        secret: signingSecret,
+        created_at: new Date().toISOString(),
+      }));
+    }
+    return signingSecret;
+  }
+
+  /**
+   * Load a thread for an upload, checking the uploader may write to it.
+   * Same rule as messages: requestors on their own threads, executors anywhere.
+   * @returns {{thread: Object}|{error: string, status: number}}
+   */
+  async function threadForUpload(auth, ref) {
+    const thread = await getThreadState(auth.exchange_id, ref);
+    if (!thread) {
+      return { error: 'Thread not found', status: 404 };
+    }
+    const denied = requireScope(auth, auth.id === thread.requestor_id ? 'requests:create' : 'requests:claim');
+    return denied || { thread };
+  }
+
+  /**
+   * Check a file against the exchange's limits before it is stored or
+   * recorded; size may be unknown while handing out an upload URL
+   * @returns {Object|null} Error result, or null if acceptable
+   */
+  function checkAttachment(exchangeId, thread, { filename, content_type: contentType, size }) {
+    if (!isValidFilename(filename)) {
+      return { error: 'Invalid filename', status: 400 };
+    }
+    if (size === 0) {
+      return { error: 'Attachment is empty', status: 400 };
+    }
+    
+    const limits = attachmentLimitsFor(attachmentLimits, exchangeId);
+    if (size > limits.maxSize) {
+      return { error: `Attachment exceeds ${limits.maxSize} bytes`, status: 413 };
+    }
+    if (!isAllowedType(limits.types, contentType)) {
+      return { error: `Content type ${contentType} is not allowed`, status: 415 };
+    }
+    
+    if (findAttachment(thread, filename)) {
+      return { error: `Attachment ${filename} already exists`, status: 409 };
+    }
+    return null;
+  }
+
+  /**
+   * An uploaded attachment, or the thumbnail of one, by filename
+   * @returns {Object|null} Its attachment (or thumbnail) record
+   */
+  function findAttachment(thread, filename) {
+    for (const attachment of thread?.attachments || []) {
+      if (attachment.filename === filename) return attachment;
+      if (attachment.thumbnail?.filename === filename) return attachment.thumbnail;
+    }
+    return null;
+  }
+
+  /**
+   * Put a file in the blob store, images by way of the image pipeline
+   * (metadata stripped, maybe converted, thumbnail made). A converted image
+   * is stored under its new name.
+   * @param {string} exchangeId
+   * @param {Object} thread - Thread state
+   * @param {Object} upload - { filename, content_type, data }
+   * @returns {Promise<{attachment: Object}|{error: string, status: number}>}
+   *   attachment is the attachment_added payload
+   */
+  async function storeAttachment(exchangeId, thread, upload) {
+    const processed = await processImage(upload, imageOptions, imageProcessor);
+    if (processed.error) return processed;
+    
+    const { upload: stored, thumbnail } = processed;
+    const attachment = {
+      filename: stored.filename,
+      content_type: stored.content_type,
+      size: stored.data?.byteLength || 0,
+      ...(stored.width && { width: stored.width, height: stored.height }),
+    };
+    if (stored.filename !== upload.filename || attachment.size > upload.data.byteLength) {
+      const invalid = checkAttachment(exchangeId, thread, attachment);
+      if (invalid) return invalid;
+    }
+    
+    await blobStore.put(attachmentKey(exchangeId, thread.ref, stored.filename), stored.data, {
+      contentType: stored.content_type,
+    });
+    if (thumbnail && !findAttachment(thread, thumbnail.filename)) {
+      await blobStore.put(attachmentKey(exchangeId, thread.ref, thumbnail.filename), thumbnail.data, {
+        contentType: thumbnail.content_type,
+      });
+      attachment.thumbnail = {
+        filename: thumbnail.filename,
+        content_type: thumbnail.content_type,
+        size: thumbnail.data.byteLength,
+        width: thumbnail.width,
+        height: thumbnail.height,
+      };
+    }
+    return { attachment };
+  }
+
+  /**
+   * Record a stored file on its thread (attachment_added event)
+   * @param {Object} attachment - From storeAttachment
+   */
+  async function recordAttachment(auth, thread, attachment) {
+    const event = {
+      event_id: crypto.randomUUID(),
+      ts: new Date().toISOString(),
+      exchange_id: auth.exchange_id,
+      thread_ref: thread.ref,
+      event_type: 'attachment_added',
+      actor_id: auth.id,
+      payload: attachment,
+    };
+    
+    let written;
+    try {
+      written = await appendThreadEvents(auth.exchange_id, thread.ref, [event], thread.version);
+    } catch (e) {
+      if (e instanceof ConflictError) {
+        return { error: e.message, status: 409 };
+      }
+      throw e;
+    }
+    
+    return {
+      data: written.attachments[written.attachments.length - 1],
+      status: 201,
+      headers: { ETag: `"${written.version}"` },
+    };
+  }
+
+  /**
+   * Upload a file to a thread. It is stored in the blob store and can be
+   * cited in later messages by its content:// URI. Images are stored
+   * without metadata and may be renamed by conversion; the response has the
+   * stored name.
+   * @param {Object} auth - Authenticated executor
+   * @param {string} ref - Thread reference
+   * @param {Object} upload - { filename, content_type, data } from readUpload
+   */
+  async function handleUploadAttachment(auth, ref, upload) {
+    const found = await threadForUpload(auth, ref);
+    if (found.error) return found;
+    
+    const data = upload.data || new Uint8Array();
+    const invalid = checkAttachment(auth.exchange_id, found.thread, {
+      filename: upload.filename,
+      content_type: upload.content_type,
+      size: data.byteLength,
+    });
+    if (invalid) return invalid;
+    
+    const stored = await storeAttachment(auth.exchange_id, found.thread, { ...upload, data });
+    if (stored.error) return stored;
+    return recordAttachment(auth, found.thread, stored.attachment);
+  }
+
+  /**
+   * Short-lived URL for one attachment: pre-signed by the blob store (S3,
+   * R2), otherwise a signed URL for this server's /blobs route
+   * @param {Object} params - { method, exchangeId, ref, filename, contentType? }
+   * @param {string} baseUrl - This server's public origin, for local URLs
+   * @returns {Promise<{url: string, expires_at: string}>}
+   */
+  async function attachmentUrl(params, baseUrl) {
+    const { method, exchangeId, ref, filename, contentType } = params;
+    const expires = Math.floor(Date.now() / 1000) + presignTtl;
+    const expiresAt = new Date(expires * 1000).toISOString();
+    
+    const presigned = await blobStore.presign(attachmentKey(exchangeId, ref, filename), {
+      method,
+      expiresIn: presignTtl,
+      contentType,
+    });
+    if (presigned) {
+      return { url: presigned, expires_at: expiresAt };
+    }
+    
+    const signature = await signAttachmentUrl(await getSigningSecret(), { ...params, expires });
+    const path = `/api/v1/exchanges/${encodeURIComponent(exchangeId)}/blobs/${encodeURIComponent(ref)}/${encodeURIComponent(filename)}`;
+    return {
+      url: `${baseUrl || ''}${path}?expires=${expires}&signature=${signature}`,
+      expires_at: expiresAt,
+    };
+  }
+
+  /**
+   * Hand out a URL the client uploads the file to directly (PUT with the
+   * given headers), then call handleCompleteUpload to attach it
+   * @param {Object} auth - Authenticated executor
+   * @param {string} ref - Thread reference
+   * @param {Object} body - { filename, content_type?, size? }
+   * @param {Object} options
+   * @param {string} options.baseUrl - Public origin for local signed URLs
+   */
+  async function handlePresignUpload(auth, ref, body, options = {}) {
+    const found = await threadForUpload(auth, ref);
+    if (found.error) return found;
+    
+    const filename = body.filename;
+    const contentType = body.content_type || contentTypeFor(filename || '');
+    const size = body.size === undefined ? undefined : Number(body.size);
+    if (size !== undefined && (!Number.isInteger(size) || size < 0)) {
+      return { error: 'size must be a whole number of bytes', status: 400 };
+    }
+    
+    const invalid = checkAttachment(auth.exchange_id, found.thread, { filename, content_type: contentType, size });
+    if (invalid) return invalid;
+    
+    const { url, expires_at } = await attachmentUrl({
+      method: 'PUT',
+      exchangeId: auth.exchange_id,
+      ref,
+      filename,
+      contentType,
+    }, options.baseUrl);
+    
+    return {
+      data: {
+        method: 'PUT',
+        url,
+        headers: { 'Content-Type': contentType },
+        expires_at,
+        uri: `content://${ref}/${filename}`,
+      },
+      status: 200,
+    };
+  }
+
+  /**
+   * Attach a file uploaded through a URL from handlePresignUpload, once its
+   * size and type check out against the exchange's limits
+   * @param {Object} auth - Authenticated executor
+   * @param {string} ref - Thread reference
+   * @param {string} filename - Attachment filename
+   */
+  async function handleCompleteUpload(auth, ref, filename) {
+    const found = await threadForUpload(auth, ref);
+    if (found.error) return found;
+    if (!isValidFilename(filename)) {
+      return { error: 'Invalid filename', status: 400 };
+    }
+    
+    const key = attachmentKey(auth.exchange_id, ref, filename);
+    const stat = await blobStore.stat(key);
+    if (!stat) {
+      return { error: `Nothing uploaded for ${filename}`, status: 404 };
+    }
+    
+    const attachment = {
+      filename,
+      content_type: stat.content_type || contentTypeFor(filename),
+      size: stat.size,
+    };
+    const invalid = checkAttachment(auth.exchange_id, found.thread, attachment);
+    if (invalid) {
+      // Don't keep what the limits wouldn't have let through; a duplicate
+      // name means the upload replaced the recorded file, which is gone either way
+      if (invalid.status !== 409) await blobStore.delete(key);
+      return invalid;
+    }
+    
+    if (!attachment.content_type.startsWith('image/')) {
+      return recordAttachment(auth, found.thread, attachment);
+    }
+    
+    // Images went straight to the blob store, so they come back through
+    // here for the pipeline; the original only stays if nothing changed its name
+    const stored = await storeAttachment(auth.exchange_id, found.thread, {
+      ...attachment,
+      data: await blobStore.get(key),
+    });
+    if (stored.error || stored.attachment.filename !== filename) {
+      await blobStore.delete(key);
+    }
+    if (stored.error) return stored;
+    return recordAttachment(auth, found.thread, stored.attachment);
+  }
+
+  /**
+   * Short-lived download URL for an uploaded attachment
+   * @param {Object} auth - Authenticated executor
+   * @param {string} ref - Thread reference
+   * @param {string} filename - Attachment filename
+   * @param {Object} options
+   * @param {string} options.baseUrl - Public origin for local signed URLs
+   */
+  async function handleAttachmentUrl(auth, ref, filename, options = {}) {
+    const denied = requireScope(auth, 'requests:read');
+    if (denied) return denied;
+    
+    const thread = await getThreadState(auth.exchange_id, ref);
+    const uploaded = findAttachment(thread, filename);
+    if (!uploaded) {
+      return { error: 'Attachment not found', status: 404 };
+    }
+    
+    const { url, expires_at } = await attachmentUrl({
+      method: 'GET',
+      exchangeId: auth.exchange_id,
+      ref,
+      filename,
+    }, options.baseUrl);
+    
+    return {
+      data: { method: 'GET', url, expires_at, content_type: uploaded.content_type, size: uploaded.size },
+      status: 200,
+    };
+  }
+
+  /**
+   * Serve or accept a file through a local signed URL (no API key; the
+   * signature is the credential)
+   * @param {string} exchangeId
+   * @param {string} ref - Thread reference
+   * @param {string} filename - Attachment filename
+   * @param {Object} request
+   * @param {string} request.method - 'GET' or 'PUT'
+   * @param {string} request.expires - expires query parameter
+   * @param {string} request.signature - signature query parameter
+   * @param {string} request.contentType - Content-Type header (PUT)
+   * @param {Uint8Array} request.data - Body (PUT)
+   */
+  async function handleSignedBlob(exchangeId, ref, filename, request) {
+    const { method, expires, signature, data } = request;
+    const contentType = method === 'PUT'
+      ? (request.contentType || '').split(';')[0].trim().toLowerCase()
+      : undefined;
+    
+    const valid = isValidFilename(filename) && await verifyAttachmentUrl(
+      await getSigningSecret(),
+      { method, exchangeId, ref, filename, expires, contentType },
+      signature
+    );
+    if (!valid) {
+      return { error: 'Invalid or expired signature', status: 403 };
+    }
+    
+    const key = attachmentKey(exchangeId, ref, filename);
+    if (method === 'PUT') {
+      // An upload URL is good until it expires; once its file is attached
+      // (and stripped, if an image), replaying it must not swap the bytes
+      if (findAttachment(await getThreadState(exchangeId, ref), filename)) {
+        return { error: `${filename} is already attached`, status: 409 };
+      }
+      const size = data?.byteLength || 0;
+      const { maxSize } = attachmentLimitsFor(attachmentLimits, exchangeId);
+      if (size > maxSize) {
+        return { error: `Attachment exceeds ${maxSize} bytes`, status: 413 };
+      }
+      await blobStore.put(key, data || new Uint8Array(), { contentType });
+      return { data: { size }, status: 200 };
+    }
+    
+    const content = await blobStore.get(key);
+    if (content === null) {
+      return { error: 'Attachment not found', status: 404 };
+    }
+    const thread = await getThreadState(exchangeId, ref);
+    const uploaded = findAttachment(thread, filename);
+    return {
+      data: { content, filename, content_type: uploaded?.content_type || contentTypeFor(filename) },
+      status: 200,
+    };
+  }
 
   /**
    * Get attachment from a thread
    * @param {Object} auth - Authenticated executor
    * @param {string} ref - Thread reference
    * @param {string} filename - Attachment filename
+   * @returns data.content, plus data.content_type for uploaded attachments;
+   *   or a 302 to a pre-signed URL when the blob store can make one
    */
   async function handleGetAttachment(auth, ref, filename) {
+    const denied = requireScope(auth, 'requests:read');
+    if (denied) return denied;
+    
     // Validate filename to prevent path traversal
-    if (filename.includes('..') || filename.includes('/')) {
+    if (!isValidFilename(filename)) {
       return { error: 'Invalid filename', status: 400 };
     }
+    
+    // Uploaded through the API (or a thumbnail of an upload)
+    const thread = await getThreadState(auth.exchange_id, ref);
+    const uploaded = findAttachment(thread, filename);
+    if (uploaded) {
+      // Let S3/R2 serve the bytes rather than proxying them
+      const url = await blobStore.presign(attachmentKey(auth.exchange_id, ref, filename), {
+        method: 'GET',
+        expiresIn: presignTtl,
+      });
+      if (url) {
+        return { data: { url }, status: 302, headers: { Location: url } };
+      }
+      const data = await blobStore.get(attachmentKey(auth.exchange_id, ref, filename));
+      if (data) {
+        return { data: { content: data, filename, content_type: uploaded.content_type }, status: 200 };
+      }
+    }
 
     // Check if storage supports direct attachment access
     if (typeof storage.getAttachment === 'function') {
@@ -1152,15 +3570,12 @@ export function createHandlers(storage) {
       }
     }
 
-    // For event-sourced storage, attachments may be embedded in events
-    // Search through message events for base64 attachments
-    const events = await getThreadEvents(auth.exchange_id, ref);
-    for (const event of events) {
-      if (event.event_type === 'message_added' && event.payload?.mess) {
-        const content = findAttachmentInMess(event.payload.mess, filename);
-        if (content) {
-          return { data: { content: Buffer.from(content, 'base64'), filename }, status: 200 };
-        }
+    // For event-sourced storage, attachments may be embedded in messages
+    // Search the projected thread's messages for base64 attachments
+    for (const message of thread?.messages || []) {
+      const content = findAttachmentInMess(message.mess, filename);
+      if (content) {
+        return { data: { content: Buffer.from(content, 'base64'), filename }, status: 200 };
       }
     }
 
@@ -1170,18 +3585,38 @@ export function createHandlers(storage) {
   return {
     authenticate,
     handleRegister,
+    handleCreateInvite,
     handleListRequests,
+    handleSearchRequests,
     handleGetRequest,
     handleCreateRequest,
     handleUpdateRequest,
+    handlePollEvents,
     handleListExecutors,
     handleUpdateExecutor,
+    handleListKeys,
+    handleCreateKey,
+    handleRevokeKey,
+    handleRotateWebhookSecret,
     handleImportThread,
     handleExportThread,
     handleListCapabilities,
+    handleListDeliveries,
+    handleReplayDelivery,
+    handleUploadAttachment,
+    handlePresignUpload,
+    handleCompleteUpload,
+    handleAttachmentUrl,
+    handleSignedBlob,
     handleGetAttachment,
+    rebuildProjections,
+    listExchanges,
+    grantRoles,
+    expireOverdueRequests,
+    sweepExpiredRequests,
+    runDeliveries,
+    openEventStream,
     // Expose for testing/advanced use
-    executeHooks,
     templateExpand,
   };
 }
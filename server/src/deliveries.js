@@ -0,0 +1,227 @@
+/**
+ * MESS Exchange Server - Delivery Queue
+ * Hook and notification deliveries are queued in storage rather than sent
+ * while the request that caused them waits. The adapters run the queue
+ * after responding (and on a timer or cron for retries); failed deliveries
+ * back off exponentially and end up dead-lettered after a number of tries.
+ *
+ * Storage layout:
+ *   deliveries/exchange={id}/pending/{delivery_id}.json - waiting or retrying
+ *   deliveries/exchange={id}/dead/{delivery_id}.json    - gave up; replayable
+ * Delivered jobs are deleted.
+ *
+ * Environment:
+ *   DELIVERY_MAX_ATTEMPTS=5     attempts before a delivery is dead-lettered
+ *   DELIVERY_RETRY_BASE=30      seconds before the first retry; doubles each time
+ *   DELIVERY_RETRY_MAX=3600     longest wait between retries, in seconds
+ *   DELIVERY_TIMEOUT=10         seconds an endpoint gets to answer
+ */
+
+export const DELIVERY_STATUSES = ['pending', 'dead'];
+
+// Slack on top of DELIVERY_TIMEOUT before a held delivery is up for grabs
+const LEASE_SECONDS = 60;
+
+function positiveInteger(value, name, fallback) {
+  if (value === undefined || value === '') return fallback;
+  const number = Number(value);
+  if (!Number.isInteger(number) || number < 1) {
+    throw new Error(`Invalid ${name} "${value}", expected a whole number above 0`);
+  }
+  return number;
+}
+
+/**
+ * Read retry settings from environment variables
+ * @param {Object} env - process.env or Worker env
+ * @returns {{maxAttempts: number, retryBase: number, retryMax: number, timeout: number}}
+ *   times in seconds
+ */
+export function deliveryOptionsFromEnv(env = {}) {
+  return {
+    maxAttempts: positiveInteger(env.DELIVERY_MAX_ATTEMPTS, 'DELIVERY_MAX_ATTEMPTS', 5),
+    retryBase: positiveInteger(env.DELIVERY_RETRY_BASE, 'DELIVERY_RETRY_BASE', 30),
+    retryMax: positiveInteger(env.DELIVERY_RETRY_MAX, 'DELIVERY_RETRY_MAX', 3600),
+    timeout: positiveInteger(env.DELIVERY_TIMEOUT, 'DELIVERY_TIMEOUT', 10),
+  };
+}
+
+/**
+ * Seconds to wait before the next attempt
+ * @param {number} attempts - Attempts made so far (1 after the first failure)
+ * @param {Object} options - From deliveryOptionsFromEnv
+ */
+export function backoffSeconds(attempts, options) {
+  return Math.min(options.retryMax, options.retryBase * 2 ** Math.max(0, attempts - 1));
+}
+
+/**
+ * What GET /deliveries shows of a delivery. Hook and channel settings stay
+ * out: they hold tokens and webhook URLs that work as passwords.
+ * @param {Object} delivery
+ * @returns {Object}
+ */
+export function publicDelivery(delivery) {
+  return {
+    id: delivery.id,
+    kind: delivery.kind,
+    name: delivery.name,
+    type: delivery.target?.type,
+    executor_id: delivery.executor_id,
+    thread_ref: delivery.thread_ref,
+    status: delivery.status,
+    attempts: delivery.attempts,
+    created_at: delivery.created_at,
+    last_attempt_at: delivery.last_attempt_at,
+    next_attempt_at: delivery.next_attempt_at,
+    last_error: delivery.last_error,
+  };
+}
+
+/**
+ * Create a delivery queue on a storage backend
+ * @param {Object} storage - Storage backend (R2, S3, filesystem)
+ * @param {Object} options - From deliveryOptionsFromEnv
+ */
+export function createDeliveryQueue(storage, options = deliveryOptionsFromEnv()) {
+  function path(exchangeId, status, id) {
+    return `deliveries/exchange=${exchangeId}/${status}/${id}.json`;
+  }
+
+  async function read(key) {
+    const data = await storage.get(key);
+    return data ? JSON.parse(data) : null;
+  }
+
+  async function write(delivery) {
+    await storage.put(path(delivery.exchange_id, delivery.status, delivery.id), JSON.stringify(delivery));
+  }
+
+  /**
+   * Queue a delivery, due now
+   * @param {Object} job - { exchange_id, kind: 'hook'|'notification', name,
+   *   executor_id, thread_ref, target, payload }
+   * @returns {Promise<Object>} The stored delivery
+   */
+  async function enqueue(job, now = new Date()) {
+    const delivery = {
+      id: crypto.randomUUID(),
+      ...job,
+      status: 'pending',
+      attempts: 0,
+      created_at: now.toISOString(),
+      last_attempt_at: null,
+      next_attempt_at: now.toISOString(),
+      last_error: null,
+    };
+    await write(delivery);
+    return delivery;
+  }
+
+  /**
+   * Deliveries in an exchange, oldest first
+   * @param {string} exchangeId
+   * @param {string} status - 'pending' or 'dead'
+   */
+  async function list(exchangeId, status) {
+    const keys = await storage.list(`deliveries/exchange=${exchangeId}/${status}/`);
+    const deliveries = [];
+    for (const key of keys) {
+      const delivery = await read(key);
+      if (delivery) deliveries.push(delivery);
+    }
+    return deliveries.sort((a, b) => a.created_at.localeCompare(b.created_at) || a.id.localeCompare(b.id));
+  }
+
+  /**
+   * Find a delivery in any status
+   * @returns {Promise<Object|null>}
+   */
+  async function get(exchangeId, id) {
+    for (const status of DELIVERY_STATUSES) {
+      const delivery = await read(path(exchangeId, status, id));
+      if (delivery) return delivery;
+    }
+    return null;
+  }
+
+  /**
+   * Pending deliveries whose next attempt is due and that no run holds
+   * @returns {Promise<Object[]>}
+   */
+  async function due(exchangeId, now = new Date()) {
+    return (await list(exchangeId, 'pending')).filter(delivery =>
+      Date.parse(delivery.next_attempt_at) <= now.getTime() &&
+      !(delivery.leased_until && Date.parse(delivery.leased_until) > now.getTime()));
+  }
+
+  /**
+   * Hold a delivery while it is sent, so a concurrent run skips it. The
+   * lease runs out by itself if this process dies mid-send.
+   * @returns {Promise<Object>} The leased delivery
+   */
+  async function lease(delivery, now = new Date()) {
+    const leased = {
+      ...delivery,
+      leased_until: new Date(now.getTime() + (options.timeout + LEASE_SECONDS) * 1000).toISOString(),
+    };
+    await write(leased);
+    return leased;
+  }
+
+  /**
+   * Forget a delivery that went through
+   */
+  async function complete(delivery) {
+    await storage.delete(path(delivery.exchange_id, 'pending', delivery.id));
+  }
+
+  /**
+   * Record a failed attempt: schedule a retry, or dead-letter it once
+   * maxAttempts is reached
+   * @returns {Promise<Object>} The updated delivery
+   */
+  async function fail(delivery, error, now = new Date()) {
+    const attempts = delivery.attempts + 1;
+    const updated = {
+      ...delivery,
+      attempts,
+      last_attempt_at: now.toISOString(),
+      last_error: error,
+      leased_until: null,
+    };
+
+    if (attempts >= options.maxAttempts) {
+      updated.status = 'dead';
+      updated.next_attempt_at = null;
+      await write(updated);
+      await storage.delete(path(delivery.exchange_id, 'pending', delivery.id));
+    } else {
+      updated.next_attempt_at = new Date(now.getTime() + backoffSeconds(attempts, options) * 1000).toISOString();
+      await write(updated);
+    }
+    return updated;
+  }
+
+  /**
+   * Put a dead delivery back in the queue with a fresh set of attempts
+   * @returns {Promise<Object|null>} The requeued delivery, or null if it isn't dead
+   */
+  async function replay(exchangeId, id, now = new Date()) {
+    const delivery = await read(path(exchangeId, 'dead', id));
+    if (!delivery) return null;
+
+    const requeued = {
+      ...delivery,
+      status: 'pending',
+      attempts: 0,
+      next_attempt_at: now.toISOString(),
+      replayed_at: now.toISOString(),
+    };
+    await write(requeued);
+    await storage.delete(path(exchangeId, 'dead', id));
+    return requeued;
+  }
+
+  return { enqueue, list, get, due, lease, complete, fail, replay, options };
+}
@@ -0,0 +1,37 @@
+#!/usr/bin/env node
+/**
+ * MESS Exchange Server - Grant Roles
+ * Sets an executor's roles straight in storage, without an API key.
+ * Use it to name an admin on exchanges registered before roles existed,
+ * or to recover when every admin key is lost.
+ *
+ * Usage:
+ *   node src/grant-role.js <exchange_id> <executor_id> <role> [role ...]
+ *
+ * Roles: admin, requestor, executor, read-only
+ * Uses the same STORAGE_* environment as the Express adapter.
+ */
+
+import { createStorageFromEnv } from './storage/index.js';
+import { createHandlers, ROLES } from './core.js';
+
+const [exchangeId, executorId, ...roles] = process.argv.slice(2);
+if (!exchangeId || !executorId || roles.length === 0) {
+  console.error(`Usage: node src/grant-role.js <exchange_id> <executor_id> <${Object.keys(ROLES).join('|')}> ...`);
+  process.exit(1);
+}
+
+const storage = await createStorageFromEnv();
+const handlers = createHandlers(storage);
+
+try {
+  const executor = await handlers.grantRoles(exchangeId, executorId, roles);
+  if (!executor) {
+    console.error(`Executor not found: ${exchangeId}/${executorId}`);
+    process.exit(1);
+  }
+  console.log(`${exchangeId}/${executorId}: ${executor.roles.join(', ')} (${executor.scopes.join(', ')})`);
+} catch (e) {
+  console.error(`Error: ${e.message}`);
+  process.exit(1);
+}
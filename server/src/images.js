@@ -0,0 +1,172 @@
+/**
+ * MESS Exchange Server - Image Processing
+ * What happens to an uploaded image before it is stored: location and
+ * camera metadata is stripped, HEIC/PNG are converted to one format, and a
+ * thumbnail is made for thread lists.
+ *
+ * Stripping JPEG, PNG and WebP metadata is pure JS and works everywhere.
+ * Conversion and thumbnails need an image processor - sharp on Node (see
+ * sharp-processor.js); without one images are stored in their own format,
+ * without thumbnails, and formats that can't be stripped (HEIC, TIFF) are
+ * refused while stripping is on, as are JPEGs and PNGs too damaged to strip.
+ *
+ * Environment:
+ *   IMAGE_STRIP_METADATA=true     remove EXIF/XMP/IPTC (GPS, camera serials)
+ *   IMAGE_FORMAT=jpeg             format for converted images and thumbnails
+ *                                 (jpeg, png, webp, avif)
+ *   IMAGE_NORMALIZE=image/heic,image/heif,image/png
+ *                                 types converted to IMAGE_FORMAT ("" for none)
+ *   IMAGE_QUALITY=85              encoder quality, 1-100
+ *   THUMBNAIL_SIZE=320            longest thumbnail edge in pixels (0 disables)
+ */
+
+import { imageInfo, needsImageConversion, stripImageMetadata } from './messe-af/index.js';
+
+export const IMAGE_FORMATS = {
+  jpeg: { content_type: 'image/jpeg', extension: 'jpg' },
+  png: { content_type: 'image/png', extension: 'png' },
+  webp: { content_type: 'image/webp', extension: 'webp' },
+  avif: { content_type: 'image/avif', extension: 'avif' },
+};
+
+const DEFAULT_NORMALIZE = ['image/heic', 'image/heif', 'image/png'];
+
+function parseBoolean(value, fallback) {
+  if (value === undefined || value === '') return fallback;
+  return !['false', '0', 'off', 'no'].includes(String(value).trim().toLowerCase());
+}
+
+/**
+ * Read image processing options from environment variables
+ * @param {Object} env - process.env or Worker env
+ * @returns {{stripMetadata: boolean, format: string, normalize: string[], quality: number, thumbnailSize: number}}
+ */
+export function imageOptionsFromEnv(env = {}) {
+  const format = (env.IMAGE_FORMAT || 'jpeg').trim().toLowerCase().replace(/^jpg$/, 'jpeg');
+  if (!IMAGE_FORMATS[format]) {
+    throw new Error(`Invalid IMAGE_FORMAT "${env.IMAGE_FORMAT}", expected one of: ${Object.keys(IMAGE_FORMATS).join(', ')}`);
+  }
+
+  const quality = env.IMAGE_QUALITY !== undefined ? Number(env.IMAGE_QUALITY) : 85;
+  if (!Number.isInteger(quality) || quality < 1 || quality > 100) {
+    throw new Error(`Invalid IMAGE_QUALITY "${env.IMAGE_QUALITY}", expected 1-100`);
+  }
+
+  const thumbnailSize = env.THUMBNAIL_SIZE !== undefined ? Number(env.THUMBNAIL_SIZE) : 320;
+  if (!Number.isInteger(thumbnailSize) || thumbnailSize < 0) {
+    throw new Error(`Invalid THUMBNAIL_SIZE "${env.THUMBNAIL_SIZE}", expected pixels or 0`);
+  }
+
+  return {
+    stripMetadata: parseBoolean(env.IMAGE_STRIP_METADATA, true),
+    format,
+    normalize: env.IMAGE_NORMALIZE !== undefined
+      ? env.IMAGE_NORMALIZE.split(',').map(type => type.trim().toLowerCase()).filter(Boolean)
+      : DEFAULT_NORMALIZE,
+    quality,
+    thumbnailSize,
+  };
+}
+
+/**
+ * Name of an image after conversion: the extension follows the format
+ * @param {string} filename
+ * @param {string} format - Key of IMAGE_FORMATS
+ */
+export function convertedFilename(filename, format) {
+  const stem = filename.includes('.') ? filename.slice(0, filename.lastIndexOf('.')) : filename;
+  return `${stem}.${IMAGE_FORMATS[format].extension}`;
+}
+
+/**
+ * Name a thumbnail is stored and fetched under, next to its image
+ * @param {string} filename - Image filename
+ * @param {string} format - Key of IMAGE_FORMATS
+ */
+export function thumbnailFilename(filename, format) {
+  return `${filename}.thumb.${IMAGE_FORMATS[format].extension}`;
+}
+
+/**
+ * Run an upload through the image pipeline. Non-images pass through.
+ * @param {Object} upload - { filename, content_type, data }
+ * @param {Object} options - From imageOptionsFromEnv
+ * @param {Object|null} processor - { convert(data, { format, quality, maxDimension? }) }
+ *   resolving to { data, width, height }, auto-rotated and without metadata
+ * @returns {Promise<{upload: Object, thumbnail: Object|null}|{error: string, status: number}>}
+ *   upload gains width and height when they can be read; thumbnail is
+ *   { filename, content_type, data, width, height }
+ */
+export async function processImage(upload, options, processor = null) {
+  const type = (upload.content_type || '').toLowerCase();
+  if (!type.startsWith('image/') || type === 'image/svg+xml') {
+    return { upload, thumbnail: null };
+  }
+
+  const target = IMAGE_FORMATS[options.format];
+  const mustConvert = options.stripMetadata && needsImageConversion(type);
+  const shouldConvert = mustConvert || (options.normalize.includes(type) && type !== target.content_type);
+
+  let result = { ...upload };
+  let converted = false;
+  if (shouldConvert && processor) {
+    try {
+      const output = await processor.convert(upload.data, { format: options.format, quality: options.quality });
+      result = {
+        filename: convertedFilename(upload.filename, options.format),
+        content_type: target.content_type,
+        data: output.data,
+        width: output.width,
+        height: output.height,
+      };
+      converted = true;
+    } catch {
+      // Undecodable (or, for HEIC, unlicensed) input; handled below
+    }
+  }
+
+  if (!converted) {
+    if (mustConvert) {
+      return {
+        error: `Can't remove metadata from ${type} images here; upload JPEG, PNG or WebP instead`,
+        status: 415,
+      };
+    }
+    if (options.stripMetadata) {
+      result.data = stripImageMetadata(upload.data);
+      if (!result.data) {
+        return {
+          error: `Can't remove metadata from this ${type} image, it is damaged or cut short`,
+          status: 415,
+        };
+      }
+    }
+    const info = imageInfo(result.data);
+    if (info) {
+      result.width = info.width;
+      result.height = info.height;
+    }
+  }
+
+  let thumbnail = null;
+  if (processor && options.thumbnailSize > 0) {
+    try {
+      const output = await processor.convert(result.data, {
+        format: options.format,
+        quality: options.quality,
+        maxDimension: options.thumbnailSize,
+      });
+      thumbnail = {
+        filename: thumbnailFilename(result.filename, options.format),
+        content_type: target.content_type,
+        data: output.data,
+        width: output.width,
+        height: output.height,
+      };
+    } catch {
+      // The image is still worth keeping without one
+    }
+  }
+
+  return { upload: result, thumbnail };
+}
@@ -0,0 +1,85 @@
+#!/usr/bin/env node
+/**
+ * MESS Exchange Server - Storage Migration
+ * Copies threads, executors, keys, deliveries and attachments from one
+ * storage configuration to another: event-sourced <-> MESSE-AF, MESSE-AF
+ * v1 <-> v2, filesystem <-> S3. Stop the server first.
+ *
+ * Usage:
+ *   node src/migrate-storage.js [--dry-run | --verify]
+ *
+ * The source is the usual STORAGE_* / S3_* / BLOB_* environment. The target
+ * is the same variables prefixed with TARGET_ (TARGET_STORAGE_MODE,
+ * TARGET_STORAGE_PATH, ...); only TARGET_ variables are read for it.
+ *
+ *   --dry-run  Report what would be copied without writing anything
+ *   --verify   Only compare thread counts and statuses
+ *
+ * Items already in the target are skipped, so an interrupted migration can
+ * be run again. Exits non-zero if any thread fails to copy or verify.
+ */
+
+import { createStorageFromEnv, getStorageDescription } from './storage/index.js';
+import { createBlobStoreFromEnv } from './storage/blob-store.js';
+import { migrateStorage, verifyMigration } from './storage/migrate.js';
+
+const args = process.argv.slice(2);
+const dryRun = args.includes('--dry-run');
+const verifyOnly = args.includes('--verify');
+const unknown = args.filter(arg => !['--dry-run', '--verify'].includes(arg));
+
+const targetEnv = Object.fromEntries(Object.entries(process.env)
+  .filter(([name]) => name.startsWith('TARGET_'))
+  .map(([name, value]) => [name.slice('TARGET_'.length), value]));
+
+if (unknown.length > 0 || (dryRun && verifyOnly) || Object.keys(targetEnv).length === 0) {
+  console.error('Usage: TARGET_STORAGE_MODE=... TARGET_STORAGE_PATH=... node src/migrate-storage.js [--dry-run | --verify]');
+  process.exit(2);
+}
+
+async function openSide(env) {
+  const storage = await createStorageFromEnv(env);
+  return { storage, blobStore: await createBlobStoreFromEnv(storage, env) };
+}
+
+const source = await openSide(process.env);
+const target = await openSide(targetEnv);
+
+console.log(`Source: ${getStorageDescription(source.storage)}`);
+console.log(`Target: ${getStorageDescription(target.storage)}`);
+
+let failed = false;
+
+if (!verifyOnly) {
+  const report = await migrateStorage(source, target, { dryRun });
+  const copied = dryRun ? 'to copy' : 'copied';
+
+  for (const [exchangeId, { threads }] of Object.entries(report.exchanges)) {
+    console.log(`${exchangeId}: ${threads.total} thread(s), ${threads.copied} ${copied}, ` +
+      `${threads.unchanged} already in target` + (threads.failed ? `, ${threads.failed} failed` : ''));
+  }
+  console.log(`records: ${report.records.total}, ${report.records.copied} ${copied}, ${report.records.unchanged} already in target`);
+  console.log(report.blobs.shared
+    ? 'blobs: shared blob store, not copied'
+    : `blobs: ${report.blobs.total}, ${report.blobs.copied} ${copied}, ${report.blobs.unchanged} already in target`);
+
+  for (const failure of report.failures) {
+    console.error(`Failed ${failure.exchange_id}/${failure.ref}: ${failure.error}`);
+  }
+  failed = report.failures.length > 0;
+}
+
+if (!dryRun) {
+  const verification = await verifyMigration(source, target);
+  for (const [exchangeId, counts] of Object.entries(verification.exchanges)) {
+    console.log(`verify ${exchangeId}: ${counts.source} thread(s) in source, ${counts.target} in target`);
+  }
+  for (const mismatch of verification.mismatches) {
+    console.error(`Mismatch ${mismatch.exchange_id}/${mismatch.ref}: ` +
+      `${mismatch.source ?? 'missing'} in source, ${mismatch.target ?? 'missing'} in target`);
+  }
+  console.log(verification.ok ? 'Verified: thread counts and statuses match' : 'Verification failed');
+  failed = failed || !verification.ok;
+}
+
+process.exit(failed ? 1 : 0);
@@ -0,0 +1,192 @@
+/**
+ * MESS Exchange Server - Rate Limiting
+ * Token buckets keyed by API key, client IP or registration source.
+ * Runtime-agnostic: Express keeps buckets in memory, the Worker keeps them in
+ * KV (or storage) because each request may land on a fresh isolate.
+ *
+ * A bucket left alone refills; once full it is no different from no bucket,
+ * so stores are told when that is (expires_at) and may forget it then.
+ *
+ * Environment (limits are "<requests>/<seconds>", 0 or "off" disables):
+ *   RATE_LIMIT_KEY=120/60        per API key
+ *   RATE_LIMIT_IP=300/60         per client IP, authenticated or not
+ *   RATE_LIMIT_REGISTER=10/3600  registrations per client IP
+ */
+
+const DEFAULT_LIMITS = {
+  key: '120/60',
+  ip: '300/60',
+  register: '10/3600',
+};
+
+/**
+ * Parse "<requests>/<seconds>" into a bucket size and refill rate
+ * @param {string|number} value
+ * @returns {{capacity: number, refillPerSecond: number}|null} null when disabled
+ */
+export function parseLimit(value) {
+  if (value === undefined || value === null || value === '') return null;
+  const text = String(value).trim();
+  if (text === '0' || text === 'off') return null;
+
+  const match = text.match(/^(\d+)\s*\/\s*(\d+)$/);
+  if (!match || Number(match[1]) === 0 || Number(match[2]) === 0) {
+    throw new Error(`Invalid rate limit "${value}", expected <requests>/<seconds>`);
+  }
+  const capacity = Number(match[1]);
+  return { capacity, refillPerSecond: capacity / Number(match[2]) };
+}
+
+/**
+ * Read bucket limits from environment variables
+ * @param {Object} env - process.env or Worker env
+ * @returns {Object} bucket name -> limit (null when disabled)
+ */
+export function limitsFromEnv(env = {}) {
+  return {
+    key: parseLimit(env.RATE_LIMIT_KEY ?? DEFAULT_LIMITS.key),
+    ip: parseLimit(env.RATE_LIMIT_IP ?? DEFAULT_LIMITS.ip),
+    register: parseLimit(env.RATE_LIMIT_REGISTER ?? DEFAULT_LIMITS.register),
+  };
+}
+
+/**
+ * In-process bucket store. Forgets the least recently touched buckets once
+ * it holds maxEntries, so a flood of client IPs can't grow it without bound.
+ */
+export class MemoryLimiterStore {
+  constructor(maxEntries = 10000) {
+    this.buckets = new Map();
+    this.maxEntries = maxEntries;
+  }
+
+  async get(key) {
+    return this.buckets.get(key) || null;
+  }
+
+  async set(key, bucket) {
+    this.buckets.delete(key);
+    this.buckets.set(key, bucket);
+    while (this.buckets.size > this.maxEntries) {
+      this.buckets.delete(this.buckets.keys().next().value);
+    }
+  }
+}
+
+/**
+ * Bucket store on top of a storage backend (R2, S3, filesystem):
+ *   ratelimit/{bucket_key}.json - { tokens, updated_at, expires_at }
+ * Concurrent requests may both read the same bucket, so limits are
+ * approximate under bursts - good enough to stop runaway loops. Storage
+ * doesn't expire objects itself: call sweep() now and then.
+ */
+export class StorageLimiterStore {
+  constructor(storage, prefix = 'ratelimit/') {
+    this.storage = storage;
+    this.prefix = prefix;
+  }
+
+  path(key) {
+    return `${this.prefix}${encodeURIComponent(key)}.json`;
+  }
+
+  async get(key) {
+    const data = await this.storage.get(this.path(key));
+    return data ? JSON.parse(data) : null;
+  }
+
+  async set(key, bucket) {
+    await this.storage.put(this.path(key), JSON.stringify(bucket));
+  }
+
+  /**
+   * Delete buckets that have refilled
+   * @param {Date} now
+   * @returns {Promise<number>} Buckets deleted
+   */
+  async sweep(now = new Date()) {
+    let deleted = 0;
+    for (const path of await this.storage.list(this.prefix)) {
+      const data = await this.storage.get(path);
+      const bucket = data ? JSON.parse(data) : null;
+      // Buckets from before expires_at are dropped too: at worst a client
+      // starts again with a full bucket
+      if (bucket?.expires_at > now.getTime()) continue;
+      await this.storage.delete(path);
+      deleted++;
+    }
+    return deleted;
+  }
+}
+
+/**
+ * Bucket store on Workers KV, which drops each bucket once it has refilled.
+ * KV is eventually consistent, so like StorageLimiterStore the limits are
+ * approximate under bursts.
+ */
+export class KvLimiterStore {
+  /**
+   * @param {Object} kv - KV namespace binding
+   */
+  constructor(kv) {
+    this.kv = kv;
+  }
+
+  async get(key) {
+    return this.kv.get(key, 'json');
+  }
+
+  async set(key, bucket) {
+    // KV won't expire anything sooner than 60 seconds out
+    const ttl = Math.max(60, Math.ceil((bucket.expires_at - Date.now()) / 1000));
+    await this.kv.put(key, JSON.stringify(bucket), { expirationTtl: ttl });
+  }
+}
+
+/**
+ * Create a limiter over a bucket store
+ * @param {Object} store - MemoryLimiterStore, StorageLimiterStore,
+ *   KvLimiterStore or anything with async get(key) / set(key, bucket)
+ * @param {Object} limits - bucket name -> { capacity, refillPerSecond } or null
+ */
+export function createRateLimiter(store, limits = limitsFromEnv()) {
+  /**
+   * Spend tokens from a bucket
+   * @param {string} name - Bucket name from limits (key, ip, register)
+   * @param {string} id - Who is spending (key id, IP address)
+   * @param {number} cost - Tokens to spend
+   * @returns {Promise<{allowed: boolean, remaining: number, retryAfter: number}>}
+   *   retryAfter is whole seconds until enough tokens have refilled
+   */
+  async function take(name, id, cost = 1) {
+    const limit = limits[name];
+    if (!limit || !id) {
+      return { allowed: true, remaining: Infinity, retryAfter: 0 };
+    }
+
+    const key = `${name}:${id}`;
+    const now = Date.now();
+    const bucket = await store.get(key);
+
+    let tokens = limit.capacity;
+    if (bucket) {
+      const elapsed = Math.max(0, now - bucket.updated_at) / 1000;
+      tokens = Math.min(limit.capacity, bucket.tokens + elapsed * limit.refillPerSecond);
+    }
+
+    const allowed = tokens >= cost;
+    if (allowed) {
+      tokens -= cost;
+    }
+    const expiresAt = now + Math.ceil((limit.capacity - tokens) / limit.refillPerSecond * 1000);
+    await store.set(key, { tokens, updated_at: now, expires_at: expiresAt });
+
+    return {
+      allowed,
+      remaining: Math.floor(tokens),
+      retryAfter: allowed ? 0 : Math.ceil((cost - tokens) / limit.refillPerSecond),
+    };
+  }
+
+  return { take, limits };
+}
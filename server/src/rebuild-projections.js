@@ -0,0 +1,30 @@
+#!/usr/bin/env node
+/**
+ * MESS Exchange Server - Projection Rebuild
+ * Recomputes thread snapshots and the ref index from the event log.
+ * Run after restoring storage from backup or if projections look stale.
+ *
+ * Usage:
+ *   node src/rebuild-projections.js [exchange_id ...]
+ *
+ * With no exchange IDs, every exchange with registered executors is rebuilt.
+ * Uses the same STORAGE_* environment as the Express adapter.
+ */
+
+import { createStorageFromEnv, getStorageDescription } from './storage/index.js';
+import { createHandlers } from './core.js';
+
+const storage = await createStorageFromEnv();
+const handlers = createHandlers(storage);
+
+let exchangeIds = process.argv.slice(2);
+if (exchangeIds.length === 0) {
+  exchangeIds = await handlers.listExchanges();
+}
+
+console.log(`Storage backend: ${getStorageDescription(storage)}`);
+
+for (const exchangeId of exchangeIds) {
+  const index = await handlers.rebuildProjections(exchangeId);
+  console.log(`${exchangeId}: ${Object.keys(index.threads).length} thread(s)`);
+}
@@ -0,0 +1,49 @@
+/**
+ * MESS Exchange Server - sharp Image Processor
+ * Image conversion and thumbnails for the Express server. sharp is an
+ * optional dependency with native binaries, so it is loaded on demand and
+ * kept out of the Worker bundle (only the Express adapter imports this).
+ */
+
+/**
+ * Load sharp and wrap it as an image processor for processImage
+ * @returns {Promise<Object|null>} null when sharp isn't installed
+ */
+export async function createSharpProcessor() {
+  let sharp;
+  try {
+    ({ default: sharp } = await import('sharp'));
+  } catch {
+    return null;
+  }
+
+  return {
+    name: 'sharp',
+
+    /**
+     * Re-encode an image, upright and without metadata (sharp drops it
+     * unless asked to keep it)
+     * @param {Uint8Array} data
+     * @param {Object} options
+     * @param {string} options.format - jpeg, png, webp or avif
+     * @param {number} options.quality - 1-100
+     * @param {number} options.maxDimension - Fit inside this square (thumbnails)
+     * @returns {Promise<{data: Uint8Array, width: number, height: number}>}
+     */
+    async convert(data, { format, quality, maxDimension }) {
+      let image = sharp(data, { failOn: 'error' }).rotate();
+      if (maxDimension) {
+        image = image.resize(maxDimension, maxDimension, { fit: 'inside', withoutEnlargement: true });
+      }
+      if (format === 'jpeg') {
+        // JPEG has no alpha; transparent areas would otherwise turn black
+        image = image.flatten({ background: '#ffffff' });
+      }
+      const { data: output, info } = await image
+        // quality on PNG would switch it to a lossy palette
+        .toFormat(format, format === 'png' ? {} : { quality })
+        .toBuffer({ resolveWithObject: true });
+      return { data: new Uint8Array(output), width: info.width, height: info.height };
+    },
+  };
+}
@@ -28,30 +28,34 @@ export class BlobStore {
   /**
    * Store a blob
    * @param {string} key - Blob key (relative to prefix)
-   * @param {Buffer|string} data - Blob data
+   * @param {Uint8Array|string} data - Blob data (Buffers are Uint8Arrays)
    * @param {Object} options
-   * @param {string} options.contentType - MIME type
+   * @param {string} options.contentType - MIME type, for backends that keep one
    * @returns {Promise<{key: string, size: number}>}
    */
   async put(key, data, options = {}) {
     const fullKey = this.prefix + key;
-    const buffer = Buffer.isBuffer(data) ? data : Buffer.from(data);
+    const bytes = typeof data === 'string' ? new TextEncoder().encode(data) : data;
 
-    await this.storage.put(fullKey, buffer);
+    await this.storage.put(fullKey, bytes, { contentType: options.contentType });
 
     return {
       key: fullKey,
-      size: buffer.length
+      size: bytes.byteLength
     };
   }
 
   /**
    * Get a blob
    * @param {string} key - Blob key (relative to prefix)
-   * @returns {Promise<Buffer|null>}
+   * @returns {Promise<Uint8Array|null>} Bytes when the backend can read
+   *   binary (getBytes), otherwise its text
    */
   async get(key) {
     const fullKey = this.prefix + key;
+    if (typeof this.storage.getBytes === 'function') {
+      return this.storage.getBytes(fullKey);
+    }
     return this.storage.get(fullKey);
   }
 
@@ -86,6 +90,34 @@ export class BlobStore {
     return data !== null;
   }
 
+  /**
+   * Size and content type of a blob
+   * @param {string} key - Blob key
+   * @returns {Promise<{size: number, content_type: string|null}|null>}
+   */
+  async stat(key) {
+    const fullKey = this.prefix + key;
+    if (typeof this.storage.stat === 'function') {
+      return this.storage.stat(fullKey);
+    }
+    const data = await this.get(key);
+    if (data === null) return null;
+    const size = typeof data === 'string' ? new TextEncoder().encode(data).byteLength : data.byteLength;
+    return { size, content_type: null };
+  }
+
+  /**
+   * Short-lived URL for fetching or uploading a blob without going through
+   * this process (S3, R2)
+   * @param {string} key - Blob key
+   * @param {Object} options - { method: 'GET'|'PUT', expiresIn, contentType }
+   * @returns {Promise<string|null>} null if the backend can't pre-sign
+   */
+  async presign(key, options = {}) {
+    if (typeof this.storage.presign !== 'function') return null;
+    return this.storage.presign(this.prefix + key, options);
+  }
+
   /**
    * Get blob metadata (if supported by backend)
    * @param {string} key - Blob key
@@ -121,9 +153,11 @@ export class BlobStore {
 /**
  * Create a blob store from environment variables
  * Falls back to main storage if no separate blob storage is configured
+ * @param {Object} mainStorage - Storage to fall back to
+ * @param {Object} env - Environment variables (default: process.env)
  */
-export async function createBlobStoreFromEnv(mainStorage) {
-  const type = process.env.BLOB_STORAGE_TYPE;
+export async function createBlobStoreFromEnv(mainStorage, env = process.env) {
+  const type = env.BLOB_STORAGE_TYPE;
 
   if (!type) {
     // Use main storage with blobs/ prefix
@@ -136,11 +170,11 @@ export async function createBlobStoreFromEnv(mainStorage) {
     case 's3': {
       const { S3Storage } = await import('./s3.js');
       const storage = new S3Storage({
-        endpoint: process.env.BLOB_S3_ENDPOINT || process.env.S3_ENDPOINT,
-        bucket: process.env.BLOB_STORAGE_BUCKET || process.env.S3_BUCKET,
-        accessKey: process.env.BLOB_S3_ACCESS_KEY || process.env.S3_ACCESS_KEY,
-        secretKey: process.env.BLOB_S3_SECRET_KEY || process.env.S3_SECRET_KEY,
-        region: process.env.BLOB_S3_REGION || process.env.S3_REGION || 'auto',
+        endpoint: env.BLOB_S3_ENDPOINT || env.S3_ENDPOINT,
+        bucket: env.BLOB_STORAGE_BUCKET || env.S3_BUCKET,
+        accessKey: env.BLOB_S3_ACCESS_KEY || env.S3_ACCESS_KEY,
+        secretKey: env.BLOB_S3_SECRET_KEY || env.S3_SECRET_KEY,
+        region: env.BLOB_S3_REGION || env.S3_REGION || 'auto',
       });
       return new BlobStore(storage, { prefix: '' });
     }
@@ -148,7 +182,7 @@ export async function createBlobStoreFromEnv(mainStorage) {
     case 'filesystem': {
       const { FilesystemStorage } = await import('./filesystem.js');
       const storage = new FilesystemStorage(
-        process.env.BLOB_STORAGE_PATH || './data/blobs'
+        env.BLOB_STORAGE_PATH || './data/blobs'
       );
       return new BlobStore(storage, { prefix: '' });
     }
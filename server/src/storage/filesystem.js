@@ -29,6 +29,28 @@ export class FilesystemStorage {
     }
   }
   
+  // Binary read for blobs (get() decodes as UTF-8)
+  async getBytes(key) {
+    const filePath = path.join(this.basePath, key);
+    try {
+      return await fs.readFile(filePath);
+    } catch (e) {
+      if (e.code === 'ENOENT') return null;
+      throw e;
+    }
+  }
+  
+  async stat(key) {
+    const filePath = path.join(this.basePath, key);
+    try {
+      const stats = await fs.stat(filePath);
+      return stats.isFile() ? { size: stats.size, content_type: null } : null;
+    } catch (e) {
+      if (e.code === 'ENOENT') return null;
+      throw e;
+    }
+  }
+  
   async list(prefix) {
     const dirPath = path.join(this.basePath, prefix);
     const results = [];
@@ -55,6 +77,24 @@ export class FilesystemStorage {
     return results;
   }
   
+  /**
+   * List keys with a version that changes whenever the file is rewritten
+   * (size and modification time), so callers can skip unchanged files
+   * @returns {Promise<Array<{key: string, version: string}>>}
+   */
+  async listVersions(prefix) {
+    const results = [];
+    for (const key of await this.list(prefix)) {
+      try {
+        const stats = await fs.stat(path.join(this.basePath, key));
+        results.push({ key, version: `${stats.size}-${stats.mtimeMs}` });
+      } catch (e) {
+        if (e.code !== 'ENOENT') throw e;
+      }
+    }
+    return results;
+  }
+  
   async delete(key) {
     const filePath = path.join(this.basePath, key);
     try {
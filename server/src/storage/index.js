@@ -23,22 +23,23 @@ export { FilesystemStorage, S3Storage, R2Storage, MesseAfStorage, BlobStore };
 
 /**
  * Create base storage backend from environment
+ * @param {Object} env - Environment variables
  * @returns {Promise<Object>}
  */
-async function createBaseStorage() {
-  const type = process.env.STORAGE_TYPE || 'filesystem';
+async function createBaseStorage(env) {
+  const type = env.STORAGE_TYPE || 'filesystem';
 
   switch (type) {
     case 'filesystem':
-      return new FilesystemStorage(process.env.STORAGE_PATH || './data');
+      return new FilesystemStorage(env.STORAGE_PATH || './data');
 
     case 's3':
       return new S3Storage({
-        endpoint: process.env.S3_ENDPOINT,
-        bucket: process.env.S3_BUCKET,
-        accessKey: process.env.S3_ACCESS_KEY,
-        secretKey: process.env.S3_SECRET_KEY,
-        region: process.env.S3_REGION || 'auto',
+        endpoint: env.S3_ENDPOINT,
+        bucket: env.S3_BUCKET,
+        accessKey: env.S3_ACCESS_KEY,
+        secretKey: env.S3_SECRET_KEY,
+        region: env.S3_REGION || 'auto',
       });
 
     default:
@@ -48,15 +49,16 @@ async function createBaseStorage() {
 
 /**
  * Create storage from environment variables (Node.js only)
+ * @param {Object} env - Environment variables (default: process.env)
  * @returns {Promise<Object>}
  */
-export async function createStorageFromEnv() {
-  const mode = process.env.STORAGE_MODE || 'event-sourced';
-  const baseStorage = await createBaseStorage();
+export async function createStorageFromEnv(env = process.env) {
+  const mode = env.STORAGE_MODE || 'event-sourced';
+  const baseStorage = await createBaseStorage(env);
 
   if (mode === 'messe-af') {
-    const version = parseInt(process.env.MESSE_AF_VERSION || '2');
-    const blobStore = await createBlobStoreFromEnv(baseStorage);
+    const version = parseInt(env.MESSE_AF_VERSION || '2');
+    const blobStore = await createBlobStoreFromEnv(baseStorage, env);
 
     return new MesseAfStorage(baseStorage, {
       version,
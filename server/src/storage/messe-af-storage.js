@@ -11,12 +11,20 @@
 import {
   parseThread,
   parseThreadV1,
+  readEnvelope,
+  readThread,
   serializeThread,
+  serializeThreadV1,
   eventsToMesseAf,
   messeAfToEvents,
   getFolderForStatus,
-  STATUS_FOLDERS
+  STATUS_FOLDERS,
+  parseThreadQuery,
+  queryThreads,
+  requestFromPayload,
+  assertValidThread
 } from '../messe-af/index.js';
+import { ConflictError } from '../core.js';
 
 /**
  * MESSE-AF Storage Adapter
@@ -34,6 +42,7 @@ export class MesseAfStorage {
     this.version = options.version || 2;
     this.blobStore = options.blobStore || baseStorage;
     this.type = `messe-af-v${this.version}`;
+    this._threadLocks = new Map();
   }
 
   /**
@@ -66,6 +75,30 @@ export class MesseAfStorage {
     return this.storage.get(key);
   }
 
+  /**
+   * Binary read (blobs and attachments pass straight through)
+   */
+  async getBytes(key) {
+    if (typeof this.storage.getBytes === 'function') {
+      return this.storage.getBytes(key);
+    }
+    return this.storage.get(key);
+  }
+
+  /**
+   * Object size and type, for backends that can tell without a download
+   */
+  async stat(key) {
+    return typeof this.storage.stat === 'function' ? this.storage.stat(key) : null;
+  }
+
+  /**
+   * Pre-signed URL, for backends that support them (S3, R2)
+   */
+  async presign(key, options) {
+    return typeof this.storage.presign === 'function' ? this.storage.presign(key, options) : null;
+  }
+
   /**
    * List files
    */
@@ -100,19 +133,31 @@ export class MesseAfStorage {
       return this.storage.put(key, data);
     }
 
-    // Find existing thread or create new one
-    const existingThread = await this._findThread(exchangeId, ref);
+    // Read-modify-write of the thread files must not interleave
+    return this._withThreadLock(`${exchangeId}/${ref}`, async () => {
+      // Find existing thread or create new one
+      const existingThread = await this._findThread(exchangeId, ref);
+
+      if (existingThread) {
+        // Update existing thread
+        return this._updateThread(exchangeId, existingThread, event);
+      } else if (event.event_type === 'thread_created') {
+        // Create new thread
+        return this._createThread(exchangeId, event);
+      } else {
+        // Orphan event - store as regular event
+        return this.storage.put(key, data);
+      }
+    });
+  }
 
-    if (existingThread) {
-      // Update existing thread
-      return this._updateThread(exchangeId, existingThread, event);
-    } else if (event.event_type === 'thread_created') {
-      // Create new thread
-      return this._createThread(exchangeId, event);
-    } else {
-      // Orphan event - store as regular event
-      return this.storage.put(key, data);
-    }
+  /**
+   * Run fn after any pending write to the same thread has finished
+   */
+  _withThreadLock(key, fn) {
+    const run = (this._threadLocks.get(key) || Promise.resolve()).then(fn);
+    this._threadLocks.set(key, run.catch(() => {}));
+    return run;
   }
 
   /**
@@ -131,6 +176,12 @@ export class MesseAfStorage {
       updated: now,
       intent: event.payload.intent,
       priority: event.payload.priority || 'normal',
+      ...(event.payload.needed_by && { needed_by: event.payload.needed_by }),
+      ...(event.payload.confirm_before && { confirm_before: true }),
+      ...(event.payload.required_capabilities?.length && {
+        required_capabilities: event.payload.required_capabilities
+      }),
+      ...(event.payload.assignee && { assignee: event.payload.assignee }),
       history: [{ action: 'created', at: now, by: event.actor_id }]
     };
 
@@ -140,14 +191,8 @@ export class MesseAfStorage {
         received: now,
         channel: 'api',
         MESS: [
-          { v: '1.0.0' },
-          {
-            request: {
-              intent: event.payload.intent,
-              context: event.payload.context || [],
-              response_hint: event.payload.response_hint || []
-            }
-          }
+          { v: envelope.needed_by || envelope.confirm_before ? '1.1.0' : '1.0.0' },
+          { request: requestFromPayload(event.payload) }
         ]
       },
       {
@@ -174,7 +219,6 @@ export class MesseAfStorage {
       }
     } else {
       // v1 flat file
-      const { serializeThreadV1 } = await import('../messe-af/serializer.js');
       const content = serializeThreadV1(envelope, messages);
       await this.storage.put(`${basePath}/${ref}.messe-af.yaml`, content);
     }
@@ -182,11 +226,24 @@ export class MesseAfStorage {
 
   /**
    * Update existing MESSE-AF thread
+   * Status changes and delegations are rejected with ConflictError if the
+   * thread is no longer in the event's old_status, or if a claim would
+   * replace another executor.
    */
   async _updateThread(exchangeId, existing, event) {
     const { envelope, messages, attachments, folder, format, path } = existing;
     const now = event.ts;
 
+    if (event.event_type === 'status_changed' || event.event_type === 'thread_delegated') {
+      const { old_status: oldStatus, new_status: newStatus, executor_id: executorId } = event.payload;
+      if (oldStatus && envelope.status !== oldStatus) {
+        throw new ConflictError(`Thread ${envelope.ref} is ${envelope.status}, expected ${oldStatus}`);
+      }
+      if (newStatus === 'claimed' && envelope.executor && envelope.executor !== executorId) {
+        throw new ConflictError(`Thread ${envelope.ref} already claimed by ${envelope.executor}`);
+      }
+    }
+
     // Update envelope
     envelope.updated = now;
 
@@ -210,7 +267,35 @@ export class MesseAfStorage {
             status: {
               re: envelope.ref,
               code: event.payload.new_status,
-              ...(event.payload.message && { message: event.payload.message })
+              ...(event.payload.message && { message: event.payload.message }),
+              ...(event.payload.action && { action: event.payload.action }),
+              ...(event.payload.consequences && { consequences: event.payload.consequences }),
+              ...(event.payload.reversible !== undefined && { reversible: event.payload.reversible })
+            }
+          }]
+        });
+        break;
+
+      case 'thread_delegated':
+        envelope.status = 'pending';
+        envelope.executor = null;
+        envelope.assignee = event.payload.delegated_to;
+        envelope.history.push({
+          action: 'delegated',
+          at: now,
+          by: event.actor_id,
+          to: event.payload.delegated_to
+        });
+        messages.push({
+          from: event.actor_id,
+          received: now,
+          channel: 'api',
+          MESS: [{
+            status: {
+              re: envelope.ref,
+              code: 'delegated',
+              delegated_to: event.payload.delegated_to,
+              ...(event.payload.reason && { reason: event.payload.reason })
             }
           }]
         });
@@ -224,6 +309,20 @@ export class MesseAfStorage {
           MESS: event.payload.mess
         });
         break;
+
+      case 'attachment_added':
+        // The file itself lives in the blob store
+        envelope.history.push({
+          action: 'attachment_added',
+          at: now,
+          by: event.actor_id,
+          file: event.payload.filename,
+          content_type: event.payload.content_type,
+          size: event.payload.size,
+          ...(event.payload.width && { width: event.payload.width, height: event.payload.height }),
+          ...(event.payload.thumbnail && { thumbnail: event.payload.thumbnail })
+        });
+        break;
     }
 
     const newFolder = getFolderForStatus(envelope.status);
@@ -309,6 +408,65 @@ export class MesseAfStorage {
     return null;
   }
 
+  /**
+   * Envelope of one thread, without reading its messages or attachments
+   * @returns {Promise<Object|null>}
+   */
+  async getEnvelope(exchangeId, ref) {
+    for (const folderName of ['received', 'executing', 'finished', 'canceled']) {
+      const basePath = `exchange=${exchangeId}/state=${folderName}`;
+
+      const names = (await this.storage.list(`${basePath}/${ref}/`)).map(key => key.split('/').pop());
+      if (names.length > 0) {
+        const { envelope } = await readThread(names, name => this.storage.get(`${basePath}/${ref}/${name}`), { envelopeOnly: true });
+        if (envelope) return envelope;
+      }
+
+      const content = await this.storage.get(`${basePath}/${ref}.messe-af.yaml`);
+      if (content) return readEnvelope(content);
+    }
+
+    return null;
+  }
+
+  /**
+   * Version of every thread's envelope file, from folder listings alone, so
+   * callers can re-read only the envelopes that changed
+   * @returns {Promise<Map<string, string>|null>} ref -> version, or null if
+   *   the base storage can't list versions
+   */
+  async getEnvelopeVersions(exchangeId) {
+    if (typeof this.storage.listVersions !== 'function') return null;
+
+    const versions = new Map();
+    for (const folderName of ['received', 'executing', 'finished', 'canceled']) {
+      const basePath = `exchange=${exchangeId}/state=${folderName}`;
+
+      // The envelope is in the v2 file numbered lowest, or the v1 file
+      const envelopes = new Map();
+      for (const { key, version } of await this.storage.listVersions(`${basePath}/`)) {
+        const [name, file] = key.slice(basePath.length + 1).split('/');
+        if (file) {
+          if (!file.endsWith('.messe-af.yaml')) continue;
+          const number = parseInt(file.split('-')[0]);
+          const current = envelopes.get(name);
+          if (!current || current.number === null || number < current.number) {
+            envelopes.set(name, { number, version });
+          }
+        } else if (name.endsWith('.messe-af.yaml')) {
+          const ref = name.replace('.messe-af.yaml', '');
+          if (!envelopes.has(ref)) envelopes.set(ref, { number: null, version });
+        }
+      }
+
+      for (const [ref, { version }] of envelopes) {
+        if (!versions.has(ref)) versions.set(ref, version);
+      }
+    }
+
+    return versions;
+  }
+
   /**
    * Get event - reconstruct from MESSE-AF
    */
@@ -372,9 +530,29 @@ export class MesseAfStorage {
   }
 
   /**
-   * Get all threads for an exchange (for listing)
+   * Get threads for an exchange (for listing)
+   * @param {string} exchangeId
+   * @param {Object|string} query - parseThreadQuery options (status, priority,
+   *   requestor_id, executor_id, created_after, created_before, q, sort,
+   *   order, limit, cursor), or just a status
+   * @returns {Promise<Object[]>} Matching threads; use queryThreads() for next_cursor
+   */
+  async getThreads(exchangeId, query = {}) {
+    return (await this.queryThreads(exchangeId, query)).threads;
+  }
+
+  /**
+   * Filter, sort and page threads like GET /requests
+   * @returns {Promise<{threads: Object[], next_cursor: string|null}>}
+   * @throws {Error} When the query is invalid
    */
-  async getThreads(exchangeId, status = null) {
+  async queryThreads(exchangeId, query = {}) {
+    const parsed = parseThreadQuery(typeof query === 'string' ? { status: query } : query || {});
+    if (parsed.error) {
+      throw new Error(parsed.error);
+    }
+
+    const status = parsed.query.status;
     const threads = [];
 
     const folders = status
@@ -385,49 +563,39 @@ export class MesseAfStorage {
       const basePath = `exchange=${exchangeId}/state=${folderName}`;
       const entries = await this.storage.list(`${basePath}/`);
 
-      const seen = new Set();
-
+      // ref -> file names in its v2 directory, or null for a v1 file
+      const refs = new Map();
       for (const entry of entries) {
-        // Extract ref from path
-        const parts = entry.split('/');
-        let ref;
-
-        if (entry.endsWith('.messe-af.yaml')) {
-          // v1 or v2 yaml file
-          const fileName = parts[parts.length - 1];
-          if (fileName.match(/^\d{3}-/)) {
-            // v2 format: .../ref/000-ref.messe-af.yaml
-            ref = parts[parts.length - 2];
-          } else {
-            // v1 format: .../ref.messe-af.yaml
-            ref = fileName.replace('.messe-af.yaml', '');
-          }
-        } else if (!entry.includes('.')) {
-          // Directory entry in v2 format
-          ref = parts[parts.length - 1];
+        const [name, file] = entry.slice(basePath.length + 1).split('/');
+        if (file) {
+          refs.set(name, [...(refs.get(name) || []), file]);
+        } else if (name.endsWith('.messe-af.yaml')) {
+          const ref = name.replace('.messe-af.yaml', '');
+          if (!refs.has(ref)) refs.set(ref, null);
         }
+      }
 
-        if (ref && !seen.has(ref)) {
-          seen.add(ref);
-          const thread = await this._findThread(exchangeId, ref);
-          if (thread) {
-            threads.push({
-              ref: thread.envelope.ref,
-              status: thread.envelope.status,
-              intent: thread.envelope.intent,
-              requestor_id: thread.envelope.requestor,
-              executor_id: thread.envelope.executor,
-              priority: thread.envelope.priority,
-              created_at: thread.envelope.created,
-              updated_at: thread.envelope.updated,
-              messages: thread.messages
-            });
-          }
+      // Listings only need envelopes: skip messages and attachment bodies
+      for (const [ref, names] of refs) {
+        const envelope = names
+          ? (await readThread(names, name => this.storage.get(`${basePath}/${ref}/${name}`), { envelopeOnly: true })).envelope
+          : await readEnvelope(await this.storage.get(`${basePath}/${ref}.messe-af.yaml`) ?? '');
+        if (envelope) {
+          threads.push({
+            ref: envelope.ref,
+            status: envelope.status,
+            intent: envelope.intent,
+            requestor_id: envelope.requestor,
+            executor_id: envelope.executor,
+            priority: envelope.priority,
+            created_at: envelope.created,
+            updated_at: envelope.updated
+          });
         }
       }
     }
 
-    return threads.sort((a, b) => new Date(b.updated_at) - new Date(a.updated_at));
+    return queryThreads(threads, parsed.query);
   }
 
   /**
@@ -441,15 +609,17 @@ export class MesseAfStorage {
   }
 
   /**
-   * Import a MESSE-AF thread
+   * Import a MESSE-AF thread, replacing any stored copy of it
+   * @throws {ValidationError} If the thread doesn't match the MESSE-AF schemas
    */
   async importThread(exchangeId, files) {
-    const parsed = Array.isArray(files) ? parseThread(files) : parseThreadV1(files);
+    const parsed = assertValidThread(Array.isArray(files) ? parseThread(files) : parseThreadV1(files));
     const { envelope, messages, attachments } = parsed;
 
     const folder = getFolderForStatus(envelope.status);
     const basePath = `exchange=${exchangeId}/state=${folder}`;
     const ref = envelope.ref;
+    const written = new Set();
 
     if (this.version === 2 || Array.isArray(files)) {
       const serialized = serializeThread(envelope, messages, attachments);
@@ -462,16 +632,39 @@ export class MesseAfStorage {
         } else {
           await this.storage.put(filePath, file.content);
         }
+        written.add(filePath);
       }
     } else {
-      const { serializeThreadV1 } = await import('../messe-af/serializer.js');
       const content = serializeThreadV1(envelope, messages);
       await this.storage.put(`${basePath}/${ref}.messe-af.yaml`, content);
+      written.add(`${basePath}/${ref}.messe-af.yaml`);
     }
 
+    // A copy from before a status change sits in another state= folder, and
+    // an older copy in this one may have files the new one doesn't
+    await this._removeThreadFiles(exchangeId, ref, written);
+
     return { ref, status: envelope.status };
   }
 
+  /**
+   * Delete a thread's files from every folder, bar those listed
+   * @param {Set<string>} keep - Paths to leave
+   */
+  async _removeThreadFiles(exchangeId, ref, keep = new Set()) {
+    for (const folderName of ['received', 'executing', 'finished', 'canceled']) {
+      const basePath = `exchange=${exchangeId}/state=${folderName}`;
+      for (const store of new Set([this.storage, this.blobStore])) {
+        for (const filePath of await store.list(`${basePath}/${ref}/`)) {
+          if (!keep.has(filePath)) await store.delete(filePath);
+        }
+      }
+      if (!keep.has(`${basePath}/${ref}.messe-af.yaml`)) {
+        await this.storage.delete(`${basePath}/${ref}.messe-af.yaml`);
+      }
+    }
+  }
+
   /**
    * Export a thread to MESSE-AF format
    */
@@ -482,7 +675,6 @@ export class MesseAfStorage {
     if (format === 'v2') {
       return serializeThread(thread.envelope, thread.messages, thread.attachments);
     } else {
-      const { serializeThreadV1 } = await import('../messe-af/serializer.js');
       return serializeThreadV1(thread.envelope, thread.messages);
     }
   }
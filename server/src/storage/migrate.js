@@ -0,0 +1,362 @@
+/**
+ * Storage Migration
+ * Copies an exchange server's data from one storage configuration to
+ * another: event-sourced <-> MESSE-AF, MESSE-AF v1 <-> v2, filesystem <-> S3.
+ *
+ * When the two sides keep threads in different formats, threads move as
+ * their events (the conversion is lossless, see docs/messe-af.md).
+ * Everything else (executors, keys, invites, deliveries, uploaded
+ * attachments) is copied byte for byte. Each item is compared with what the
+ * target already holds before it is written, so a migration that stopped
+ * part way can be run again and only copies what is missing.
+ *
+ * A side is { storage, blobStore }: the storage createStorageFromEnv returns
+ * and the blob store the server keeps uploads in (default: that storage,
+ * under blobs/).
+ */
+
+import path from 'path';
+import { isDeepStrictEqual } from 'util';
+import { MesseAfStorage } from './messe-af-storage.js';
+import { BlobStore } from './blob-store.js';
+import { eventsToMesseAf, serializeThread, serializeThreadV1 } from '../messe-af/index.js';
+import { createHandlers } from '../core.js';
+
+const EXCHANGE_IN_KEY = /(?:^|\/)exchange=([^/]+)\//;
+const THREAD_DOCUMENT = /^exchange=[^/]+\/state=[^/]+\/.+\.messe-af\.yaml$/;
+const THREAD_FILE = /^exchange=([^/]+)\/state=[^/]+\/([^/]+)\/[^/]+$/;
+
+// Rebuilt on the target from its threads rather than copied (the feed is kept)
+const REBUILT_PROJECTION = /^projections\/exchange=[^/]+\/(index\.json|search\.json|search\/|threads\/)/;
+
+// Rate limit buckets belong to the running server, not the exchange
+const SERVER_STATE = /^ratelimit\//;
+
+/**
+ * Thread format of a storage
+ * @param {Object} storage
+ * @returns {string} "event-sourced", "messe-af-v1" or "messe-af-v2"
+ */
+export function storageFormat(storage) {
+  return storage instanceof MesseAfStorage ? `messe-af-v${storage.version}` : 'event-sourced';
+}
+
+function baseOf(storage) {
+  return storage instanceof MesseAfStorage ? storage.storage : storage;
+}
+
+function blobStoreOf(side) {
+  return side.blobStore || new BlobStore(side.storage);
+}
+
+// Blob stores over the side's own storage live under a prefix of its keys
+function blobPrefixIn(side) {
+  const blobStore = blobStoreOf(side);
+  return [side.storage, baseOf(side.storage)].includes(blobStore.storage) ? blobStore.prefix : null;
+}
+
+function location(storage) {
+  const base = baseOf(storage);
+  if (base.type === 'filesystem') return { type: 'filesystem', path: path.resolve(base.basePath) };
+  if (base.type === 's3') return { type: 's3', path: `${base.endpoint || ''}/${base.bucket}` };
+  return { type: base.type, path: null, storage: base };
+}
+
+/**
+ * Whether two storages read and write the same data (the same or nested
+ * directories, or the same bucket)
+ * @param {Object} a
+ * @param {Object} b
+ * @returns {boolean}
+ */
+export function sameLocation(a, b) {
+  const [x, y] = [location(a), location(b)];
+  if (x.type !== y.type) return false;
+  if (x.path === null) return x.storage === y.storage;
+  if (x.type !== 'filesystem') return x.path === y.path;
+  const inside = (parent, child) => !path.relative(parent, child).startsWith('..');
+  return inside(x.path, y.path) || inside(y.path, x.path);
+}
+
+async function readBytes(storage, key) {
+  const data = typeof storage.getBytes === 'function' ? await storage.getBytes(key) : await storage.get(key);
+  return typeof data === 'string' ? Buffer.from(data) : data && Buffer.from(data);
+}
+
+function sameBytes(a, b) {
+  return a !== null && b !== null && Buffer.compare(a, b) === 0;
+}
+
+function exchangeOf(key) {
+  return key.match(EXCHANGE_IN_KEY)?.[1] || null;
+}
+
+/**
+ * Thread events of an event-sourced storage, and the keys holding them
+ * @returns {Promise<{threads: Map<string, Object[]>, keys: Set<string>}>}
+ */
+async function scanEvents(storage, exchangeId) {
+  const threads = new Map();
+  const keys = new Set();
+
+  for (const key of await storage.list(`events/exchange=${exchangeId}/`)) {
+    const data = await storage.get(key);
+    for (const line of (data || '').split('\n')) {
+      if (!line.trim()) continue;
+      let event;
+      try {
+        event = JSON.parse(line);
+      } catch (e) {
+        continue; // Skip malformed events, like scanThreadEvents
+      }
+      if (!event.thread_ref) continue;
+      keys.add(key);
+      if (!threads.has(event.thread_ref)) threads.set(event.thread_ref, []);
+      threads.get(event.thread_ref).push(event);
+    }
+  }
+
+  for (const events of threads.values()) {
+    events.sort((a, b) => new Date(a.ts) - new Date(b.ts));
+  }
+  return { threads, keys };
+}
+
+/**
+ * Events of every thread in an exchange, in either format
+ * @returns {Promise<Map<string, Object[]>>} ref -> events
+ */
+async function readThreads(storage, exchangeId) {
+  if (!(storage instanceof MesseAfStorage)) {
+    return (await scanEvents(storage, exchangeId)).threads;
+  }
+  const threads = new Map();
+  for (const { ref } of await storage.getThreads(exchangeId)) {
+    threads.set(ref, await storage.getThreadEvents(exchangeId, ref));
+  }
+  return threads;
+}
+
+function sameEvents(a = [], b = []) {
+  const byId = events => JSON.parse(JSON.stringify(
+    [...events].sort((x, y) => String(x.event_id).localeCompare(String(y.event_id)))
+  ));
+  return a.length === b.length && isDeepStrictEqual(byId(a), byId(b));
+}
+
+function eventKey(event) {
+  const date = new Date(event.ts);
+  const day = Number.isNaN(date.getTime()) ? new Date() : date;
+  const y = day.getUTCFullYear();
+  const m = String(day.getUTCMonth() + 1).padStart(2, '0');
+  const d = String(day.getUTCDate()).padStart(2, '0');
+  return `events/exchange=${event.exchange_id}/${y}/${m}/${d}/${event.event_id}.jsonl`;
+}
+
+/**
+ * Write one thread's events to the target in its format. MESSE-AF v1 keeps
+ * a thread as a single file, so threads with attachment files stay v2.
+ */
+async function writeThread(storage, exchangeId, events, { hasFiles = false } = {}) {
+  if (!(storage instanceof MesseAfStorage)) {
+    for (const event of events) {
+      await storage.put(eventKey(event), JSON.stringify(event) + '\n');
+    }
+    return;
+  }
+
+  const { envelope, messages } = eventsToMesseAf(events);
+  const files = storage.version === 1 && !hasFiles
+    ? serializeThreadV1(envelope, messages)
+    : serializeThread(envelope, messages);
+  await storage.importThread(exchangeId, files);
+}
+
+function count(report, group, copy) {
+  report[group].total++;
+  report[group][copy ? 'copied' : 'unchanged']++;
+}
+
+/**
+ * Copy threads, records and blobs from source to target
+ * @param {{storage: Object, blobStore?: Object}} source
+ * @param {{storage: Object, blobStore?: Object}} target
+ * @param {Object} options
+ * @param {boolean} options.dryRun - Only report what would be copied
+ * @returns {Promise<Object>} Report: { from, to, dry_run, exchanges: { id:
+ *   { threads: { total, copied, unchanged, failed } } }, records, blobs,
+ *   failures: [{ exchange_id, ref, error }] }. With dryRun, "copied" counts
+ *   what would be copied.
+ * @throws {Error} If source and target are the same storage
+ */
+export async function migrateStorage(source, target, { dryRun = false } = {}) {
+  if (sameLocation(source.storage, target.storage)) {
+    throw new Error('Source and target are the same storage; migrate into an empty location instead');
+  }
+
+  const from = storageFormat(source.storage);
+  const to = storageFormat(target.storage);
+  const convert = from !== to;
+  const sourceBase = baseOf(source.storage);
+  const targetBase = baseOf(target.storage);
+  const sourceBlobs = blobStoreOf(source);
+  const targetBlobs = blobStoreOf(target);
+  const blobPrefix = blobPrefixIn(source);
+
+  const report = {
+    from,
+    to,
+    dry_run: dryRun,
+    exchanges: {},
+    records: { total: 0, copied: 0, unchanged: 0 },
+    blobs: { total: 0, copied: 0, unchanged: 0, shared: false },
+    failures: []
+  };
+
+  const keys = (await sourceBase.list('')).sort();
+  const blobKeys = (await sourceBlobs.list('')).sort();
+  const exchangeIds = [...new Set([...keys, ...blobKeys].map(exchangeOf).filter(Boolean))].sort();
+
+  // Thread files other than the documents (attachments) are copied as records
+  // or blobs; they decide whether a thread can be written as v1
+  const threadsWithFiles = new Set([...keys, ...blobKeys]
+    .map(key => (blobPrefix && key.startsWith(blobPrefix) ? key.slice(blobPrefix.length) : key))
+    .filter(key => !THREAD_DOCUMENT.test(key))
+    .map(key => key.match(THREAD_FILE)?.slice(1).join('/'))
+    .filter(Boolean));
+
+  // Threads
+  const threadKeys = new Set();
+  for (const exchangeId of exchangeIds) {
+    const entry = report.exchanges[exchangeId] = {
+      threads: { total: 0, copied: 0, unchanged: 0, failed: 0 }
+    };
+
+    if (!convert) {
+      entry.threads.total = (await readThreads(source.storage, exchangeId)).size;
+      continue;
+    }
+
+    let threads;
+    if (source.storage instanceof MesseAfStorage) {
+      threads = await readThreads(source.storage, exchangeId);
+    } else {
+      const scanned = await scanEvents(source.storage, exchangeId);
+      scanned.keys.forEach(key => threadKeys.add(key));
+      threads = scanned.threads;
+    }
+    const existing = await readThreads(target.storage, exchangeId);
+
+    for (const [ref, events] of threads) {
+      const copy = !sameEvents(events, existing.get(ref));
+      count(entry, 'threads', copy);
+      if (!copy || dryRun) continue;
+      try {
+        await writeThread(target.storage, exchangeId, events, { hasFiles: threadsWithFiles.has(`${exchangeId}/${ref}`) });
+      } catch (e) {
+        entry.threads.copied--;
+        entry.threads.failed++;
+        report.failures.push({ exchange_id: exchangeId, ref, error: e.message });
+      }
+    }
+  }
+
+  // Records: everything else in the base storage
+  for (const key of keys) {
+    if (REBUILT_PROJECTION.test(key) || SERVER_STATE.test(key)) continue;
+    if (blobPrefix && key.startsWith(blobPrefix)) continue;
+    if (convert && (threadKeys.has(key) || (from !== 'event-sourced' && THREAD_DOCUMENT.test(key)))) continue;
+
+    const data = await readBytes(sourceBase, key);
+    if (data === null) continue;
+    const copy = !sameBytes(data, await readBytes(targetBase, key));
+    count(report, 'records', copy);
+    if (copy && !dryRun) await targetBase.put(key, data);
+  }
+
+  // Blobs, unless both sides share one blob store
+  if (sameLocation(sourceBlobs.storage, targetBlobs.storage) && blobPrefixIn(target) === null && blobPrefix === null) {
+    report.blobs.shared = true;
+  } else {
+    for (const key of blobKeys) {
+      const data = await sourceBlobs.get(key);
+      if (data === null) continue;
+      const bytes = Buffer.from(data);
+      const existing = await targetBlobs.get(key);
+      const copy = !sameBytes(bytes, existing === null ? null : Buffer.from(existing));
+      count(report, 'blobs', copy);
+      if (copy && !dryRun) await targetBlobs.put(key, bytes);
+    }
+  }
+
+  if (!dryRun) {
+    const handlers = createHandlers(target.storage, { blobStore: targetBlobs });
+    for (const exchangeId of exchangeIds) {
+      await handlers.rebuildProjections(exchangeId);
+    }
+  }
+
+  return report;
+}
+
+/**
+ * Status of every thread in an exchange: the envelope's for MESSE-AF, the
+ * last status_changed or thread_delegated event's otherwise
+ * @returns {Promise<Map<string, string>>} ref -> status
+ */
+async function threadStatuses(storage, exchangeId) {
+  const statuses = new Map();
+
+  if (storage instanceof MesseAfStorage) {
+    for (const thread of await storage.getThreads(exchangeId)) {
+      statuses.set(thread.ref, thread.status);
+    }
+    return statuses;
+  }
+
+  for (const [ref, events] of (await scanEvents(storage, exchangeId)).threads) {
+    if (!events.some(event => event.event_type === 'thread_created')) continue;
+    let status = 'pending';
+    for (const event of events) {
+      if (event.event_type === 'status_changed') status = event.payload.new_status;
+      if (event.event_type === 'thread_delegated') status = 'pending';
+    }
+    statuses.set(ref, status);
+  }
+  return statuses;
+}
+
+/**
+ * Check that every exchange has the same threads, with the same statuses,
+ * on both sides
+ * @param {{storage: Object}} source
+ * @param {{storage: Object}} target
+ * @returns {Promise<{ok: boolean, exchanges: Object, mismatches: Array}>}
+ *   exchanges: { id: { source, target } } thread counts; mismatches:
+ *   [{ exchange_id, ref, source, target }] statuses (null when missing)
+ */
+export async function verifyMigration(source, target) {
+  const keys = await baseOf(source.storage).list('');
+  const exchangeIds = [...new Set(keys.map(exchangeOf).filter(Boolean))].sort();
+  const exchanges = {};
+  const mismatches = [];
+
+  for (const exchangeId of exchangeIds) {
+    const before = await threadStatuses(source.storage, exchangeId);
+    const after = await threadStatuses(target.storage, exchangeId);
+    exchanges[exchangeId] = { source: before.size, target: after.size };
+
+    for (const ref of [...new Set([...before.keys(), ...after.keys()])].sort()) {
+      if (before.get(ref) !== after.get(ref)) {
+        mismatches.push({
+          exchange_id: exchangeId,
+          ref,
+          source: before.get(ref) ?? null,
+          target: after.get(ref) ?? null
+        });
+      }
+    }
+  }
+
+  return { ok: mismatches.length === 0, exchanges, mismatches };
+}
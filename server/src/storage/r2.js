@@ -1,18 +1,29 @@
 /**
  * Cloudflare R2 Storage Backend
  * For Cloudflare Workers deployments
- * Uses the R2 binding directly (not S3 API)
+ * Uses the R2 binding directly (not S3 API). Bindings can't pre-sign, so
+ * presign() needs R2 API token credentials for the S3-compatible endpoint.
  */
 
+import { presignUrl } from './presign.js';
+
 export class R2Storage {
-  constructor(bucket) {
-    // bucket is the R2 binding from env (e.g., env.MESS_BUCKET)
+  /**
+   * @param {Object} bucket - R2 binding from env (e.g., env.MESS_BUCKET)
+   * @param {Object} options
+   * @param {Object} options.s3 - { endpoint, bucket, accessKey, secretKey } for
+   *   pre-signed URLs; endpoint is https://<account_id>.r2.cloudflarestorage.com
+   */
+  constructor(bucket, options = {}) {
     this.bucket = bucket;
+    this.s3 = options.s3 || null;
     this.type = 'r2';
   }
   
-  async put(key, data) {
-    await this.bucket.put(key, data);
+  async put(key, data, options = {}) {
+    await this.bucket.put(key, data, options.contentType
+      ? { httpMetadata: { contentType: options.contentType } }
+      : undefined);
   }
   
   async get(key) {
@@ -21,6 +32,37 @@ export class R2Storage {
     return await obj.text();
   }
   
+  // Binary read for blobs (get() decodes as UTF-8)
+  async getBytes(key) {
+    const obj = await this.bucket.get(key);
+    if (!obj) return null;
+    return new Uint8Array(await obj.arrayBuffer());
+  }
+  
+  /**
+   * Read with the object's ETag, for putIfMatch
+   * @returns {Promise<{data: string, version: string}|null>}
+   */
+  async getVersioned(key) {
+    const obj = await this.bucket.get(key);
+    if (!obj) return null;
+    return { data: await obj.text(), version: obj.httpEtag };
+  }
+  
+  /**
+   * Write only if the object is unchanged since getVersioned (R2 checks the
+   * precondition atomically, across isolates)
+   * @param {string} key
+   * @param {string} data
+   * @param {string|null} version - ETag from getVersioned; null to write only
+   *   if the object doesn't exist yet
+   * @returns {Promise<boolean>} false if the precondition failed
+   */
+  async putIfMatch(key, data, version) {
+    const onlyIf = new Headers(version === null ? { 'If-None-Match': '*' } : { 'If-Match': version });
+    return (await this.bucket.put(key, data, { onlyIf })) !== null;
+  }
+  
   async list(prefix) {
     const results = [];
     let cursor = null;
@@ -41,7 +83,40 @@ export class R2Storage {
     return results;
   }
   
+  /**
+   * List keys with their ETags, from the listing alone
+   * @returns {Promise<Array<{key: string, version: string}>>}
+   */
+  async listVersions(prefix) {
+    const results = [];
+    let cursor = null;
+    
+    do {
+      const listed = await this.bucket.list({ prefix, cursor });
+      for (const obj of listed.objects) {
+        results.push({ key: obj.key, version: obj.etag });
+      }
+      cursor = listed.truncated ? listed.cursor : null;
+    } while (cursor);
+    
+    return results;
+  }
+  
   async delete(key) {
     await this.bucket.delete(key);
   }
+  
+  async stat(key) {
+    const obj = await this.bucket.head(key);
+    if (!obj) return null;
+    return { size: obj.size, content_type: obj.httpMetadata?.contentType || null };
+  }
+  
+  /**
+   * Pre-signed URL via R2's S3 API, or null without credentials
+   */
+  async presign(key, options = {}) {
+    if (!this.s3) return null;
+    return presignUrl({ region: 'auto', ...this.s3 }, key, options);
+  }
 }
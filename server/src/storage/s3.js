@@ -3,6 +3,8 @@
  * Works with AWS S3, MinIO, R2 (via S3 API), etc.
  */
 
+import { presignUrl } from './presign.js';
+
 export class S3Storage {
   constructor(config) {
     this.endpoint = config.endpoint;
@@ -37,7 +39,7 @@ export class S3Storage {
     return this._client;
   }
   
-  async put(key, data) {
+  async put(key, data, options = {}) {
     const { PutObjectCommand } = await import('@aws-sdk/client-s3');
     const client = await this.getClient();
     
@@ -45,7 +47,7 @@ export class S3Storage {
       Bucket: this.bucket,
       Key: key,
       Body: data,
-      ContentType: key.endsWith('.json') ? 'application/json' : 'text/plain',
+      ContentType: options.contentType || (key.endsWith('.json') ? 'application/json' : 'text/plain'),
     }));
   }
   
@@ -66,6 +68,24 @@ export class S3Storage {
     }
   }
   
+  // Binary read for blobs (get() decodes as UTF-8)
+  async getBytes(key) {
+    const { GetObjectCommand } = await import('@aws-sdk/client-s3');
+    const client = await this.getClient();
+    
+    try {
+      const response = await client.send(new GetObjectCommand({
+        Bucket: this.bucket,
+        Key: key,
+      }));
+      
+      return await response.Body.transformToByteArray();
+    } catch (e) {
+      if (e.name === 'NoSuchKey' || e.Code === 'NoSuchKey') return null;
+      throw e;
+    }
+  }
+  
   async list(prefix) {
     const { ListObjectsV2Command } = await import('@aws-sdk/client-s3');
     const client = await this.getClient();
@@ -90,6 +110,34 @@ export class S3Storage {
     return results;
   }
   
+  /**
+   * List keys with their ETags, from the listing alone
+   * @returns {Promise<Array<{key: string, version: string}>>}
+   */
+  async listVersions(prefix) {
+    const { ListObjectsV2Command } = await import('@aws-sdk/client-s3');
+    const client = await this.getClient();
+    
+    const results = [];
+    let continuationToken = null;
+    
+    do {
+      const response = await client.send(new ListObjectsV2Command({
+        Bucket: this.bucket,
+        Prefix: prefix,
+        ContinuationToken: continuationToken,
+      }));
+      
+      for (const obj of response.Contents || []) {
+        results.push({ key: obj.Key, version: obj.ETag });
+      }
+      
+      continuationToken = response.NextContinuationToken;
+    } while (continuationToken);
+    
+    return results;
+  }
+  
   async delete(key) {
     const { DeleteObjectCommand } = await import('@aws-sdk/client-s3');
     const client = await this.getClient();
@@ -99,4 +147,33 @@ export class S3Storage {
       Key: key,
     }));
   }
+  
+  async stat(key) {
+    const { HeadObjectCommand } = await import('@aws-sdk/client-s3');
+    const client = await this.getClient();
+    
+    try {
+      const response = await client.send(new HeadObjectCommand({
+        Bucket: this.bucket,
+        Key: key,
+      }));
+      return { size: response.ContentLength, content_type: response.ContentType || null };
+    } catch (e) {
+      if (e.name === 'NotFound' || e.$metadata?.httpStatusCode === 404) return null;
+      throw e;
+    }
+  }
+  
+  /**
+   * Pre-signed GET or PUT URL (see presignUrl for options)
+   */
+  async presign(key, options = {}) {
+    return presignUrl({
+      endpoint: this.endpoint,
+      bucket: this.bucket,
+      region: this.region,
+      accessKey: this.accessKey,
+      secretKey: this.secretKey,
+    }, key, options);
+  }
 }
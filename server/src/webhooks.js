@@ -0,0 +1,103 @@
+/**
+ * MESS Exchange Server - Webhook Signatures
+ * Outgoing `webhook` hooks and notification channels are signed with the
+ * receiving executor's webhook secret, so the receiver can check the call
+ * came from this exchange and wasn't replayed later.
+ *
+ * Headers sent with every signed webhook:
+ *   X-MESS-Delivery: {uuid}               same on every retry of a delivery;
+ *                                         receivers use it to drop repeats
+ *   X-MESS-Timestamp: {unix seconds}      when this attempt was signed
+ *   X-MESS-Signature: sha256={hex}        HMAC-SHA256 over "{timestamp}.{body}"
+ *
+ * Receivers verify with verifyWebhook (runtime-agnostic, like this module):
+ *
+ *   import { verifyWebhook } from 'mess-exchange-server/webhooks';
+ *   const ok = await verifyWebhook(secret, {
+ *     signature: req.headers['x-mess-signature'],
+ *     timestamp: req.headers['x-mess-timestamp'],
+ *     body: rawBody,
+ *   });
+ */
+
+export const SIGNATURE_HEADER = 'X-MESS-Signature';
+export const TIMESTAMP_HEADER = 'X-MESS-Timestamp';
+export const DELIVERY_HEADER = 'X-MESS-Delivery';
+
+// How far a timestamp may be from the receiver's clock (seconds)
+export const DEFAULT_TOLERANCE = 300;
+
+const encoder = new TextEncoder();
+
+function toHex(bytes) {
+  return [...new Uint8Array(bytes)].map(b => b.toString(16).padStart(2, '0')).join('');
+}
+
+/**
+ * Generate a new webhook secret
+ * @returns {string} whsec_ followed by 64 hex characters
+ */
+export function generateWebhookSecret() {
+  return `whsec_${toHex(crypto.getRandomValues(new Uint8Array(32)))}`;
+}
+
+/**
+ * Sign a webhook body
+ * @param {string} secret
+ * @param {number|string} timestamp - Unix seconds
+ * @param {string} body - The exact bytes sent, as a string
+ * @returns {Promise<string>} Header value: sha256={hex}
+ */
+export async function signWebhook(secret, timestamp, body) {
+  const key = await crypto.subtle.importKey(
+    'raw', encoder.encode(secret), { name: 'HMAC', hash: 'SHA-256' }, false, ['sign']
+  );
+  const signature = await crypto.subtle.sign('HMAC', key, encoder.encode(`${timestamp}.${body}`));
+  return `sha256=${toHex(signature)}`;
+}
+
+/**
+ * Headers for one signed webhook attempt
+ * @param {string} secret
+ * @param {string} deliveryId - Delivery ID; stays the same across retries
+ * @param {string} body
+ * @param {Date} now - Reference time (for testing)
+ * @returns {Promise<Object>}
+ */
+export async function webhookHeaders(secret, deliveryId, body, now = new Date()) {
+  const timestamp = Math.floor(now.getTime() / 1000);
+  return {
+    [DELIVERY_HEADER]: deliveryId,
+    [TIMESTAMP_HEADER]: String(timestamp),
+    [SIGNATURE_HEADER]: await signWebhook(secret, timestamp, body),
+  };
+}
+
+/**
+ * Check a received webhook's signature and timestamp
+ * @param {string} secret - The executor's webhook secret
+ * @param {Object} params
+ * @param {string} params.signature - X-MESS-Signature header
+ * @param {string} params.timestamp - X-MESS-Timestamp header
+ * @param {string} params.body - Raw request body, before any JSON parsing
+ * @param {number} params.tolerance - Seconds of clock difference to accept
+ *   (default 300)
+ * @param {Date} params.now - Reference time (for testing)
+ * @returns {Promise<boolean>}
+ */
+export async function verifyWebhook(secret, { signature, timestamp, body, tolerance = DEFAULT_TOLERANCE, now = new Date() }) {
+  const seconds = Number(timestamp);
+  if (!secret || typeof signature !== 'string' || typeof body !== 'string' || !Number.isInteger(seconds)) {
+    return false;
+  }
+  if (Math.abs(now.getTime() / 1000 - seconds) > tolerance) return false;
+
+  const expected = await signWebhook(secret, seconds, body);
+  if (expected.length !== signature.length) return false;
+  // Constant time, so the signature can't be guessed byte by byte
+  let diff = 0;
+  for (let i = 0; i < expected.length; i++) {
+    diff |= expected.charCodeAt(i) ^ signature.charCodeAt(i);
+  }
+  return diff === 0;
+}
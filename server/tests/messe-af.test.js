@@ -12,15 +12,45 @@ import {
   parseThread,
   parseThreadV1,
   parseYamlDocs,
+  readYamlDocs,
+  readEnvelope,
+  readThread,
   serializeThread,
   serializeThreadV1,
+  rewriteEnvelope,
   eventsToMesseAf,
   messeAfToEvents,
-  getFolderForStatus
+  getFolderForStatus,
+  canTransition,
+  checkTransition,
+  TERMINAL_STATUSES,
+  getConfirmationState,
+  checkConfirmation,
+  parseThreadQuery,
+  queryThreads,
+  tokenize,
+  messeAfSearchThread,
+  buildSearchIndex,
+  addToSearchIndex,
+  removeFromSearchIndex,
+  searchIndex,
+  imageInfo,
+  stripImageMetadata,
+  stripInlineImages,
+  needsImageConversion,
+  rewriteToResourceURIs,
+  validateThread,
+  validateMess,
+  assertValidThread,
+  ValidationError,
+  ENVELOPE_SCHEMA,
+  MESSAGE_SCHEMAS
 } from '@messe-af/core';
 import { MesseAfStorage } from '../src/storage/messe-af-storage.js';
 import { FilesystemStorage } from '../src/storage/filesystem.js';
 import { createHandlers } from '../src/core.js';
+import { attachmentLimitsFromEnv } from '../src/attachments.js';
+import { migrateStorage, verifyMigration } from '../src/storage/migrate.js';
 
 const __dirname = path.dirname(fileURLToPath(import.meta.url));
 const TEST_DATA = path.join(__dirname, 'test-data-messe-af');
@@ -151,6 +181,119 @@ status: pending`
   });
 });
 
+describe('MESSE-AF YAML Reader', () => {
+  // Chunks of a string, counting how many were taken
+  function chunked(text, size, counter = { taken: 0 }) {
+    return (async function* () {
+      for (let i = 0; i < text.length; i += size) {
+        counter.taken++;
+        yield Buffer.from(text.slice(i, i + size));
+      }
+    })();
+  }
+
+  async function collect(docs) {
+    const out = [];
+    for await (const doc of docs) out.push(doc);
+    return out;
+  }
+
+  it('splits documents the way YAML does', () => {
+    const content = `--- # envelope
+ref: 2026-01-31-001
+status: pending
+--- |
+a document that is just a block scalar
+---
+...
+---
+from: alice
+MESS:
+  - request:
+      intent: |
+        line one
+        ---
+        line three
+`;
+
+    assert.deepEqual(parseYamlDocs(content), [
+      { ref: '2026-01-31-001', status: 'pending' },
+      'a document that is just a block scalar\n',
+      { from: 'alice', MESS: [{ request: { intent: 'line one\n---\nline three\n' } }] }
+    ]);
+  });
+
+  it('reports where a document is malformed', () => {
+    assert.throws(() => parseYamlDocs('ref: a\n---\nfrom: [bob\n'), {
+      name: 'YAMLParseError',
+      message: /at line \d+, column \d+/
+    });
+  });
+
+  it('reads documents from chunks split anywhere', async () => {
+    const content = serializeThreadV1(
+      { ref: '2026-01-31-001', intent: 'Café ☕ run' },
+      [{ from: 'alice', MESS: [{ request: { intent: 'Café ☕ run\n---\nno milk' } }] }]
+    );
+
+    assert.deepEqual(await collect(readYamlDocs(chunked(content, 7))), parseYamlDocs(content));
+  });
+
+  it('reads the envelope without reading the rest of the file', async () => {
+    const message = serializeThreadV1({ from: 'alice', MESS: [{ v: '1.0.0' }] }, []);
+    const content = 'ref: 2026-01-31-001\nstatus: pending\n---\n' + `${message}---\n`.repeat(5000);
+    const counter = { taken: 0 };
+
+    assert.deepEqual(await readEnvelope(chunked(content, 1024, counter)), {
+      ref: '2026-01-31-001', status: 'pending'
+    });
+    assert.ok(counter.taken <= 2, `read ${counter.taken} chunks`);
+  });
+
+  it('stops reading past maxBytes', async () => {
+    const content = `ref: 2026-01-31-001\nnotes: ${'x'.repeat(4096)}\n`;
+    await assert.rejects(collect(readYamlDocs(content, { maxBytes: 1024 })), /larger than 1024 bytes/);
+    await assert.rejects(readEnvelope(content, { maxBytes: 1024 }), /larger than 1024 bytes/);
+  });
+
+  it('counts maxBytes in UTF-8 bytes, not characters', async () => {
+    // 600 characters, 1800 bytes
+    const content = `ref: 2026-01-31-001\nnotes: ${'☕'.repeat(600)}\n`;
+    await assert.rejects(collect(readYamlDocs(content, { maxBytes: 1024 })), /larger than 1024 bytes/);
+    const bytes = new TextEncoder().encode(content);
+    assert.deepEqual(await readEnvelope(content, { maxBytes: bytes.byteLength }), { ref: '2026-01-31-001', notes: '☕'.repeat(600) });
+  });
+
+  it('reads a v2 thread without loading attachments', async () => {
+    const files = serializeThread(
+      { ref: '2026-01-31-001', status: 'pending' },
+      [{ from: 'alice', MESS: [{ v: '1.0.0' }] }, { from: 'bob', MESS: [{ status: { code: 'claimed' } }] }],
+      [{ name: 'att-001-image-photo.jpg', content: 'photo bytes' }]
+    );
+    const reads = [];
+    const read = async (name) => {
+      reads.push(name);
+      return files.find(f => f.name === name)?.content ?? null;
+    };
+    const names = files.map(f => f.name);
+
+    const thread = await readThread(names, read);
+    assert.equal(thread.envelope.ref, '2026-01-31-001');
+    assert.equal(thread.messages.length, 2);
+    assert.deepEqual(thread.attachments.map(a => a.name), ['att-001-image-photo.jpg']);
+    assert.deepEqual(reads, ['000-2026-01-31-001.messe-af.yaml']);
+    assert.equal(await thread.attachments[0].load(), 'photo bytes');
+
+    reads.length = 0;
+    const listed = await readThread(names, read, { envelopeOnly: true });
+    assert.equal(listed.envelope.status, 'pending');
+    assert.deepEqual(listed.messages, []);
+    assert.deepEqual(reads, ['000-2026-01-31-001.messe-af.yaml']);
+
+    await assert.rejects(readThread(['att-001-image-photo.jpg'], read), /No YAML files/);
+  });
+});
+
 describe('MESSE-AF Serializer', () => {
   it('serializes to v1 flat file format', () => {
     const envelope = {
@@ -251,8 +394,219 @@ describe('MESSE-AF Serializer', () => {
     assert.equal(parsed.envelope.ref, envelope.ref);
     assert.equal(parsed.messages.length, messages.length);
   });
+
+  it('rewrites envelope fields and leaves the rest of the file as written', () => {
+    const content = [
+      '# hand-edited',
+      'requestor: alice',
+      'status: pending # by the PWA',
+      'intent: |',
+      '  Check the door',
+      '  ---',
+      '  and the gate',
+      '--- # the request',
+      'from: alice',
+      'MESS:',
+      '  - request:',
+      '      intent: Check the door',
+      '...',
+      '---',
+      'from: bob',
+      ''
+    ].join('\n');
+
+    assert.strictEqual(rewriteEnvelope(content, {}), content);
+
+    const rewritten = rewriteEnvelope(content, { status: 'claimed', ref: '2026-01-31-003' });
+    assert.strictEqual(rewritten, 'ref: 2026-01-31-003\n' + content.replace('status: pending', 'status: claimed'));
+    const docs = parseYamlDocs(rewritten);
+    assert.strictEqual(docs.length, 3);
+    assert.strictEqual(docs[0].intent, 'Check the door\n---\nand the gate\n');
+  });
+
+  it('rewrites an envelope after empty documents', () => {
+    const content = '# exported\n---\n---\nref: A\nstatus: pending\n---\nfrom: alice\n';
+    assert.strictEqual(rewriteEnvelope(content, { status: 'claimed' }),
+      '# exported\n---\n---\nref: A\nstatus: claimed\n---\nfrom: alice\n');
+    assert.throws(() => rewriteEnvelope('---\n', { status: 'claimed' }), /No envelope/);
+    assert.throws(() => rewriteEnvelope('- a\n', { status: 'claimed' }), /not a YAML mapping/);
+  });
 });
 
+// Seeded generators for the converter's round-trip properties, so a
+// failing seed can be replayed
+function seeded(seed) {
+  let state = seed;
+  const next = () => {
+    state = (state + 0x6D2B79F5) | 0;
+    let t = Math.imul(state ^ (state >>> 15), 1 | state);
+    t = (t + Math.imul(t ^ (t >>> 7), 61 | t)) ^ t;
+    return ((t ^ (t >>> 14)) >>> 0) / 4294967296;
+  };
+  return {
+    chance: p => next() < p,
+    int: n => Math.floor(next() * n),
+    pick: list => list[Math.floor(next() * list.length)]
+  };
+}
+
+const GENERATED_REF = '2026-03-01-001';
+
+function generateEvents(rand) {
+  const { chance, int, pick } = rand;
+  const events = [];
+  let time = Date.parse('2026-03-01T10:00:00Z');
+  let status = 'pending';
+  let executor = null;
+
+  const push = (event_type, actor_id, payload) => {
+    // Mostly forward in time, with ties and the odd clock skew
+    time += pick([0, 1000, 60000, 60000, 3600000, -30000]);
+    const index = events.length;
+    events.push({
+      event_id: chance(0.2) ? `${GENERATED_REF}-${index}` : `evt-${int(1e9).toString(16)}`,
+      ts: new Date(time).toISOString(),
+      exchange_id: 'test',
+      thread_ref: GENERATED_REF,
+      event_type,
+      actor_id,
+      payload
+    });
+  };
+
+  const request = {
+    ...(chance(0.3) && { id: 'meter-photo' }),
+    intent: 'Photo of the meter',
+    context: chance(0.5) ? ['In the garage'] : [],
+    response_hint: chance(0.5) ? ['image'] : [],
+    ...(chance(0.3) && { needed_by: '2026-03-02T10:00:00.000Z' }),
+    ...(chance(0.3) && { assignee: 'bob' }),
+    ...(chance(0.3) && { x_zone: 'north' })
+  };
+  push('thread_created', 'alice', {
+    intent: request.intent,
+    context: request.context,
+    priority: pick(['normal', 'urgent']),
+    requestor_id: 'alice',
+    response_hint: request.response_hint,
+    ...(request.needed_by && { needed_by: request.needed_by }),
+    ...(request.assignee && { assignee: request.assignee }),
+    ...(chance(0.8) && { request }),
+    ...(chance(0.2) && { x_source: 'cli' })
+  });
+  if (chance(0.7)) push('message_added', 'alice', { mess: [{ request }] });
+
+  for (let i = int(12); i > 0; i--) {
+    const actor = pick(['bob', 'bob', 'carol', 'alice', 'exchange']);
+    switch (pick(['status', 'status', 'message', 'message', 'attachment', 'delegated', 'other'])) {
+      case 'status': {
+        const code = pick(['claimed', 'in_progress', 'needs_input', 'needs_confirmation', 'completed', 'failed']);
+        const payload = {
+          old_status: chance(0.9) ? status : 'pending',
+          new_status: code,
+          ...(chance(0.9) && { executor_id: code === 'claimed' ? actor : executor }),
+          ...(chance(0.4) && { message: 'On it' }),
+          ...(code === 'needs_confirmation' && { action: 'Open the gate', reversible: chance(0.5) }),
+          ...(chance(0.1) && { x_trace: 'abc' })
+        };
+        push('status_changed', actor, payload);
+        status = code;
+        if (code === 'claimed') executor = actor;
+        break;
+      }
+      case 'delegated':
+        push('thread_delegated', actor, {
+          old_status: status,
+          delegated_to: pick(['carol', 'dave']),
+          ...(chance(0.5) && { reason: 'Battery low' })
+        });
+        status = 'pending';
+        executor = null;
+        break;
+      case 'message':
+        push('message_added', actor, {
+          mess: pick([
+            [{ response: { content: ['content://2026-03-01-001/att-001-meter.jpg'] } }],
+            [{ response: { id: 'reading', content: [{ text: '1234 kWh' }] } }],
+            [{ reply: { re: 'last', confirm: true } }],
+            [{ reply: { answers: { which: 'north' } } }],
+            [{ status: { code: status === 'pending' ? 'received' : status, message: 'Still going' } }],
+            [{ status: { code: 'needs_input', questions: ['Which meter?'] } }],
+            [{ cancel: { reason: 'No longer needed' } }],
+            [{ ack: { ref: `${GENERATED_REF}/response-001` } }],
+            [{ v: '1.0.0' }, { request: { intent: 'And the water meter' } }]
+          ])
+        });
+        break;
+      case 'attachment':
+        push('attachment_added', actor, {
+          filename: `att-00${i}-meter.jpg`,
+          content_type: 'image/jpeg',
+          size: 1000 + int(9000),
+          ...(chance(0.5) && { width: 640, height: 480 }),
+          ...(chance(0.3) && { thumbnail: { filename: `att-00${i}-meter.thumb.jpg`, width: 160, height: 120 } }),
+          ...(chance(0.2) && { sha256: 'e3b0c442' })
+        });
+        break;
+      default:
+        push(pick(['thread_archived', 'thread_created']), actor, chance(0.5) ? { reason: 'Tidy up' } : {});
+    }
+  }
+
+  // As stored: JSON, so no undefined fields
+  return JSON.parse(JSON.stringify(events));
+}
+
+// Edits people and other tools make to thread files
+function editThread(rand, { envelope, messages }) {
+  const { chance, int, pick } = rand;
+  envelope = structuredClone(envelope);
+  messages = structuredClone(messages);
+  const dropEvents = chance(0.3);
+
+  if (chance(0.3)) envelope.x_team = 'ops';
+  if (chance(0.4)) {
+    envelope.history.splice(int(envelope.history.length + 1), 0,
+      { action: 'note', at: '2026-03-01T12:00:00.000Z', by: 'alice', note: 'Called ahead' });
+  }
+  if (chance(0.2)) {
+    envelope.status = 'completed';
+    envelope.executor = 'bob';
+  }
+  if (dropEvents) delete envelope.events;
+  for (const entry of envelope.history) {
+    if (dropEvents) delete entry.event;
+    if (chance(0.2)) delete entry.ref;
+  }
+
+  messages = messages.flatMap(message => {
+    if (message.from === 'exchange' && chance(0.3)) return [];
+    const status = message.MESS.length === 1 && message.MESS[0].status;
+    if (status && chance(0.4)) {
+      // The way MesseAfStorage writes status messages
+      status.re = envelope.ref;
+      delete message.re;
+    }
+    if (chance(0.1)) message.channel = 'mcp';
+    if (chance(0.1)) message.x_device = 'phone';
+    return [message];
+  });
+  if (chance(0.1)) {
+    messages.unshift({ from: 'alice', received: envelope.created, MESS: [{ reply: { context: ['Draft'] } }] });
+  }
+  if (chance(0.1)) {
+    messages.push({ from: pick(['bob', 'exchange']), received: envelope.updated, MESS: [{ response: { notes: 'Late' } }] });
+  }
+
+  return { envelope, messages };
+}
+
+// Through the files the thread would be stored in
+function throughFiles({ envelope, messages }) {
+  const parsed = parseThread(serializeThread(envelope, messages));
+  return { envelope: parsed.envelope, messages: parsed.messages };
+}
+
 describe('MESSE-AF Converter', () => {
   it('converts events to MESSE-AF format', () => {
     const events = [
@@ -294,6 +648,55 @@ describe('MESSE-AF Converter', () => {
     assert.ok(result.messages.length >= 2);
   });
 
+  it('round-trips the complete request, including extension fields', () => {
+    const request = {
+      intent: 'Check something',
+      context: ['context1'],
+      response_hint: ['image'],
+      needed_by: '2026-02-01T00:00:00Z',
+      constraints: { location: 'Garage' },
+      x_zone: 'north'
+    };
+    const { envelope, messages } = eventsToMesseAf([{
+      event_id: '1',
+      ts: '2026-01-31T10:00:00Z',
+      exchange_id: 'test',
+      thread_ref: '2026-01-31-001',
+      event_type: 'thread_created',
+      actor_id: 'alice',
+      payload: { intent: 'Check something', requestor_id: 'alice', needed_by: request.needed_by, request }
+    }]);
+
+    assert.deepEqual(messages[0].MESS[1].request, request);
+
+    const events = messeAfToEvents(envelope, messages, 'test');
+    assert.deepEqual(events[0].payload.request, request);
+  });
+
+  it('keeps uploaded attachments in history without taking a message serial', () => {
+    const base = { exchange_id: 'test', thread_ref: '2026-01-31-001' };
+    const { envelope, messages } = eventsToMesseAf([
+      { ...base, event_id: '1', ts: '2026-01-31T10:00:00Z', event_type: 'thread_created', actor_id: 'alice',
+        payload: { intent: 'Photo of the meter', requestor_id: 'alice' } },
+      { ...base, event_id: '2', ts: '2026-01-31T10:05:00Z', event_type: 'attachment_added', actor_id: 'bob',
+        payload: { filename: 'meter.jpg', content_type: 'image/jpeg', size: 1234 } },
+      { ...base, event_id: '3', ts: '2026-01-31T10:06:00Z', event_type: 'message_added', actor_id: 'bob',
+        payload: { mess: [{ response: { content: ['content://2026-01-31-001/meter.jpg'] } }] } }
+    ]);
+
+    assert.deepEqual(envelope.history[1], {
+      action: 'attachment_added', at: '2026-01-31T10:05:00Z', by: 'bob',
+      file: 'meter.jpg', content_type: 'image/jpeg', size: 1234,
+      event: { event_id: '2' }
+    });
+    assert.equal(messages[messages.length - 1].MESS[0].ack.ref, '2026-01-31-001/response-001');
+
+    const events = messeAfToEvents(envelope, messages, 'test');
+    const added = events.find(e => e.event_type === 'attachment_added');
+    assert.deepEqual(added.payload, { filename: 'meter.jpg', content_type: 'image/jpeg', size: 1234 });
+    assert.equal(added.actor_id, 'bob');
+  });
+
   it('converts MESSE-AF to events', () => {
     const envelope = {
       ref: '2026-01-31-001',
@@ -330,9 +733,147 @@ describe('MESSE-AF Converter', () => {
     assert.equal(events[0].exchange_id, 'test-exchange');
   });
 
+  it('carries needed_by between events and envelope', () => {
+    const events = [{
+      event_id: '1',
+      ts: '2026-01-31T10:00:00Z',
+      exchange_id: 'test',
+      thread_ref: '2026-01-31-001',
+      event_type: 'thread_created',
+      actor_id: 'alice',
+      payload: { intent: 'Do something', requestor_id: 'alice', needed_by: '2026-02-01T10:00:00Z' }
+    }];
+
+    const { envelope, messages } = eventsToMesseAf(events);
+    assert.equal(envelope.needed_by, '2026-02-01T10:00:00Z');
+    assert.equal(messages[0].MESS[0].v, '1.1.0');
+    assert.equal(messages[0].MESS[1].request.needed_by, '2026-02-01T10:00:00Z');
+
+    const [created] = messeAfToEvents(envelope, messages, 'test');
+    assert.equal(created.payload.needed_by, '2026-02-01T10:00:00Z');
+  });
+
+  it('carries required_capabilities between events and envelope', () => {
+    const events = [{
+      event_id: '1',
+      ts: '2026-01-31T10:00:00Z',
+      exchange_id: 'test',
+      thread_ref: '2026-01-31-001',
+      event_type: 'thread_created',
+      actor_id: 'alice',
+      payload: { intent: 'Photo of the garage', requestor_id: 'alice', required_capabilities: ['camera'] }
+    }];
+
+    const { envelope, messages } = eventsToMesseAf(events);
+    assert.deepEqual(envelope.required_capabilities, ['camera']);
+    assert.deepEqual(messages[0].MESS[1].request.required_capabilities, ['camera']);
+
+    const [created] = messeAfToEvents(envelope, messages, 'test');
+    assert.deepEqual(created.payload.required_capabilities, ['camera']);
+  });
+
+  it('round-trips assignment and delegation', () => {
+    const base = { exchange_id: 'test', thread_ref: '2026-01-31-001' };
+    const events = [
+      { ...base, event_id: '1', ts: '2026-01-31T10:00:00Z', event_type: 'thread_created', actor_id: 'alice',
+        payload: { intent: 'Photo', requestor_id: 'alice', assignee: 'phone' } },
+      { ...base, event_id: '2', ts: '2026-01-31T10:01:00Z', event_type: 'status_changed', actor_id: 'phone',
+        payload: { old_status: 'pending', new_status: 'claimed', executor_id: 'phone' } },
+      { ...base, event_id: '3', ts: '2026-01-31T10:02:00Z', event_type: 'thread_delegated', actor_id: 'phone',
+        payload: { old_status: 'claimed', delegated_to: 'tablet', reason: 'Battery low' } }
+    ];
+
+    const { envelope, messages } = eventsToMesseAf(events);
+    assert.equal(envelope.status, 'pending');
+    assert.equal(envelope.executor, null);
+    assert.equal(envelope.assignee, 'tablet');
+    assert.equal(messages[0].MESS[1].request.assignee, 'phone');
+    assert.deepEqual(envelope.history.at(-1).to, 'tablet');
+
+    const back = messeAfToEvents(envelope, messages, 'test');
+    assert.equal(back[0].payload.assignee, 'phone');
+    const delegated = back.find(e => e.event_type === 'thread_delegated');
+    assert.deepEqual(delegated.payload, { old_status: 'claimed', delegated_to: 'tablet', reason: 'Battery low' });
+  });
+
+  it('reads hand-written threads as the events they describe', () => {
+    const envelope = {
+      ref: '2026-01-31-001',
+      requestor: 'alice',
+      executor: 'bob',
+      status: 'claimed',
+      created: '2026-01-31T10:00:00Z',
+      updated: '2026-01-31T10:10:00Z',
+      intent: 'Photo of the meter',
+      priority: 'normal',
+      history: [
+        { action: 'created', at: '2026-01-31T10:00:00Z', by: 'alice' },
+        { action: 'claimed', at: '2026-01-31T10:01:00Z', by: 'bob' },
+        { action: 'note', at: '2026-01-31T10:02:00Z', by: 'alice', note: 'Gate code is 1234' },
+        { action: 'attachment_added', at: '2026-01-31T10:05:00Z', by: 'bob', file: 'meter.jpg' }
+      ]
+    };
+    const messages = [
+      { from: 'alice', received: '2026-01-31T10:00:00Z', MESS: [{ request: { intent: 'Photo of the meter' } }] },
+      { from: 'bob', received: '2026-01-31T10:01:00Z', MESS: [{ status: { re: 'last', code: 'claimed' } }] },
+      { from: 'alice', received: '2026-01-31T10:10:00Z', MESS: [{ reply: { confirm: true } }] }
+    ];
+
+    const events = messeAfToEvents(envelope, messages, 'test');
+    assert.deepEqual(events.map(e => e.event_type),
+      ['thread_created', 'status_changed', 'attachment_added', 'message_added']);
+    assert.deepEqual(events.map(e => e.event_id), [0, 1, 2, 3].map(i => `2026-01-31-001-${i}`));
+    assert.equal(events[1].payload.executor_id, 'bob');
+    assert.deepEqual(events[3].payload.mess, [{ reply: { confirm: true } }]);
+
+    assert.deepEqual(eventsToMesseAf(events), { envelope, messages });
+  });
+
+  it('keeps event ids, acks and message refs when written out', () => {
+    const base = { exchange_id: 'test', thread_ref: '2026-01-31-001' };
+    const events = [
+      { ...base, event_id: 'a1', ts: '2026-01-31T10:00:00Z', event_type: 'thread_created', actor_id: 'alice',
+        payload: { intent: 'Photo', context: [], priority: 'normal', requestor_id: 'alice', response_hint: [] } },
+      { ...base, event_id: 'a2', ts: '2026-01-31T10:01:00Z', event_type: 'message_added', actor_id: 'bob',
+        payload: { mess: [{ response: { id: 'photo', content: ['Done'] } }] } }
+    ];
+
+    const { envelope, messages } = eventsToMesseAf(events);
+    assert.deepEqual(envelope.events[2], { event_id: 'a2' });
+    assert.ok(messages.every(message => message.event === undefined));
+    assert.deepEqual(messages[3].MESS, [{ ack: { re: 'photo', ref: '2026-01-31-001/response-001-photo' } }]);
+    assert.deepEqual(messeAfToEvents(...Object.values(eventsToMesseAf(events)), 'test'), events);
+  });
+
+  it('round-trips generated event streams through MESSE-AF files', () => {
+    for (let seed = 1; seed <= 300; seed++) {
+      const events = generateEvents(seeded(seed));
+      const thread = throughFiles(eventsToMesseAf(events));
+
+      assert.deepStrictEqual(validateThread(thread).errors, [], `seed ${seed}`);
+      assert.deepStrictEqual(messeAfToEvents(thread.envelope, thread.messages, 'test'), events, `seed ${seed}`);
+    }
+  });
+
+  it('round-trips generated MESSE-AF threads through events', () => {
+    for (let seed = 1; seed <= 300; seed++) {
+      const rand = seeded(seed);
+      const thread = throughFiles(editThread(rand, eventsToMesseAf(generateEvents(rand))));
+
+      // Events are stored as JSON
+      const events = JSON.parse(JSON.stringify(messeAfToEvents(thread.envelope, thread.messages, 'test')));
+      assert.deepStrictEqual(eventsToMesseAf(events), thread, `seed ${seed}`);
+
+      // ...and the events read back from the thread they write
+      const again = throughFiles(eventsToMesseAf(events));
+      assert.deepStrictEqual(messeAfToEvents(again.envelope, again.messages, 'test'), events, `seed ${seed}`);
+    }
+  });
+
   it('maps status to folder correctly', () => {
     assert.equal(getFolderForStatus('pending'), 'received');
     assert.equal(getFolderForStatus('claimed'), 'executing');
+    assert.equal(getFolderForStatus('in_progress'), 'executing');
     assert.equal(getFolderForStatus('in-progress'), 'executing');
     assert.equal(getFolderForStatus('completed'), 'finished');
     assert.equal(getFolderForStatus('cancelled'), 'canceled');
@@ -340,6 +881,468 @@ describe('MESSE-AF Converter', () => {
   });
 });
 
+describe('MESSE-AF Status State Machine', () => {
+  it('allows the normal request lifecycle', () => {
+    assert.ok(canTransition('pending', 'claimed'));
+    assert.ok(canTransition('claimed', 'in_progress'));
+    assert.ok(canTransition('in_progress', 'needs_input'));
+    assert.ok(canTransition('needs_input', 'in_progress'));
+    assert.ok(canTransition('in_progress', 'completed'));
+  });
+
+  it('accepts the legacy in-progress spelling', () => {
+    assert.ok(canTransition('claimed', 'in-progress'));
+    assert.ok(canTransition('in-progress', 'completed'));
+  });
+
+  it('rejects leaving a terminal status', () => {
+    for (const status of TERMINAL_STATUSES) {
+      assert.equal(canTransition(status, 'pending'), false);
+    }
+    const result = checkTransition({ from: 'completed', to: 'pending' });
+    assert.equal(result.code, 'invalid_transition');
+    assert.match(result.message, /completed is terminal/);
+  });
+
+  it('rejects skipping the claim', () => {
+    const result = checkTransition({ from: 'pending', to: 'completed' });
+    assert.equal(result.code, 'invalid_transition');
+    assert.match(result.message, /Allowed: claimed/);
+  });
+
+  it('rejects unknown statuses', () => {
+    const result = checkTransition({ from: 'claimed', to: 'complete' });
+    assert.equal(result.code, 'unknown_status');
+    assert.match(result.message, /Unknown status "complete"/);
+  });
+
+  it('only lets the requestor cancel', () => {
+    const change = { from: 'pending', to: 'cancelled', requestor: 'alice' };
+    assert.equal(checkTransition({ ...change, actor: 'alice' }), null);
+    assert.equal(checkTransition({ ...change, actor: 'bob' }).code, 'forbidden');
+  });
+
+  it('only lets the assignee claim an assigned request', () => {
+    const change = { from: 'pending', to: 'claimed', requestor: 'alice', assignee: 'bob' };
+    assert.equal(checkTransition({ ...change, actor: 'bob' }), null);
+    assert.equal(checkTransition({ ...change, actor: 'carol' }).code, 'forbidden');
+  });
+
+  it('only lets the assignee decline an unclaimed request', () => {
+    const change = { from: 'pending', to: 'declined', requestor: 'alice', assignee: 'bob' };
+    assert.equal(checkTransition({ ...change, actor: 'bob' }), null);
+    assert.equal(checkTransition({ ...change, actor: 'carol' }).code, 'forbidden');
+    assert.equal(checkTransition({ ...change, actor: 'alice' }).code, 'forbidden');
+
+    const unassigned = checkTransition({ ...change, assignee: undefined, actor: 'carol' });
+    assert.equal(unassigned.code, 'forbidden');
+    assert.match(unassigned.message, /leave it for another executor/);
+  });
+
+  it('only lets the claiming executor complete', () => {
+    const change = { from: 'claimed', to: 'completed', requestor: 'alice', executor: 'bob' };
+    assert.equal(checkTransition({ ...change, actor: 'bob' }), null);
+    assert.equal(checkTransition({ ...change, actor: 'alice' }).code, 'forbidden');
+    assert.equal(checkTransition({ ...change, to: 'partial', actor: 'carol' }).code, 'forbidden');
+  });
+
+  it('only lets the claiming executor move a claimed thread', () => {
+    const change = { from: 'claimed', requestor: 'alice', executor: 'bob' };
+    for (const to of ['in_progress', 'waiting', 'failed', 'declined']) {
+      assert.equal(checkTransition({ ...change, to, actor: 'bob' }), null);
+      assert.equal(checkTransition({ ...change, to, actor: 'carol' }).code, 'forbidden');
+    }
+    assert.equal(checkTransition({ ...change, from: 'in_progress', to: 'failed', actor: 'carol' }).code, 'forbidden');
+    assert.equal(checkTransition({ ...change, to: 'cancelled', actor: 'alice' }), null);
+    assert.equal(checkTransition({ ...change, to: 'cancelled', actor: 'bob' }).code, 'forbidden');
+  });
+
+  it('leaves expiry to the exchange and supersession to the requestor', () => {
+    const change = { from: 'pending', requestor: 'alice' };
+    assert.equal(checkTransition({ ...change, to: 'expired', actor: 'carol' }).code, 'forbidden');
+    assert.equal(checkTransition({ ...change, to: 'expired' }), null);
+    assert.equal(checkTransition({ ...change, to: 'superseded', actor: 'carol' }).code, 'forbidden');
+    assert.equal(checkTransition({ ...change, to: 'superseded', actor: 'alice' }), null);
+  });
+
+  it('rejects delegated as a plain status', () => {
+    const result = checkTransition({ from: 'claimed', to: 'delegated', actor: 'bob', executor: 'bob' });
+    assert.equal(result.code, 'invalid_transition');
+    assert.match(result.message, /delegate action/);
+  });
+});
+
+describe('MESSE-AF Validation', () => {
+  const thread = () => ({
+    envelope: {
+      ref: '2026-01-31-001',
+      requestor: 'alice',
+      executor: 'bob',
+      status: 'completed',
+      created: '2026-01-31T10:00:00Z',
+      history: [{ action: 'created', at: '2026-01-31T10:00:00Z', by: 'alice' }]
+    },
+    messages: [
+      { from: 'alice', received: '2026-01-31T10:00:00Z', MESS: [{ v: '1.1.0' }, { request: { id: 'fridge', intent: 'Check fridge', needed_by: '2026-01-31T18:00:00Z' } }] },
+      { from: 'exchange', MESS: [{ ack: { re: 'fridge', ref: '2026-01-31-001' } }] },
+      { from: 'bob', re: '2026-01-31-001', MESS: [{ status: { code: 'claimed', estimate: 'PT30M' } }] },
+      { from: 'bob', re: '2026-01-31-001', MESS: [{ status: { code: 'completed' } }, { response: { content: ['Milk', { image: { file: 'att-001-image-fridge.jpg', mime: 'image/jpeg', size: 10 } }] } }] },
+      { from: 'alice', MESS: [{ reply: { re: '2026-01-31-001', confirm: true } }, { cancel: null }] }
+    ]
+  });
+
+  it('accepts a well-formed thread', () => {
+    assert.deepEqual(validateThread(thread()), { valid: true, errors: [] });
+  });
+
+  it('reports each problem with its path', () => {
+    const t = thread();
+    delete t.envelope.ref;
+    t.envelope.status = 'done';
+    t.messages[1].MESS[0].ack = { re: 'fridge' };
+    t.messages[2].MESS[0].status.code = 'grabbed';
+    t.messages[3].MESS[1].response.content = 'Milk';
+    t.messages[4].MESS[0].reply.confirm = 'yes';
+
+    const { valid, errors } = validateThread(t);
+    assert.equal(valid, false);
+    assert.deepEqual(errors.map(e => e.path), [
+      'envelope.ref',
+      'envelope.status',
+      'messages[1].MESS[0].ack',
+      'messages[2].MESS[0].status.code',
+      'messages[3].MESS[1].response.content',
+      'messages[4].MESS[0].reply.confirm'
+    ]);
+    assert.match(errors[1].message, /unknown value "done"/);
+    assert.equal(errors[2].message, 'must have one of: ref, requests');
+    assert.equal(errors[4].message, 'must be array, got string');
+  });
+
+  it('checks v1.1 fields only under v1.1', () => {
+    const t = thread();
+    t.messages[2].MESS[0].status.estimate = '30 minutes';
+    assert.deepEqual(validateThread(t).errors.map(e => e.path), ['messages[2].MESS[0].status.estimate']);
+
+    // A v1.0 thread ignores fields it doesn't know
+    t.messages[0].MESS[0].v = '1.0.0';
+    assert.equal(validateThread(t).valid, true);
+  });
+
+  it('validates MESS lists on their own', () => {
+    assert.equal(validateMess([{ status: { re: 'x', code: 'claimed' } }]).valid, true);
+    assert.deepEqual(validateMess([{ request: { context: 'fridge' } }]).errors, [
+      { path: 'MESS[0].request.intent', message: 'is required' },
+      { path: 'MESS[0].request.context', message: 'must be array, got string' }
+    ]);
+    assert.equal(validateMess({ request: { intent: 'x' } }).errors[0].message, 'must be array, got object');
+    assert.match(validateMess([{ v: '2.0.0' }, { request: { intent: 'x' } }]).errors[0].message, /unsupported protocol version 2\.0/);
+    assert.match(validateMess([{ status: { code: 'claimed' }, response: {} }]).errors[0].message, /single key/);
+    // Item types without a schema pass through
+    assert.equal(validateMess([{ answer: { re: 'x', value: 'both' } }]).valid, true);
+  });
+
+  it('throws a ValidationError listing every problem', () => {
+    const t = thread();
+    t.envelope.status = 'done';
+    t.messages[0].MESS[1].request.intent = '';
+    assert.throws(() => assertValidThread(t), err =>
+      err instanceof ValidationError &&
+      err.errors.length === 2 &&
+      err.message === 'Invalid thread: envelope.status: unknown value "done"; expected one of: ' +
+        `${ENVELOPE_SCHEMA.properties.status.enum.join(', ')}; messages[0].MESS[1].request.intent: must not be empty`);
+  });
+
+  it('publishes plain JSON Schemas', () => {
+    for (const schema of [ENVELOPE_SCHEMA, MESSAGE_SCHEMAS['1.0'], MESSAGE_SCHEMAS['1.1']]) {
+      assert.equal(schema.$schema, 'https://json-schema.org/draft/2020-12/schema');
+      assert.deepEqual(JSON.parse(JSON.stringify(schema)), schema);
+    }
+  });
+});
+
+describe('MESSE-AF Confirmation', () => {
+  const envelope = { ref: '2026-02-08-001', requestor: 'agent', confirm_before: true };
+  const request = { from: 'agent', received: '2026-02-08T10:00:00Z', MESS: [{ request: { intent: 'Close the valve', confirm_before: true } }] };
+  const ask = {
+    from: 'ha',
+    received: '2026-02-08T10:05:00Z',
+    MESS: [{ status: { code: 'needs_confirmation', action: 'Close main valve', consequences: 'No water' } }]
+  };
+  const reply = (from, confirm) => ({ from, received: '2026-02-08T10:10:00Z', MESS: [{ reply: { re: 'last', confirm } }] });
+
+  it('is not tracked unless the request asks for it', () => {
+    assert.equal(getConfirmationState({ requestor: 'agent' }, [{ from: 'agent', MESS: [{ request: { intent: 'x' } }] }]), null);
+  });
+
+  it('records the pending action and consequences', () => {
+    const state = getConfirmationState(envelope, [request, ask]);
+    assert.equal(state.status, 'pending');
+    assert.equal(state.action, 'Close main valve');
+    assert.equal(state.consequences, 'No water');
+    assert.equal(state.requested_by, 'ha');
+  });
+
+  it('only accepts confirmation from the requestor', () => {
+    assert.equal(getConfirmationState(envelope, [request, ask, reply('ha', true)]).status, 'pending');
+    assert.equal(getConfirmationState(envelope, [request, ask, reply('agent', true)]).status, 'confirmed');
+    assert.equal(getConfirmationState(envelope, [request, ask, reply('agent', false)]).status, 'rejected');
+  });
+
+  it('blocks completion and responses until confirmed', () => {
+    for (const messages of [[request], [request, ask], [request, ask, reply('agent', false)]]) {
+      const state = getConfirmationState(envelope, messages);
+      assert.equal(checkConfirmation(state, { status: 'completed' }).code, 'confirmation_required');
+      assert.equal(checkConfirmation(state, { mess: [{ response: { content: ['done'] } }] }).code, 'confirmation_required');
+      assert.equal(checkConfirmation(state, { status: 'in_progress' }), null);
+    }
+
+    const confirmed = getConfirmationState(envelope, [request, ask, reply('agent', true)]);
+    assert.equal(checkConfirmation(confirmed, { status: 'completed' }), null);
+  });
+});
+
+describe('MESSE-AF Thread Query', () => {
+  const threads = [
+    { ref: 'A', status: 'pending', intent: 'Check the garage door', priority: 'normal',
+      requestor_id: 'agent', created_at: '2026-02-01T10:00:00Z', updated_at: '2026-02-01T12:00:00Z' },
+    { ref: 'B', status: 'claimed', intent: 'Water the plants', priority: 'urgent',
+      requestor_id: 'agent', executor_id: 'phone', created_at: '2026-02-02T10:00:00Z', updated_at: '2026-02-02T10:00:00Z' },
+    { ref: 'C', status: 'pending', intent: 'Close the GARAGE window', priority: 'background',
+      requestor_id: 'human', created_at: '2026-02-03T10:00:00Z', updated_at: '2026-02-03T10:00:00Z' },
+  ];
+  const run = (raw) => queryThreads(threads, parseThreadQuery(raw).query);
+  const refs = (raw) => run(raw).threads.map(t => t.ref);
+
+  it('sorts by updated_at descending by default', () => {
+    assert.deepEqual(refs({}), ['C', 'B', 'A']);
+  });
+
+  it('sorts by created_at or priority in either order', () => {
+    assert.deepEqual(refs({ sort: 'created_at', order: 'asc' }), ['A', 'B', 'C']);
+    assert.deepEqual(refs({ sort: 'priority' }), ['B', 'A', 'C']);
+  });
+
+  it('filters by fields, creation time and intent words', () => {
+    assert.deepEqual(refs({ status: 'pending' }), ['C', 'A']);
+    assert.deepEqual(refs({ priority: 'urgent' }), ['B']);
+    assert.deepEqual(refs({ requestor_id: 'agent', executor_id: 'phone' }), ['B']);
+    assert.deepEqual(refs({ created_after: '2026-02-01T10:00:00Z', created_before: '2026-02-03T00:00:00Z' }), ['B']);
+    assert.deepEqual(refs({ q: 'garage' }), ['C', 'A']);
+    assert.deepEqual(refs({ q: 'garage door' }), ['A']);
+  });
+
+  it('pages with cursors until next_cursor is null', () => {
+    const first = run({ sort: 'created_at', limit: 2 });
+    assert.deepEqual(first.threads.map(t => t.ref), ['C', 'B']);
+    assert.ok(first.next_cursor);
+
+    const second = run({ sort: 'created_at', limit: 2, cursor: first.next_cursor });
+    assert.deepEqual(second.threads.map(t => t.ref), ['A']);
+    assert.equal(second.next_cursor, null);
+  });
+
+  it('rejects invalid options', () => {
+    assert.match(parseThreadQuery({ priority: 'asap' }).error, /priority/);
+    assert.match(parseThreadQuery({ sort: 'intent' }).error, /sort/);
+    assert.match(parseThreadQuery({ limit: '0' }).error, /limit/);
+    assert.match(parseThreadQuery({ created_after: 'yesterday' }).error, /created_after/);
+    assert.equal(parseThreadQuery({ cursor: 'not-a-cursor' }).error, 'Invalid cursor');
+  });
+
+  it('refuses a cursor under another sort, order or filters', () => {
+    const { next_cursor: cursor } = run({ sort: 'created_at', status: 'pending', limit: 1 });
+    assert.ok(parseThreadQuery({ sort: 'created_at', status: 'pending', cursor }).query);
+    for (const changed of [{ sort: 'priority' }, { order: 'asc' }, { status: 'claimed' }, { status: '' }, { q: 'garage' }]) {
+      assert.match(parseThreadQuery({ sort: 'created_at', status: 'pending', ...changed, cursor }).error,
+        /different sort, order or filters/, JSON.stringify(changed));
+    }
+  });
+});
+
+describe('MESSE-AF Search', () => {
+  const heater = {
+    ref: '2026-01-12-004',
+    intent: 'Check the basement',
+    messages: [
+      { ref: null, mess: [{ request: { intent: 'Check the basement', context: ['Smells like gas near the furnace'] } }] },
+      { ref: '2026-01-12-004/claim-001', mess: [{ status: { code: 'claimed' } }] },
+      { ref: '2026-01-12-004/response-002', mess: [{ response: { content: [
+        'Water heater pilot light was out, relit it',
+        { image: 'data:image/jpeg;base64,AAAA' },
+      ] } }] },
+    ],
+  };
+  const garage = { ref: '2026-01-13-001', intent: 'Is the water heater in the garage?', messages: [] };
+
+  it('tokenizes to lowercase words without stopwords', () => {
+    assert.deepEqual(tokenize('Is the Water-Heater ON?'), ['water', 'heater']);
+  });
+
+  it('ranks intent matches above message matches', () => {
+    const hits = searchIndex(buildSearchIndex([heater, garage]), 'water heater');
+    assert.deepEqual(hits.map(h => h.ref), ['2026-01-13-001', '2026-01-12-004']);
+    assert.equal(hits[0].message_ref, null);
+    assert.equal(hits[1].message_ref, '2026-01-12-004/response-002');
+  });
+
+  it('requires every word and matches prefixes', () => {
+    const index = buildSearchIndex([heater, garage]);
+    assert.deepEqual(searchIndex(index, 'heater basement').map(h => h.ref), ['2026-01-12-004']);
+    assert.deepEqual(searchIndex(index, 'furn').map(h => h.ref), ['2026-01-12-004']);
+    assert.equal(searchIndex(index, 'furnace')[0].matches[0].field, 'context');
+    assert.deepEqual(searchIndex(index, 'jpeg'), []);
+  });
+
+  it('replaces a thread when it is indexed again', () => {
+    const index = buildSearchIndex([heater]);
+    addToSearchIndex(index, { ...heater, messages: [] });
+    assert.deepEqual(searchIndex(index, 'pilot'), []);
+    assert.equal(index.terms.pilot, undefined);
+  });
+
+  it('indexes words that are also Object.prototype keys', () => {
+    const thread = { ref: 'T1', intent: 'Call the constructor about the roof', messages: [] };
+    for (const index of [buildSearchIndex([thread]), JSON.parse(JSON.stringify(buildSearchIndex([thread])))]) {
+      assert.deepEqual(searchIndex(index, 'constructor').map(h => h.ref), ['T1']);
+      removeFromSearchIndex(index, 'T1');
+      assert.deepEqual(searchIndex(index, 'constructor'), []);
+      assert.deepEqual(index.terms, {});
+    }
+    assert.equal(Object.hasOwn(Object, 'T1'), false);
+  });
+
+  it('takes message refs from MESSE-AF exchange acks', () => {
+    const thread = messeAfSearchThread({ ref: 'R', intent: 'Feed the cat' }, [
+      { from: 'agent', MESS: [{ request: { intent: 'Feed the cat' } }] },
+      { from: 'exchange', MESS: [{ ack: { re: 'last', ref: 'R' } }] },
+      { from: 'phone', MESS: [{ response: { content: ['Fed'] } }] },
+      { from: 'exchange', MESS: [{ ack: { ref: 'R/response-001' } }] },
+    ]);
+    assert.deepEqual(thread.messages.map(m => m.ref), [null, 'R/response-001']);
+  });
+});
+
+describe('MESSE-AF Image Metadata', () => {
+  const text = value => [...value].map(c => c.charCodeAt(0));
+  const segment = (marker, payload) => [0xff, marker, (payload.length + 2) >> 8, (payload.length + 2) & 0xff, ...payload];
+  const chunk = (type, data) => [0, 0, 0, data.length, ...text(type), ...data, 0, 0, 0, 0];
+
+  // 40x20 JPEG rotated by EXIF (orientation 6), with a location in its
+  // EXIF, a comment, and a motion photo trailer after EOI
+  const jpeg = new Uint8Array([
+    0xff, 0xd8,
+    ...segment(0xe0, [...text('JFIF\0'), 1, 1, 0, 0, 1, 0, 1, 0, 0]),
+    ...segment(0xe1, [
+      ...text('Exif\0\0MM'), 0, 0x2a, 0, 0, 0, 8,
+      0, 1, 0x01, 0x12, 0, 3, 0, 0, 0, 1, 0, 6, 0, 0,
+      0, 0, 0, 0, ...text('GPS 52.52N 13.40E'),
+    ]),
+    ...segment(0xfe, text('home sweet home')),
+    ...segment(0xc0, [8, 0, 20, 0, 40, 3, 1, 0x22, 0, 2, 0x11, 1, 3, 0x11, 1]),
+    ...segment(0xda, [3, 1, 0, 2, 0x11, 3, 0x11, 0, 0x3f, 0]),
+    0x12, 0xff, 0x00, 0x34, 0xff, 0xd9,
+    ...text('MOTION GPS'),
+  ]);
+
+  const png = new Uint8Array([
+    0x89, 0x50, 0x4e, 0x47, 0x0d, 0x0a, 0x1a, 0x0a,
+    ...chunk('IHDR', [0, 0, 0, 3, 0, 0, 0, 2, 8, 2, 0, 0, 0]),
+    ...chunk('tEXt', text('Location\0GPS 52.52N')),
+    ...chunk('IDAT', [1, 2, 3]),
+    ...chunk('IEND', []),
+  ]);
+
+  const contains = (bytes, value) => Buffer.from(bytes).includes(value);
+
+  it('reads dimensions as displayed', () => {
+    assert.deepEqual(imageInfo(jpeg), { format: 'jpeg', width: 20, height: 40, orientation: 6 });
+    assert.deepEqual(imageInfo(png), { format: 'png', width: 3, height: 2 });
+    assert.equal(imageInfo(new Uint8Array([1, 2, 3])), null);
+  });
+
+  it('strips JPEG metadata but keeps the orientation', () => {
+    const stripped = stripImageMetadata(jpeg);
+    assert.ok(!contains(stripped, 'GPS'));
+    assert.ok(!contains(stripped, 'home sweet home'));
+    assert.ok(contains(stripped, 'JFIF'));
+    assert.deepEqual([...stripped.slice(-2)], [0xff, 0xd9]);
+    assert.deepEqual(imageInfo(stripped), imageInfo(jpeg));
+    assert.deepEqual(stripImageMetadata(stripped), stripped);
+  });
+
+  it('strips PNG text chunks', () => {
+    const stripped = stripImageMetadata(png);
+    assert.ok(!contains(stripped, 'GPS'));
+    assert.equal(stripped.length, png.length - chunk('tEXt', text('Location\0GPS 52.52N')).length);
+    assert.deepEqual(imageInfo(stripped), imageInfo(png));
+  });
+
+  it('leaves other data alone', () => {
+    const data = new Uint8Array([0x47, 0x49, 0x46, 0x38, 0x39, 0x61, 1, 0, 1, 0, 0, 0, 0]);
+    assert.equal(stripImageMetadata(data), data);
+    assert.equal(needsImageConversion('image/heic'), true);
+    assert.equal(needsImageConversion('image/jpeg'), false);
+    assert.equal(needsImageConversion('image/gif'), false);
+    assert.equal(needsImageConversion('application/pdf'), false);
+  });
+
+  it('gives up on a JPEG or PNG cut short rather than pass it through', () => {
+    assert.equal(stripImageMetadata(new Uint8Array([0x89, 0x50, 0x4e, 0x47, 0x0d, 0x0a, 0x1a, 0x0a, 0, 0, 0, 40, 1])), null);
+    assert.equal(stripImageMetadata(png.subarray(0, png.length - 12)), null);
+    assert.equal(stripImageMetadata(jpeg.subarray(0, 30)), null);
+  });
+
+  it('strips inline images in MESS items', () => {
+    const dataUrl = `data:image/jpeg;base64,${Buffer.from(jpeg).toString('base64')}`;
+    const [item] = stripInlineImages([{ response: { content: ['Here', { image: dataUrl }] } }]);
+    const stripped = Buffer.from(item.response.content[1].image.split(',')[1], 'base64');
+    assert.equal(item.response.content[0], 'Here');
+    assert.ok(!stripped.includes('GPS'));
+  });
+
+  it('strips inline images without Buffer, as on Workers', () => {
+    const dataUrl = `data:image/jpeg;base64,${Buffer.from(jpeg).toString('base64')}`;
+    const { Buffer: NodeBuffer } = globalThis;
+    let item;
+    try {
+      delete globalThis.Buffer;
+      [item] = stripInlineImages([{ response: { content: [{ image: dataUrl }] } }]);
+    } finally {
+      globalThis.Buffer = NodeBuffer;
+    }
+    const stripped = Buffer.from(item.response.content[0].image.split(',')[1], 'base64');
+    assert.ok(!stripped.includes('GPS'));
+    assert.deepEqual(imageInfo(stripped), imageInfo(jpeg));
+  });
+
+  it('strips inline images when serializing unless told not to', () => {
+    const dataUrl = `data:image/png;base64,${Buffer.from(png).toString('base64')}`;
+    const envelope = { ref: '2026-01-31-003', status: 'completed', intent: 'Photo', history: [] };
+    const messages = [{ from: 'phone', MESS: [{ response: { content: [{ image: dataUrl }] } }] }];
+
+    const [stripped] = serializeThread(envelope, messages);
+    assert.ok(!stripped.content.includes(dataUrl));
+    const [kept] = serializeThread(envelope, messages, [], { stripMetadata: false });
+    assert.ok(kept.content.includes(dataUrl));
+  });
+
+  it('adds image dimensions to resource URIs', () => {
+    const dataUrl = `data:image/jpeg;base64,${Buffer.from(jpeg).toString('base64')}`;
+    const thread = {
+      envelope: { ref: 'R' },
+      messages: [{ MESS: [{ response: { content: [
+        { image: dataUrl },
+        { image: { file: 'att-001-image-photo.png', mime: 'image/png', size: 10, width: 3, height: 2 } },
+      ] } }] }],
+    };
+    const [inline, file] = rewriteToResourceURIs(thread).messages[0].MESS[0].response.content;
+    assert.equal(inline.image.width, 20);
+    assert.equal(inline.image.height, 40);
+    assert.deepEqual(file.image, { resource: 'content://R/att-001-image-photo.png', mime: 'image/png', size: 10, width: 3, height: 2 });
+  });
+});
+
 describe('MesseAfStorage', () => {
   let storage;
 
@@ -355,6 +1358,98 @@ describe('MesseAfStorage', () => {
     assert.equal(storage.type, 'messe-af-v2');
   });
 
+  it('rejects a status change whose old_status is stale', async () => {
+    const event = (type, payload, actor = 'alice') => JSON.stringify({
+      event_id: crypto.randomUUID(),
+      ts: new Date().toISOString(),
+      exchange_id: 'test',
+      thread_ref: '2026-01-31-777',
+      event_type: type,
+      actor_id: actor,
+      payload,
+    });
+
+    await storage.put('events/exchange=test/a.jsonl', event('thread_created', {
+      intent: 'Race me', requestor_id: 'alice',
+    }));
+    await storage.put('events/exchange=test/b.jsonl', event('status_changed', {
+      old_status: 'pending', new_status: 'claimed', executor_id: 'bob',
+    }, 'bob'));
+
+    await assert.rejects(
+      storage.put('events/exchange=test/c.jsonl', event('status_changed', {
+        old_status: 'pending', new_status: 'claimed', executor_id: 'carol',
+      }, 'carol')),
+      { name: 'ConflictError' }
+    );
+
+    const thread = await storage._findThread('test', '2026-01-31-777');
+    assert.equal(thread.envelope.executor, 'bob');
+  });
+
+  it('moves a delegated thread back to received', async () => {
+    const event = (type, payload, actor) => JSON.stringify({
+      event_id: crypto.randomUUID(),
+      ts: new Date().toISOString(),
+      exchange_id: 'test',
+      thread_ref: '2026-01-31-778',
+      event_type: type,
+      actor_id: actor,
+      payload,
+    });
+
+    await storage.put('events/exchange=test/d.jsonl', event('thread_created', {
+      intent: 'Hand me off', requestor_id: 'alice', assignee: 'bob',
+    }, 'alice'));
+    await storage.put('events/exchange=test/e.jsonl', event('status_changed', {
+      old_status: 'pending', new_status: 'claimed', executor_id: 'bob',
+    }, 'bob'));
+    await storage.put('events/exchange=test/f.jsonl', event('thread_delegated', {
+      old_status: 'claimed', delegated_to: 'carol',
+    }, 'bob'));
+
+    const thread = await storage._findThread('test', '2026-01-31-778');
+    assert.equal(thread.folder, 'received');
+    assert.equal(thread.envelope.executor, null);
+    assert.equal(thread.envelope.assignee, 'carol');
+    assert.deepEqual(thread.envelope.history.at(-1), {
+      action: 'delegated', at: thread.envelope.history.at(-1).at, by: 'bob', to: 'carol',
+    });
+  });
+
+  it('filters and pages getThreads like the API', async () => {
+    assert.deepEqual((await storage.getThreads('test', 'pending')).map(t => t.ref), ['2026-01-31-778']);
+    assert.deepEqual((await storage.getThreads('test', { executor_id: 'bob' })).map(t => t.ref), ['2026-01-31-777']);
+
+    const page = await storage.queryThreads('test', { sort: 'created_at', order: 'asc', limit: 1 });
+    assert.deepEqual(page.threads.map(t => t.ref), ['2026-01-31-777']);
+    const rest = await storage.queryThreads('test', { sort: 'created_at', order: 'asc', limit: 1, cursor: page.next_cursor });
+    assert.deepEqual(rest.threads.map(t => t.ref), ['2026-01-31-778']);
+    assert.equal(rest.next_cursor, null);
+
+    await assert.rejects(storage.getThreads('test', { sort: 'bogus' }), /sort must be/);
+  });
+
+  it('lists threads from their envelopes alone', async () => {
+    const dir = 'exchange=test/state=executing/2026-01-31-777';
+    await storage.put(`${dir}/att-001-image-photo.jpg`, 'photo bytes');
+    const get = storage.storage.get;
+    const reads = [];
+    storage.storage.get = (key) => {
+      reads.push(key);
+      return get.call(storage.storage, key);
+    };
+
+    try {
+      const threads = await storage.getThreads('test');
+      assert.deepEqual(threads.map(t => t.ref).sort(), ['2026-01-31-777', '2026-01-31-778']);
+      assert.ok(reads.every(key => key.endsWith('.messe-af.yaml')), reads.join(', '));
+      assert.ok(!reads.some(key => key.includes('/001-')));
+    } finally {
+      storage.storage.get = get;
+    }
+  });
+
   it('passes through executor operations', async () => {
     const executor = { id: 'test', name: 'Test' };
     await storage.put('executors/exchange=test/test.json', JSON.stringify(executor));
@@ -416,6 +1511,96 @@ describe('MESSE-AF Integration', () => {
     assert.equal(parsed.envelope.status, 'pending');
   });
 
+  it('serves requests from the thread projection', async () => {
+    const regResult = await handlers.handleRegister('test-exchange', { executor_id: 'alice' });
+    const auth = await handlers.authenticate(regResult.data.api_key);
+
+    const { data } = await handlers.handleCreateRequest(auth, { intent: 'Check the mailbox' });
+    await handlers.handleUpdateRequest(auth, data.ref, { status: 'claimed' });
+
+    const getResult = await handlers.handleGetRequest(auth, data.ref);
+    assert.equal(getResult.status, 200);
+    assert.equal(getResult.data.thread.status, 'claimed');
+
+    const listResult = await handlers.handleListRequests(auth);
+    assert.equal(listResult.data.threads.length, 1);
+  });
+
+  it('keeps projections in step with thread files edited outside the server', async () => {
+    const regResult = await handlers.handleRegister('test-exchange', { executor_id: 'alice' });
+    const auth = await handlers.authenticate(regResult.data.api_key);
+    const { data } = await handlers.handleCreateRequest(auth, { intent: 'Check the gutters' });
+    await handlers.handleUpdateRequest(auth, data.ref, { status: 'claimed' });
+
+    // Once the first list has noted the envelope file versions, plain reads
+    // leave a current projection alone and lists read no thread files
+    await handlers.handleListRequests(auth);
+    const indexPath = path.join(TEST_DATA, 'projections', 'exchange=test-exchange', 'index.json');
+    const before = await fs.readFile(indexPath, 'utf-8');
+    const reads = [];
+    const get = storage.storage.get.bind(storage.storage);
+    storage.storage.get = key => {
+      reads.push(key);
+      return get(key);
+    };
+    await handlers.handleListRequests(auth);
+    assert.deepEqual(reads.filter(key => key.endsWith('.messe-af.yaml')), []);
+    storage.storage.get = get;
+    await handlers.handleGetRequest(auth, data.ref);
+    assert.equal(await fs.readFile(indexPath, 'utf-8'), before);
+
+    // Mark it completed on disk, as `mess update` would
+    const thread = await storage._findThread('test-exchange', data.ref);
+    const updated = new Date(Date.now() + 1000).toISOString();
+    thread.envelope.status = 'completed';
+    thread.envelope.updated = updated;
+    thread.envelope.history.push({ action: 'completed', at: updated, by: 'alice' });
+    await fs.rm(path.join(TEST_DATA, thread.path), { recursive: true });
+    await storage.importThread('test-exchange', serializeThread(thread.envelope, thread.messages));
+
+    const fresh = createHandlers(storage);
+    assert.equal((await fresh.handleGetRequest(auth, data.ref)).data.thread.status, 'completed');
+    const listed = await fresh.handleListRequests(auth);
+    assert.deepEqual(listed.data.threads.map(t => t.status), ['completed']);
+  });
+
+  it('searches threads kept in MESSE-AF storage', async () => {
+    const regResult = await handlers.handleRegister('test-exchange', { executor_id: 'alice' });
+    const auth = await handlers.authenticate(regResult.data.api_key);
+
+    const { data } = await handlers.handleCreateRequest(auth, { intent: 'Check the basement' });
+    await handlers.handleUpdateRequest(auth, data.ref, { status: 'claimed' });
+    await handlers.handleUpdateRequest(auth, data.ref, {
+      mess: [{ response: { re: data.ref, content: ['Water heater pilot light was out'] } }],
+    });
+
+    const result = await handlers.handleSearchRequests(auth, { q: 'pilot' });
+    assert.equal(result.data.hits.length, 1);
+    assert.equal(result.data.hits[0].ref, data.ref);
+    // Same serial eventsToMesseAf gives the response on export
+    assert.equal(result.data.hits[0].message_ref, `${data.ref}/response-003`);
+  });
+
+  it('moves expired requests to the canceled folder', async () => {
+    const regResult = await handlers.handleRegister('test-exchange', { executor_id: 'alice' });
+    const auth = await handlers.authenticate(regResult.data.api_key);
+
+    const { data } = await handlers.handleCreateRequest(auth, {
+      intent: 'Pick up milk',
+      needed_by: '2026-01-01T18:00:00Z'
+    });
+    const expired = await handlers.expireOverdueRequests('test-exchange', new Date('2026-01-02T00:00:00Z'));
+    assert.deepEqual(expired, [data.ref]);
+
+    const dirPath = path.join(TEST_DATA, 'exchange=test-exchange', 'state=canceled', data.ref);
+    const files = await fs.readdir(dirPath);
+    const content = await fs.readFile(path.join(dirPath, files.find(f => f.endsWith('.messe-af.yaml'))), 'utf-8');
+    const parsed = parseThreadV1(content);
+
+    assert.equal(parsed.envelope.status, 'expired');
+    assert.equal(parsed.envelope.needed_by, '2026-01-01T18:00:00Z');
+  });
+
   it('supports import/export', async () => {
     // Register executor
     const regResult = await handlers.handleRegister('test-exchange', {
@@ -450,10 +1635,197 @@ MESS:
     assert.equal(importResult.status, 201);
     assert.equal(importResult.data.imported, 1);
 
+    // Imported threads are projected like any other
+    const listResult = await handlers.handleListRequests(auth);
+    assert.ok(listResult.data.threads.some(t => t.ref === '2026-01-30-999'));
+
     // Export the thread
     const exportResult = await handlers.handleExportThread(auth, '2026-01-30-999', { format: 'v2' });
     assert.equal(exportResult.status, 200);
     assert.ok(exportResult.data.files);
     assert.ok(exportResult.data.files.length > 0);
   });
+
+  it('rejects imports that fail validation', async () => {
+    const regResult = await handlers.handleRegister('test-exchange', { executor_id: 'strict-importer' });
+    const auth = await handlers.authenticate(regResult.data.api_key);
+
+    const result = await handlers.handleImportThread(auth, { content: `requestor: external
+status: finished
+created: 2026-01-30T10:00:00Z
+---
+from: external
+MESS:
+  - request:
+      intent: Imported request` });
+
+    assert.equal(result.status, 400);
+    assert.match(result.error, /^Import failed: Invalid thread: envelope\.ref: is required; envelope\.status: unknown value "finished"/);
+  });
+});
+
+describe('Storage Migration', () => {
+  const png = new Uint8Array([0x89, 0x50, 0x4e, 0x47, 0x0d, 0x0a, 0x1a, 0x0a, 0x00, 0xff]);
+
+  // A side of a migration: storage in its own directory under TEST_DATA
+  function side(name, version = null) {
+    const base = new FilesystemStorage(path.join(TEST_DATA, name));
+    return { storage: version ? new MesseAfStorage(base, { version }) : base };
+  }
+
+  function handlersFor({ storage }) {
+    return createHandlers(storage, {
+      attachments: attachmentLimitsFromEnv({ ATTACHMENT_TYPES: 'image/*' }),
+    });
+  }
+
+  // Three threads: open, claimed with an uploaded photo, and completed
+  async function populate(source) {
+    const handlers = handlersFor(source);
+    const admin = await handlers.handleRegister('home', { executor_id: 'admin' });
+    const auth = await handlers.authenticate(admin.data.api_key);
+
+    const refs = [];
+    for (const intent of ['Water the plants', 'Photo of the meter', 'Take out the bins']) {
+      refs.push((await handlers.handleCreateRequest(auth, { intent })).data.ref);
+    }
+    await handlers.handleUpdateRequest(auth, refs[1], { status: 'claimed' });
+    await handlers.handleUploadAttachment(auth, refs[1], { filename: 'meter.png', content_type: 'image/png', data: png });
+    await handlers.handleUpdateRequest(auth, refs[2], { status: 'claimed' });
+    await handlers.handleUpdateRequest(auth, refs[2], {
+      status: 'completed',
+      mess: [{ response: { re: refs[2], content: ['Done'] } }],
+    });
+    return { apiKey: admin.data.api_key, refs };
+  }
+
+  beforeEach(cleanup);
+  after(cleanup);
+
+  it('moves event-sourced threads into MESSE-AF and back without changing them', async () => {
+    const source = side('events');
+    const { apiKey, refs } = await populate(source);
+
+    const messeAf = side('messe-af', 2);
+    const report = await migrateStorage(source, messeAf);
+    assert.deepEqual(report.exchanges.home.threads, { total: 3, copied: 3, unchanged: 0, failed: 0 });
+    assert.deepEqual(report.failures, []);
+    assert.equal(report.blobs.copied, 1);
+    assert.ok((await verifyMigration(source, messeAf)).ok);
+
+    const files = await fs.readdir(path.join(TEST_DATA, 'messe-af', 'exchange=home', 'state=finished', refs[2]));
+    assert.ok(files.some(f => f.endsWith('.messe-af.yaml')));
+
+    // Keys, threads and attachments all work against the new storage
+    const handlers = handlersFor(messeAf);
+    const auth = await handlers.authenticate(apiKey);
+    assert.ok(auth);
+    const thread = await handlers.handleGetRequest(auth, refs[1]);
+    assert.equal(thread.data.thread.status, 'claimed');
+    const download = await handlers.handleGetAttachment(auth, refs[1], 'meter.png');
+    assert.deepEqual([...download.data.content], [...png]);
+
+    const back = side('events-again');
+    await migrateStorage(messeAf, back);
+    const events = async ({ storage }) => {
+      const all = [];
+      for (const key of await storage.list('events/exchange=home/')) {
+        const event = JSON.parse(await storage.get(key));
+        if (event.thread_ref) all.push(event);
+      }
+      return all.sort((a, b) => a.event_id.localeCompare(b.event_id));
+    };
+    assert.deepEqual(await events(back), await events(source));
+  });
+
+  it('leaves rate limit buckets behind', async () => {
+    const source = side('events');
+    await populate(source);
+    await source.storage.put('ratelimit/ip%3A10.0.0.1.json', JSON.stringify({ tokens: 1, updated_at: 0 }));
+
+    const target = side('messe-af', 2);
+    await migrateStorage(source, target);
+    assert.deepEqual(await target.storage.list('ratelimit/'), []);
+  });
+
+  it('converts MESSE-AF v1 threads to v2', async () => {
+    const source = side('v1', 1);
+    const { refs } = await populate(source);
+    assert.ok((await fs.readdir(path.join(TEST_DATA, 'v1', 'exchange=home', 'state=received')))
+      .includes(`${refs[0]}.messe-af.yaml`));
+
+    const target = side('v2', 2);
+    const report = await migrateStorage(source, target);
+    assert.equal(report.exchanges.home.threads.copied, 3);
+
+    const dir = await fs.readdir(path.join(TEST_DATA, 'v2', 'exchange=home', 'state=received', refs[0]));
+    assert.deepEqual(dir, [`000-${refs[0]}.messe-af.yaml`]);
+    assert.deepEqual(
+      await source.storage.getThreadEvents('home', refs[2]),
+      await target.storage.getThreadEvents('home', refs[2])
+    );
+  });
+
+  it('writes nothing in a dry run and skips what the target already has', async () => {
+    const source = side('events');
+    await populate(source);
+    const target = side('messe-af', 2);
+
+    const dryRun = await migrateStorage(source, target, { dryRun: true });
+    assert.equal(dryRun.exchanges.home.threads.copied, 3);
+    assert.ok(dryRun.records.copied > 0);
+    await assert.rejects(fs.access(path.join(TEST_DATA, 'messe-af')), { code: 'ENOENT' });
+
+    const first = await migrateStorage(source, target);
+    assert.equal(first.records.copied, dryRun.records.copied);
+
+    const again = await migrateStorage(source, target);
+    assert.deepEqual(again.exchanges.home.threads, { total: 3, copied: 0, unchanged: 3, failed: 0 });
+    assert.equal(again.records.copied, 0);
+    assert.equal(again.blobs.copied, 0);
+  });
+
+  it('moves a thread whose status changed since the last run out of its old folder', async () => {
+    const source = side('events');
+    const { apiKey, refs } = await populate(source);
+    const target = side('messe-af', 2);
+    await migrateStorage(source, target);
+
+    const handlers = handlersFor(source);
+    await handlers.handleUpdateRequest(await handlers.authenticate(apiKey), refs[0], { status: 'claimed' });
+    const again = await migrateStorage(source, target);
+    assert.equal(again.exchanges.home.threads.copied, 1);
+
+    const base = target.storage.storage;
+    assert.deepEqual(await base.list(`exchange=home/state=received/${refs[0]}/`), []);
+    assert.equal((await base.list(`exchange=home/state=executing/${refs[0]}/`)).length, 1);
+    assert.ok((await verifyMigration(source, target)).ok);
+    assert.equal((await target.storage.getEnvelope('home', refs[0])).status, 'claimed');
+  });
+
+  it('reports threads whose status differs or that are missing', async () => {
+    const source = side('events');
+    const { apiKey, refs } = await populate(source);
+    const target = side('messe-af', 2);
+    await migrateStorage(source, target);
+
+    const handlers = handlersFor(source);
+    const auth = await handlers.authenticate(apiKey);
+    await handlers.handleUpdateRequest(auth, refs[0], { status: 'claimed' });
+    const { data } = await handlers.handleCreateRequest(auth, { intent: 'Feed the cat' });
+
+    const result = await verifyMigration(source, target);
+    assert.equal(result.ok, false);
+    assert.deepEqual(result.exchanges.home, { source: 4, target: 3 });
+    assert.deepEqual(result.mismatches, [
+      { exchange_id: 'home', ref: refs[0], source: 'claimed', target: 'pending' },
+      { exchange_id: 'home', ref: data.ref, source: 'pending', target: null },
+    ].sort((a, b) => a.ref.localeCompare(b.ref)));
+  });
+
+  it('refuses to migrate a storage into itself', async () => {
+    const source = side('events');
+    const target = { storage: new MesseAfStorage(new FilesystemStorage(path.join(TEST_DATA, 'events', 'converted'))) };
+    await assert.rejects(migrateStorage(source, target), /same storage/);
+  });
 });